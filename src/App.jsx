@@ -1,4 +1,4 @@
-import { Routes, Route, NavLink } from 'react-router-dom'
+import { Routes, Route, NavLink, useLocation } from 'react-router-dom'
 import { 
   LayoutDashboard, 
   Map, 
@@ -16,9 +16,19 @@ import AccidentMap from './pages/AccidentMap'
 import Analytics from './pages/Analytics'
 import Hotspots from './pages/Hotspots'
 import SchoolSafety from './pages/SchoolSafety'
+import SchoolComparison from './pages/SchoolComparison'
+import AreaProfile from './pages/AreaProfile'
+import AccidentDetailDrawer from './components/AccidentDetailDrawer'
+import ConnectivityIndicator from './components/ConnectivityIndicator'
+import ConnectivityBanner from './components/ConnectivityBanner'
+import { USING_MOCK_API } from './services/api'
 
 function App() {
   const [sidebarOpen, setSidebarOpen] = useState(false)
+  const location = useLocation()
+
+  // Drawers opened from a page keep that page rendered underneath
+  const backgroundLocation = location.state?.backgroundLocation
 
   const navigation = [
     { name: 'Dashboard', href: '/', icon: LayoutDashboard },
@@ -101,12 +111,15 @@ function App() {
             <div className="flex-1 lg:flex-none" />
 
             <div className="flex items-center gap-4">
-              <div className="hidden sm:flex items-center gap-2 text-sm">
-                <span className="flex items-center gap-1">
-                  <span className="w-2 h-2 rounded-full bg-green-500" />
-                  API Connected
+              {USING_MOCK_API && (
+                <span
+                  className="px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-700"
+                  title="Requests are answered by the bundled mock API - the data is synthetic"
+                >
+                  Demo data
                 </span>
-              </div>
+              )}
+              <ConnectivityIndicator />
               <button className="p-2 rounded-lg hover:bg-gray-100">
                 <Settings className="w-5 h-5 text-gray-500" />
               </button>
@@ -114,16 +127,27 @@ function App() {
           </div>
         </header>
 
+        <ConnectivityBanner />
+
         {/* Page content */}
         <main className="p-4 lg:p-6">
-          <Routes>
+          <Routes location={backgroundLocation || location}>
             <Route path="/" element={<Dashboard />} />
             <Route path="/dashboard" element={<Dashboard />} />
             <Route path="/map" element={<AccidentMap />} />
             <Route path="/analytics" element={<Analytics />} />
             <Route path="/hotspots" element={<Hotspots />} />
             <Route path="/schools" element={<SchoolSafety />} />
+            <Route path="/schools/compare" element={<SchoolComparison />} />
+            <Route path="/areas/:lsoaCode" element={<AreaProfile />} />
+            <Route path="/accidents/:id" element={<AccidentDetailDrawer />} />
           </Routes>
+
+          {backgroundLocation && (
+            <Routes>
+              <Route path="/accidents/:id" element={<AccidentDetailDrawer />} />
+            </Routes>
+          )}
         </main>
       </div>
     </div>
@@ -0,0 +1,314 @@
+import { useState, useEffect, useCallback, isValidElement } from 'react'
+import { useParams, useNavigate, useLocation } from 'react-router-dom'
+import {
+  X, Calendar, MapPin, Car, Users, CloudSun, Route, RefreshCw, AlertTriangle, Copy, Check
+} from 'lucide-react'
+import { getAccidentById, isCancel } from '../services/api'
+import useRequestController from '../hooks/useRequestController'
+import LsoaLink from './LsoaLink'
+
+const SEVERITY_LABELS = {
+  1: 'Fatal',
+  2: 'Serious',
+  3: 'Slight',
+}
+
+const SEVERITY_BADGES = {
+  1: 'severity-fatal',
+  2: 'severity-serious',
+  3: 'severity-slight',
+}
+
+// Display a STATS19 field that may be a plain value or a { code, label } pair
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '-'
+  if (isValidElement(value)) return value
+  if (typeof value === 'object') return value.label ?? value.name ?? value.code ?? '-'
+  return value
+}
+
+// Section wrapper
+function DetailSection({ title, icon: Icon, children }) {
+  return (
+    <section className="border-t border-gray-200 pt-4">
+      <h4 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
+        <Icon className="w-4 h-4 text-gray-500" />
+        {title}
+      </h4>
+      {children}
+    </section>
+  )
+}
+
+// Label / value grid for record fields
+function FieldGrid({ fields }) {
+  return (
+    <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+      {fields.map(([label, value]) => (
+        <div key={label}>
+          <dt className="text-gray-500">{label}</dt>
+          <dd className="font-medium text-gray-900">{formatValue(value)}</dd>
+        </div>
+      ))}
+    </dl>
+  )
+}
+
+// Vehicles involved
+function VehiclesTable({ vehicles }) {
+  if (vehicles.length === 0) {
+    return <p className="text-sm text-gray-500">No vehicle records</p>
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 text-gray-600">
+          <tr>
+            <th className="px-3 py-2 text-left">#</th>
+            <th className="px-3 py-2 text-left">Type</th>
+            <th className="px-3 py-2 text-left">Manoeuvre</th>
+            <th className="px-3 py-2 text-left">Driver</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {vehicles.map((v, i) => (
+            <tr key={v.vehicle_reference || i}>
+              <td className="px-3 py-2">{v.vehicle_reference || i + 1}</td>
+              <td className="px-3 py-2">{formatValue(v.vehicle_type)}</td>
+              <td className="px-3 py-2">{formatValue(v.vehicle_manoeuvre)}</td>
+              <td className="px-3 py-2 text-gray-500">
+                {formatValue(v.sex_of_driver)}, {formatValue(v.age_of_driver)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Casualties
+function CasualtiesTable({ casualties }) {
+  if (casualties.length === 0) {
+    return <p className="text-sm text-gray-500">No casualty records</p>
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 text-gray-600">
+          <tr>
+            <th className="px-3 py-2 text-left">#</th>
+            <th className="px-3 py-2 text-left">Class</th>
+            <th className="px-3 py-2 text-left">Severity</th>
+            <th className="px-3 py-2 text-left">Type</th>
+            <th className="px-3 py-2 text-left">Age</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {casualties.map((c, i) => (
+            <tr key={c.casualty_reference || i}>
+              <td className="px-3 py-2">{c.casualty_reference || i + 1}</td>
+              <td className="px-3 py-2">{formatValue(c.casualty_class)}</td>
+              <td className="px-3 py-2">
+                {SEVERITY_LABELS[c.casualty_severity] || formatValue(c.casualty_severity)}
+              </td>
+              <td className="px-3 py-2">{formatValue(c.casualty_type)}</td>
+              <td className="px-3 py-2">{formatValue(c.age_of_casualty)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Full STATS19 record for a single accident
+function AccidentRecord({ accident }) {
+  const [copied, setCopied] = useState(false)
+
+  const lat = accident.latitude
+  const lng = accident.longitude
+
+  const handleCopyCitation = async () => {
+    const citation = [
+      `STATS19 accident ${accident.accident_id}`,
+      `${SEVERITY_LABELS[accident.severity] || 'Unknown'} severity`,
+      [accident.accident_date, accident.accident_time].filter(Boolean).join(' '),
+      lat && lng ? `${lat.toFixed(5)}, ${lng.toFixed(5)}` : null,
+      window.location.href,
+    ].filter(Boolean).join(' | ')
+
+    try {
+      await navigator.clipboard.writeText(citation)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (error) {
+      console.error('Failed to copy citation:', error)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <span className={`px-2 py-1 rounded-full text-xs font-medium border ${SEVERITY_BADGES[accident.severity] || ''}`}>
+          {SEVERITY_LABELS[accident.severity] || 'Unknown'} Accident
+        </span>
+        <button
+          onClick={handleCopyCitation}
+          className="flex items-center gap-1 px-3 py-1 text-sm border rounded hover:bg-gray-50"
+        >
+          {copied ? <Check className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+          {copied ? 'Copied' : 'Copy citation'}
+        </button>
+      </div>
+
+      <DetailSection title="When" icon={Calendar}>
+        <FieldGrid fields={[
+          ['Date', accident.accident_date],
+          ['Time', accident.accident_time],
+          ['Day of Week', accident.day_of_week],
+          ['Year', accident.accident_year],
+        ]} />
+      </DetailSection>
+
+      <DetailSection title="Where" icon={MapPin}>
+        <FieldGrid fields={[
+          ['Latitude', lat ? lat.toFixed(5) : null],
+          ['Longitude', lng ? lng.toFixed(5) : null],
+          ['LSOA', accident.lsoa_code && <LsoaLink code={accident.lsoa_code} />],
+          ['Local Authority', accident.local_authority_district],
+          ['Police Force', accident.police_force],
+          ['Urban / Rural', accident.urban_or_rural_area],
+        ]} />
+      </DetailSection>
+
+      <DetailSection title="Road & Junction" icon={Route}>
+        <FieldGrid fields={[
+          ['Road Type', accident.road_type],
+          ['Speed Limit', accident.speed_limit ? `${formatValue(accident.speed_limit)} mph` : null],
+          ['First Road', [formatValue(accident.first_road_class), accident.first_road_number].filter(v => v && v !== '-').join(' ')],
+          ['Second Road', [formatValue(accident.second_road_class), accident.second_road_number].filter(v => v && v !== '-').join(' ')],
+          ['Junction Detail', accident.junction_detail],
+          ['Junction Control', accident.junction_control],
+          ['Pedestrian Crossing', accident.pedestrian_crossing_physical_facilities],
+          ['Carriageway Hazards', accident.carriageway_hazards],
+        ]} />
+      </DetailSection>
+
+      <DetailSection title="Conditions" icon={CloudSun}>
+        <FieldGrid fields={[
+          ['Weather', accident.weather_conditions],
+          ['Light', accident.light_conditions],
+          ['Road Surface', accident.road_surface_conditions],
+          ['Special Conditions', accident.special_conditions_at_site],
+        ]} />
+      </DetailSection>
+
+      <DetailSection title={`Vehicles (${accident.vehicles.length || accident.number_of_vehicles || 0})`} icon={Car}>
+        <VehiclesTable vehicles={accident.vehicles} />
+      </DetailSection>
+
+      <DetailSection title={`Casualties (${accident.casualties.length || accident.number_of_casualties || 0})`} icon={Users}>
+        <CasualtiesTable casualties={accident.casualties} />
+      </DetailSection>
+    </div>
+  )
+}
+
+// Accident detail drawer - rendered for /accidents/:id
+export default function AccidentDetailDrawer() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [accident, setAccident] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const nextAccidentSignal = useRequestController()
+
+  const loadAccident = useCallback(async () => {
+    const signal = nextAccidentSignal()
+    setLoading(true)
+    setError(null)
+    try {
+      const response = await getAccidentById(id, { signal })
+      setAccident(response.data)
+    } catch (err) {
+      if (isCancel(err)) return
+      console.error('Failed to load accident:', err)
+      setError(err.response?.status === 404 ? 'Accident not found' : 'Failed to load accident record')
+      setAccident(null)
+    } finally {
+      if (!signal.aborted) setLoading(false)
+    }
+  }, [id, nextAccidentSignal])
+
+  useEffect(() => {
+    loadAccident()
+  }, [loadAccident])
+
+  // Return to the page the drawer was opened from, or the map for direct links
+  const handleClose = useCallback(() => {
+    if (location.state?.backgroundLocation) {
+      navigate(-1)
+    } else {
+      navigate('/map')
+    }
+  }, [navigate, location.state])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') handleClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [handleClose])
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-gray-900/30 z-40"
+        onClick={handleClose}
+      />
+      <aside className="fixed top-0 right-0 z-50 h-full w-full sm:max-w-lg bg-white shadow-xl flex flex-col">
+        <div className="flex items-center justify-between h-16 px-4 border-b border-gray-200">
+          <div>
+            <h3 className="font-semibold text-gray-900">Accident Record</h3>
+            <p className="text-xs text-gray-500 font-mono">{id}</p>
+          </div>
+          <button
+            onClick={handleClose}
+            className="p-2 rounded-lg hover:bg-gray-100"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {loading ? (
+            <div className="flex items-center justify-center h-64">
+              <RefreshCw className="w-8 h-8 animate-spin text-blue-600" />
+            </div>
+          ) : error ? (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center">
+              <AlertTriangle className="w-10 h-10 text-red-500 mx-auto mb-3" />
+              <p className="font-medium text-red-800">{error}</p>
+              <button
+                onClick={loadAccident}
+                className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+              >
+                <RefreshCw className="w-4 h-4 inline mr-2" />
+                Retry
+              </button>
+            </div>
+          ) : accident && (
+            <AccidentRecord accident={accident} />
+          )}
+        </div>
+      </aside>
+    </>
+  )
+}
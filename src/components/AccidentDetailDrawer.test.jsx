@@ -0,0 +1,96 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import renderWithRouter from '../test/renderWithRouter'
+import { getAccidentById } from '../services/api'
+import useOpenAccident from '../hooks/useOpenAccident'
+import AccidentDetailDrawer from './AccidentDetailDrawer'
+
+vi.mock('../services/api', async (importOriginal) => {
+  const api = await importOriginal()
+  return {
+    ...api,
+    getAccidentById: vi.fn(api.getAccidentById),
+  }
+})
+
+const accident = {
+  accident_id: '2023010012345',
+  severity: 3,
+  accident_date: '2023-03-08',
+  accident_time: '08:15',
+  latitude: 51.50741,
+  longitude: -0.12784,
+  weather_conditions: { code: 1, label: 'Fine no high winds' },
+  vehicles: [],
+  casualties: [],
+}
+
+const renderDrawer = (id = accident.accident_id) => renderWithRouter(<AccidentDetailDrawer />, {
+  route: `/accidents/${id}`,
+  path: '/accidents/:id',
+})
+
+describe('AccidentDetailDrawer', () => {
+  it('loads the accident in a deep link', async () => {
+    getAccidentById.mockResolvedValueOnce({ data: accident })
+    renderDrawer()
+
+    expect(await screen.findByText('Slight Accident')).toBeInTheDocument()
+    expect(getAccidentById).toHaveBeenCalledWith('2023010012345', expect.anything())
+    expect(screen.getByText('2023-03-08')).toBeInTheDocument()
+    expect(screen.getByText('Fine no high winds')).toBeInTheDocument()
+    expect(screen.getByText('No casualty records')).toBeInTheDocument()
+  })
+
+  it('shows an error and retries', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    getAccidentById
+      .mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404 } }))
+      .mockResolvedValueOnce({ data: accident })
+    renderDrawer()
+
+    expect(await screen.findByText('Accident not found')).toBeInTheDocument()
+    fireEvent.click(screen.getByRole('button', { name: 'Retry' }))
+
+    expect(await screen.findByText('Slight Accident')).toBeInTheDocument()
+    expect(getAccidentById).toHaveBeenCalledTimes(2)
+  })
+
+  it('copies a citation for the record', async () => {
+    const writeText = vi.fn(() => Promise.resolve())
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true })
+    getAccidentById.mockResolvedValueOnce({ data: accident })
+    renderDrawer()
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Copy citation' }))
+
+    expect(await screen.findByRole('button', { name: 'Copied' })).toBeInTheDocument()
+    expect(writeText).toHaveBeenCalledWith(expect.stringMatching(
+      /^STATS19 accident 2023010012345 \| Slight severity \| 2023-03-08 08:15 \| 51\.50741, -0\.12784 \| /
+    ))
+  })
+
+  it('closes back to the page after switching accidents', async () => {
+    getAccidentById.mockImplementation((id) => Promise.resolve({ data: { ...accident, accident_id: id } }))
+    function OpenAccident({ id }) {
+      const openAccident = useOpenAccident()
+      return <button onClick={() => openAccident(id)}>Open {id}</button>
+    }
+    render(
+      <MemoryRouter initialEntries={['/map']}>
+        <Routes>
+          <Route path="/map" element={<OpenAccident id="A1" />} />
+          <Route path="/accidents/:id" element={<><AccidentDetailDrawer /><OpenAccident id="A2" /></>} />
+        </Routes>
+      </MemoryRouter>
+    )
+
+    fireEvent.click(screen.getByRole('button', { name: 'Open A1' }))
+    fireEvent.click(await screen.findByRole('button', { name: 'Open A2' }))
+    await waitFor(() => expect(getAccidentById).toHaveBeenLastCalledWith('A2', expect.anything()))
+    fireEvent.click(screen.getAllByRole('button', { name: 'Close' })[0])
+
+    expect(await screen.findByRole('button', { name: 'Open A1' })).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,106 @@
+import { useMemo } from 'react'
+import { X, RefreshCw, AlertTriangle } from 'lucide-react'
+import SeverityBreakdown from './charts/SeverityBreakdown'
+import HourlyPatternChart from './charts/HourlyPatternChart'
+import YearComparison from './charts/YearComparison'
+import DailyPattern from './charts/DailyPattern'
+import { summarizeAccidents } from '../utils/accidentStats'
+import { lineLength, polygonArea, rectangleCorners } from '../utils/geometry'
+
+const SHAPE_NAMES = {
+  polygon: 'Drawn area',
+  rectangle: 'Drawn rectangle',
+  line: 'Road corridor',
+}
+
+// Size of a shape for the panel heading, e.g. "0.42 km²" or "1.3 km, 50 m either side"
+export function describeShape(shape) {
+  if (shape.type === 'line') {
+    const km = lineLength(shape.points) / 1000
+    return `${km.toFixed(km < 10 ? 1 : 0)} km, ${shape.buffer} m either side`
+  }
+  const ring = shape.type === 'rectangle' ? rectangleCorners(shape.points) : shape.points
+  const km2 = polygonArea(ring) / 1e6
+  return `${km2.toFixed(km2 < 10 ? 2 : 1)} km²`
+}
+
+function StatTile({ label, value, className = 'text-gray-900' }) {
+  return (
+    <div className="bg-gray-50 rounded-lg p-3">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className={`text-xl font-bold ${className}`}>{value.toLocaleString()}</div>
+    </div>
+  )
+}
+
+// Analysis of the accidents inside a drawn shape: totals, severity split,
+// yearly trend and hour/day patterns, using the shared chart components
+export default function AreaAnalysisPanel({ shape, accidents, loading, error, truncated, onClose }) {
+  const summary = useMemo(() => summarizeAccidents(accidents), [accidents])
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm">
+      <div className="p-4 border-b border-gray-200 flex items-start justify-between gap-4">
+        <div>
+          <h3 className="font-semibold text-gray-900">{SHAPE_NAMES[shape.type]} analysis</h3>
+          <p className="text-sm text-gray-500">{describeShape(shape)}</p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-600 rounded"
+          aria-label="Close area analysis"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <RefreshCw className="w-4 h-4 animate-spin" />
+            Loading accidents in this area...
+          </div>
+        ) : error ? (
+          <p className="flex items-center gap-2 text-sm text-red-600">
+            <AlertTriangle className="w-4 h-4" />
+            Failed to load accidents for this area
+          </p>
+        ) : (
+          <>
+            {truncated && (
+              <p className="flex items-center gap-2 text-sm text-amber-600">
+                <AlertTriangle className="w-4 h-4" />
+                This area is too large to load in full - figures cover part of it. Draw a smaller area for complete results.
+              </p>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              <StatTile label="Accidents" value={summary.total} />
+              <StatTile label="Casualties" value={summary.casualties} />
+              <StatTile label="Vehicles" value={summary.vehicles} />
+              <StatTile label="Fatal" value={summary.severity.fatal} className="text-red-600" />
+              <StatTile label="Serious" value={summary.severity.serious} className="text-amber-600" />
+            </div>
+
+            {summary.total === 0 ? (
+              <p className="text-sm text-gray-500">No accidents recorded in this area.</p>
+            ) : (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                <SeverityBreakdown data={summary.severity} />
+                <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+                  <h3 className="text-lg font-semibold mb-4">Yearly Trend</h3>
+                  <YearComparison data={summary.byYear} />
+                </div>
+                <HourlyPatternChart data={summary.byHour} />
+                <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+                  <h3 className="text-lg font-semibold mb-4">Accidents by Day of Week</h3>
+                  <DailyPattern data={summary.byDay} />
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
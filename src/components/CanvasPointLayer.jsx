@@ -0,0 +1,308 @@
+import { useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+
+// Spatial hash of projected points for hit-testing. Each item is
+// { x, y, radius }; cells are at least as large as the biggest hit area, so
+// a lookup only needs the 3x3 cells around the cursor.
+export function createHitIndex(items, tolerance = 0) {
+  const maxRadius = items.reduce((max, item) => Math.max(max, item.radius), 0)
+  const cellSize = Math.max(1, maxRadius + tolerance)
+  const cells = new Map()
+
+  items.forEach(item => {
+    const key = `${Math.floor(item.x / cellSize)}:${Math.floor(item.y / cellSize)}`
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(item)
+  })
+
+  return { cells, cellSize, tolerance }
+}
+
+// The item nearest (x, y) whose circle, widened by the tolerance, contains it
+export function findHit(index, x, y) {
+  const { cells, cellSize, tolerance } = index
+  const cellX = Math.floor(x / cellSize)
+  const cellY = Math.floor(y / cellSize)
+  let hit = null
+  let hitDistance = Infinity
+
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      const cell = cells.get(`${cellX + dx}:${cellY + dy}`)
+      if (!cell) continue
+      cell.forEach(item => {
+        const distance = Math.hypot(item.x - x, item.y - y)
+        if (distance <= item.radius + tolerance && distance < hitDistance) {
+          hit = item
+          hitDistance = distance
+        }
+      })
+    }
+  }
+  return hit
+}
+
+// Leaflet layer drawing points as circles on a single canvas. Handles
+// tens of thousands of points where one SVG element per point would not.
+// Follows L.Canvas for positioning and zoom animation.
+const PointCanvasLayer = L.Layer.extend({
+  options: {
+    pane: 'overlayPane',
+    // Extra area drawn around the view, so short pans don't show blank edges
+    padding: 0.1,
+    // Pixels around a point that still count as hovering it
+    tolerance: 3,
+    fillOpacity: 0.7,
+    highlightColor: '#1e3a8a',
+    onHover: null,
+    onClick: null,
+  },
+
+  initialize(options) {
+    L.setOptions(this, options)
+    this._points = []
+    this._index = null
+    this._hover = null
+  },
+
+  // getPosition(point) -> [lat, lng] or null; getStyle(point) -> { color, radius }
+  setPoints(points, getPosition, getStyle) {
+    this._points = points
+    this._getPosition = getPosition
+    this._getStyle = getStyle
+    this._hover = null
+    if (this._map) {
+      this._update()
+      this._draw()
+    }
+    return this
+  },
+
+  onAdd() {
+    this._canvas = L.DomUtil.create('canvas', 'canvas-point-layer')
+    if (this._zoomAnimated) L.DomUtil.addClass(this._canvas, 'leaflet-zoom-animated')
+    this._ctx = this._canvas.getContext('2d')
+    this.getPane().appendChild(this._canvas)
+    L.DomEvent.on(this._canvas, {
+      mousemove: this._onMouseMove,
+      mouseout: this._onMouseOut,
+      click: this._onClick,
+    }, this)
+    this._reset()
+  },
+
+  onRemove() {
+    L.Util.cancelAnimFrame(this._frame)
+    L.DomEvent.off(this._canvas)
+    L.DomUtil.remove(this._canvas)
+    this._canvas = null
+    this._ctx = null
+    this._index = null
+  },
+
+  getEvents() {
+    const events = {
+      viewreset: this._reset,
+      zoom: this._onZoom,
+      moveend: this._reset,
+    }
+    if (this._zoomAnimated) events.zoomanim = this._onAnimZoom
+    return events
+  },
+
+  _onZoom() {
+    this._updateTransform(this._map.getCenter(), this._map.getZoom())
+  },
+
+  _onAnimZoom(e) {
+    this._updateTransform(e.center, e.zoom)
+  },
+
+  // Scale the last drawn frame while zooming, as L.Renderer does
+  _updateTransform(center, zoom) {
+    const map = this._map
+    const scale = map.getZoomScale(zoom, this._zoom)
+    const viewHalf = map.getSize().multiplyBy(0.5 + this.options.padding)
+    const currentCenterPoint = map.project(this._center, zoom)
+    const topLeftOffset = viewHalf.multiplyBy(-scale).add(currentCenterPoint)
+      .subtract(map._getNewPixelOrigin(center, zoom))
+    L.DomUtil.setTransform(this._canvas, topLeftOffset, scale)
+  },
+
+  // Resize and reposition the canvas over the current view, then redraw
+  _reset() {
+    const map = this._map
+    const size = map.getSize()
+    const min = map.containerPointToLayerPoint(size.multiplyBy(-this.options.padding)).round()
+    this._bounds = L.bounds(min, min.add(size.multiplyBy(1 + this.options.padding * 2)).round())
+    this._center = map.getCenter()
+    this._zoom = map.getZoom()
+
+    const boundsSize = this._bounds.getSize()
+    const ratio = window.devicePixelRatio || 1
+    L.DomUtil.setPosition(this._canvas, min)
+    this._canvas.width = ratio * boundsSize.x
+    this._canvas.height = ratio * boundsSize.y
+    this._canvas.style.width = `${boundsSize.x}px`
+    this._canvas.style.height = `${boundsSize.y}px`
+
+    this._update()
+    this._draw()
+  },
+
+  // Project the points inside the drawn area, batch them into one path per
+  // colour and rebuild the hit index
+  _update() {
+    const map = this._map
+    const { min, max } = this._bounds
+    const items = []
+    const paths = new Map()
+
+    this._points.forEach(point => {
+      const position = this._getPosition(point)
+      if (!position) return
+      const { x, y } = map.latLngToLayerPoint(position)
+      const { color, radius } = this._getStyle(point)
+      if (x + radius < min.x || x - radius > max.x || y + radius < min.y || y - radius > max.y) return
+
+      items.push({ x, y, radius, point })
+      if (!this._ctx) return
+      if (!paths.has(color)) paths.set(color, new Path2D())
+      const path = paths.get(color)
+      path.moveTo(x + radius, y)
+      path.arc(x, y, radius, 0, Math.PI * 2)
+    })
+
+    this._paths = paths
+    this._index = createHitIndex(items, this.options.tolerance)
+    this._hover = this._hover && items.find(item => item.point === this._hover.point) || null
+  },
+
+  _draw() {
+    const ctx = this._ctx
+    // No 2D context (e.g. jsdom) - keep hit-testing, skip painting
+    if (!ctx) return
+
+    const ratio = window.devicePixelRatio || 1
+    const { min } = this._bounds
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, this._canvas.width, this._canvas.height)
+    ctx.translate(-min.x, -min.y)
+
+    this._paths.forEach((path, color) => {
+      ctx.fillStyle = color
+      ctx.strokeStyle = color
+      ctx.globalAlpha = this.options.fillOpacity
+      ctx.fill(path)
+      ctx.globalAlpha = 1
+      ctx.lineWidth = 1
+      ctx.stroke(path)
+    })
+
+    if (this._hover) {
+      const { x, y, radius } = this._hover
+      ctx.beginPath()
+      ctx.arc(x, y, radius + 2, 0, Math.PI * 2)
+      ctx.lineWidth = 3
+      ctx.strokeStyle = this.options.highlightColor
+      ctx.stroke()
+    }
+  },
+
+  _requestDraw() {
+    L.Util.cancelAnimFrame(this._frame)
+    this._frame = L.Util.requestAnimFrame(this._draw, this)
+  },
+
+  _setHover(item) {
+    if (item?.point === this._hover?.point) return
+    this._hover = item
+    this._canvas.style.cursor = item ? 'pointer' : ''
+    this._requestDraw()
+    this.options.onHover?.(item ? item.point : null)
+  },
+
+  _hitTest(e) {
+    const { x, y } = this._map.mouseEventToLayerPoint(e)
+    return findHit(this._index, x, y)
+  },
+
+  _onMouseMove(e) {
+    if (!this._index || this._map.dragging?.moving()) return
+    this._setHover(this._hitTest(e))
+  },
+
+  _onMouseOut() {
+    this._setHover(null)
+  },
+
+  // Clicks on a point stop here; anywhere else they reach the map as usual
+  _onClick(e) {
+    if (!this._index || this._map.dragging?.moved()) return
+    const item = this._hitTest(e)
+    if (!item) return
+    L.DomEvent.stopPropagation(e)
+    this.options.onClick?.(item.point)
+  },
+})
+
+// Draws points on a canvas layer instead of one React/SVG marker per point.
+// Hovering a point previews renderPopup(point); clicking pins the popup and
+// calls onPointClick(point).
+//   <CanvasPointLayer points={accidents} getPosition={...} getStyle={...} renderPopup={...} />
+// getPosition and getStyle should be stable (module-level or memoised), as
+// changing them redraws every point.
+export default function CanvasPointLayer({ points, getPosition, getStyle, renderPopup, onPointClick }) {
+  const map = useMap()
+  const layerRef = useRef(null)
+  const onPointClickRef = useRef(onPointClick)
+  onPointClickRef.current = onPointClick
+  // The popup's DOM node - its content is rendered into it through a portal
+  const [popupNode] = useState(() => document.createElement('div'))
+  // { point, pinned } for the popup currently shown
+  const [active, setActive] = useState(null)
+
+  useEffect(() => {
+    const layer = new PointCanvasLayer({
+      onHover: (point) => setActive(current => {
+        if (current?.pinned || current?.point === point) return current
+        return point ? { point, pinned: false } : null
+      }),
+      onClick: (point) => {
+        setActive({ point, pinned: true })
+        onPointClickRef.current?.(point)
+      },
+    })
+    layerRef.current = layer
+    layer.addTo(map)
+    return () => layer.remove()
+  }, [map])
+
+  useEffect(() => {
+    layerRef.current.setPoints(points, getPosition, getStyle)
+    setActive(null)
+  }, [points, getPosition, getStyle])
+
+  useEffect(() => {
+    if (!active) return
+    const { radius } = getStyle(active.point)
+    const popup = L.popup({
+      autoPan: active.pinned,
+      closeButton: active.pinned,
+      offset: [0, 7 - radius],
+    })
+      .setLatLng(getPosition(active.point))
+      .setContent(popupNode)
+      .openOn(map)
+    popup.on('remove', () => setActive(current => current === active ? null : current))
+
+    return () => {
+      popup.off()
+      map.closePopup(popup)
+    }
+  }, [active, getPosition, getStyle, map, popupNode])
+
+  return active && renderPopup ? createPortal(renderPopup(active.point), popupNode) : null
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { createHitIndex, findHit } from './CanvasPointLayer'
+
+const item = (x, y, radius = 4) => ({ x, y, radius })
+
+describe('createHitIndex', () => {
+  it('sizes cells to the largest hit area', () => {
+    const index = createHitIndex([item(0, 0, 4), item(50, 50, 8)], 3)
+    expect(index.cellSize).toBe(11)
+  })
+
+  it('buckets items by cell', () => {
+    const index = createHitIndex([item(1, 1), item(2, 2), item(-1, 1)])
+    expect(index.cells.get('0:0')).toHaveLength(2)
+    expect(index.cells.get('-1:0')).toHaveLength(1)
+  })
+})
+
+describe('findHit', () => {
+  const items = [item(10, 10), item(16, 10), item(100, 100, 8)]
+  const index = createHitIndex(items, 2)
+
+  it('finds the item under the cursor', () => {
+    expect(findHit(index, 11, 9)).toBe(items[0])
+  })
+
+  it('prefers the nearest of overlapping items', () => {
+    expect(findHit(index, 14, 10)).toBe(items[1])
+  })
+
+  it('counts the tolerance as part of the hit area', () => {
+    expect(findHit(index, 100, 109)).toBe(items[2])
+    expect(findHit(index, 100, 111)).toBeNull()
+  })
+
+  it('finds items across cell boundaries', () => {
+    expect(findHit(index, 95, 100)).toBe(items[2])
+  })
+
+  it('misses empty space', () => {
+    expect(findHit(index, 50, 50)).toBeNull()
+  })
+})
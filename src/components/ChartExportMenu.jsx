@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef } from 'react'
+import { Download, Check } from 'lucide-react'
+import { DATA_SOURCE } from '../services/api'
+import { buildMetadata, downloadFile, exportFilename } from '../utils/exporters'
+import {
+  chartCaption, seriesToCsv, seriesToJson, seriesToTable,
+  svgElementChart, barChart, framedChartSvg, svgToPng,
+} from '../utils/chartExport'
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+// Put the table on the clipboard as HTML where supported, else as text
+async function copyTable({ text, html }) {
+  if (window.ClipboardItem && navigator.clipboard?.write) {
+    await navigator.clipboard.write([new window.ClipboardItem({
+      'text/html': new Blob([html], { type: 'text/html' }),
+      'text/plain': new Blob([text], { type: 'text/plain' }),
+    })])
+  } else {
+    await navigator.clipboard.writeText(text)
+  }
+}
+
+// Download menu for a chart section: the chart as SVG or PNG, its series as
+// CSV or JSON, or a table copied to the clipboard - all captioned with the
+// year and data source. The chart is the <svg> inside `chartRef`, or bars
+// drawn from the rows with `bar` ({ label, value, color, limit }) for charts
+// built in HTML.
+export default function ChartExportMenu({ title, year, rows, columns, chartRef, bar }) {
+  const [open, setOpen] = useState(false)
+  const [chartSvg, setChartSvg] = useState(null)
+  const [status, setStatus] = useState(null)
+  const menuRef = useRef(null)
+  const statusTimer = useRef(null)
+
+  useEffect(() => () => clearTimeout(statusTimer.current), [])
+
+  const showStatus = (message) => {
+    setStatus(message)
+    clearTimeout(statusTimer.current)
+    statusTimer.current = setTimeout(() => setStatus(null), 2000)
+  }
+
+  const toggle = () => {
+    // Collapsed sections have no chart to draw
+    setChartSvg(chartRef?.current?.querySelector('svg.recharts-surface') || null)
+    setOpen(prev => !prev)
+  }
+
+  const metadata = () => buildMetadata({ title, filters: { year }, count: rows.length, source: DATA_SOURCE })
+  const filename = (extension) => exportFilename(slug(`${title} ${year || 'all years'}`), extension)
+
+  const chartImage = () => {
+    const meta = metadata()
+    const chart = chartSvg ? svgElementChart(chartSvg) : barChart(rows, bar)
+    return framedChartSvg(chart, { title, caption: chartCaption(meta) })
+  }
+
+  const actions = [
+    {
+      label: 'Download SVG',
+      disabled: !chartSvg && !bar,
+      run: () => downloadFile(chartImage().markup, filename('svg'), 'image/svg+xml'),
+    },
+    {
+      label: 'Download PNG',
+      disabled: !chartSvg && !bar,
+      run: async () => downloadFile(await svgToPng(chartImage()), filename('png')),
+    },
+    {
+      label: 'Download CSV',
+      run: () => downloadFile(seriesToCsv(rows, columns, metadata()), filename('csv'), 'text/csv;charset=utf-8'),
+    },
+    {
+      label: 'Download JSON',
+      run: () => downloadFile(seriesToJson(rows, columns, metadata()), filename('json'), 'application/json'),
+    },
+    {
+      label: 'Copy table',
+      run: async () => {
+        await copyTable(seriesToTable(rows, columns, metadata()))
+        showStatus('Copied')
+      },
+    },
+  ]
+
+  const handleAction = async (action) => {
+    setOpen(false)
+    try {
+      await action.run()
+    } catch (err) {
+      console.error('Chart export failed:', err)
+      showStatus('Export failed')
+    }
+  }
+
+  // Close when focus leaves the menu
+  const handleBlur = (e) => {
+    if (!menuRef.current.contains(e.relatedTarget)) setOpen(false)
+  }
+
+  return (
+    <div ref={menuRef} className="relative flex items-center gap-2" onBlur={handleBlur}>
+      {status && (
+        <span className={`flex items-center gap-1 text-xs ${status === 'Copied' ? 'text-green-600' : 'text-red-600'}`}>
+          {status === 'Copied' && <Check className="w-3 h-3" />}
+          {status}
+        </span>
+      )}
+      <button
+        onClick={toggle}
+        disabled={rows.length === 0}
+        aria-label={`Export ${title}`}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="p-1.5 text-gray-500 rounded hover:bg-gray-200 hover:text-gray-700 disabled:opacity-50"
+      >
+        <Download className="w-4 h-4" />
+      </button>
+      {open && (
+        <div role="menu" className="absolute right-0 top-full mt-1 z-10 w-40 bg-white border border-gray-200 rounded-lg shadow-lg py-1">
+          {actions.map(action => (
+            <button
+              key={action.label}
+              role="menuitem"
+              onClick={() => handleAction(action)}
+              disabled={action.disabled}
+              className="w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:hover:bg-white"
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react'
+import { WifiOff, RefreshCw } from 'lucide-react'
+import useConnectivity from '../hooks/useConnectivity'
+
+// Ticks once a second while active, for live countdowns
+function useNow(active) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    if (!active) return
+    setNow(Date.now())
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [active])
+
+  return now
+}
+
+// Banner under the top bar while offline or while requests are being retried
+export default function ConnectivityBanner() {
+  const { online, pendingRetries } = useConnectivity()
+  const now = useNow(pendingRetries.length > 0)
+
+  if (!online) {
+    return (
+      <div className="sticky top-16 z-20 flex items-center gap-2 px-4 py-2 bg-gray-800 text-white text-sm">
+        <WifiOff className="w-4 h-4 flex-shrink-0" />
+        You are offline. Requests are paused and will resume when your connection returns.
+      </div>
+    )
+  }
+
+  if (pendingRetries.length === 0) return null
+
+  const next = pendingRetries.reduce((soonest, retry) =>
+    retry.retryAt < soonest.retryAt ? retry : soonest
+  )
+  const seconds = Math.max(0, Math.ceil((next.retryAt - now) / 1000))
+  const others = pendingRetries.length - 1
+
+  return (
+    <div className="sticky top-16 z-20 flex items-center gap-2 px-4 py-2 bg-amber-50 border-b border-amber-200 text-amber-800 text-sm">
+      <RefreshCw className="w-4 h-4 flex-shrink-0 animate-spin" />
+      <span>
+        The server is not responding{next.status ? ` (${next.status})` : ''} - it may be starting up.
+        Retrying in {seconds}s (attempt {next.attempt} of {next.retries})
+        {others > 0 && `, ${others} more request${others === 1 ? '' : 's'} waiting`}
+      </span>
+    </div>
+  )
+}
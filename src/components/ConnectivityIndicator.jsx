@@ -0,0 +1,131 @@
+import { useState, useEffect, useRef } from 'react'
+import { formatDistanceToNow } from 'date-fns'
+import { RefreshCw, X } from 'lucide-react'
+import useConnectivity from '../hooks/useConnectivity'
+import { checkHealth, clearRequestFailures } from '../services/connectivity'
+
+const STATUS_STYLES = {
+  unknown: { dot: 'bg-gray-400', label: 'Checking API...' },
+  healthy: { dot: 'bg-green-500', label: 'API Connected' },
+  degraded: { dot: 'bg-amber-500', label: 'API Degraded' },
+  down: { dot: 'bg-red-500', label: 'API Unreachable' },
+  offline: { dot: 'bg-gray-500', label: 'Offline' },
+}
+
+// Top bar API status with a popover of recent failed requests
+export default function ConnectivityIndicator() {
+  const connectivity = useConnectivity()
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close the popover on outside click
+  useEffect(() => {
+    if (!open) return
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const statusKey = connectivity.online ? connectivity.status : 'offline'
+  const style = STATUS_STYLES[statusKey] || STATUS_STYLES.unknown
+  const failures = connectivity.recentFailures
+
+  return (
+    <div ref={containerRef} className="relative hidden sm:block">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="flex items-center gap-2 text-sm px-2 py-1 rounded-lg hover:bg-gray-100"
+      >
+        <span className="flex items-center gap-1">
+          <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+          {style.label}
+        </span>
+        {failures.length > 0 && (
+          <span className="px-1.5 rounded-full bg-red-100 text-red-700 text-xs font-medium">
+            {failures.length}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg border border-gray-200 shadow-lg z-50">
+          <div className="p-4 border-b border-gray-200">
+            <div className="flex items-center justify-between">
+              <h4 className="font-semibold text-gray-900">API Status</h4>
+              <button
+                onClick={checkHealth}
+                className="flex items-center gap-1 text-xs text-blue-600 hover:underline"
+              >
+                <RefreshCw className="w-3 h-3" />
+                Check now
+              </button>
+            </div>
+            <dl className="grid grid-cols-3 gap-2 mt-3 text-sm">
+              <div>
+                <dt className="text-gray-500 text-xs">Latency</dt>
+                <dd className="font-medium">
+                  {connectivity.latency !== null ? `${connectivity.latency}ms` : '-'}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 text-xs">Failed checks</dt>
+                <dd className="font-medium">{connectivity.consecutiveFailures}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 text-xs">Last checked</dt>
+                <dd className="font-medium">
+                  {connectivity.lastChecked
+                    ? formatDistanceToNow(connectivity.lastChecked, { addSuffix: true })
+                    : '-'}
+                </dd>
+              </div>
+            </dl>
+          </div>
+
+          <div className="p-4">
+            <div className="flex items-center justify-between mb-2">
+              <h5 className="text-sm font-medium text-gray-900">Recent failed requests</h5>
+              {failures.length > 0 && (
+                <button
+                  onClick={clearRequestFailures}
+                  className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700"
+                >
+                  <X className="w-3 h-3" />
+                  Clear
+                </button>
+              )}
+            </div>
+            {failures.length === 0 ? (
+              <p className="text-sm text-gray-500">No failed requests</p>
+            ) : (
+              <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+                {failures.map(failure => (
+                  <li key={failure.id} className="py-2 text-xs">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-mono text-gray-900 truncate" title={failure.url}>
+                        {failure.method} {failure.url}
+                      </span>
+                      <span className="text-red-600 font-medium flex-shrink-0">
+                        {failure.status ?? 'Network'}
+                      </span>
+                    </div>
+                    <div className="flex items-center justify-between gap-2 text-gray-500">
+                      <span className="truncate" title={failure.message}>{failure.message}</span>
+                      <span className="flex-shrink-0">
+                        {formatDistanceToNow(failure.time, { addSuffix: true })}
+                      </span>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
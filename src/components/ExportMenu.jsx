@@ -0,0 +1,43 @@
+import { useState } from 'react'
+import { Download, RefreshCw } from 'lucide-react'
+import { EXPORT_FORMATS, exportRows } from '../utils/exporters'
+
+// CSV / GeoJSON / KML download buttons for a result set. Pass the rows, or
+// `getRows` to fetch them when exported (e.g. every page of a paged list);
+// the other options go to exportRows (name, title, filters, getPosition, ...)
+export default function ExportMenu({ rows, getRows, disabled, ...options }) {
+  const [exporting, setExporting] = useState(null)
+  const [error, setError] = useState(null)
+
+  const handleExport = async (format) => {
+    setExporting(format)
+    setError(null)
+    try {
+      exportRows(format, getRows ? await getRows() : rows, options)
+    } catch (err) {
+      console.error('Export failed:', err)
+      setError('Export failed')
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-1">
+      <Download className="w-4 h-4 text-gray-400" aria-hidden="true" />
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={disabled || exporting !== null || (!getRows && rows.length === 0)}
+          aria-label={`Export as ${label}`}
+          className="flex items-center gap-1 px-2 py-1 text-xs font-medium text-gray-600 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+        >
+          {exporting === format && <RefreshCw className="w-3 h-3 animate-spin" />}
+          {label}
+        </button>
+      ))}
+      {error && <span className="text-xs text-red-600 ml-1">{error}</span>}
+    </div>
+  )
+}
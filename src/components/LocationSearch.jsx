@@ -0,0 +1,148 @@
+import { useState, useEffect, useRef, useId } from 'react'
+import { Search, RefreshCw } from 'lucide-react'
+import { geocode } from '../services/geocoder'
+import { isCancel } from '../services/api'
+import useRequestController from '../hooks/useRequestController'
+
+const SUGGEST_DELAY = 250
+
+// Search box for postcodes, towns and LSOA codes (see services/geocoder).
+// Suggests matches while typing; Enter or a click picks one and reports it
+// through onSelect({ label, lat, lng, zoom, ... }).
+export default function LocationSearch({ onSelect, placeholder = 'Postcode, town or LSOA code', className = '' }) {
+  const [text, setText] = useState('')
+  const [results, setResults] = useState([])
+  const [resultsFor, setResultsFor] = useState('')
+  const [active, setActive] = useState(0)
+  const [open, setOpen] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const nextSignal = useRequestController()
+  const timerRef = useRef(null)
+  const listId = useId()
+
+  useEffect(() => () => clearTimeout(timerRef.current), [])
+
+  const lookup = async (query) => {
+    const signal = nextSignal()
+    setLoading(true)
+    setError(null)
+    try {
+      const found = await geocode(query, { signal })
+      setResults(found)
+      setResultsFor(query)
+      setActive(0)
+      return found
+    } catch (err) {
+      if (isCancel(err)) return null
+      console.error('Location search failed:', err)
+      setError('Location search failed')
+      return null
+    } finally {
+      if (!signal.aborted) setLoading(false)
+    }
+  }
+
+  const select = (result) => {
+    setText(result.label)
+    setOpen(false)
+    setResults([])
+    setResultsFor('')
+    onSelect(result)
+  }
+
+  const handleChange = (e) => {
+    const value = e.target.value
+    setText(value)
+    setOpen(true)
+    clearTimeout(timerRef.current)
+    if (value.trim().length < 2) {
+      setResults([])
+      setResultsFor('')
+      return
+    }
+    timerRef.current = setTimeout(() => lookup(value), SUGGEST_DELAY)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    clearTimeout(timerRef.current)
+    if (!text.trim()) return
+    const found = resultsFor === text ? results : await lookup(text)
+    if (found?.length) select(found[Math.min(active, found.length - 1)])
+    else if (found) setOpen(true)
+  }
+
+  const handleKeyDown = (e) => {
+    if (!open || results.length === 0) return
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActive(i => (i + 1) % results.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActive(i => (i - 1 + results.length) % results.length)
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+    }
+  }
+
+  const noMatches = open && !loading && !error && resultsFor && resultsFor === text && results.length === 0
+
+  return (
+    <form onSubmit={handleSubmit} className={`relative ${className}`} role="search">
+      <div className="relative">
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="text"
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setOpen(false)}
+          placeholder={placeholder}
+          aria-label="Search for a location"
+          role="combobox"
+          aria-expanded={open && results.length > 0}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          className="w-full pl-9 pr-9 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {loading && (
+          <RefreshCw className="w-4 h-4 text-gray-400 animate-spin absolute right-3 top-1/2 -translate-y-1/2" />
+        )}
+      </div>
+
+      {open && results.length > 0 && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute z-[1000] mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden"
+        >
+          {results.map((result, index) => (
+            <li
+              key={`${result.type}-${result.label}`}
+              role="option"
+              aria-selected={index === active}
+              // Select before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault()
+                select(result)
+              }}
+              onMouseEnter={() => setActive(index)}
+              className={`px-3 py-2 cursor-pointer ${index === active ? 'bg-blue-50' : ''}`}
+            >
+              <div className="text-sm font-medium text-gray-900">{result.label}</div>
+              <div className="text-xs text-gray-500">{result.detail}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {noMatches && (
+        <p className="absolute z-[1000] mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg px-3 py-2 text-sm text-gray-500">
+          No places match "{text}"
+        </p>
+      )}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </form>
+  )
+}
@@ -0,0 +1,17 @@
+import { Link } from 'react-router-dom'
+
+// Link to the area profile page for an LSOA code
+export default function LsoaLink({ code, children, className = 'text-blue-600' }) {
+  if (!code) return children || '-'
+
+  return (
+    <Link
+      to={`/areas/${encodeURIComponent(code)}`}
+      onClick={(e) => e.stopPropagation()}
+      className={`hover:underline ${className}`}
+      title={`Area profile for ${code}`}
+    >
+      {children || code}
+    </Link>
+  )
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useMemo } from 'react'
+import { createPortal } from 'react-dom'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { ImageDown, RefreshCw } from 'lucide-react'
+import { renderMapImage } from '../utils/mapImage'
+import { downloadFile, exportFilename } from '../utils/exporters'
+
+// Map control that saves the current view as a PNG, with the legend
+// ({ label, color } entries) and attribution burned in
+export default function MapImageExport({ name, title, legend }) {
+  const map = useMap()
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const element = useMemo(() => {
+    const div = L.DomUtil.create('div', 'leaflet-bar leaflet-control')
+    // Clicks on the control mustn't reach the map (e.g. start a search)
+    L.DomEvent.disableClickPropagation(div)
+    return div
+  }, [])
+
+  useEffect(() => {
+    const control = L.control({ position: 'topright' })
+    control.onAdd = () => element
+    control.addTo(map)
+    return () => control.remove()
+  }, [map, element])
+
+  const handleClick = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const image = await renderMapImage(map, { title, legend })
+      downloadFile(image, exportFilename(name, 'png'))
+    } catch (err) {
+      console.error('Map image export failed:', err)
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return createPortal(
+    <button
+      onClick={handleClick}
+      disabled={saving}
+      title={error || 'Save map as PNG'}
+      aria-label="Save map as PNG"
+      className="flex items-center justify-center w-[30px] h-[30px] bg-white text-gray-700 hover:bg-gray-50"
+    >
+      {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <ImageDown className={`w-4 h-4 ${error ? 'text-red-600' : ''}`} />}
+    </button>,
+    element
+  )
+}
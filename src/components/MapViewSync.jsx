@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react'
+import { useMap, useMapEvents } from 'react-leaflet'
+
+// Coordinates are stored to ~10m precision to keep shared URLs short
+const COORD_PRECISION = 4
+const COORD_TOLERANCE = 1e-4
+
+const roundCoord = (value) => Number(value.toFixed(COORD_PRECISION))
+
+// Keeps the Leaflet view in sync with a lat/lng/zoom value held outside the map.
+// Moves the map when the props change (e.g. back/forward navigation) and
+// reports user pans and zooms through onViewChange.
+export default function MapViewSync({ lat, lng, zoom, onViewChange }) {
+  const map = useMap()
+  const previous = useRef({ lat, lng, zoom })
+
+  useMapEvents({
+    moveend() {
+      if (!onViewChange) return
+      const center = map.getCenter()
+      onViewChange({
+        lat: roundCoord(center.lat),
+        lng: roundCoord(center.lng),
+        zoom: map.getZoom(),
+      })
+    },
+  })
+
+  useEffect(() => {
+    const prev = previous.current
+    previous.current = { lat, lng, zoom }
+
+    const centerChanged = lat != null && lng != null && (lat !== prev.lat || lng !== prev.lng)
+    const zoomChanged = zoom != null && zoom !== prev.zoom
+    if (!centerChanged && !zoomChanged) return
+
+    const current = map.getCenter()
+    const targetLat = centerChanged ? lat : current.lat
+    const targetLng = centerChanged ? lng : current.lng
+    const targetZoom = zoomChanged ? zoom : map.getZoom()
+
+    // Ignore updates that merely echo the map's own position back
+    if (
+      Math.abs(current.lat - targetLat) < COORD_TOLERANCE &&
+      Math.abs(current.lng - targetLng) < COORD_TOLERANCE &&
+      map.getZoom() === targetZoom
+    ) return
+
+    map.setView([targetLat, targetLng], targetZoom)
+  }, [lat, lng, zoom, map])
+
+  return null
+}
@@ -0,0 +1,72 @@
+import { createPathComponent } from '@react-leaflet/core'
+import L from 'leaflet'
+import 'leaflet.markercluster'
+import 'leaflet.markercluster/dist/MarkerCluster.css'
+
+// Zoom-aware marker clustering (leaflet.markercluster) for react-leaflet.
+// Children must be Markers; other props are MarkerClusterGroup options, e.g.
+//   <MarkerClusterGroup iconCreateFunction={severityClusterIcon}>
+// Clusters split as you zoom in, and markers that still overlap at the
+// maximum zoom spiderfy when their cluster is clicked.
+const MarkerClusterGroup = createPathComponent(
+  ({ children: _children, ...options }, context) => {
+    const group = new L.MarkerClusterGroup({ chunkedLoading: true, showCoverageOnHover: false, ...options })
+    return { instance: group, context: { ...context, layerContainer: group } }
+  },
+  (group, props, prevProps) => {
+    if (props.iconCreateFunction !== prevProps.iconCreateFunction) {
+      group.options.iconCreateFunction = props.iconCreateFunction
+      group.refreshClusters()
+    }
+  }
+)
+
+export default MarkerClusterGroup
+
+// Count markers per category. `categories` is a list of { key, label, color };
+// getCategory maps a marker to its key (usually from a custom marker option).
+export function getClusterBreakdown(markers, getCategory, categories) {
+  const counts = new Map(categories.map(category => [category.key, 0]))
+  markers.forEach(marker => {
+    const key = getCategory(marker)
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1)
+  })
+  return categories.map(category => ({ ...category, count: counts.get(category.key) }))
+}
+
+// iconCreateFunction for a bubble showing the cluster's marker count, ringed
+// by the share of each category; hover for the counts
+export function createBreakdownClusterIcon(getCategory, categories) {
+  return (cluster) => {
+    const markers = cluster.getAllChildMarkers()
+    const breakdown = getClusterBreakdown(markers, getCategory, categories).filter(c => c.count > 0)
+
+    let start = 0
+    const stops = breakdown.map(({ color, count }) => {
+      const end = start + count / markers.length * 100
+      const stop = `${color} ${start}% ${end}%`
+      start = end
+      return stop
+    })
+    const title = breakdown.map(({ label, count }) => `${count} ${label.toLowerCase()}`).join(', ')
+    const size = markers.length < 10 ? 34 : markers.length < 100 ? 42 : 50
+
+    return L.divIcon({
+      html: `<div class="marker-cluster-breakdown" style="background: conic-gradient(${stops.join(', ')})" title="${title}">` +
+        `<span>${markers.length.toLocaleString()}</span></div>`,
+      className: 'marker-cluster-breakdown-icon',
+      iconSize: L.point(size, size),
+    })
+  }
+}
+
+// Round marker drawn as a div, so it can be clustered (clustering needs
+// Markers rather than CircleMarkers)
+export function createDotIcon(color, size, { selected = false } = {}) {
+  return L.divIcon({
+    html: `<span class="map-dot${selected ? ' map-dot-selected' : ''}" style="background: ${color}"></span>`,
+    className: 'map-dot-icon',
+    iconSize: L.point(size, size),
+    popupAnchor: [0, -size / 2],
+  })
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import { getClusterBreakdown, createBreakdownClusterIcon, createDotIcon } from './MarkerClusterGroup'
+
+const CATEGORIES = [
+  { key: 'high', label: 'High', color: '#dc2626' },
+  { key: 'low', label: 'Low', color: '#16a34a' },
+]
+
+const marker = (level) => ({ options: { level } })
+const getLevel = (m) => m.options.level
+
+describe('getClusterBreakdown', () => {
+  it('counts markers per category in category order', () => {
+    const markers = [marker('low'), marker('high'), marker('low')]
+    expect(getClusterBreakdown(markers, getLevel, CATEGORIES)).toEqual([
+      { ...CATEGORIES[0], count: 1 },
+      { ...CATEGORIES[1], count: 2 },
+    ])
+  })
+
+  it('ignores markers outside the categories', () => {
+    const breakdown = getClusterBreakdown([marker('unknown'), marker('high')], getLevel, CATEGORIES)
+    expect(breakdown.map(c => c.count)).toEqual([1, 0])
+  })
+})
+
+describe('createBreakdownClusterIcon', () => {
+  const iconFor = (markers) => createBreakdownClusterIcon(getLevel, CATEGORIES)({
+    getAllChildMarkers: () => markers,
+  })
+
+  it('splits the ring by category share', () => {
+    const { options } = iconFor([marker('high'), marker('low'), marker('low'), marker('low')])
+    expect(options.html).toContain('conic-gradient(#dc2626 0% 25%, #16a34a 25% 100%)')
+    expect(options.html).toContain('title="1 high, 3 low"')
+  })
+
+  it('grows with the cluster size', () => {
+    const small = iconFor(Array.from({ length: 5 }, () => marker('low')))
+    const large = iconFor(Array.from({ length: 150 }, () => marker('low')))
+    expect(small.options.iconSize.x).toBeLessThan(large.options.iconSize.x)
+    expect(large.options.html).toContain('<span>150</span>')
+  })
+})
+
+describe('createDotIcon', () => {
+  it('centres the popup above the dot', () => {
+    const { options } = createDotIcon('#2563eb', 12)
+    expect(options.iconSize.x).toBe(12)
+    expect(options.popupAnchor).toEqual([0, -6])
+    expect(options.html).not.toContain('map-dot-selected')
+  })
+
+  it('rings a selected dot', () => {
+    expect(createDotIcon('#2563eb', 12, { selected: true }).options.html).toContain('map-dot-selected')
+  })
+})
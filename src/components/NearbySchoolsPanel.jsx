@@ -0,0 +1,132 @@
+import { Link } from 'react-router-dom'
+import { Marker, Popup } from 'react-leaflet'
+import { School, RefreshCw, Eye, EyeOff } from 'lucide-react'
+import { DEFAULT_RISK_MODEL, RISK_LEVELS, scoreSchool } from '../utils/schoolRisk'
+import { DEFAULT_RISK_CONTEXT } from '../utils/schoolFilters'
+import L from 'leaflet'
+
+// Most schools listed around a point
+export const NEARBY_SCHOOL_LIMIT = 20
+
+// School Safety with the school selected
+export const schoolSafetyLink = (school) => `/schools?school=${encodeURIComponent(school.urn)}`
+
+// Nearby schools come with their counts for every year within the default
+// school radius, so they score as School Safety scores them unfiltered
+const riskLevelOf = (school) => scoreSchool(school, DEFAULT_RISK_MODEL, DEFAULT_RISK_CONTEXT).level
+
+const SCHOOL_PATH = 'M12 3L1 9l4 2.18v6L12 21l7-3.82v-6l2-1.09V17h2V9L12 3zm6.82 6L12 12.72 5.18 9 12 5.28 18.82 9zM17 15.99l-5 2.73-5-2.73v-3.72L12 15l5-2.73v3.72z'
+
+// School glyph in the colour of its risk level
+const SCHOOL_ICONS = Object.fromEntries(Object.entries(RISK_LEVELS).map(([level, { color }]) => [
+  level,
+  L.divIcon({
+    html: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="26" height="26" fill="${color}" stroke="#ffffff" stroke-width="0.75"><path d="${SCHOOL_PATH}"/></svg>`,
+    className: 'school-layer-icon',
+    iconSize: L.point(26, 26),
+    popupAnchor: [0, -13],
+  }),
+]))
+
+function RiskBadge({ level }) {
+  return (
+    <span
+      className="inline-block px-2 py-0.5 rounded-full text-xs font-medium text-white"
+      style={{ backgroundColor: RISK_LEVELS[level].color }}
+    >
+      {RISK_LEVELS[level].label}
+    </span>
+  )
+}
+
+// Nearby schools drawn on the map, each linking through to School Safety
+export function SchoolLayer({ schools }) {
+  return schools.filter(s => s.latitude && s.longitude).map((school, index) => {
+    const level = riskLevelOf(school)
+    return (
+      <Marker
+        key={school.urn || index}
+        position={[school.latitude, school.longitude]}
+        icon={SCHOOL_ICONS[level]}
+      >
+        <Popup>
+          <div className="min-w-48">
+            <div className="font-semibold text-gray-900">{school.name}</div>
+            <div className="text-xs text-gray-500 mb-2">{school.phase_of_education}</div>
+            <RiskBadge level={level} />
+            <div className="text-sm mt-2 space-y-1">
+              {school.number_of_pupils > 0 && <p><span className="text-gray-500">Pupils:</span> {school.number_of_pupils.toLocaleString()}</p>}
+              <p><span className="text-gray-500">Accidents nearby:</span> {school.accident_count}</p>
+            </div>
+            <Link to={schoolSafetyLink(school)} className="block mt-2 text-sm text-blue-600 hover:underline">
+              View in School Safety
+            </Link>
+          </div>
+        </Popup>
+      </Marker>
+    )
+  })
+}
+
+// Schools within `radius` metres of a clicked point or hotspot, with their
+// pupil numbers and risk level; `showLayer` toggles SchoolLayer on the map
+export default function NearbySchoolsPanel({ schools, radius, loading, error, showLayer, onToggleLayer }) {
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between gap-2">
+        <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+          <School className="w-4 h-4" />
+          Nearby Schools
+          {!loading && <span className="text-sm font-normal text-gray-500">({schools.length})</span>}
+        </h3>
+        <button
+          onClick={() => onToggleLayer(!showLayer)}
+          aria-pressed={showLayer}
+          className="flex items-center gap-1 px-2 py-1 text-xs border rounded hover:bg-gray-50"
+        >
+          {showLayer ? <EyeOff className="w-3 h-3" /> : <Eye className="w-3 h-3" />}
+          {showLayer ? 'Hide on map' : 'Show on map'}
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="p-4 flex items-center gap-2 text-sm text-gray-600">
+          <RefreshCw className="w-4 h-4 animate-spin" />
+          Loading...
+        </div>
+      ) : error ? (
+        <p className="p-4 text-sm text-red-600">Could not load nearby schools</p>
+      ) : schools.length === 0 ? (
+        <p className="p-4 text-sm text-gray-500">No schools within {radius.toLocaleString()}m</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-80 overflow-y-auto">
+          {schools.map((school, index) => (
+            <li key={school.urn || index}>
+              <Link
+                to={schoolSafetyLink(school)}
+                className="p-3 flex items-start justify-between gap-2 hover:bg-gray-50"
+              >
+                <div className="min-w-0">
+                  <div className="font-medium text-gray-900 truncate">{school.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {school.phase_of_education}
+                    {school.number_of_pupils > 0 && ` · ${school.number_of_pupils.toLocaleString()} pupils`}
+                  </div>
+                </div>
+                <div className="text-right flex-shrink-0 space-y-1">
+                  <RiskBadge level={riskLevelOf(school)} />
+                  {school.distance_meters !== null && (
+                    <div className="text-xs text-gray-500">{Math.round(school.distance_meters)}m</div>
+                  )}
+                </div>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+      {schools.length >= NEARBY_SCHOOL_LIMIT && (
+        <p className="px-4 py-2 border-t border-gray-100 text-xs text-gray-500">Showing the nearest {NEARBY_SCHOOL_LIMIT}</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,39 @@
+import { useState } from 'react'
+import { FileDown, RefreshCw } from 'lucide-react'
+import { buildReportPdf } from '../utils/reportPdf'
+import { downloadFile, exportFilename } from '../utils/exporters'
+
+// Builds and downloads a one-page PDF report (see utils/reportPdf);
+// getReport() gathers the report contents when clicked
+export default function PdfReportButton({ getReport, name, label = 'PDF report' }) {
+  const [building, setBuilding] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleClick = async () => {
+    setBuilding(true)
+    setError(null)
+    try {
+      const doc = await buildReportPdf(await getReport())
+      downloadFile(doc.output('blob'), exportFilename(name, 'pdf'))
+    } catch (err) {
+      console.error('Report failed:', err)
+      setError('Report failed')
+    } finally {
+      setBuilding(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      {error && <span className="text-xs text-red-600">{error}</span>}
+      <button
+        onClick={handleClick}
+        disabled={building}
+        className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+      >
+        {building ? <RefreshCw className="w-4 h-4 animate-spin" /> : <FileDown className="w-4 h-4" />}
+        {label}
+      </button>
+    </div>
+  )
+}
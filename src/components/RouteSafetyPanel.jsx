@@ -0,0 +1,145 @@
+import { Polyline, Tooltip } from 'react-leaflet'
+import { X, RefreshCw, AlertTriangle } from 'lucide-react'
+import { LOCAL_AREA_BUFFER } from '../utils/routeStats'
+
+const formatKm = (meters) => (meters / 1000).toFixed(meters < 10000 ? 1 : 0)
+
+const segmentRange = (segment) => `${formatKm(segment.from)}-${formatKm(segment.to)} km`
+
+// Segment colour by its share of the busiest segment's accidents
+function getSegmentColor(count, maxCount) {
+  if (count === 0) return '#16a34a'
+  if (count / maxCount < 0.5) return '#f59e0b'
+  return '#dc2626'
+}
+
+// The route drawn segment by segment, coloured by accident count, with the
+// worst segments drawn thicker
+export function RouteSegmentsLayer({ analysis }) {
+  const maxCount = Math.max(1, ...analysis.segments.map(s => s.count))
+
+  return analysis.segments.map(segment => {
+    const rank = analysis.worst.indexOf(segment)
+    return (
+      <Polyline
+        key={segment.index}
+        positions={segment.points}
+        pathOptions={{
+          color: getSegmentColor(segment.count, maxCount),
+          weight: rank === -1 ? 5 : 9,
+          opacity: 0.85,
+        }}
+      >
+        <Tooltip sticky>
+          {rank !== -1 && <strong>Worst segment #{rank + 1} · </strong>}
+          {segmentRange(segment)}: {segment.count} accident{segment.count === 1 ? '' : 's'}
+          {segment.ksi > 0 && ` (${segment.ksi} KSI)`}
+        </Tooltip>
+      </Polyline>
+    )
+  })
+}
+
+function StatTile({ label, value, className = 'text-gray-900' }) {
+  return (
+    <div className="bg-gray-50 rounded-lg p-3">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className={`text-xl font-bold ${className}`}>{value}</div>
+    </div>
+  )
+}
+
+// How the route's accident density compares with its local area
+function DensityComparison({ ratio }) {
+  if (ratio === null) {
+    return <p className="text-sm text-gray-500">No accidents recorded within {LOCAL_AREA_BUFFER / 1000} km to compare with.</p>
+  }
+  const higher = ratio >= 1
+  return (
+    <p className={`text-sm ${higher ? 'text-red-700' : 'text-green-700'}`}>
+      Accident density along this route is {ratio.toFixed(1)}× the average within {LOCAL_AREA_BUFFER / 1000} km
+      of it{higher ? '' : ' - quieter than the surrounding roads'}.
+    </p>
+  )
+}
+
+// Safety summary for a route: accidents per km, KSI (killed or seriously
+// injured) count, the worst segments and the comparison with its local area
+export default function RouteSafetyPanel({ analysis, buffer, loading, error, truncated, onClose }) {
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm">
+      <div className="p-4 border-b border-gray-200 flex items-start justify-between gap-4">
+        <div>
+          <h3 className="font-semibold text-gray-900">Route safety check</h3>
+          <p className="text-sm text-gray-500">{formatKm(analysis.length)} km, {buffer} m either side</p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-600 rounded"
+          aria-label="Close route safety check"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <RefreshCw className="w-4 h-4 animate-spin" />
+            Loading accidents along the route...
+          </div>
+        ) : error ? (
+          <p className="flex items-center gap-2 text-sm text-red-600">
+            <AlertTriangle className="w-4 h-4" />
+            Failed to load accidents for this route
+          </p>
+        ) : (
+          <>
+            {truncated && (
+              <p className="flex items-center gap-2 text-sm text-amber-600">
+                <AlertTriangle className="w-4 h-4" />
+                Part of this route is too busy to load in full - figures are a lower bound.
+              </p>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              <StatTile label="Accidents" value={analysis.accidents.length.toLocaleString()} />
+              <StatTile label="Per km" value={analysis.perKm.toFixed(1)} />
+              <StatTile label="Killed or seriously injured" value={analysis.ksi.toLocaleString()} className="text-amber-600" />
+              <StatTile label="Fatal" value={analysis.fatal.toLocaleString()} className="text-red-600" />
+              <StatTile
+                label="vs. local area"
+                value={analysis.densityRatio === null ? '-' : `${analysis.densityRatio.toFixed(1)}×`}
+              />
+            </div>
+
+            <DensityComparison ratio={analysis.densityRatio} />
+
+            {analysis.worst.length === 0 ? (
+              <p className="text-sm text-gray-500">No accidents recorded along this route.</p>
+            ) : (
+              <div>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">Worst segments</h4>
+                <ol className="space-y-1 text-sm">
+                  {analysis.worst.map((segment, rank) => (
+                    <li key={segment.index} className="flex items-center gap-2">
+                      <span className="w-5 h-5 rounded-full bg-red-600 text-white text-xs flex items-center justify-center">
+                        {rank + 1}
+                      </span>
+                      <span className="text-gray-600">{segmentRange(segment)}:</span>
+                      <span className="font-medium text-gray-900">
+                        {segment.count} accident{segment.count === 1 ? '' : 's'}
+                        {segment.ksi > 0 && `, ${segment.ksi} KSI`}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+                <p className="text-xs text-gray-500 mt-2">Worst segments are drawn thicker on the map.</p>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
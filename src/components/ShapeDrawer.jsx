@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { Polygon, Polyline, Rectangle, useMap, useMapEvents } from 'react-leaflet'
+import { bufferLine } from '../utils/geometry'
+
+const SHAPE_STYLE = { color: '#7c3aed', weight: 2, fillOpacity: 0.1 }
+const PREVIEW_STYLE = { color: '#7c3aed', weight: 2, dashArray: '6 6', fillOpacity: 0.05 }
+
+// Clicks closer than this (pixels) to the last corner are ignored, so the
+// two clicks of a double-click don't add a corner each
+const CLICK_TOLERANCE = 5
+
+// Minimum corners before a shape can be finished
+const MIN_POINTS = { polygon: 3, rectangle: 2, line: 2 }
+
+// Draws a shape for `tool` ('polygon', 'rectangle' or 'line') from map clicks
+// and reports it through onComplete in the utils/geometry shape format.
+// Polygons and lines finish on double-click or Enter; rectangles take two
+// opposite corners. Escape cancels.
+export default function ShapeDrawer({ tool, buffer, onComplete, onCancel }) {
+  const map = useMap()
+  const [points, setPoints] = useState([])
+  const [cursor, setCursor] = useState(null)
+
+  const finish = useCallback((corners) => {
+    if (corners.length < MIN_POINTS[tool]) return
+    onComplete(tool === 'line' ? { type: tool, points: corners, buffer } : { type: tool, points: corners })
+    setPoints([])
+  }, [tool, buffer, onComplete])
+
+  useMapEvents({
+    click(e) {
+      const point = [e.latlng.lat, e.latlng.lng]
+      const last = points[points.length - 1]
+      if (last && map.latLngToContainerPoint(last).distanceTo(e.containerPoint) < CLICK_TOLERANCE) return
+
+      const next = [...points, point]
+      if (tool === 'rectangle' && next.length === 2) finish(next)
+      else setPoints(next)
+    },
+    dblclick() {
+      finish(points)
+    },
+    mousemove(e) {
+      setCursor([e.latlng.lat, e.latlng.lng])
+    },
+  })
+
+  // Double-clicks finish the shape rather than zoom, and the cursor shows
+  // the map is waiting for corners
+  useEffect(() => {
+    map.doubleClickZoom.disable()
+    map.getContainer().classList.add('leaflet-crosshair')
+    return () => {
+      map.doubleClickZoom.enable()
+      map.getContainer().classList.remove('leaflet-crosshair')
+    }
+  }, [map])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel()
+      if (e.key === 'Enter') finish(points)
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [points, finish, onCancel])
+
+  // Start again when switching tools
+  useEffect(() => setPoints([]), [tool])
+
+  if (points.length === 0) return null
+  const preview = cursor ? [...points, cursor] : points
+
+  if (tool === 'rectangle') {
+    return <Rectangle bounds={preview.length > 1 ? preview : [points[0], points[0]]} pathOptions={PREVIEW_STYLE} />
+  }
+  if (tool === 'polygon' && preview.length > 2) {
+    return <Polygon positions={preview} pathOptions={PREVIEW_STYLE} />
+  }
+  return <Polyline positions={preview} pathOptions={PREVIEW_STYLE} />
+}
+
+// A finished shape - road corridors show their buffer around the drawn line
+export function ShapeLayer({ shape }) {
+  const corridor = useMemo(
+    // One polygon per ring, rather than an outline with holes
+    () => (shape.type === 'line' ? bufferLine(shape.points, shape.buffer).map(ring => [ring]) : null),
+    [shape]
+  )
+
+  if (shape.type === 'rectangle') {
+    return <Rectangle bounds={shape.points} pathOptions={SHAPE_STYLE} />
+  }
+  if (shape.type === 'polygon') {
+    return <Polygon positions={shape.points} pathOptions={SHAPE_STYLE} />
+  }
+  return (
+    <>
+      <Polygon
+        positions={corridor}
+        pathOptions={{ ...SHAPE_STYLE, stroke: false, fillOpacity: 0.15, fillRule: 'nonzero' }}
+      />
+      <Polyline positions={shape.points} pathOptions={{ ...SHAPE_STYLE, dashArray: '6 6' }} />
+    </>
+  )
+}
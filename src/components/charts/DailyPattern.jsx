@@ -0,0 +1,20 @@
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+
+// Daily Pattern
+export default function DailyPattern({ data }) {
+  if (!data || data.length === 0) return <p className="text-gray-500">No data available</p>
+
+  // API returns day and day_name directly
+  return (
+    <ResponsiveContainer width="100%" height={300}>
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="day_name" />
+        <YAxis />
+        <Tooltip />
+        <Legend />
+        <Bar dataKey="total_accidents" name="Accidents" fill="#2563eb" />
+      </BarChart>
+    </ResponsiveContainer>
+  )
+}
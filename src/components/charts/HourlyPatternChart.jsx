@@ -0,0 +1,35 @@
+import { useRef } from 'react'
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
+import ChartExportMenu from '../ChartExportMenu'
+
+export const HOURLY_COLUMNS = [
+  { key: 'hour', label: 'Hour' },
+  { key: 'total_accidents', label: 'Accidents' },
+]
+
+// Hourly Pattern Chart - `exportable` adds a download menu captioned with `year`
+export default function HourlyPatternChart({ data, title = 'Accidents by Hour of Day', exportable = false, year }) {
+  const chartRef = useRef(null)
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold">{title}</h3>
+        {exportable && (
+          <ChartExportMenu title={title} year={year} rows={data} columns={HOURLY_COLUMNS} chartRef={chartRef} />
+        )}
+      </div>
+      <div ref={chartRef} className="h-64">
+        <ResponsiveContainer>
+          <BarChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="hour" tickFormatter={(h) => `${h}:00`} />
+            <YAxis />
+            <Tooltip labelFormatter={(h) => `${h}:00 - ${h+1}:00`} />
+            <Bar dataKey="total_accidents" name="Accidents" fill="#2563eb" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
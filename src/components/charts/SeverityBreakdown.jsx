@@ -0,0 +1,97 @@
+import ChartExportMenu from '../ChartExportMenu'
+
+const SEVERITY_COLUMNS = [
+  { key: 'name', label: 'Severity' },
+  { key: 'value', label: 'Accidents' },
+  { key: 'share', label: 'Share (%)' },
+]
+
+const SEVERITY_BARS = { label: 'name', value: 'value', color: (row) => row.color }
+
+// Severity Breakdown Component - Horizontal Stacked Bar. `exportable` adds a
+// download menu captioned with `year`
+export default function SeverityBreakdown({ data, title = 'Severity Breakdown', exportable = false, year }) {
+  const severityData = [
+    { name: 'Fatal', value: data?.fatal || 0, color: '#dc2626', icon: '💀' },
+    { name: 'Serious', value: data?.serious || 0, color: '#f59e0b', icon: '🚨' },
+    { name: 'Slight', value: data?.slight || 0, color: '#16a34a', icon: '⚠️' },
+  ]
+
+  const total = severityData.reduce((sum, item) => sum + item.value, 0)
+  const maxValue = Math.max(...severityData.map(d => d.value))
+  const exportRows = severityData.map(({ name, value, color }) => ({
+    name,
+    value,
+    color,
+    share: total > 0 ? Number((value / total * 100).toFixed(1)) : 0,
+  }))
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold">{title}</h3>
+        {exportable && (
+          <ChartExportMenu
+            title={title}
+            year={year}
+            rows={exportRows}
+            columns={SEVERITY_COLUMNS}
+            bar={SEVERITY_BARS}
+          />
+        )}
+      </div>
+      
+      {/* Stacked horizontal bar */}
+      <div className="mb-6">
+        <div className="flex h-8 rounded-lg overflow-hidden shadow-inner">
+          {severityData.map((item) => {
+            const width = total > 0 ? (item.value / total) * 100 : 0
+            return (
+              <div
+                key={item.name}
+                className="relative group transition-all duration-300 hover:opacity-90"
+                style={{ width: `${width}%`, backgroundColor: item.color }}
+                title={`${item.name}: ${item.value.toLocaleString()} (${width.toFixed(1)}%)`}
+              >
+                {width > 8 && (
+                  <span className="absolute inset-0 flex items-center justify-center text-white text-xs font-bold">
+                    {width.toFixed(0)}%
+                  </span>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+
+      {/* Individual bars */}
+      <div className="space-y-4">
+        {severityData.map((item) => {
+          const percentage = total > 0 ? (item.value / total) * 100 : 0
+          const barWidth = maxValue > 0 ? (item.value / maxValue) * 100 : 0
+          
+          return (
+            <div key={item.name}>
+              <div className="flex items-center justify-between mb-1">
+                <div className="flex items-center gap-2">
+                  <span>{item.icon}</span>
+                  <span className="text-sm font-medium text-gray-700">{item.name}</span>
+                </div>
+                <div className="text-right">
+                  <span className="font-bold text-gray-900">{item.value.toLocaleString()}</span>
+                  <span className="text-sm text-gray-400 ml-2">({percentage.toFixed(1)}%)</span>
+                </div>
+              </div>
+              <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full rounded-full transition-all duration-500"
+                  style={{ width: `${barWidth}%`, backgroundColor: item.color }}
+                />
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
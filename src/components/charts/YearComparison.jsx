@@ -0,0 +1,46 @@
+import {
+  AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts'
+
+// Year over Year comparison
+export default function YearComparison({ data }) {
+  if (!data || data.length === 0) return <p className="text-gray-500">No data available</p>
+
+  // Flatten the severity breakdown for the chart
+  const chartData = data.map(d => ({
+    ...d,
+    fatal: d.severity_breakdown.fatal,
+    serious: d.severity_breakdown.serious,
+  }))
+
+  return (
+    <div className="space-y-4">
+      <ResponsiveContainer width="100%" height={300}>
+        <AreaChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="year" />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          <Area type="monotone" dataKey="total_accidents" name="Total Accidents" 
+            fill="#2563eb" stroke="#2563eb" fillOpacity={0.3} />
+          <Area type="monotone" dataKey="fatal" name="Fatal" 
+            fill="#dc2626" stroke="#dc2626" fillOpacity={0.3} />
+          <Area type="monotone" dataKey="serious" name="Serious" 
+            fill="#f59e0b" stroke="#f59e0b" fillOpacity={0.3} />
+        </AreaChart>
+      </ResponsiveContainer>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {chartData.map((year) => (
+          <div key={year.year} className="text-center p-3 bg-gray-50 rounded-lg">
+            <div className="text-2xl font-bold text-gray-900">{year.year}</div>
+            <div className="text-sm text-gray-500">
+              {year.total_accidents?.toLocaleString()} accidents
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
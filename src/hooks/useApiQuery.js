@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { subscribeToCache, invalidateCache, isCancel } from '../services/api'
+
+// Load data from an API client function, e.g.
+//   const { data, loading, error, refresh } = useApiQuery(
+//     ({ signal }) => getYearSummary(year, { signal }), [year])
+// Responses come through the request cache, so revisiting a page is instant;
+// background revalidations of the same entry update `data` in place.
+// `refresh` bypasses the cache. The request is cancelled when deps change or
+// the component unmounts.
+export default function useApiQuery(queryFn, deps, { enabled = true } = {}) {
+  const [state, setState] = useState({
+    data: undefined,
+    error: null,
+    loading: enabled,
+    cacheKey: null,
+  })
+  const queryRef = useRef(queryFn)
+  queryRef.current = queryFn
+  const cacheKeyRef = useRef(null)
+  cacheKeyRef.current = state.cacheKey
+
+  const [runId, setRunId] = useState(0)
+
+  useEffect(() => {
+    if (!enabled) return
+    const controller = new AbortController()
+
+    // Keep showing the previous data while the next request loads
+    setState(prev => ({ ...prev, loading: true, error: null }))
+
+    queryRef.current({ signal: controller.signal })
+      .then(response => {
+        if (controller.signal.aborted) return
+        setState({
+          data: response.data,
+          error: null,
+          loading: false,
+          cacheKey: response.config?.cacheKey ?? null,
+        })
+      })
+      .catch(error => {
+        if (controller.signal.aborted || isCancel(error)) return
+        setState({ data: undefined, error, loading: false, cacheKey: null })
+      })
+
+    return () => controller.abort()
+  }, [...deps, enabled, runId]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Pick up fresh data when the cache entry is revalidated in the background
+  useEffect(() => {
+    if (!state.cacheKey) return
+    return subscribeToCache(state.cacheKey, (response) => {
+      setState(prev => ({ ...prev, data: response.data }))
+    })
+  }, [state.cacheKey])
+
+  const refresh = useCallback(() => {
+    if (cacheKeyRef.current) invalidateCache(cacheKeyRef.current, { exact: true })
+    setRunId(id => id + 1)
+  }, [])
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: state.loading,
+    refresh,
+  }
+}
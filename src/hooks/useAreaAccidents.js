@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react'
+import { getAccidents, isCancel } from '../services/api'
+import { getShapeBounds, shapeContains } from '../utils/geometry'
+
+const PAGE_SIZE = 5000
+// Accidents fetched for one area at most (before clipping to the shape)
+const MAX_FETCHED = 25000
+
+const IDLE = { accidents: [], loading: false, error: null, truncated: false }
+
+// Page through getAccidents for a { south, west, north, east } box.
+// Resolves to { accidents, truncated }; `truncated` is set when the box held
+// more than MAX_FETCHED. Accidents without a location are left out.
+export async function fetchAccidentsInBounds({ south, west, north, east }, { year, severity } = {}, config) {
+  const accidents = []
+  let fetched = 0
+  let total = 0
+
+  for (let page = 1; ; page++) {
+    const response = await getAccidents({
+      min_lat: south,
+      max_lat: north,
+      min_lng: west,
+      max_lng: east,
+      year: year || undefined,
+      severity: severity || undefined,
+      page,
+      page_size: PAGE_SIZE,
+    }, config)
+
+    const { data } = response.data
+    total = response.data.total
+    fetched += data.length
+    data.forEach(accident => {
+      if (accident.latitude !== null && accident.longitude !== null) accidents.push(accident)
+    })
+    if (data.length < PAGE_SIZE || fetched >= Math.min(total, MAX_FETCHED)) break
+  }
+
+  return { accidents, truncated: fetched < total }
+}
+
+// Fetch the accidents in the shape's bounding box and keep those inside the
+// shape itself (see utils/geometry), e.g.
+//   const { accidents, loading, truncated } = useAreaAccidents(shape, { year, severity })
+export default function useAreaAccidents(shape, { year, severity } = {}) {
+  const [state, setState] = useState(IDLE)
+
+  useEffect(() => {
+    if (!shape) {
+      setState(IDLE)
+      return
+    }
+    const controller = new AbortController()
+    const { signal } = controller
+    setState(prev => ({ ...prev, loading: true, error: null }))
+
+    fetchAccidentsInBounds(getShapeBounds(shape), { year, severity }, { signal })
+      .then(({ accidents, truncated }) => {
+        if (signal.aborted) return
+        const inside = accidents.filter(a => shapeContains(shape, [a.latitude, a.longitude]))
+        setState({ accidents: inside, loading: false, error: null, truncated })
+      })
+      .catch(error => {
+        if (signal.aborted || isCancel(error)) return
+        console.error('Failed to load area accidents:', error)
+        setState({ ...IDLE, error })
+      })
+
+    return () => controller.abort()
+  }, [shape, year, severity])
+
+  return state
+}
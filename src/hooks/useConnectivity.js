@@ -0,0 +1,9 @@
+import { useEffect, useSyncExternalStore } from 'react'
+import { getHealth } from '../services/api'
+import { subscribe, getConnectivity, startHealthPolling } from '../services/connectivity'
+
+// Live API connectivity state; keeps health polling running while mounted
+export default function useConnectivity() {
+  useEffect(() => startHealthPolling(getHealth), [])
+  return useSyncExternalStore(subscribe, getConnectivity)
+}
@@ -0,0 +1,18 @@
+import { useCallback, useEffect, useRef } from 'react'
+
+// `callback` delayed until calls stop for `delay` ms; only the last call's
+// arguments are used, and a pending call is dropped on unmount
+export default function useDebounce(callback, delay) {
+  const timeoutRef = useRef(null)
+
+  useEffect(() => () => clearTimeout(timeoutRef.current), [])
+
+  return useCallback((...args) => {
+    if (timeoutRef.current) {
+      clearTimeout(timeoutRef.current)
+    }
+    timeoutRef.current = setTimeout(() => {
+      callback(...args)
+    }, delay)
+  }, [callback, delay])
+}
@@ -0,0 +1,26 @@
+import { useCallback, useRef } from 'react'
+import { useNavigate, useLocation } from 'react-router-dom'
+
+// Opens the accident detail drawer on top of the current page.
+// The current location is passed as the background so the page underneath
+// stays mounted, while /accidents/:id remains a shareable deep link.
+// Switching from one open accident to another replaces its entry, so
+// closing the drawer goes back to the page rather than the last accident.
+// The returned callback is stable so memoized markers can hold on to it.
+export default function useOpenAccident() {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const locationRef = useRef(location)
+  locationRef.current = location
+
+  return useCallback((accidentId) => {
+    if (!accidentId) return
+    const current = locationRef.current
+    const drawerOpen = Boolean(current.state?.backgroundLocation)
+    const backgroundLocation = current.state?.backgroundLocation || current
+    navigate(`/accidents/${encodeURIComponent(accidentId)}`, {
+      state: { backgroundLocation },
+      replace: drawerOpen,
+    })
+  }, [navigate])
+}
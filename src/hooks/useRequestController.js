@@ -0,0 +1,16 @@
+import { useCallback, useEffect, useRef } from 'react'
+
+// One cancellable request slot for an imperative loader.
+// `nextSignal()` aborts the previous request and returns a signal for the
+// next one; the last request is aborted when the component unmounts.
+export default function useRequestController() {
+  const controllerRef = useRef(null)
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  return useCallback(() => {
+    controllerRef.current?.abort()
+    controllerRef.current = new AbortController()
+    return controllerRef.current.signal
+  }, [])
+}
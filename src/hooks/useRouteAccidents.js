@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react'
+import { isCancel } from '../services/api'
+import { distanceToLine, getPointsBounds, splitLine } from '../utils/geometry'
+import { LOCAL_AREA_BUFFER } from '../utils/routeStats'
+import { fetchAccidentsInBounds } from './useAreaAccidents'
+
+// Long routes are fetched a piece at a time, so a diagonal route doesn't
+// load the whole box around it
+const PIECE_LENGTH = 3000
+
+const IDLE = { accidents: [], loading: false, error: null, truncated: false }
+
+// Accidents within LOCAL_AREA_BUFFER of a route ([lat, lng] points) - the
+// route's local area, which utils/routeStats compares the route with
+export default function useRouteAccidents(route, { year, severity } = {}) {
+  const [state, setState] = useState(IDLE)
+
+  useEffect(() => {
+    if (!route) {
+      setState(IDLE)
+      return
+    }
+    const controller = new AbortController()
+    const { signal } = controller
+    setState(prev => ({ ...prev, loading: true, error: null }))
+
+    const load = async () => {
+      const byId = new Map()
+      let truncated = false
+      for (const piece of splitLine(route, PIECE_LENGTH)) {
+        const bounds = getPointsBounds(piece, LOCAL_AREA_BUFFER)
+        const result = await fetchAccidentsInBounds(bounds, { year, severity }, { signal })
+        truncated = truncated || result.truncated
+        // Neighbouring pieces' boxes overlap
+        result.accidents.forEach(accident => {
+          const key = accident.accident_id ?? `${accident.latitude},${accident.longitude},${accident.accident_date}`
+          byId.set(key, accident)
+        })
+      }
+      const accidents = [...byId.values()]
+        .filter(a => distanceToLine([a.latitude, a.longitude], route) <= LOCAL_AREA_BUFFER)
+      return { accidents, truncated }
+    }
+
+    load()
+      .then(({ accidents, truncated }) => {
+        if (signal.aborted) return
+        setState({ accidents, loading: false, error: null, truncated })
+      })
+      .catch(error => {
+        if (signal.aborted || isCancel(error)) return
+        console.error('Failed to load route accidents:', error)
+        setState({ ...IDLE, error })
+      })
+
+    return () => controller.abort()
+  }, [route, year, severity])
+
+  return state
+}
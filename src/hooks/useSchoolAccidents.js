@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react'
+import { getSchoolAccidents, isCancel } from '../services/api'
+
+const IDLE = { urn: null, accidents: [], total: 0, loading: false, error: null }
+
+// Page `page` of the accidents around a school over one or more requests
+// (see getYearRequests), newest first, as { data, total }. Each request's
+// total comes with its first page; the page is cut from the requests it spans.
+export async function fetchSchoolAccidents(urn, requests, page, pageSize, config) {
+  const fetchPage = (params, requestPage) => (
+    getSchoolAccidents(urn, { ...params, page: requestPage, page_size: pageSize }, config).then(response => response.data)
+  )
+  if (requests.length === 1) return fetchPage(requests[0], page)
+
+  const firstPages = await Promise.all(requests.map(params => fetchPage(params, 1)))
+  const total = firstPages.reduce((sum, { total }) => sum + total, 0)
+  const start = (page - 1) * pageSize
+  const end = start + pageSize
+  const data = []
+  let offset = 0
+  for (const [i, params] of requests.entries()) {
+    // The part of this request's accidents on the page
+    const from = Math.max(start - offset, 0)
+    const to = Math.min(end - offset, firstPages[i].total)
+    for (let requestPage = Math.floor(from / pageSize) + 1; from < to && (requestPage - 1) * pageSize < to; requestPage++) {
+      const pageStart = (requestPage - 1) * pageSize
+      const rows = requestPage === 1 ? firstPages[i].data : (await fetchPage(params, requestPage)).data
+      data.push(...rows.slice(Math.max(from - pageStart, 0), to - pageStart))
+    }
+    offset += firstPages[i].total
+  }
+  return { data, total }
+}
+
+// One page of the accidents around a school for getSchoolAccidents params
+// (radius and year; one set per year of a range), newest first, with the
+// server's total:
+//   const { accidents, total, loading } = useSchoolAccidents(urn, requests, page, pageSize)
+// `urn` is the school the page belongs to; a school's page is kept while the
+// next one loads, but not another school's.
+export default function useSchoolAccidents(urn, requests, page, pageSize) {
+  const [state, setState] = useState(IDLE)
+
+  useEffect(() => {
+    if (!urn) {
+      setState(IDLE)
+      return
+    }
+    const controller = new AbortController()
+    const { signal } = controller
+    setState(prev => (prev.urn === urn ? { ...prev, loading: true, error: null } : { ...IDLE, loading: true }))
+
+    fetchSchoolAccidents(urn, requests, page, pageSize, { signal })
+      .then(({ data, total }) => {
+        if (signal.aborted) return
+        setState({ urn, accidents: data, total, loading: false, error: null })
+      })
+      .catch(error => {
+        if (signal.aborted || isCancel(error)) return
+        console.error('Failed to load school accidents:', error)
+        setState({ ...IDLE, error })
+      })
+
+    return () => controller.abort()
+  }, [urn, requests, page, pageSize])
+
+  return state
+}
@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react'
+import { getSchoolsWithRisk, getSchoolDetail, isCancel } from '../services/api'
+import { getSchoolParams, getCountParams } from '../utils/schoolFilters'
+import { narrowToSchoolRun } from '../utils/schoolRun'
+
+const PAGE_SIZE = 1000
+// Schools narrowed at most, as each takes its own detail request
+export const MAX_SCHOOL_RUN_SCHOOLS = 500
+// Detail requests in flight at once
+const BATCH_SIZE = 8
+
+const IDLE = { schools: null, loading: false, error: null, tooMany: false }
+
+// Every school matching the filters, page by page
+export async function fetchAllSchools(filters, config) {
+  const schools = []
+  for (let page = 1; ; page++) {
+    const response = await getSchoolsWithRisk({ ...getSchoolParams(filters), page, page_size: PAGE_SIZE }, config)
+    const { data, total } = response.data
+    schools.push(...data)
+    if (data.length === 0 || schools.length >= total) return schools
+  }
+}
+
+// Every school matching the filters in any count band, counted over its
+// school-run accidents from the detail endpoint (see narrowToSchoolRun).
+// Resolves to { schools, tooMany }; past MAX_SCHOOL_RUN_SCHOOLS nothing is
+// narrowed and `schools` is null. A school whose detail fails to load keeps
+// its counts and is marked schoolRunSkipped.
+export async function fetchSchoolRunSchools(filters, schoolRun, config) {
+  const unbanded = { ...filters, riskLevel: '' }
+  const first = await getSchoolsWithRisk({ ...getSchoolParams(unbanded), page: 1, page_size: 1 }, config)
+  if (first.data.total > MAX_SCHOOL_RUN_SCHOOLS) return { schools: null, tooMany: true }
+
+  const listed = await fetchAllSchools(unbanded, config)
+  const countParams = getCountParams(filters)
+  const schools = []
+  for (let i = 0; i < listed.length; i += BATCH_SIZE) {
+    schools.push(...await Promise.all(listed.slice(i, i + BATCH_SIZE).map(school => (
+      getSchoolDetail(school.urn, countParams, config)
+        .then(response => narrowToSchoolRun(response.data, schoolRun))
+        .catch(error => {
+          if (isCancel(error)) throw error
+          console.error(`Failed to load school ${school.urn} for the school run:`, error)
+          return { ...school, schoolRunSkipped: true }
+        })
+    ))))
+  }
+  return { schools, tooMany: false }
+}
+
+// The schools matching `filters` narrowed to `schoolRun`, or idle without
+// filters, e.g.
+//   const { schools, loading, tooMany } = useSchoolRunSchools(hasSchoolRunFilters(schoolRun) && filters, schoolRun)
+export default function useSchoolRunSchools(filters, schoolRun) {
+  const [state, setState] = useState(IDLE)
+
+  useEffect(() => {
+    if (!filters) {
+      setState(IDLE)
+      return
+    }
+    const controller = new AbortController()
+    const { signal } = controller
+    setState({ ...IDLE, loading: true })
+
+    fetchSchoolRunSchools(filters, schoolRun, { signal })
+      .then(({ schools, tooMany }) => {
+        if (signal.aborted) return
+        setState({ schools, loading: false, error: null, tooMany })
+      })
+      .catch(error => {
+        if (signal.aborted || isCancel(error)) return
+        console.error('Failed to load school-run schools:', error)
+        setState({ ...IDLE, error })
+      })
+
+    return () => controller.abort()
+  }, [filters, schoolRun])
+
+  return state
+}
@@ -0,0 +1,66 @@
+import { useCallback, useMemo, useRef } from 'react'
+import { useSearchParams } from 'react-router-dom'
+
+// Parse a query string value using the type of its default
+function parseValue(raw, defaultValue) {
+  if (raw === null) return defaultValue
+  if (typeof defaultValue === 'number') {
+    const value = Number(raw)
+    return raw !== '' && Number.isFinite(value) ? value : defaultValue
+  }
+  if (typeof defaultValue === 'boolean') return raw === '1' || raw === 'true'
+  return raw
+}
+
+function serializeValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0'
+  return String(value)
+}
+
+// Page state stored in the query string.
+// `defaults` lists every key the page owns and the value used when the key is
+// absent; values equal to their default are left out of the URL. Updates push
+// a history entry so back/forward step through changes, unless called with
+// { replace: true } (e.g. for continuous map panning).
+export default function useUrlState(defaults) {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const defaultsRef = useRef(defaults)
+  const searchParamsRef = useRef(searchParams)
+  searchParamsRef.current = searchParams
+
+  const state = useMemo(() => {
+    const result = {}
+    for (const [key, defaultValue] of Object.entries(defaultsRef.current)) {
+      result[key] = parseValue(searchParams.get(key), defaultValue)
+    }
+    return result
+  }, [searchParams])
+
+  const setState = useCallback((update, { replace = false } = {}) => {
+    const current = searchParamsRef.current
+    const currentState = {}
+    for (const [key, defaultValue] of Object.entries(defaultsRef.current)) {
+      currentState[key] = parseValue(current.get(key), defaultValue)
+    }
+
+    const nextState = typeof update === 'function'
+      ? update(currentState)
+      : { ...currentState, ...update }
+
+    // Keep any query parameters this page does not own
+    const next = new URLSearchParams(current)
+    for (const [key, defaultValue] of Object.entries(defaultsRef.current)) {
+      const value = nextState[key]
+      if (value === undefined || value === null || value === defaultValue) {
+        next.delete(key)
+      } else {
+        next.set(key, serializeValue(value))
+      }
+    }
+
+    if (next.toString() === current.toString()) return
+    setSearchParams(next, { replace })
+  }, [setSearchParams])
+
+  return [state, setState]
+}
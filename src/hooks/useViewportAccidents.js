@@ -0,0 +1,151 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { getAccidents, invalidateCache, isCancel } from '../services/api'
+import { getTileBounds, getTileKey, getTilesForBounds, getParentTile } from '../utils/tiles'
+
+// Below this map zoom a viewport covers too much ground to load
+export const MIN_VIEWPORT_ZOOM = 12
+
+// Accidents are requested in map tiles one zoom level out from the view, so
+// a viewport needs a handful of requests and zooming in reuses loaded tiles
+const TILE_ZOOM_OFFSET = 1
+const MAX_TILE_ZOOM = 14
+
+const PAGE_SIZE = 1000
+// Accidents loaded per tile at most; larger tiles report their full total,
+// and zooming in loads their smaller child tiles instead
+const MAX_PER_TILE = 5000
+
+const isComplete = (entry) => entry.status === 'loaded' && entry.loaded >= entry.total
+
+// The loaded or loading tile that provides a tile's accidents - the tile
+// itself, or an ancestor that is still loading or loaded in full
+function findCoveringTile(tiles, tile) {
+  const own = tiles.get(getTileKey(tile))
+  if (own) return own
+  for (let parent = getParentTile(tile); parent.z >= 0; parent = getParentTile(parent)) {
+    const entry = tiles.get(getTileKey(parent))
+    if (entry && (entry.status === 'loading' || isComplete(entry))) return entry
+  }
+  return null
+}
+
+// Accidents inside the map view, loaded tile by tile through getAccidents'
+// bounding box filter as the view moves, e.g.
+//   const { accidents, loaded, total } = useViewportAccidents({ bounds, zoom, year, severity })
+// `bounds` is { south, west, north, east }. Tiles already loaded (or loading)
+// are never requested again until the filters change or `reload` is called.
+export default function useViewportAccidents({ bounds, zoom, year, severity, enabled = true }) {
+  // tile key -> { tile, status: 'loading' | 'loaded', loaded, total }
+  const tilesRef = useRef(new Map())
+  // accident_id -> accident, across every loaded tile
+  const accidentsRef = useRef(new Map())
+  const signalRef = useRef(null)
+  const [version, setVersion] = useState(0)
+  const [error, setError] = useState(null)
+  const [generation, setGeneration] = useState(0)
+
+  const changed = useCallback(() => setVersion(v => v + 1), [])
+
+  // Start over when the filters change
+  useEffect(() => {
+    const controller = new AbortController()
+    signalRef.current = controller.signal
+    tilesRef.current = new Map()
+    accidentsRef.current = new Map()
+    setError(null)
+    changed()
+    return () => controller.abort()
+  }, [year, severity, enabled, generation, changed])
+
+  const tileZoom = Math.min(MAX_TILE_ZOOM, Math.floor(zoom ?? 0) - TILE_ZOOM_OFFSET)
+  const zoomedOut = zoom == null || zoom < MIN_VIEWPORT_ZOOM
+
+  const visibleTiles = useMemo(
+    () => (enabled && bounds && !zoomedOut ? getTilesForBounds(bounds, tileZoom) : []),
+    [enabled, bounds, zoomedOut, tileZoom]
+  )
+
+  // Request the visible tiles nothing loaded yet covers
+  useEffect(() => {
+    const tiles = tilesRef.current
+    const accidents = accidentsRef.current
+    const signal = signalRef.current
+
+    const loadTile = async (tile) => {
+      const entry = { tile, status: 'loading', loaded: 0, total: 0 }
+      tiles.set(getTileKey(tile), entry)
+      const { south, west, north, east } = getTileBounds(tile)
+
+      try {
+        for (let page = 1; ; page++) {
+          const response = await getAccidents({
+            min_lat: south,
+            max_lat: north,
+            min_lng: west,
+            max_lng: east,
+            year: year || undefined,
+            severity: severity || undefined,
+            page,
+            page_size: PAGE_SIZE,
+          }, { signal })
+          if (signal.aborted) return
+
+          const { data, total } = response.data
+          data.forEach(accident => accidents.set(accident.accident_id, accident))
+          entry.loaded += data.length
+          entry.total = total
+          changed()
+
+          if (data.length < PAGE_SIZE || entry.loaded >= Math.min(total, MAX_PER_TILE)) break
+        }
+        entry.status = 'loaded'
+        setError(null)
+      } catch (err) {
+        if (signal.aborted || isCancel(err)) return
+        console.error('Failed to load accidents:', err)
+        // Forget the tile so the next move retries it
+        tiles.delete(getTileKey(tile))
+        setError(err)
+      }
+      changed()
+    }
+
+    const missing = visibleTiles.filter(tile => !findCoveringTile(tiles, tile))
+    missing.forEach(loadTile)
+    if (missing.length > 0) changed()
+  }, [visibleTiles, year, severity, generation, changed])
+
+  // Counts for the tiles covering the view; accidents include every tile
+  // loaded so far, so panning back shows them straight away
+  const result = useMemo(() => {
+    const covering = new Set()
+    visibleTiles.forEach(tile => {
+      const entry = findCoveringTile(tilesRef.current, tile)
+      if (entry) covering.add(entry)
+    })
+
+    let loaded = 0
+    let total = 0
+    let loading = false
+    covering.forEach(entry => {
+      loaded += entry.loaded
+      total += entry.total
+      if (entry.status === 'loading') loading = true
+    })
+
+    return {
+      accidents: [...accidentsRef.current.values()],
+      loaded,
+      total,
+      loading,
+    }
+  }, [visibleTiles, version]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Drop everything loaded and fetch the view again, bypassing the cache
+  const reload = useCallback(() => {
+    invalidateCache('/accidents?')
+    setGeneration(g => g + 1)
+  }, [])
+
+  return { ...result, zoomedOut, error, reload }
+}
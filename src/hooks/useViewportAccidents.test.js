@@ -0,0 +1,58 @@
+import { describe, it, expect, vi } from 'vitest'
+import { renderHook, waitFor } from '@testing-library/react'
+import { getAccidents } from '../services/api'
+import useViewportAccidents from './useViewportAccidents'
+
+vi.mock('../services/api', async (importOriginal) => {
+  const api = await importOriginal()
+  return { ...api, getAccidents: vi.fn(api.getAccidents) }
+})
+
+// A small area of central London
+const BOUNDS = { south: 51.50, west: -0.14, north: 51.51, east: -0.12 }
+
+describe('useViewportAccidents', () => {
+  it('loads the accidents in view with loaded/total counts', async () => {
+    const { result } = renderHook(() => useViewportAccidents({ bounds: BOUNDS, zoom: 15 }))
+
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    expect(result.current.total).toBeGreaterThan(0)
+    expect(result.current.loaded).toBe(result.current.total)
+    expect(result.current.accidents).toHaveLength(result.current.loaded)
+    expect(getAccidents).toHaveBeenCalledWith(
+      expect.objectContaining({ page: 1, min_lat: expect.any(Number), max_lng: expect.any(Number) }),
+      expect.anything()
+    )
+  })
+
+  it('does not refetch tiles it has loaded', async () => {
+    const { result, rerender } = renderHook((props) => useViewportAccidents(props), {
+      initialProps: { bounds: BOUNDS, zoom: 15 },
+    })
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    const calls = getAccidents.mock.calls.length
+
+    // Zooming in stays inside the tiles already loaded
+    rerender({ bounds: { south: 51.502, west: -0.135, north: 51.504, east: -0.13 }, zoom: 17 })
+    expect(getAccidents).toHaveBeenCalledTimes(calls)
+  })
+
+  it('waits for the map to zoom in', () => {
+    const { result } = renderHook(() => useViewportAccidents({ bounds: BOUNDS, zoom: 8 }))
+    expect(result.current.zoomedOut).toBe(true)
+    expect(getAccidents).not.toHaveBeenCalled()
+  })
+
+  it('starts over when the filters change', async () => {
+    const { result, rerender } = renderHook((props) => useViewportAccidents(props), {
+      initialProps: { bounds: BOUNDS, zoom: 15, severity: '' },
+    })
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    const allTotal = result.current.total
+
+    rerender({ bounds: BOUNDS, zoom: 15, severity: '1' })
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    expect(result.current.total).toBeLessThan(allTotal)
+    result.current.accidents.forEach(accident => expect(accident.severity).toBe(1))
+  })
+})
@@ -0,0 +1,70 @@
+import axios, { AxiosError } from 'axios'
+import { handleMockRequest, MockHttpError } from './handlers'
+
+// Axios adapter that answers requests from the mock API instead of the
+// network. Enabled with VITE_USE_MOCK_API=true (see services/api.js).
+
+// Simulated response time (ms), so loading states still show
+const LATENCY = Number(import.meta.env.VITE_MOCK_API_LATENCY ?? 200)
+
+const API_PREFIX = '/api/v1'
+
+// Path relative to the API base, e.g. '/schools/100100'
+function getPath(config) {
+  const { pathname } = new URL(config.url, 'http://mock.invalid')
+  return pathname.startsWith(API_PREFIX) ? pathname.slice(API_PREFIX.length) : pathname
+}
+
+function createResponse(config, status, data) {
+  return {
+    data: structuredClone(data),
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    headers: { 'content-type': 'application/json' },
+    config,
+    request: { mock: true },
+  }
+}
+
+function respond(config) {
+  const method = (config.method || 'get').toLowerCase()
+  if (method !== 'get') {
+    return { status: 405, data: { detail: 'The mock API is read-only' } }
+  }
+  try {
+    return { status: 200, data: handleMockRequest(getPath(config), config.params || {}) }
+  } catch (error) {
+    if (!(error instanceof MockHttpError)) throw error
+    return { status: error.status, data: { detail: error.message } }
+  }
+}
+
+export default function mockAdapter(config) {
+  return new Promise((resolve, reject) => {
+    const { signal } = config
+
+    const handleAbort = () => {
+      clearTimeout(timer)
+      reject(new axios.CanceledError(null, config))
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort)
+      try {
+        const { status, data } = respond(config)
+        const response = createResponse(config, status, data)
+        if (status < 400) {
+          resolve(response)
+        } else {
+          const code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST
+          reject(new AxiosError(`Request failed with status code ${status}`, code, config, response.request, response))
+        }
+      } catch (error) {
+        reject(error)
+      }
+    }, LATENCY)
+
+    if (signal?.aborted) return handleAbort()
+    signal?.addEventListener('abort', handleAbort, { once: true })
+  })
+}
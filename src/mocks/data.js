@@ -0,0 +1,281 @@
+import {
+  YEARS, ACCIDENTS_PER_YEAR, CITIES, DAY_NAMES, HOUR_WEIGHTS, MONTH_WEIGHTS, SEVERITIES,
+  ROAD_TYPES, SPEED_LIMITS, WEATHER, DARKNESS, DRY_SURFACES, WET_SURFACES, JUNCTION_DETAILS,
+  JUNCTION_CONTROLS, ROAD_CLASSES, PEDESTRIAN_CROSSINGS, CARRIAGEWAY_HAZARDS, SPECIAL_CONDITIONS,
+  VEHICLE_TYPES, MANOEUVRES, DRIVER_SEXES, CASUALTY_CLASSES, SCHOOL_NAMES, SCHOOL_PHASES, STREETS,
+} from './fixtures'
+
+// Synthetic STATS19-style sample data for the mock API.
+// Generated from a fixed seed, so every session (and every test run) sees
+// the same areas, accidents and schools.
+
+const SEED = 19
+
+const METERS_PER_DEGREE = 111320
+
+const NOT_AT_JUNCTION = 'Not at junction or within 20 metres'
+const POSTCODE_LETTERS = 'ABDEFGHJLNPQRSTUWXYZ'
+
+// Small seeded PRNG (mulberry32) with the helpers the generator needs
+function createRandom(seed) {
+  let state = seed >>> 0
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    // Pick from [value, weight] pairs
+    weighted: (pairs) => {
+      const total = pairs.reduce((sum, [, weight]) => sum + weight, 0)
+      let remaining = next() * total
+      for (const [value, weight] of pairs) {
+        remaining -= weight
+        if (remaining < 0) return value
+      }
+      return pairs[pairs.length - 1][0]
+    },
+    // Standard normal deviate (Box-Muller)
+    gaussian: () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next()),
+  }
+}
+
+// Great-circle distance in metres
+export function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => deg * Math.PI / 180
+  const dLat = toRad(lat2 - lat1)
+  const dLng = toRad(lng2 - lng1)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2
+  return 2 * 6371000 * Math.asin(Math.sqrt(a))
+}
+
+// Offset a point by a distance in degrees of latitude, correcting longitude
+function offsetPoint(latitude, longitude, dLat, dLng) {
+  const lat = latitude + dLat
+  const lng = longitude + dLng / Math.cos(latitude * Math.PI / 180)
+  return [Number(lat.toFixed(6)), Number(lng.toFixed(6))]
+}
+
+function generateLsoas(random) {
+  const lsoas = []
+
+  CITIES.forEach(city => {
+    const perAuthority = {}
+    for (let i = 0; i < city.lsoas; i++) {
+      const authority = random.pick(city.localAuthorities)
+      perAuthority[authority] = (perAuthority[authority] || 0) + 1
+
+      const angle = random.next() * 2 * Math.PI
+      const distance = Math.sqrt(random.next()) * city.spread
+      const [latitude, longitude] = offsetPoint(
+        city.latitude, city.longitude, distance * Math.sin(angle), distance * Math.cos(angle)
+      )
+
+      lsoas.push({
+        lsoa_code: `${city.lsoaPrefix}${String(10000 + lsoas.length * 29).padStart(6, '0')}`,
+        lsoa_name: `${authority} ${String(perAuthority[authority]).padStart(3, '0')}${random.pick('ABCDE')}`,
+        latitude,
+        longitude,
+        local_authority: authority,
+        city,
+        // A few areas take a disproportionate share of accidents
+        weight: city.weight * (0.25 + random.next() ** 4 * 6),
+      })
+    }
+  })
+
+  return lsoas
+}
+
+function casualtyTypeFor(vehicleType) {
+  if (vehicleType === 'Pedal cycle') return 'Cyclist'
+  if (vehicleType.startsWith('Motorcycle')) return 'Motorcyclist'
+  return `${vehicleType} occupant`
+}
+
+function generateVehicles(random) {
+  const count = random.weighted([[1, 0.3], [2, 0.6], [3, 0.1]])
+  return Array.from({ length: count }, (_, i) => ({
+    vehicle_reference: i + 1,
+    vehicle_type: random.weighted(VEHICLE_TYPES),
+    vehicle_manoeuvre: random.weighted(MANOEUVRES),
+    sex_of_driver: random.weighted(DRIVER_SEXES),
+    age_of_driver: random.int(17, 85),
+  }))
+}
+
+function generateCasualties(random, severity, vehicles) {
+  const count = random.weighted([[1, 0.8], [2, 0.15], [3, 0.05]])
+  return Array.from({ length: count }, (_, i) => {
+    const casualtyClass = random.weighted(CASUALTY_CLASSES)
+    const vehicle = random.pick(vehicles)
+    return {
+      casualty_reference: i + 1,
+      casualty_class: casualtyClass,
+      // The most severe casualty sets the accident severity
+      casualty_severity: i === 0 ? severity : Math.max(severity, random.weighted(SEVERITIES)),
+      casualty_type: casualtyClass === 'Pedestrian' ? 'Pedestrian' : casualtyTypeFor(vehicle.vehicle_type),
+      age_of_casualty: casualtyClass === 'Pedestrian' ? random.int(5, 90) : random.int(17, 85),
+    }
+  })
+}
+
+function generateAccidents(random, lsoas) {
+  const accidents = []
+  const lsoaWeights = lsoas.map(lsoa => [lsoa, lsoa.weight])
+  const monthWeights = MONTH_WEIGHTS.map((weight, month) => [month, weight])
+  const hourWeights = HOUR_WEIGHTS.map((weight, hour) => [hour, weight])
+
+  YEARS.forEach(year => {
+    const serials = {}
+
+    for (let i = 0; i < ACCIDENTS_PER_YEAR[year]; i++) {
+      const lsoa = random.weighted(lsoaWeights)
+      const { city } = lsoa
+
+      const month = random.weighted(monthWeights)
+      const day = random.int(1, new Date(Date.UTC(year, month + 1, 0)).getUTCDate())
+      const weekday = new Date(Date.UTC(year, month, day)).getUTCDay()
+      const hour = random.weighted(hourWeights)
+      const minute = random.int(0, 59)
+
+      const severity = random.weighted(SEVERITIES)
+      const [latitude, longitude] = offsetPoint(
+        lsoa.latitude, lsoa.longitude, random.gaussian() * 0.0035, random.gaussian() * 0.0035
+      )
+
+      const weather = random.weighted(WEATHER)
+      const surfaces = weather.startsWith('Raining') ? WET_SURFACES
+        : weather.startsWith('Snowing') ? [['Snow', 0.7], ['Frost or ice', 0.3]]
+          : DRY_SURFACES
+      const daylight = hour >= 7 && hour <= 18 && random.next() < 0.93
+
+      const firstRoadClass = random.weighted(ROAD_CLASSES)
+      const junctionDetail = random.weighted(JUNCTION_DETAILS)
+      const atJunction = junctionDetail !== NOT_AT_JUNCTION
+      const secondRoadClass = atJunction ? random.weighted(ROAD_CLASSES) : null
+      const roadNumber = (roadClass) => (
+        roadClass === 'Motorway' ? random.int(1, 99)
+          : ['A', 'B'].includes(roadClass) ? random.int(1, 6000)
+            : null
+      )
+      const speedLimit = firstRoadClass === 'Motorway' ? 70 : random.weighted(SPEED_LIMITS)
+
+      const code = String(city.policeForceCode).padStart(2, '0')
+      serials[code] = (serials[code] || 0) + 1
+
+      const vehicles = generateVehicles(random)
+      const casualties = generateCasualties(random, severity, vehicles)
+
+      accidents.push({
+        accident_id: `${year}${code}${String(serials[code]).padStart(7, '0')}`,
+        severity,
+        latitude,
+        longitude,
+        accident_date: `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+        accident_time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`,
+        accident_year: year,
+        day_of_week: DAY_NAMES[weekday],
+        number_of_vehicles: vehicles.length,
+        number_of_casualties: casualties.length,
+        lsoa_code: lsoa.lsoa_code,
+        local_authority_district: lsoa.local_authority,
+        police_force: city.policeForce,
+        urban_or_rural_area: speedLimit >= 50 && random.next() < 0.8 ? 'Rural' : 'Urban',
+        road_type: random.weighted(ROAD_TYPES),
+        speed_limit: speedLimit,
+        first_road_class: firstRoadClass,
+        first_road_number: roadNumber(firstRoadClass),
+        second_road_class: secondRoadClass,
+        second_road_number: secondRoadClass ? roadNumber(secondRoadClass) : null,
+        junction_detail: junctionDetail,
+        junction_control: atJunction ? random.weighted(JUNCTION_CONTROLS) : NOT_AT_JUNCTION,
+        pedestrian_crossing_physical_facilities: random.weighted(PEDESTRIAN_CROSSINGS),
+        carriageway_hazards: random.weighted(CARRIAGEWAY_HAZARDS),
+        weather_conditions: weather,
+        light_conditions: daylight ? 'Daylight' : random.weighted(DARKNESS),
+        road_surface_conditions: random.weighted(surfaces),
+        special_conditions_at_site: random.weighted(SPECIAL_CONDITIONS),
+        vehicles,
+        casualties,
+      })
+    }
+  })
+
+  return accidents
+}
+
+function generateSchools(random, lsoas) {
+  const schools = []
+  const phaseWeights = SCHOOL_PHASES.map(phase => [phase, phase.weight])
+
+  CITIES.forEach(city => {
+    const cityLsoas = lsoas.filter(lsoa => lsoa.city === city)
+    for (let i = 0; i < city.schools; i++) {
+      const lsoa = random.pick(cityLsoas)
+      const phase = random.weighted(phaseWeights)
+      const [latitude, longitude] = offsetPoint(
+        lsoa.latitude, lsoa.longitude, random.gaussian() * 0.003, random.gaussian() * 0.003
+      )
+
+      schools.push({
+        urn: String(100100 + schools.length * 13),
+        name: `${random.pick(SCHOOL_NAMES)} ${random.pick(phase.suffixes)}`,
+        phase_of_education: phase.phase,
+        street: random.pick(STREETS),
+        town: city.town,
+        county: city.county,
+        postcode: `${random.pick(city.postcodes)} ${random.int(1, 9)}${random.pick(POSTCODE_LETTERS)}${random.pick(POSTCODE_LETTERS)}`,
+        latitude,
+        longitude,
+        number_of_pupils: random.int(...phase.pupils),
+        local_authority_name: lsoa.local_authority,
+        lsoa_code: lsoa.lsoa_code,
+      })
+    }
+  })
+
+  return schools
+}
+
+let data = null
+
+// The sample dataset, generated on first use
+export function getMockData() {
+  if (data) return data
+
+  const random = createRandom(SEED)
+  const lsoas = generateLsoas(random)
+  const accidents = generateAccidents(random, lsoas)
+  const schools = generateSchools(random, lsoas)
+
+  data = {
+    lsoas,
+    accidents,
+    schools,
+    lsoasByCode: new Map(lsoas.map(lsoa => [lsoa.lsoa_code, lsoa])),
+    accidentsById: new Map(accidents.map(accident => [accident.accident_id, accident])),
+    schoolsByUrn: new Map(schools.map(school => [school.urn, school])),
+  }
+  return data
+}
+
+// Accidents within a radius (metres) of a point, nearest first, with distance_meters
+export function accidentsNear(accidents, latitude, longitude, radius) {
+  const dLat = radius / METERS_PER_DEGREE
+  const dLng = dLat / Math.cos(latitude * Math.PI / 180)
+
+  return accidents
+    .filter(a => Math.abs(a.latitude - latitude) <= dLat && Math.abs(a.longitude - longitude) <= dLng)
+    .map(a => ({ accident: a, distance: distanceMeters(latitude, longitude, a.latitude, a.longitude) }))
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+}
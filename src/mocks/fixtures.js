@@ -0,0 +1,193 @@
+// Reference data for the mock API. Places are real; everything generated
+// from them (areas, accidents, schools) is synthetic.
+
+export const YEARS = [2020, 2021, 2022, 2023, 2024]
+
+// Accidents generated per year (2020 reflects the lockdown dip)
+export const ACCIDENTS_PER_YEAR = {
+  2020: 1150,
+  2021: 1300,
+  2022: 1420,
+  2023: 1380,
+  2024: 1350,
+}
+
+// Cities the sample data is spread across. `weight` scales accident volume,
+// `spread` is the radius (degrees) LSOA centroids are scattered over.
+export const CITIES = [
+  {
+    town: 'London', county: 'Greater London', lsoaPrefix: 'E01',
+    policeForce: 'Metropolitan Police', policeForceCode: 1,
+    localAuthorities: ['Westminster', 'Camden', 'Southwark', 'Lambeth', 'Hackney', 'Islington', 'Tower Hamlets'],
+    postcodes: ['SW1A', 'WC1N', 'SE1', 'SE11', 'E8', 'N1', 'E1', 'NW1'],
+    latitude: 51.5074, longitude: -0.1278, spread: 0.07, weight: 3, lsoas: 40, schools: 40,
+  },
+  {
+    town: 'Birmingham', county: 'West Midlands', lsoaPrefix: 'E01',
+    policeForce: 'West Midlands', policeForceCode: 20,
+    localAuthorities: ['Birmingham'],
+    postcodes: ['B1', 'B5', 'B12', 'B15', 'B29'],
+    latitude: 52.4862, longitude: -1.8904, spread: 0.06, weight: 1.4, lsoas: 18, schools: 14,
+  },
+  {
+    town: 'Manchester', county: 'Greater Manchester', lsoaPrefix: 'E01',
+    policeForce: 'Greater Manchester', policeForceCode: 6,
+    localAuthorities: ['Manchester', 'Salford', 'Trafford'],
+    postcodes: ['M1', 'M4', 'M13', 'M14', 'M50'],
+    latitude: 53.4808, longitude: -2.2426, spread: 0.06, weight: 1.3, lsoas: 18, schools: 14,
+  },
+  {
+    town: 'Leeds', county: 'West Yorkshire', lsoaPrefix: 'E01',
+    policeForce: 'West Yorkshire', policeForceCode: 13,
+    localAuthorities: ['Leeds'],
+    postcodes: ['LS1', 'LS2', 'LS6', 'LS9', 'LS11'],
+    latitude: 53.8008, longitude: -1.5491, spread: 0.05, weight: 1, lsoas: 14, schools: 10,
+  },
+  {
+    town: 'Liverpool', county: 'Merseyside', lsoaPrefix: 'E01',
+    policeForce: 'Merseyside', policeForceCode: 5,
+    localAuthorities: ['Liverpool', 'Sefton'],
+    postcodes: ['L1', 'L3', 'L8', 'L15', 'L20'],
+    latitude: 53.4084, longitude: -2.9916, spread: 0.05, weight: 0.9, lsoas: 14, schools: 10,
+  },
+  {
+    town: 'Bristol', county: 'Bristol', lsoaPrefix: 'E01',
+    policeForce: 'Avon and Somerset', policeForceCode: 52,
+    localAuthorities: ['Bristol, City of'],
+    postcodes: ['BS1', 'BS2', 'BS5', 'BS6', 'BS8'],
+    latitude: 51.4545, longitude: -2.5879, spread: 0.04, weight: 0.8, lsoas: 12, schools: 10,
+  },
+  {
+    town: 'Newcastle upon Tyne', county: 'Tyne and Wear', lsoaPrefix: 'E01',
+    policeForce: 'Northumbria', policeForceCode: 10,
+    localAuthorities: ['Newcastle upon Tyne', 'Gateshead'],
+    postcodes: ['NE1', 'NE2', 'NE4', 'NE6', 'NE8'],
+    latitude: 54.9783, longitude: -1.6178, spread: 0.04, weight: 0.7, lsoas: 12, schools: 8,
+  },
+  {
+    town: 'Sheffield', county: 'South Yorkshire', lsoaPrefix: 'E01',
+    policeForce: 'South Yorkshire', policeForceCode: 14,
+    localAuthorities: ['Sheffield'],
+    postcodes: ['S1', 'S2', 'S3', 'S10', 'S11'],
+    latitude: 53.3811, longitude: -1.4701, spread: 0.05, weight: 0.8, lsoas: 12, schools: 8,
+  },
+  {
+    town: 'Nottingham', county: 'Nottinghamshire', lsoaPrefix: 'E01',
+    policeForce: 'Nottinghamshire', policeForceCode: 30,
+    localAuthorities: ['Nottingham'],
+    postcodes: ['NG1', 'NG3', 'NG7', 'NG9'],
+    latitude: 52.9548, longitude: -1.1581, spread: 0.04, weight: 0.6, lsoas: 10, schools: 8,
+  },
+  {
+    town: 'Leicester', county: 'Leicestershire', lsoaPrefix: 'E01',
+    policeForce: 'Leicestershire', policeForceCode: 33,
+    localAuthorities: ['Leicester'],
+    postcodes: ['LE1', 'LE2', 'LE3', 'LE4'],
+    latitude: 52.6369, longitude: -1.1398, spread: 0.04, weight: 0.6, lsoas: 10, schools: 8,
+  },
+  {
+    town: 'Cardiff', county: 'South Glamorgan', lsoaPrefix: 'W01',
+    policeForce: 'South Wales', policeForceCode: 62,
+    localAuthorities: ['Cardiff'],
+    postcodes: ['CF10', 'CF11', 'CF14', 'CF24'],
+    latitude: 51.4816, longitude: -3.1791, spread: 0.04, weight: 0.6, lsoas: 10, schools: 8,
+  },
+]
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+// Relative accident frequency by hour of day (commuting and school-run peaks)
+export const HOUR_WEIGHTS = [
+  1, 0.7, 0.5, 0.4, 0.4, 0.8, 1.8, 3.8, 6.2, 4.2, 3.6, 4, 4.5, 4.6, 4.8, 6.4, 7.4, 7.2, 5.6, 3.9, 2.9, 2.4, 2, 1.5,
+]
+
+// Relative accident frequency by month (darker autumn evenings)
+export const MONTH_WEIGHTS = [0.95, 0.9, 0.95, 0.9, 1, 1.02, 1.05, 0.95, 1.05, 1.1, 1.12, 1]
+
+// STATS19 categorical values as [label, weight]
+export const SEVERITIES = [[1, 0.013], [2, 0.197], [3, 0.79]]
+
+export const ROAD_TYPES = [
+  ['Single carriageway', 0.73], ['Dual carriageway', 0.15], ['Roundabout', 0.07],
+  ['One way street', 0.03], ['Slip road', 0.02],
+]
+
+export const SPEED_LIMITS = [[20, 0.2], [30, 0.6], [40, 0.08], [50, 0.04], [60, 0.05], [70, 0.03]]
+
+export const WEATHER = [
+  ['Fine no high winds', 0.8], ['Raining no high winds', 0.12], ['Unknown', 0.03], ['Other', 0.02],
+  ['Fine + high winds', 0.01], ['Raining + high winds', 0.01], ['Snowing no high winds', 0.005],
+  ['Fog or mist', 0.005],
+]
+
+export const DARKNESS = [
+  ['Darkness - lights lit', 0.8], ['Darkness - no lighting', 0.12],
+  ['Darkness - lights unlit', 0.03], ['Darkness - lighting unknown', 0.05],
+]
+
+export const DRY_SURFACES = [['Dry', 0.92], ['Frost or ice', 0.05], ['Wet or damp', 0.03]]
+export const WET_SURFACES = [['Wet or damp', 0.95], ['Flood over 3cm. deep', 0.05]]
+
+export const JUNCTION_DETAILS = [
+  ['Not at junction or within 20 metres', 0.42], ['T or staggered junction', 0.3],
+  ['Crossroads', 0.1], ['Roundabout', 0.08], ['Other junction', 0.06], ['Private drive or entrance', 0.04],
+]
+
+export const JUNCTION_CONTROLS = [
+  ['Give way or uncontrolled', 0.75], ['Auto traffic signal', 0.22],
+  ['Authorised person', 0.02], ['Stop sign', 0.01],
+]
+
+export const ROAD_CLASSES = [['A', 0.45], ['Unclassified', 0.35], ['B', 0.1], ['C', 0.08], ['Motorway', 0.02]]
+
+export const PEDESTRIAN_CROSSINGS = [
+  ['No physical crossing facilities within 50 metres', 0.85], ['Pelican, puffin, toucan or similar', 0.08],
+  ['Zebra', 0.03], ['Pedestrian phase at traffic signal junction', 0.03], ['Central refuge', 0.01],
+]
+
+export const CARRIAGEWAY_HAZARDS = [
+  ['None', 0.98], ['Other object on road', 0.01], ['Previous accident', 0.005], ['Pedestrian in carriageway', 0.005],
+]
+
+export const SPECIAL_CONDITIONS = [
+  ['None', 0.97], ['Roadworks', 0.02], ['Road surface defective', 0.005], ['Oil or diesel', 0.005],
+]
+
+export const VEHICLE_TYPES = [
+  ['Car', 0.7], ['Van / Goods 3.5 tonnes mgw or under', 0.07], ['Pedal cycle', 0.07],
+  ['Motorcycle over 500cc', 0.03], ['Motorcycle 125cc and under', 0.03], ['Taxi/Private hire car', 0.03],
+  ['Bus or coach (17 or more pass seats)', 0.02], ['Goods 7.5 tonnes mgw and over', 0.02], ['Other vehicle', 0.03],
+]
+
+export const MANOEUVRES = [
+  ['Going ahead other', 0.45], ['Turning right', 0.1], ['Slowing or stopping', 0.07],
+  ['Waiting to go - held up', 0.06], ['Turning left', 0.05], ['Parked', 0.05], ['Moving off', 0.04],
+  ['Overtaking moving vehicle - offside', 0.03], ['Changing lane to right', 0.03],
+  ['Going ahead right-hand bend', 0.03], ['Going ahead left-hand bend', 0.03],
+  ['Waiting to turn right', 0.03], ['Reversing', 0.02], ['U-turn', 0.01],
+]
+
+export const DRIVER_SEXES = [['Male', 0.7], ['Female', 0.27], ['Not known', 0.03]]
+
+export const CASUALTY_CLASSES = [['Driver or rider', 0.65], ['Passenger', 0.2], ['Pedestrian', 0.15]]
+
+// School names and phases
+export const SCHOOL_NAMES = [
+  "St Mary's", 'Oakfield', 'Riverside', 'Hillcrest', 'Greenway', 'Church Lane', 'Parkside', "St John's",
+  'Westfield', 'Meadowbank', 'Kingsway', 'Holy Trinity', 'Elmwood', 'Brookside', 'Victoria Park',
+  'Ashgrove', 'Highfield', 'Millbrook', 'Queensbridge', 'Fairfield', 'Beechwood', 'Stonebridge',
+  'Newlands', 'Sacred Heart', 'Thornhill', 'Larkrise', 'Woodside', 'Orchard', 'Southgate', 'Northcote',
+]
+
+export const SCHOOL_PHASES = [
+  { phase: 'Primary', weight: 0.6, pupils: [180, 650], suffixes: ['Primary School', 'Infant School', 'Junior School', 'CofE Primary School'] },
+  { phase: 'Secondary', weight: 0.25, pupils: [600, 1800], suffixes: ['High School', 'Academy', 'Community School', 'Secondary School'] },
+  { phase: 'Nursery', weight: 0.05, pupils: [40, 140], suffixes: ['Nursery School'] },
+  { phase: 'All-through', weight: 0.05, pupils: [900, 2100], suffixes: ['All-Through School'] },
+  { phase: '16 plus', weight: 0.05, pupils: [300, 1400], suffixes: ['Sixth Form College'] },
+]
+
+export const STREETS = [
+  'High Street', 'Church Road', 'Station Road', 'Park Lane', 'Victoria Road', 'Green Lane',
+  'Manor Road', 'School Lane', 'Mill Lane', 'King Street', 'Queens Road', 'London Road',
+]
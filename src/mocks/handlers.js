@@ -0,0 +1,503 @@
+import { DAY_NAMES, YEARS } from './fixtures'
+import { getMockData, accidentsNear, distanceMeters } from './data'
+
+// Mock API routes. Each handler takes the request params (and any path
+// captures) and returns the payload the real API would send for the
+// sample data, or throws a MockHttpError.
+
+export class MockHttpError extends Error {
+  constructor(status, detail) {
+    super(detail)
+    this.name = 'MockHttpError'
+    this.status = status
+  }
+}
+
+const notFound = (detail) => new MockHttpError(404, detail)
+
+// School risk thresholds (accidents within the radius), as used on the
+// School Safety page
+const SCHOOL_RISK = { high: 10, medium: 5 }
+
+const DEFAULT_SCHOOL_RADIUS = 500
+const HEATMAP_CELL = 0.005
+const MAX_PAGE_SIZE = 5000
+
+const present = (value) => value !== undefined && value !== null && value !== ''
+
+// Years from a `year` or comma-separated `years` param, or null for all
+function parseYears(value) {
+  if (!present(value)) return null
+  const years = String(value).split(',').map(Number).filter(Number.isFinite)
+  return years.length > 0 ? years : null
+}
+
+const byYears = (accidents, years) => (
+  years ? accidents.filter(a => years.includes(a.accident_year)) : accidents
+)
+
+const toNumber = (value, fallback) => (present(value) && Number.isFinite(Number(value)) ? Number(value) : fallback)
+
+function severityBreakdown(accidents) {
+  const breakdown = { fatal: 0, serious: 0, slight: 0 }
+  accidents.forEach(a => {
+    if (a.severity === 1) breakdown.fatal += 1
+    else if (a.severity === 2) breakdown.serious += 1
+    else breakdown.slight += 1
+  })
+  return breakdown
+}
+
+function summarise(accidents, year = null) {
+  return {
+    year,
+    total_accidents: accidents.length,
+    total_casualties: accidents.reduce((sum, a) => sum + a.number_of_casualties, 0),
+    total_vehicles: accidents.reduce((sum, a) => sum + a.number_of_vehicles, 0),
+    severity_breakdown: severityBreakdown(accidents),
+  }
+}
+
+// Counts of a field's values, most common first
+function countBy(accidents, field) {
+  const counts = new Map()
+  accidents.forEach(a => counts.set(a[field], (counts.get(a[field]) || 0) + 1))
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count)
+}
+
+function hourlyPattern(accidents) {
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, total_accidents: 0, fatal: 0, serious: 0 }))
+  accidents.forEach(a => {
+    const bucket = hours[Number(a.accident_time.slice(0, 2))]
+    bucket.total_accidents += 1
+    if (a.severity === 1) bucket.fatal += 1
+    if (a.severity === 2) bucket.serious += 1
+  })
+  return hours
+}
+
+// STATS19 numbers days from 1 = Sunday
+function dailyPattern(accidents) {
+  const days = DAY_NAMES.map((day_name, i) => ({ day: i + 1, day_name, total_accidents: 0 }))
+  accidents.forEach(a => {
+    days[DAY_NAMES.indexOf(a.day_of_week)].total_accidents += 1
+  })
+  return days
+}
+
+// List items carry the core accident fields only
+function toListItem(accident, distance) {
+  const item = {
+    accident_id: accident.accident_id,
+    severity: accident.severity,
+    latitude: accident.latitude,
+    longitude: accident.longitude,
+    accident_date: accident.accident_date,
+    accident_time: accident.accident_time,
+    accident_year: accident.accident_year,
+    day_of_week: accident.day_of_week,
+    number_of_casualties: accident.number_of_casualties,
+    number_of_vehicles: accident.number_of_vehicles,
+    lsoa_code: accident.lsoa_code,
+  }
+  if (distance !== undefined) item.distance_meters = Math.round(distance)
+  return item
+}
+
+const byDateDesc = (a, b) => (
+  `${b.accident_date} ${b.accident_time}`.localeCompare(`${a.accident_date} ${a.accident_time}`)
+)
+
+function paginate(items, params, defaultPageSize) {
+  const page = Math.max(1, toNumber(params.page, 1))
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, toNumber(params.page_size ?? params.limit, defaultPageSize)))
+  return {
+    data: items.slice((page - 1) * pageSize, page * pageSize),
+    total: items.length,
+    page,
+    page_size: pageSize,
+    total_pages: Math.ceil(items.length / pageSize),
+  }
+}
+
+// Analytics
+
+function getHotspots(accidents, limit) {
+  const { lsoasByCode } = getMockData()
+  const groups = new Map()
+  accidents.forEach(a => {
+    if (!groups.has(a.lsoa_code)) groups.set(a.lsoa_code, [])
+    groups.get(a.lsoa_code).push(a)
+  })
+
+  return [...groups]
+    .map(([code, areaAccidents]) => {
+      const lsoa = lsoasByCode.get(code)
+      const { fatal, serious, slight } = severityBreakdown(areaAccidents)
+      return {
+        lsoa_code: code,
+        lsoa_name: lsoa.lsoa_name,
+        latitude: lsoa.latitude,
+        longitude: lsoa.longitude,
+        local_authority: lsoa.local_authority,
+        accident_count: areaAccidents.length,
+        fatal_count: fatal,
+        serious_count: serious,
+        slight_count: slight,
+        risk_score: fatal * 10 + serious * 3 + slight,
+      }
+    })
+    .sort((a, b) => b.risk_score - a.risk_score)
+    .slice(0, limit)
+}
+
+function getHeatmap(accidents, limit) {
+  const cells = new Map()
+  accidents.forEach(a => {
+    const key = `${Math.floor(a.latitude / HEATMAP_CELL)}:${Math.floor(a.longitude / HEATMAP_CELL)}`
+    if (!cells.has(key)) cells.set(key, { lat: 0, lng: 0, count: 0, fatal: 0, serious: 0 })
+    const cell = cells.get(key)
+    cell.lat += a.latitude
+    cell.lng += a.longitude
+    cell.count += 1
+    if (a.severity === 1) cell.fatal += 1
+    if (a.severity === 2) cell.serious += 1
+  })
+
+  return [...cells.values()]
+    .map(cell => ({
+      lat: Number((cell.lat / cell.count).toFixed(5)),
+      lng: Number((cell.lng / cell.count).toFixed(5)),
+      intensity: Math.min(10, cell.count + cell.fatal * 2 + cell.serious),
+      count: cell.count,
+      fatal: cell.fatal,
+      serious: cell.serious,
+    }))
+    .sort((a, b) => b.intensity - a.intensity)
+    .slice(0, limit)
+}
+
+function getTimeSeries(params) {
+  const { accidents } = getMockData()
+  const startYear = toNumber(params.start_year, YEARS[0])
+  const endYear = toNumber(params.end_year, YEARS[YEARS.length - 1])
+  const byYear = params.granularity === 'year'
+
+  const points = new Map()
+  for (let year = startYear; year <= endYear; year++) {
+    if (byYear) {
+      points.set(String(year), [])
+    } else {
+      for (let month = 1; month <= 12; month++) {
+        points.set(`${year}-${String(month).padStart(2, '0')}`, [])
+      }
+    }
+  }
+  accidents.forEach(a => {
+    const period = byYear ? String(a.accident_year) : a.accident_date.slice(0, 7)
+    points.get(period)?.push(a)
+  })
+
+  return [...points].map(([period, periodAccidents]) => ({
+    period,
+    total_accidents: periodAccidents.length,
+    ...severityBreakdown(periodAccidents),
+  }))
+}
+
+function getPoliceForces(accidents) {
+  const groups = new Map()
+  accidents.forEach(a => {
+    if (!groups.has(a.police_force)) groups.set(a.police_force, [])
+    groups.get(a.police_force).push(a)
+  })
+
+  return [...groups]
+    .map(([name, forceAccidents]) => {
+      const { fatal, serious } = severityBreakdown(forceAccidents)
+      return {
+        police_force_name: name,
+        total_accidents: forceAccidents.length,
+        fatal_accidents: fatal,
+        serious_accidents: serious,
+        ksi_rate: Number(((fatal + serious) / forceAccidents.length * 100).toFixed(1)),
+      }
+    })
+    .sort((a, b) => b.total_accidents - a.total_accidents)
+}
+
+function getVehicleTypes(accidents) {
+  const counts = new Map()
+  accidents.forEach(a => a.vehicles.forEach(v => {
+    counts.set(v.vehicle_type, (counts.get(v.vehicle_type) || 0) + 1)
+  }))
+  return [...counts]
+    .map(([vehicle_type_name, vehicle_count]) => ({ vehicle_type_name, vehicle_count }))
+    .sort((a, b) => b.vehicle_count - a.vehicle_count)
+}
+
+// Accidents
+
+function getAccidentsPage(params) {
+  const years = parseYears(params.year ?? params.years)
+  let accidents = byYears(getMockData().accidents, years)
+
+  if (present(params.severity)) {
+    accidents = accidents.filter(a => a.severity === Number(params.severity))
+  }
+  if (present(params.lsoa_code)) {
+    accidents = accidents.filter(a => a.lsoa_code === params.lsoa_code)
+  }
+  if (present(params.min_lat) && present(params.max_lat) && present(params.min_lng) && present(params.max_lng)) {
+    const [minLat, maxLat, minLng, maxLng] = [params.min_lat, params.max_lat, params.min_lng, params.max_lng].map(Number)
+    accidents = accidents.filter(a => (
+      a.latitude >= minLat && a.latitude <= maxLat && a.longitude >= minLng && a.longitude <= maxLng
+    ))
+  }
+
+  return paginate([...accidents].sort(byDateDesc).map(a => toListItem(a)), params, 100)
+}
+
+function getNearbyAccidents(params) {
+  const latitude = toNumber(params.lat)
+  const longitude = toNumber(params.lon)
+  if (latitude === undefined || longitude === undefined) {
+    throw new MockHttpError(422, 'lat and lon are required')
+  }
+  const radius = toNumber(params.radius, 500)
+  const accidents = byYears(getMockData().accidents, parseYears(params.years))
+  const nearby = accidentsNear(accidents, latitude, longitude, radius)
+
+  return {
+    data: nearby.slice(0, toNumber(params.limit, 100)).map(({ accident, distance }) => toListItem(accident, distance)),
+    center: { latitude, longitude },
+    radius_meters: radius,
+    total: nearby.length,
+  }
+}
+
+function getLsoaStats(code) {
+  const lsoa = getMockData().lsoasByCode.get(code)
+  if (!lsoa) throw notFound(`LSOA ${code} not found`)
+  const accidents = getMockData().accidents.filter(a => a.lsoa_code === code)
+
+  return {
+    lsoa_code: code,
+    lsoa_name: lsoa.lsoa_name,
+    centroid: { latitude: lsoa.latitude, longitude: lsoa.longitude },
+    local_authority: lsoa.local_authority,
+    ...summarise(accidents),
+    yearly_trend: YEARS.map(year => summarise(byYears(accidents, [year]), year)),
+    hourly_pattern: hourlyPattern(accidents),
+    daily_pattern: dailyPattern(accidents),
+  }
+}
+
+// Schools
+
+const schoolStatsCache = new Map()
+
+// Accidents near every school for a radius and year, keyed by URN
+function getSchoolStats(radius, years) {
+  const key = `${radius}:${years ? years.join(',') : 'all'}`
+  if (schoolStatsCache.has(key)) return schoolStatsCache.get(key)
+
+  const { schools, accidents } = getMockData()
+  const filtered = byYears(accidents, years)
+  const stats = new Map(schools.map(school => {
+    const nearby = accidentsNear(filtered, school.latitude, school.longitude, radius)
+    const { fatal, serious, slight } = severityBreakdown(nearby.map(({ accident }) => accident))
+    return [school.urn, {
+      nearby,
+      accident_count: nearby.length,
+      fatal_count: fatal,
+      serious_count: serious,
+      slight_count: slight,
+    }]
+  }))
+
+  schoolStatsCache.set(key, stats)
+  return stats
+}
+
+function withStats(school, stats) {
+  const { nearby, ...counts } = stats.get(school.urn)
+  return { ...school, ...counts }
+}
+
+const schoolRiskLevel = (school) => (
+  school.accident_count >= SCHOOL_RISK.high ? 'high'
+    : school.accident_count >= SCHOOL_RISK.medium ? 'medium'
+      : 'low'
+)
+
+// Server-side score: severity-weighted accidents, level by count
+const withRiskScore = (school) => ({
+  ...school,
+  risk_score: school.fatal_count * 10 + school.serious_count * 3 + school.slight_count,
+  risk_level: schoolRiskLevel(school),
+})
+
+function getSchoolsPage(params) {
+  const stats = getSchoolStats(toNumber(params.radius, DEFAULT_SCHOOL_RADIUS), parseYears(params.year))
+  let schools = getMockData().schools.map(school => withStats(school, stats))
+
+  if (present(params.search)) {
+    const search = params.search.toLowerCase()
+    schools = schools.filter(s => [s.name, s.postcode, s.town].some(v => v.toLowerCase().includes(search)))
+  }
+  if (present(params.phase)) schools = schools.filter(s => s.phase_of_education === params.phase)
+  if (present(params.county)) schools = schools.filter(s => s.county === params.county)
+  if (present(params.town)) {
+    schools = schools.filter(s => s.town.toLowerCase() === params.town.toLowerCase())
+  }
+  if (present(params.risk_level)) schools = schools.filter(s => schoolRiskLevel(s) === params.risk_level)
+
+  const orderBy = ['accident_count', 'fatal_count', 'name', 'number_of_pupils'].includes(params.order_by)
+    ? params.order_by
+    : 'accident_count'
+  const direction = params.order_dir === 'asc' ? 1 : -1
+  schools.sort((a, b) => direction * (
+    orderBy === 'name' ? a.name.localeCompare(b.name) : a[orderBy] - b[orderBy]
+  ))
+
+  return paginate(schools, params, 50)
+}
+
+function getSchoolsSummary(params) {
+  const stats = getSchoolStats(toNumber(params.radius, DEFAULT_SCHOOL_RADIUS), parseYears(params.year))
+  const schools = getMockData().schools.map(school => withStats(school, stats))
+  // Accidents near more than one school are counted once
+  const accidents = new Set()
+  stats.forEach(({ nearby }) => nearby.forEach(({ accident }) => accidents.add(accident)))
+
+  return {
+    total_schools: schools.length,
+    total_accidents: accidents.size,
+    total_fatal: [...accidents].filter(a => a.severity === 1).length,
+    high_risk_count: schools.filter(s => schoolRiskLevel(s) === 'high').length,
+    medium_risk_count: schools.filter(s => schoolRiskLevel(s) === 'medium').length,
+    low_risk_count: schools.filter(s => schoolRiskLevel(s) === 'low').length,
+  }
+}
+
+const uniqueSorted = (values) => [...new Set(values)].sort((a, b) => a.localeCompare(b))
+
+function getSchoolsNearby(params) {
+  const latitude = toNumber(params.lat)
+  const longitude = toNumber(params.lon)
+  if (latitude === undefined || longitude === undefined) {
+    throw new MockHttpError(422, 'lat and lon are required')
+  }
+  const radius = toNumber(params.radius, 1000)
+  const stats = getSchoolStats(DEFAULT_SCHOOL_RADIUS, null)
+
+  const nearby = getMockData().schools
+    .map(school => ({
+      ...withStats(school, stats),
+      distance_meters: Math.round(distanceMeters(latitude, longitude, school.latitude, school.longitude)),
+    }))
+    .filter(school => school.distance_meters <= radius)
+    .sort((a, b) => a.distance_meters - b.distance_meters)
+
+  return { data: nearby.slice(0, toNumber(params.limit, 20)), total: nearby.length }
+}
+
+function findSchool(urn) {
+  const school = getMockData().schoolsByUrn.get(urn)
+  if (!school) throw notFound('School not found')
+  return school
+}
+
+function getSchool(urn, params) {
+  const school = findSchool(urn)
+  const stats = getSchoolStats(toNumber(params.radius, DEFAULT_SCHOOL_RADIUS), parseYears(params.year))
+  const { nearby } = stats.get(urn)
+
+  return {
+    ...withStats(school, stats),
+    // Casualties let the client narrow the school run to child casualties
+    accidents: nearby
+      .map(({ accident, distance }) => ({ ...toListItem(accident, distance), casualties: accident.casualties }))
+      .sort(byDateDesc),
+  }
+}
+
+// Accidents around a school, newest first, for a year
+function getSchoolAccidents(urn, params) {
+  const school = findSchool(urn)
+  const radius = toNumber(params.radius, DEFAULT_SCHOOL_RADIUS)
+
+  const accidents = byYears(getMockData().accidents, parseYears(params.year))
+  const nearby = accidentsNear(accidents, school.latitude, school.longitude, radius)
+    .map(({ accident, distance }) => toListItem(accident, distance))
+    .sort(byDateDesc)
+  return paginate(nearby, params, 50)
+}
+
+// Routes - first match wins, so fixed paths come before parameterised ones
+const yearAccidents = (params) => byYears(getMockData().accidents, parseYears(params.year))
+
+const routes = [
+  ['/health', () => ({ status: 'healthy', database: 'mock' })],
+
+  ['/analytics/summary', () => summarise(getMockData().accidents)],
+  ['/analytics/summary/bulk', (params) => (parseYears(params.years) || YEARS)
+    .map(year => summarise(byYears(getMockData().accidents, [year]), year))],
+  [/^\/analytics\/summary\/(\d{4})$/, (params, [year]) => (
+    summarise(byYears(getMockData().accidents, [Number(year)]), Number(year))
+  )],
+  ['/analytics/timeseries', getTimeSeries],
+  ['/analytics/patterns/hourly', (params) => hourlyPattern(yearAccidents(params))],
+  ['/analytics/patterns/daily', (params) => dailyPattern(yearAccidents(params))],
+  ['/analytics/police-forces', (params) => getPoliceForces(yearAccidents(params))],
+  ['/analytics/hotspots', (params) => getHotspots(yearAccidents(params), toNumber(params.limit, 50))],
+  ['/analytics/vehicle-types', (params) => getVehicleTypes(yearAccidents(params))],
+  ['/analytics/accident-conditions', (params) => {
+    const accidents = yearAccidents(params)
+    return {
+      weather: countBy(accidents, 'weather_conditions'),
+      light: countBy(accidents, 'light_conditions'),
+      road_surface: countBy(accidents, 'road_surface_conditions'),
+      road_type: countBy(accidents, 'road_type'),
+    }
+  }],
+  ['/analytics/heatmap-data', (params) => getHeatmap(yearAccidents(params), toNumber(params.limit, 5000))],
+
+  ['/accidents', getAccidentsPage],
+  ['/accidents/nearby', getNearbyAccidents],
+  [/^\/accidents\/lsoa\/([^/]+)\/stats$/, (params, [code]) => getLsoaStats(code)],
+  [/^\/accidents\/([^/]+)$/, (params, [id]) => {
+    const accident = getMockData().accidentsById.get(id)
+    if (!accident) throw notFound('Accident not found')
+    return accident
+  }],
+
+  ['/schools', getSchoolsPage],
+  ['/schools/summary', getSchoolsSummary],
+  ['/schools/risk', (params) => {
+    const page = getSchoolsPage(params)
+    return { ...page, data: page.data.map(withRiskScore) }
+  }],
+  ['/schools/risk/summary', getSchoolsSummary],
+  ['/schools/phases', () => uniqueSorted(getMockData().schools.map(s => s.phase_of_education))],
+  ['/schools/counties', () => uniqueSorted(getMockData().schools.map(s => s.county))],
+  ['/schools/nearby', getSchoolsNearby],
+  [/^\/schools\/([^/]+)\/accidents$/, (params, [urn]) => getSchoolAccidents(urn, params)],
+  [/^\/schools\/([^/]+)$/, (params, [urn]) => getSchool(urn, params)],
+]
+
+// Handle a GET for a path relative to the API base
+export function handleMockRequest(path, params = {}) {
+  for (const [pattern, handler] of routes) {
+    if (typeof pattern === 'string') {
+      if (pattern === path) return handler(params, [])
+    } else {
+      const match = path.match(pattern)
+      if (match) return handler(params, match.slice(1).map(decodeURIComponent))
+    }
+  }
+  throw notFound('Not Found')
+}
@@ -1,33 +1,86 @@
-import { useState, useEffect, useCallback, useMemo, memo, useRef } from 'react'
-import { MapContainer, TileLayer, CircleMarker, Popup, useMapEvents, useMap } from 'react-leaflet'
-import { Search, Filter, Crosshair, Layers, RefreshCw, ZoomIn } from 'lucide-react'
-import { getNearbyAccidents } from '../services/api'
+import { useState, useEffect, useCallback, useMemo, memo } from 'react'
+import { MapContainer, TileLayer, CircleMarker, Marker, Popup, useMapEvents, useMap } from 'react-leaflet'
+import { Search, Filter, Crosshair, Layers, RefreshCw, ZoomIn, FileText, PenTool, Pentagon, RectangleHorizontal, Route, Navigation, Upload } from 'lucide-react'
+import { getNearbyAccidents, getSchoolsNearLocation, isCancel } from '../services/api'
+import useOpenAccident from '../hooks/useOpenAccident'
+import useRequestController from '../hooks/useRequestController'
+import useDebounce from '../hooks/useDebounce'
+import LsoaLink from '../components/LsoaLink'
+import LocationSearch from '../components/LocationSearch'
+import MapViewSync from '../components/MapViewSync'
+import MarkerClusterGroup, { createBreakdownClusterIcon, createDotIcon } from '../components/MarkerClusterGroup'
+import CanvasPointLayer from '../components/CanvasPointLayer'
+import ShapeDrawer, { ShapeLayer } from '../components/ShapeDrawer'
+import AreaAnalysisPanel from '../components/AreaAnalysisPanel'
+import RouteSafetyPanel, { RouteSegmentsLayer } from '../components/RouteSafetyPanel'
+import ExportMenu from '../components/ExportMenu'
+import NearbySchoolsPanel, { SchoolLayer, NEARBY_SCHOOL_LIMIT } from '../components/NearbySchoolsPanel'
+import MapImageExport from '../components/MapImageExport'
+import useUrlState from '../hooks/useUrlState'
+import useApiQuery from '../hooks/useApiQuery'
+import useViewportAccidents from '../hooks/useViewportAccidents'
+import useAreaAccidents from '../hooks/useAreaAccidents'
+import useRouteAccidents from '../hooks/useRouteAccidents'
+import { decodeShape, encodeShape } from '../utils/geometry'
+import { analyseRoute } from '../utils/routeStats'
+import { readRouteFile } from '../utils/routeFiles'
 import 'leaflet/dist/leaflet.css'
 
-// Debounce hook for search optimization
-function useDebounce(callback, delay) {
-  const timeoutRef = useRef(null)
-  
-  return useCallback((...args) => {
-    if (timeoutRef.current) {
-      clearTimeout(timeoutRef.current)
-    }
-    timeoutRef.current = setTimeout(() => {
-      callback(...args)
-    }, delay)
-  }, [callback, delay])
+// Default search - central London
+const DEFAULT_SEARCH = {
+  radius: 1000,
+  year: '',
+  severity: '',
+  limit: 100,
+  lat: 51.5074,
+  lng: -0.1278,
+  zoom: 14,
+  // Map centre when panned away from the search point (outside map area mode)
+  viewLat: '',
+  viewLng: '',
+  // 'radius' searches around a point; 'viewport' loads the visible map area;
+  // 'route' checks a route
+  mode: 'radius',
+  // Map rendering - 'markers', 'canvas', or 'auto' to pick by result count
+  render: 'auto',
+  // Drawn analysis area, encoded by utils/geometry
+  area: '',
+  // Route for the safety check, encoded as a line shape
+  route: '',
+  // Schools near the search point drawn on the map
+  schoolLayer: true,
 }
 
-// Virtual marker rendering - only render visible markers
-function useVisibleMarkers(accidents, maxVisible = 200) {
-  return useMemo(() => {
-    if (accidents.length <= maxVisible) return accidents
-    // Prioritize by severity (fatal first) then take top N
-    return [...accidents]
-      .sort((a, b) => a.severity - b.severity)
-      .slice(0, maxVisible)
-  }, [accidents, maxVisible])
-}
+// Clears a panned view so the map centres on a new search point
+const AT_SEARCH_POINT = { viewLat: '', viewLng: '' }
+
+// Above this many results 'auto' rendering draws accidents on a canvas
+// rather than as clustered markers
+const CANVAS_THRESHOLD = 2000
+
+const SEARCH_MODES = [
+  { value: 'radius', label: 'Around a point' },
+  { value: 'viewport', label: 'Map area' },
+  { value: 'route', label: 'Route' },
+]
+
+const DRAW_TOOLS = [
+  { value: 'polygon', label: 'Polygon', icon: Pentagon, hint: 'Click each corner, then double-click to finish.' },
+  { value: 'rectangle', label: 'Rectangle', icon: RectangleHorizontal, hint: 'Click two opposite corners.' },
+  { value: 'line', label: 'Road', icon: Route, hint: 'Click along the road, then double-click to finish.' },
+]
+
+// Road corridor and route widths, in metres either side of the line
+const CORRIDOR_WIDTHS = [25, 50, 100, 200]
+
+const RENDER_MODES = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'markers', label: 'Markers' },
+  { value: 'canvas', label: 'Canvas' },
+]
+
+// Search points are stored to ~1m precision
+const roundCoord = (value) => Number(value.toFixed(5))
 
 // Severity colors
 const SEVERITY_COLORS = {
@@ -42,6 +95,37 @@ const SEVERITY_LABELS = {
   3: 'Slight',
 }
 
+// Marker icons - more severe accidents are drawn larger
+const SEVERITY_ICONS = {
+  1: createDotIcon(SEVERITY_COLORS[1], 16),
+  2: createDotIcon(SEVERITY_COLORS[2], 12),
+  3: createDotIcon(SEVERITY_COLORS[3], 10),
+}
+const UNKNOWN_SEVERITY_ICON = createDotIcon('#6b7280', 10)
+
+// Canvas point style, matching the marker icons
+const SEVERITY_RADII = { 1: 8, 2: 6, 3: 5 }
+
+const getAccidentPosition = (accident) => (
+  accident.latitude === null || accident.longitude === null ? null : [accident.latitude, accident.longitude]
+)
+
+const getAccidentStyle = (accident) => ({
+  color: SEVERITY_COLORS[accident.severity] || '#6b7280',
+  radius: SEVERITY_RADII[accident.severity] || 5,
+})
+
+const SEVERITY_LEGEND = [1, 2, 3].map(severity => ({ label: SEVERITY_LABELS[severity], color: SEVERITY_COLORS[severity] }))
+
+const getAccidentName = (accident) => `${SEVERITY_LABELS[accident.severity] || 'Unknown'} accident ${accident.accident_id}`
+const getAccidentColor = (accident) => SEVERITY_COLORS[accident.severity]
+
+// Cluster bubbles ringed by the severity mix of their accidents
+export const severityClusterIcon = createBreakdownClusterIcon(
+  (marker) => marker.options.severity,
+  [1, 2, 3].map(severity => ({ key: severity, label: SEVERITY_LABELS[severity], color: SEVERITY_COLORS[severity] }))
+)
+
 // Map click handler component
 function MapClickHandler({ onClick }) {
   useMapEvents({
@@ -52,50 +136,77 @@ function MapClickHandler({ onClick }) {
   return null
 }
 
-// Accident marker component - Memoized for performance
-const AccidentMarker = memo(function AccidentMarker({ accident }) {
-  const color = SEVERITY_COLORS[accident.severity] || '#6b7280'
-  const radius = accident.severity === 1 ? 8 : accident.severity === 2 ? 6 : 4
+// Reports the map's bounds and zoom when mounted and after every move
+function ViewportWatcher({ onChange }) {
+  const map = useMap()
 
-  // Handle both nested location object and direct lat/lng
-  const lat = accident.location?.latitude || accident.latitude
-  const lng = accident.location?.longitude || accident.longitude
+  useEffect(() => {
+    const report = () => {
+      const bounds = map.getBounds()
+      onChange({
+        bounds: {
+          south: bounds.getSouth(),
+          west: bounds.getWest(),
+          north: bounds.getNorth(),
+          east: bounds.getEast(),
+        },
+        zoom: map.getZoom(),
+      })
+    }
+    report()
+    map.on('moveend', report)
+    return () => map.off('moveend', report)
+  }, [map, onChange])
 
-  if (!lat || !lng) return null
+  return null
+}
 
+// Accident summary shown in map popups
+function AccidentPopup({ accident, onOpenDetail }) {
   return (
-    <CircleMarker
-      center={[lat, lng]}
-      radius={radius}
-      pathOptions={{
-        color: color,
-        fillColor: color,
-        fillOpacity: 0.7,
-        weight: 2,
-      }}
+    <div className="min-w-48">
+      <div className="font-semibold text-gray-900 mb-2">
+        {SEVERITY_LABELS[accident.severity]} Accident
+      </div>
+      <div className="text-sm space-y-1">
+        <p><span className="text-gray-500">Date:</span> {accident.accident_date}</p>
+        <p><span className="text-gray-500">Time:</span> {accident.accident_time || 'N/A'}</p>
+        <p><span className="text-gray-500">Casualties:</span> {accident.number_of_casualties}</p>
+        <p><span className="text-gray-500">Distance:</span> {accident.distance_meters ? Math.round(accident.distance_meters) + 'm' : 'N/A'}</p>
+        {accident.lsoa_code && (
+          <p><span className="text-gray-500">LSOA:</span> <LsoaLink code={accident.lsoa_code} /></p>
+        )}
+      </div>
+      <button
+        onClick={() => onOpenDetail(accident.accident_id)}
+        className="mt-2 flex items-center gap-1 text-xs text-blue-600 hover:underline"
+      >
+        <FileText className="w-3 h-3" />
+        View full record
+      </button>
+    </div>
+  )
+}
+
+// Accident marker component - Memoized for performance
+const AccidentMarker = memo(function AccidentMarker({ accident, onOpenDetail }) {
+  if (accident.latitude === null || accident.longitude === null) return null
+
+  return (
+    <Marker
+      position={[accident.latitude, accident.longitude]}
+      icon={SEVERITY_ICONS[accident.severity] || UNKNOWN_SEVERITY_ICON}
+      severity={accident.severity}
     >
       <Popup>
-        <div className="min-w-48">
-          <div className="font-semibold text-gray-900 mb-2">
-            {SEVERITY_LABELS[accident.severity]} Accident
-          </div>
-          <div className="text-sm space-y-1">
-            <p><span className="text-gray-500">Date:</span> {accident.accident_date}</p>
-            <p><span className="text-gray-500">Time:</span> {accident.accident_time || 'N/A'}</p>
-            <p><span className="text-gray-500">Casualties:</span> {accident.number_of_casualties}</p>
-            <p><span className="text-gray-500">Distance:</span> {accident.distance_meters ? Math.round(accident.distance_meters) + 'm' : 'N/A'}</p>
-            {accident.lsoa_code && (
-              <p><span className="text-gray-500">LSOA:</span> {accident.lsoa_code}</p>
-            )}
-          </div>
-        </div>
+        <AccidentPopup accident={accident} onOpenDetail={onOpenDetail} />
       </Popup>
-    </CircleMarker>
+    </Marker>
   )
 }, (prev, next) => prev.accident.accident_id === next.accident.accident_id)
 
 // Filter panel - Memoized
-const FilterPanel = memo(function FilterPanel({ filters, setFilters, onSearch, loading }) {
+const FilterPanel = memo(function FilterPanel({ filters, setFilters, onSearch, loading, mode, onModeChange }) {
   const handleRadiusChange = useCallback((e) => {
     setFilters(prev => ({ ...prev, radius: Number(e.target.value) }))
   }, [setFilters])
@@ -120,22 +231,40 @@ const FilterPanel = memo(function FilterPanel({ filters, setFilters, onSearch, l
       </h3>
 
       <div className="space-y-4">
-        {/* Radius */}
-        <div>
-          <label className="block text-sm text-gray-600 mb-1">
-            Search Radius: {filters.radius}m
-          </label>
-          <input
-            type="range"
-            min="100"
-            max="5000"
-            step="100"
-            value={filters.radius}
-            onChange={handleRadiusChange}
-            className="w-full"
-          />
+        {/* Search mode */}
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+          {SEARCH_MODES.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => onModeChange(value)}
+              aria-pressed={mode === value}
+              className={`flex-1 px-2 py-1 text-sm ${
+                mode === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
 
+        {/* Radius */}
+        {mode === 'radius' && (
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">
+              Search Radius: {filters.radius}m
+            </label>
+            <input
+              type="range"
+              min="100"
+              max="20000"
+              step="100"
+              value={filters.radius}
+              onChange={handleRadiusChange}
+              className="w-full"
+            />
+          </div>
+        )}
+
         {/* Year */}
         <div>
           <label className="block text-sm text-gray-600 mb-1">Year</label>
@@ -169,19 +298,26 @@ const FilterPanel = memo(function FilterPanel({ filters, setFilters, onSearch, l
         </div>
 
         {/* Limit */}
-        <div>
-          <label className="block text-sm text-gray-600 mb-1">Max Results</label>
-          <select
-            value={filters.limit}
-            onChange={(e) => setFilters({ ...filters, limit: Number(e.target.value) })}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
-          >
-            <option value="50">50</option>
-            <option value="100">100</option>
-            <option value="250">250</option>
-            <option value="500">500</option>
-          </select>
-        </div>
+        {mode === 'radius' && (
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Max Results</label>
+            <select
+              value={filters.limit}
+              onChange={(e) => setFilters({ ...filters, limit: Number(e.target.value) })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              <option value="50">50</option>
+              <option value="100">100</option>
+              <option value="250">250</option>
+              <option value="500">500</option>
+              <option value="1000">1,000</option>
+              <option value="2500">2,500</option>
+              <option value="5000">5,000</option>
+              <option value="10000">10,000</option>
+              <option value="25000">25,000</option>
+            </select>
+          </div>
+        )}
 
         <button
           onClick={onSearch}
@@ -196,8 +332,8 @@ const FilterPanel = memo(function FilterPanel({ filters, setFilters, onSearch, l
   )
 })
 
-// Legend component
-function MapLegend() {
+// Legend component, with the map rendering switch
+function MapLegend({ render, onRenderChange }) {
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
       <h3 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
@@ -215,82 +351,465 @@ function MapLegend() {
           </div>
         ))}
       </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Numbered circles group nearby accidents, ringed by severity. Click one to zoom in.
+      </p>
+
+      <div className="mt-4">
+        <label className="block text-sm text-gray-600 mb-1">Rendering</label>
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+          {RENDER_MODES.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => onRenderChange(value)}
+              aria-pressed={render === value}
+              className={`flex-1 px-2 py-1 text-sm ${
+                render === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          Canvas draws every accident without clustering - best for large result sets.
+        </p>
+      </div>
+    </div>
+  )
+}
+
+// Drawing tools for the area analysis
+function DrawToolsPanel({ tool, onToolChange, corridorWidth, onCorridorWidthChange }) {
+  const active = DRAW_TOOLS.find(({ value }) => value === tool)
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
+      <h3 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
+        <PenTool className="w-4 h-4" />
+        Analyse an Area
+      </h3>
+      <div className="grid grid-cols-3 gap-2">
+        {DRAW_TOOLS.map(({ value, label, icon: Icon }) => (
+          <button
+            key={value}
+            onClick={() => onToolChange(tool === value ? null : value)}
+            aria-pressed={tool === value}
+            className={`flex flex-col items-center gap-1 px-2 py-2 text-xs rounded-lg border ${
+              tool === value
+                ? 'bg-purple-600 border-purple-600 text-white'
+                : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tool === 'line' && (
+        <div className="mt-3">
+          <label className="block text-sm text-gray-600 mb-1">Corridor width</label>
+          <select
+            value={corridorWidth}
+            onChange={(e) => onCorridorWidthChange(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+          >
+            {CORRIDOR_WIDTHS.map(width => (
+              <option key={width} value={width}>{width} m either side</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 mt-3">
+        {active
+          ? `${active.hint} Press Esc to cancel.`
+          : 'Draw a shape on the map to analyse the accidents inside it.'}
+      </p>
+    </div>
+  )
+}
+
+// Route input for the safety check: From/To searches, map clicks or a file
+function RoutePanel({ hasRoute, hasStart, width, onWidthChange, onFromSelect, onToSelect, onUpload, onClear }) {
+  const [fileError, setFileError] = useState(null)
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      onUpload(await readRouteFile(file))
+      setFileError(null)
+    } catch (error) {
+      setFileError(error.message)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
+      <h3 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
+        <Navigation className="w-4 h-4" />
+        Route Safety Check
+      </h3>
+
+      <div className="space-y-3">
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">From</label>
+          <LocationSearch onSelect={onFromSelect} placeholder="Start postcode or place" />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">To</label>
+          <LocationSearch onSelect={onToSelect} placeholder="Destination postcode or place" />
+        </div>
+
+        <p className="text-xs text-gray-500">
+          {hasRoute
+            ? 'Click the map to extend the route from its end.'
+            : hasStart
+              ? 'Click the map to set the destination.'
+              : 'Or click the map to set the start, then each turn to the destination.'}
+        </p>
+
+        <label className="flex items-center justify-center gap-2 w-full py-2 border border-dashed border-gray-300 rounded-lg text-sm text-gray-600 hover:bg-gray-50 cursor-pointer">
+          <Upload className="w-4 h-4" />
+          Upload GPX or GeoJSON
+          <input
+            type="file"
+            accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json"
+            onChange={handleFileChange}
+            className="sr-only"
+            aria-label="Upload a route file"
+          />
+        </label>
+        {fileError && <p className="text-xs text-red-600">{fileError}</p>}
+
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Route width</label>
+          <select
+            value={width}
+            onChange={(e) => onWidthChange(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+          >
+            {CORRIDOR_WIDTHS.map(w => (
+              <option key={w} value={w}>{w} m either side</option>
+            ))}
+          </select>
+        </div>
+
+        {(hasRoute || hasStart) && (
+          <button
+            onClick={onClear}
+            className="w-full py-2 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Clear route
+          </button>
+        )}
+      </div>
     </div>
   )
 }
 
+// Fits the map to a route when given a new one (e.g. an uploaded file)
+function FitRoute({ points }) {
+  const map = useMap()
+  useEffect(() => {
+    if (points) map.fitBounds(points, { padding: [24, 24] })
+  }, [points, map])
+  return null
+}
+
+// Loaded/total counts for the map area search
+function ViewportStatus({ loaded, total, loading, zoomedOut, error }) {
+  if (zoomedOut) {
+    return (
+      <p className="flex items-center gap-2">
+        <ZoomIn className="w-4 h-4" />
+        Zoom in to load accidents for this area
+      </p>
+    )
+  }
+
+  return (
+    <>
+      <p className="font-medium text-gray-900">
+        {loaded.toLocaleString()} of {total.toLocaleString()} accidents loaded
+      </p>
+      {loading && (
+        <div className="flex items-center gap-2 mt-1">
+          <RefreshCw className="w-4 h-4 animate-spin" />
+          Loading more...
+        </div>
+      )}
+      {!loading && loaded < total && (
+        <p className="text-xs text-amber-600 mt-1">Zoom in to load the rest of this area</p>
+      )}
+      {error && (
+        <p className="text-xs text-red-600 mt-1">Part of this area failed to load. Move the map to retry.</p>
+      )}
+    </>
+  )
+}
+
 // Main AccidentMap component
 export default function AccidentMap() {
   const [accidents, setAccidents] = useState([])
   const [loading, setLoading] = useState(false)
-  const [center, setCenter] = useState({ lat: 51.5074, lng: -0.1278 }) // London
-  const [filters, setFilters] = useState({
-    radius: 1000,
-    year: '',
-    severity: '',
-    limit: 100,
-  })
+  const [search, setSearch] = useUrlState(DEFAULT_SEARCH)
+  // Draft filters - committed to the URL when a search runs
+  const [filters, setFilters] = useState(() => ({
+    radius: search.radius,
+    year: search.year,
+    severity: search.severity,
+    limit: search.limit,
+  }))
   const [searchLocation, setSearchLocation] = useState(null)
+  const [viewport, setViewport] = useState(null)
+  const [drawTool, setDrawTool] = useState(null)
+  const [corridorWidth, setCorridorWidth] = useState(50)
+  // A route's lone start, until its destination is picked
+  const [routeStart, setRouteStart] = useState(null)
+  const [routeWidth, setRouteWidth] = useState(50)
+  const [routeFit, setRouteFit] = useState(null)
+  const openAccident = useOpenAccident()
+  const viewportMode = search.mode === 'viewport'
+  const routeMode = search.mode === 'route'
+  const pointMode = !viewportMode && !routeMode
+  const panned = !viewportMode && search.viewLat !== '' && search.viewLng !== ''
+  const viewLat = panned ? Number(search.viewLat) : search.lat
+  const viewLng = panned ? Number(search.viewLng) : search.lng
+
+  const viewportSearch = useViewportAccidents({
+    bounds: viewport?.bounds,
+    zoom: viewport?.zoom,
+    year: search.year,
+    severity: search.severity,
+    enabled: viewportMode,
+  })
+  const areaShape = useMemo(() => decodeShape(search.area), [search.area])
+  const areaSearch = useAreaAccidents(areaShape, { year: search.year, severity: search.severity })
+
+  const routeShape = useMemo(() => (routeMode ? decodeShape(search.route) : null), [routeMode, search.route])
+  const routeSearch = useRouteAccidents(routeShape?.points, { year: search.year, severity: search.severity })
+  const routeAnalysis = useMemo(
+    () => routeShape && analyseRoute(routeShape.points, routeSearch.accidents, routeShape.buffer),
+    [routeShape, routeSearch.accidents]
+  )
+
+  const shownAccidents = viewportMode
+    ? viewportSearch.accidents
+    : routeMode ? routeAnalysis?.accidents || [] : accidents
+
+  // Schools within the search radius of the point searched
+  const schoolsQuery = useApiQuery(
+    ({ signal }) => getSchoolsNearLocation(searchLocation.lat, searchLocation.lng, search.radius, NEARBY_SCHOOL_LIMIT, { signal }),
+    [searchLocation, search.radius],
+    { enabled: pointMode && Boolean(searchLocation) }
+  )
+  const nearbySchools = schoolsQuery.data || []
+
+  // Reset the draft when the applied filters change (e.g. back/forward)
+  useEffect(() => {
+    setFilters({
+      radius: search.radius,
+      year: search.year,
+      severity: search.severity,
+      limit: search.limit,
+    })
+  }, [search.radius, search.year, search.severity, search.limit])
 
-  // Visible markers (optimized for performance)
-  const visibleMarkers = useVisibleMarkers(accidents, 300)
-  const hiddenCount = accidents.length - visibleMarkers.length
+  // A new search cancels the one still in flight
+  const nextSearchSignal = useRequestController()
 
   // Memoized search function
   const searchNearby = useCallback(async (lat, lng) => {
+    const signal = nextSearchSignal()
     setLoading(true)
     try {
-      const years = filters.year || null
+      const years = search.year || null
       const response = await getNearbyAccidents(
         lat,
         lng,
-        filters.radius,
+        search.radius,
         years,
-        filters.limit
+        search.limit,
+        { signal }
       )
       
-      // The API returns { data: [...], center: {...}, radius_meters, total }
-      let data = response.data?.data || response.data?.accidents || response.data || []
+      let data = response.data
       
       // Apply severity filter client-side if API doesn't support it
-      if (filters.severity) {
-        data = data.filter(a => a.severity === Number(filters.severity))
+      if (search.severity) {
+        data = data.filter(a => a.severity === Number(search.severity))
       }
       
       setAccidents(data)
       setSearchLocation({ lat, lng })
     } catch (error) {
+      if (isCancel(error)) return
       console.error('Failed to load accidents:', error)
       setAccidents([])
     } finally {
-      setLoading(false)
+      if (!signal.aborted) setLoading(false)
     }
-  }, [filters.year, filters.radius, filters.limit, filters.severity])
+  }, [search.year, search.radius, search.limit, search.severity, nextSearchSignal])
+
+  // Run the search described by the URL (initial load and history navigation)
+  useEffect(() => {
+    if (!pointMode) return
+    searchNearby(search.lat, search.lng)
+  }, [searchNearby, search.lat, search.lng, pointMode])
+
+  // Commit the draft filters and search point to the URL
+  const applySearch = useCallback((lat, lng) => {
+    setSearch({ ...filters, ...AT_SEARCH_POINT, lat: roundCoord(lat), lng: roundCoord(lng) })
+  }, [filters, setSearch])
 
   // Debounced map click to prevent rapid-fire requests
-  const debouncedSearch = useDebounce(searchNearby, 300)
+  const debouncedSearch = useDebounce(applySearch, 300)
 
   const handleMapClick = useCallback((latlng) => {
-    setCenter({ lat: latlng.lat, lng: latlng.lng })
     debouncedSearch(latlng.lat, latlng.lng)
   }, [debouncedSearch])
 
   const handleSearch = useCallback(() => {
-    searchNearby(center.lat, center.lng)
-  }, [searchNearby, center.lat, center.lng])
-  
-  // Initial load
+    const unchanged = Object.keys(filters).every(key => filters[key] === search[key])
+    if (unchanged) {
+      if (viewportMode) viewportSearch.reload()
+      else if (pointMode) searchNearby(search.lat, search.lng)
+    } else {
+      applySearch(search.lat, search.lng)
+    }
+  }, [filters, search, searchNearby, applySearch, viewportMode, pointMode, viewportSearch.reload])
+
+  // The map area search moves with the view; the point and route searches keep
+  // their point and store the view beside it
+  const handleViewChange = useCallback(({ lat, lng, zoom }) => {
+    setSearch(viewportMode ? { lat, lng, zoom } : { viewLat: lat, viewLng: lng, zoom }, { replace: true })
+  }, [setSearch, viewportMode])
+
+  // The map area search starts from wherever the map was panned to
+  const handleModeChange = useCallback((mode) => {
+    setSearch(current => (mode === 'viewport' && current.viewLat !== ''
+      ? { ...current, ...AT_SEARCH_POINT, mode, lat: Number(current.viewLat), lng: Number(current.viewLng) }
+      : { ...current, mode }))
+  }, [setSearch])
+
+  const handleShapeComplete = useCallback((shape) => {
+    setDrawTool(null)
+    setSearch({ area: encodeShape(shape) })
+  }, [setSearch])
+
+  const handleDrawCancel = useCallback(() => setDrawTool(null), [])
+
+  const handleAreaClose = useCallback(() => {
+    setSearch({ area: '' })
+  }, [setSearch])
+
+  // The route lives in the URL once it has both ends; `update` carries
+  // anything else to change with it (e.g. moving the map)
+  const setRoute = useCallback((points, update = {}) => {
+    setRouteStart(null)
+    setSearch({ ...update, route: encodeShape({ type: 'line', points, buffer: routeWidth }) })
+  }, [routeWidth, setSearch])
+
+  // Clicks set the start, then extend the route from its end
+  const handleRouteClick = useCallback((latlng) => {
+    const point = [roundCoord(latlng.lat), roundCoord(latlng.lng)]
+    if (routeShape) setRoute([...routeShape.points, point])
+    else if (routeStart) setRoute([routeStart, point])
+    else setRouteStart(point)
+  }, [routeShape, routeStart, setRoute])
+
+  const handleRouteFrom = useCallback((result) => {
+    const point = [roundCoord(result.lat), roundCoord(result.lng)]
+    const view = { ...AT_SEARCH_POINT, lat: point[0], lng: point[1], zoom: result.zoom }
+    if (routeShape) {
+      setRoute([point, ...routeShape.points.slice(1)], view)
+    } else {
+      setRouteStart(point)
+      setSearch(view)
+    }
+  }, [routeShape, setRoute, setSearch])
+
+  const handleRouteTo = useCallback((result) => {
+    const point = [roundCoord(result.lat), roundCoord(result.lng)]
+    const view = { ...AT_SEARCH_POINT, lat: point[0], lng: point[1], zoom: result.zoom }
+    if (routeShape) setRoute([...routeShape.points.slice(0, -1), point], view)
+    else if (routeStart) setRoute([routeStart, point], view)
+    else setSearch(view)
+  }, [routeShape, routeStart, setRoute, setSearch])
+
+  const handleRouteUpload = useCallback((points) => {
+    setRoute(points)
+    setRouteFit(points)
+  }, [setRoute])
+
+  const handleRouteWidthChange = useCallback((width) => {
+    setRouteWidth(width)
+    if (routeShape) setSearch({ route: encodeShape({ ...routeShape, buffer: width }) })
+  }, [routeShape, setSearch])
+
+  const handleRouteClear = useCallback(() => {
+    setRouteStart(null)
+    setSearch({ route: '' })
+  }, [setSearch])
+
+  // Keep the width picker in step with a route opened from a link
   useEffect(() => {
-    searchNearby(center.lat, center.lng)
-  }, []) // eslint-disable-line react-hooks/exhaustive-deps
+    if (routeShape) setRouteWidth(routeShape.buffer)
+  }, [routeShape])
+
+  const handleSchoolLayerChange = useCallback((schoolLayer) => {
+    setSearch({ schoolLayer }, { replace: true })
+  }, [setSearch])
+
+  const handleRenderChange = useCallback((render) => {
+    setSearch({ render }, { replace: true })
+  }, [setSearch])
+
+  const useCanvas = search.render === 'canvas' ||
+    (search.render === 'auto' && shownAccidents.length > CANVAS_THRESHOLD)
+
+  // Draw fatal accidents last, on top of the rest
+  const canvasAccidents = useMemo(
+    () => useCanvas ? [...shownAccidents].sort((a, b) => b.severity - a.severity) : [],
+    [shownAccidents, useCanvas]
+  )
+
+  // The search behind the current results, recorded in exports
+  const exportTitle = viewportMode
+    ? 'Accidents in the map area'
+    : routeMode ? 'Accidents along a route' : `Accidents within ${search.radius}m of ${search.lat}, ${search.lng}`
+  const exportFilters = {
+    mode: search.mode,
+    ...(pointMode && { latitude: search.lat, longitude: search.lng, radius_m: search.radius, limit: search.limit }),
+    ...(viewportMode && viewport && {
+      bounds: [viewport.bounds.south, viewport.bounds.west, viewport.bounds.north, viewport.bounds.east]
+        .map(value => value.toFixed(5)).join(','),
+    }),
+    ...(routeMode && { route: search.route }),
+    year: search.year,
+    severity: SEVERITY_LABELS[search.severity],
+  }
+
+  const renderAccidentPopup = useCallback(
+    (accident) => <AccidentPopup accident={accident} onOpenDetail={openAccident} />,
+    [openAccident]
+  )
+
+  // Go to a searched place and search around it (or load it, in map area mode)
+  const handleLocationSelect = useCallback((result) => {
+    setSearch({ ...filters, ...AT_SEARCH_POINT, lat: roundCoord(result.lat), lng: roundCoord(result.lng), zoom: result.zoom })
+  }, [filters, setSearch])
 
   const handleLocateMe = () => {
     if ('geolocation' in navigator) {
       navigator.geolocation.getCurrentPosition(
         (position) => {
           const { latitude, longitude } = position.coords
-          setCenter({ lat: latitude, lng: longitude })
-          searchNearby(latitude, longitude)
+          applySearch(latitude, longitude)
         },
         (error) => {
           console.error('Geolocation error:', error)
@@ -306,16 +825,25 @@ export default function AccidentMap() {
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Accident Map</h1>
-          <p className="text-gray-500">Click on the map to search for accidents in that area</p>
+          <p className="text-gray-500">
+            {viewportMode
+              ? 'Pan and zoom the map to load accidents in view'
+              : routeMode
+                ? 'Plot a route to check the accidents along it'
+                : 'Click on the map to search for accidents in that area'}
+          </p>
         </div>
 
-        <button
-          onClick={handleLocateMe}
-          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-        >
-          <Crosshair className="w-4 h-4" />
-          Use My Location
-        </button>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <LocationSearch onSelect={handleLocationSelect} className="sm:w-72" />
+          <button
+            onClick={handleLocateMe}
+            className="flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            <Crosshair className="w-4 h-4" />
+            Use My Location
+          </button>
+        </div>
       </div>
 
       {/* Map and Sidebar */}
@@ -326,14 +854,49 @@ export default function AccidentMap() {
             filters={filters} 
             setFilters={setFilters} 
             onSearch={handleSearch}
-            loading={loading}
+            loading={pointMode && loading}
+            mode={search.mode}
+            onModeChange={handleModeChange}
+          />
+          {routeMode && (
+            <RoutePanel
+              hasRoute={Boolean(routeShape)}
+              hasStart={Boolean(routeStart)}
+              width={routeWidth}
+              onWidthChange={handleRouteWidthChange}
+              onFromSelect={handleRouteFrom}
+              onToSelect={handleRouteTo}
+              onUpload={handleRouteUpload}
+              onClear={handleRouteClear}
+            />
+          )}
+          <DrawToolsPanel
+            tool={drawTool}
+            onToolChange={setDrawTool}
+            corridorWidth={corridorWidth}
+            onCorridorWidthChange={setCorridorWidth}
           />
-          <MapLegend />
+          <MapLegend render={search.render} onRenderChange={handleRenderChange} />
 
           {/* Results info */}
           <div className="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
             <div className="text-sm text-gray-600">
-              {loading ? (
+              {viewportMode ? (
+                <ViewportStatus {...viewportSearch} />
+              ) : routeMode ? (
+                routeSearch.loading ? (
+                  <div className="flex items-center gap-2">
+                    <RefreshCw className="w-4 h-4 animate-spin" />
+                    Loading...
+                  </div>
+                ) : (
+                  <p className="font-medium text-gray-900">
+                    {routeShape
+                      ? `${shownAccidents.length.toLocaleString()} accidents along the route`
+                      : 'No route yet'}
+                  </p>
+                )
+              ) : loading ? (
                 <div className="flex items-center gap-2">
                   <RefreshCw className="w-4 h-4 animate-spin" />
                   Loading...
@@ -341,16 +904,11 @@ export default function AccidentMap() {
               ) : (
                 <>
                   <p className="font-medium text-gray-900">
-                    {accidents.length} accidents found
+                    {accidents.length.toLocaleString()} accidents found
                   </p>
-                  {hiddenCount > 0 && (
-                    <p className="text-xs text-amber-600 mt-1">
-                      Showing {visibleMarkers.length} on map (prioritizing severe)
-                    </p>
-                  )}
                   {searchLocation && (
                     <p className="mt-1">
-                      Within {filters.radius}m of<br />
+                      Within {search.radius}m of<br />
                       {searchLocation.lat.toFixed(4)}, {searchLocation.lng.toFixed(4)}
                     </p>
                   )}
@@ -358,24 +916,69 @@ export default function AccidentMap() {
               )}
             </div>
           </div>
+
+          {pointMode && searchLocation && (
+            <NearbySchoolsPanel
+              schools={nearbySchools}
+              radius={search.radius}
+              loading={schoolsQuery.loading}
+              error={schoolsQuery.error}
+              showLayer={search.schoolLayer}
+              onToggleLayer={handleSchoolLayerChange}
+            />
+          )}
         </div>
 
         {/* Map */}
         <div className="lg:col-span-3 h-[600px] rounded-lg overflow-hidden border border-gray-200 shadow-sm">
           <MapContainer
-            center={[center.lat, center.lng]}
-            zoom={14}
+            center={[viewLat, viewLng]}
+            zoom={search.zoom}
             style={{ height: '100%', width: '100%' }}
           >
             <TileLayer
               attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
               url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              crossOrigin
+            />
+            <MapImageExport name="accident-map" title={exportTitle} legend={SEVERITY_LEGEND} />
+
+            <MapViewSync
+              lat={viewLat}
+              lng={viewLng}
+              zoom={search.zoom}
+              onViewChange={handleViewChange}
             />
             
-            <MapClickHandler onClick={handleMapClick} />
+            {viewportMode && <ViewportWatcher onChange={setViewport} />}
+            {drawTool ? (
+              <ShapeDrawer
+                tool={drawTool}
+                buffer={corridorWidth}
+                onComplete={handleShapeComplete}
+                onCancel={handleDrawCancel}
+              />
+            ) : pointMode ? (
+              <MapClickHandler onClick={handleMapClick} />
+            ) : routeMode && (
+              <MapClickHandler onClick={handleRouteClick} />
+            )}
+            {areaShape && <ShapeLayer shape={areaShape} />}
+
+            {/* Route, coloured by accidents per segment */}
+            {routeShape && <ShapeLayer shape={routeShape} />}
+            {routeAnalysis && !routeSearch.loading && <RouteSegmentsLayer analysis={routeAnalysis} />}
+            {routeMode && routeStart && (
+              <CircleMarker
+                center={routeStart}
+                radius={6}
+                pathOptions={{ color: '#7c3aed', fillColor: '#7c3aed', fillOpacity: 1 }}
+              />
+            )}
+            <FitRoute points={routeFit} />
 
             {/* Search radius circle */}
-            {searchLocation && (
+            {pointMode && searchLocation && (
               <CircleMarker
                 center={[searchLocation.lat, searchLocation.lng]}
                 radius={5}
@@ -387,19 +990,67 @@ export default function AccidentMap() {
               />
             )}
 
-            {/* Accident markers - using optimized visible markers */}
-            {visibleMarkers.map((accident, index) => (
-              <AccidentMarker key={accident.accident_id || index} accident={accident} />
-            ))}
+            {pointMode && searchLocation && search.schoolLayer && <SchoolLayer schools={nearbySchools} />}
+
+            {/* Accidents - on a canvas for large result sets, otherwise
+                as markers clustered until zoomed in */}
+            {useCanvas ? (
+              <CanvasPointLayer
+                points={canvasAccidents}
+                getPosition={getAccidentPosition}
+                getStyle={getAccidentStyle}
+                renderPopup={renderAccidentPopup}
+              />
+            ) : (
+              <MarkerClusterGroup iconCreateFunction={severityClusterIcon}>
+                {shownAccidents.map(accident => (
+                  <AccidentMarker
+                    key={accident.accident_id}
+                    accident={accident}
+                    onOpenDetail={openAccident}
+                  />
+                ))}
+              </MarkerClusterGroup>
+            )}
           </MapContainer>
         </div>
       </div>
 
+      {/* Route safety check */}
+      {routeAnalysis && (
+        <RouteSafetyPanel
+          analysis={routeAnalysis}
+          buffer={routeShape.buffer}
+          loading={routeSearch.loading}
+          error={routeSearch.error}
+          truncated={routeSearch.truncated}
+          onClose={handleRouteClear}
+        />
+      )}
+
+      {/* Drawn area analysis */}
+      {areaShape && (
+        <AreaAnalysisPanel
+          shape={areaShape}
+          {...areaSearch}
+          onClose={handleAreaClose}
+        />
+      )}
+
       {/* Accidents table */}
-      {accidents.length > 0 && (
+      {shownAccidents.length > 0 && (
         <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
-          <div className="p-4 border-b border-gray-200">
+          <div className="p-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-2">
             <h3 className="font-semibold text-gray-900">Accident Details</h3>
+            <ExportMenu
+              rows={shownAccidents}
+              name="accidents"
+              title={exportTitle}
+              filters={exportFilters}
+              getPosition={getAccidentPosition}
+              getName={getAccidentName}
+              getColor={getAccidentColor}
+            />
           </div>
           <div className="overflow-x-auto">
             <table className="w-full text-sm">
@@ -414,8 +1065,12 @@ export default function AccidentMap() {
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-200">
-                {accidents.slice(0, 20).map((accident, index) => (
-                  <tr key={accident.accident_id || index} className="hover:bg-gray-50">
+                {shownAccidents.slice(0, 20).map(accident => (
+                  <tr
+                    key={accident.accident_id}
+                    onClick={() => openAccident(accident.accident_id)}
+                    className="hover:bg-gray-50 cursor-pointer"
+                  >
                     <td className="px-4 py-3">{accident.accident_date}</td>
                     <td className="px-4 py-3">{accident.accident_time || '-'}</td>
                     <td className="px-4 py-3">
@@ -429,7 +1084,7 @@ export default function AccidentMap() {
                     </td>
                     <td className="px-4 py-3">{accident.number_of_casualties}</td>
                     <td className="px-4 py-3">{accident.distance_meters ? Math.round(accident.distance_meters) + 'm' : '-'}</td>
-                    <td className="px-4 py-3 text-gray-500">{accident.lsoa_code || '-'}</td>
+                    <td className="px-4 py-3 text-gray-500"><LsoaLink code={accident.lsoa_code} /></td>
                   </tr>
                 ))}
               </tbody>
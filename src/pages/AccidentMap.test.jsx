@@ -0,0 +1,203 @@
+import { describe, it, expect, vi } from 'vitest'
+import { screen, fireEvent } from '@testing-library/react'
+import renderWithRouter from '../test/renderWithRouter'
+import { getNearbyAccidents, getSchoolsNearLocation } from '../services/api'
+import AccidentMap, { severityClusterIcon } from './AccidentMap'
+
+vi.mock('../services/api', async (importOriginal) => {
+  const api = await importOriginal()
+  return {
+    ...api,
+    getNearbyAccidents: vi.fn(api.getNearbyAccidents),
+    getSchoolsNearLocation: vi.fn(api.getSchoolsNearLocation),
+  }
+})
+
+// Just enough of a leaflet.markercluster cluster for an iconCreateFunction
+const cluster = (...severities) => ({
+  getAllChildMarkers: () => severities.map(severity => ({ options: { severity } })),
+})
+
+describe('severityClusterIcon', () => {
+  it('labels the cluster with its size and severity mix', () => {
+    const { options } = severityClusterIcon(cluster(1, 3, 3, 2, 3))
+    expect(options.html).toContain('<span>5</span>')
+    expect(options.html).toContain('title="1 fatal, 1 serious, 3 slight"')
+  })
+
+  it('leaves severities without accidents out of the ring', () => {
+    const { options } = severityClusterIcon(cluster(3, 3))
+    expect(options.html).toContain('conic-gradient(#16a34a 0% 100%)')
+  })
+})
+
+describe('AccidentMap', () => {
+  it('shows a loading state while searching', () => {
+    renderWithRouter(<AccidentMap />)
+    expect(screen.getByText('Loading...')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Searching...' })).toBeDisabled()
+  })
+
+  it('searches the point in the URL and lists the results', async () => {
+    renderWithRouter(<AccidentMap />, { route: '/?lat=51.5074&lng=-0.1278&radius=500' })
+
+    expect(await screen.findByText(/^\d+ accidents found$/)).toBeInTheDocument()
+    expect(getNearbyAccidents).toHaveBeenCalledWith(51.5074, -0.1278, 500, null, 100, expect.anything())
+    expect(screen.getByText('Accident Details')).toBeInTheDocument()
+  })
+
+  it('keeps searching the point after the map is panned away', async () => {
+    renderWithRouter(<AccidentMap />, { route: '/?lat=51.5074&lng=-0.1278&viewLat=51.52&viewLng=-0.1&radius=500' })
+
+    expect(await screen.findByText(/^\d+ accidents found$/)).toBeInTheDocument()
+    expect(getNearbyAccidents).toHaveBeenCalledWith(51.5074, -0.1278, 500, null, 100, expect.anything())
+  })
+
+  it('lists the schools within the search radius', async () => {
+    getSchoolsNearLocation.mockResolvedValueOnce({
+      data: [{
+        urn: '100100', name: 'Oakfield Primary School', phase_of_education: 'Primary',
+        number_of_pupils: 420, accident_count: 12, fatal_count: 1, serious_count: 3, slight_count: 8,
+        risk_level: 'medium', distance_meters: 240.4,
+        latitude: 51.508, longitude: -0.126,
+      }],
+    })
+    renderWithRouter(<AccidentMap />, { route: '/?lat=51.5074&lng=-0.1278&radius=500' })
+
+    const link = await screen.findByRole('link', { name: /Oakfield Primary School/ })
+    expect(getSchoolsNearLocation).toHaveBeenCalledWith(51.5074, -0.1278, 500, 20, expect.anything())
+    expect(link).toHaveAttribute('href', '/schools?school=100100')
+    expect(link).toHaveTextContent('Primary · 420 pupils')
+    expect(link).toHaveTextContent('High Risk')
+    expect(link).toHaveTextContent('240m')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Hide on map' }))
+    expect(screen.getByRole('button', { name: 'Show on map' })).toHaveAttribute('aria-pressed', 'false')
+  })
+
+  it('shows an empty result', async () => {
+    getNearbyAccidents.mockResolvedValueOnce({ data: [] })
+    renderWithRouter(<AccidentMap />)
+
+    expect(await screen.findByText('0 accidents found')).toBeInTheDocument()
+    expect(screen.queryByText('Accident Details')).not.toBeInTheDocument()
+  })
+
+  it('draws large result sets on a canvas', async () => {
+    const accidents = Array.from({ length: 2001 }, (_, i) => ({
+      accident_id: String(i), severity: 3, latitude: 51.5, longitude: -0.12,
+    }))
+    getNearbyAccidents.mockResolvedValueOnce({ data: accidents })
+    const { container } = renderWithRouter(<AccidentMap />)
+
+    expect(await screen.findByText('2,001 accidents found')).toBeInTheDocument()
+    expect(container.querySelector('canvas.canvas-point-layer')).toBeInTheDocument()
+  })
+
+  it('switches between markers and canvas rendering', async () => {
+    const { container } = renderWithRouter(<AccidentMap />, { route: '/?render=canvas' })
+    await screen.findByText(/^\d+ accidents found$/)
+    expect(container.querySelector('canvas.canvas-point-layer')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Markers' }))
+    expect(container.querySelector('canvas.canvas-point-layer')).not.toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Markers' })).toHaveAttribute('aria-pressed', 'true')
+  })
+
+  it('loads the map area in viewport mode', async () => {
+    renderWithRouter(<AccidentMap />)
+    await screen.findByText(/^\d+ accidents found$/)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Map area' }))
+    expect(await screen.findByText(/^[\d,]+ of [\d,]+ accidents loaded$/)).toBeInTheDocument()
+    expect(screen.queryByText(/Search Radius/)).not.toBeInTheDocument()
+  })
+
+  it('asks to zoom in before loading a wide map area', async () => {
+    renderWithRouter(<AccidentMap />, { route: '/?mode=viewport&zoom=9' })
+    expect(await screen.findByText('Zoom in to load accidents for this area')).toBeInTheDocument()
+    expect(getNearbyAccidents).not.toHaveBeenCalled()
+  })
+
+  it('searches around a looked-up postcode', async () => {
+    renderWithRouter(<AccidentMap />)
+    await screen.findByText(/^\d+ accidents found$/)
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Search for a location' }), { target: { value: 'LS1 4AP' } })
+    fireEvent.submit(screen.getByRole('search'))
+
+    expect(await screen.findByText(/53\.7970, -1\.5480/)).toBeInTheDocument()
+    expect(getNearbyAccidents).toHaveBeenLastCalledWith(53.797, -1.548, 1000, null, 100, expect.anything())
+  })
+
+  it('suggests places while typing', async () => {
+    renderWithRouter(<AccidentMap />)
+    fireEvent.change(screen.getByRole('combobox', { name: 'Search for a location' }), { target: { value: 'Brist' } })
+
+    expect(await screen.findByRole('option', { name: /Bristol/ })).toBeInTheDocument()
+  })
+
+  it('checks the route in the URL', async () => {
+    const route = 'line@50:51.5074,-0.1278;51.5155,-0.141'
+    renderWithRouter(<AccidentMap />, { route: `/?mode=route&route=${route}` })
+
+    expect(await screen.findByText('Route safety check')).toBeInTheDocument()
+    expect(screen.getByText('1.3 km, 50 m either side')).toBeInTheDocument()
+    expect(await screen.findByText(/^\d+ accidents along the route$/)).toBeInTheDocument()
+    expect(screen.getByText('Per km')).toBeInTheDocument()
+    expect(screen.getByText(/the average within 1 km/)).toBeInTheDocument()
+    expect(getNearbyAccidents).not.toHaveBeenCalled()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear route' }))
+    expect(screen.queryByText('Route safety check')).not.toBeInTheDocument()
+    expect(screen.getByText('No route yet')).toBeInTheDocument()
+  })
+
+  it('checks an uploaded route file', async () => {
+    renderWithRouter(<AccidentMap />, { route: '/?mode=route' })
+    const geojson = JSON.stringify({ type: 'LineString', coordinates: [[-0.1278, 51.5074], [-0.141, 51.5155]] })
+    const file = new File([geojson], 'walk.geojson', { type: 'application/geo+json' })
+
+    fireEvent.change(screen.getByLabelText('Upload a route file'), { target: { files: [file] } })
+
+    expect(await screen.findByText('Route safety check')).toBeInTheDocument()
+  })
+
+  it('rejects a route file without a line', async () => {
+    renderWithRouter(<AccidentMap />, { route: '/?mode=route' })
+    const file = new File(['{"type":"Point","coordinates":[0,51]}'], 'point.geojson')
+
+    fireEvent.change(screen.getByLabelText('Upload a route file'), { target: { files: [file] } })
+
+    expect(await screen.findByText('This GeoJSON has no line to follow')).toBeInTheDocument()
+  })
+
+  it('analyses the drawn area in the URL', async () => {
+    const area = 'rectangle:51.5,-0.14;51.52,-0.11'
+    renderWithRouter(<AccidentMap />, { route: `/?area=${area}` })
+
+    expect(await screen.findByText('Drawn rectangle analysis')).toBeInTheDocument()
+    expect(await screen.findByText('Casualties')).toBeInTheDocument()
+    expect(screen.getByText('Accidents by Hour of Day')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Close area analysis' }))
+    expect(screen.queryByText('Drawn rectangle analysis')).not.toBeInTheDocument()
+  })
+
+  it('explains the selected drawing tool', () => {
+    renderWithRouter(<AccidentMap />)
+    fireEvent.click(screen.getByRole('button', { name: 'Road' }))
+
+    expect(screen.getByText(/Click along the road/)).toBeInTheDocument()
+    expect(screen.getByDisplayValue('50 m either side')).toBeInTheDocument()
+  })
+
+  it('shows no results when the search fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    getNearbyAccidents.mockRejectedValueOnce(new Error('Network Error'))
+    renderWithRouter(<AccidentMap />)
+
+    expect(await screen.findByText('0 accidents found')).toBeInTheDocument()
+    expect(console.error).toHaveBeenCalledWith('Failed to load accidents:', expect.any(Error))
+  })
+})
@@ -1,7 +1,7 @@
-import { useState, useEffect, useMemo, useCallback, memo, Suspense, lazy } from 'react'
+import { useState, useMemo, useCallback, useRef, memo, Suspense, lazy } from 'react'
 import {
   LineChart, Line, BarChart, Bar,
-  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, AreaChart, Area
+  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
 } from 'recharts'
 import { 
   TrendingUp, Calendar, Clock, Car, Users, 
@@ -11,6 +11,12 @@ import {
   getTimeSeries, getHourlyPatterns, getDailyPatterns,
   getPoliceForceStats, getVehicleTypes, getYearSummary, getBulkYearSummary
 } from '../services/api'
+import YearComparison from '../components/charts/YearComparison'
+import DailyPattern from '../components/charts/DailyPattern'
+import { HOURLY_COLUMNS } from '../components/charts/HourlyPatternChart'
+import ChartExportMenu from '../components/ChartExportMenu'
+import useUrlState from '../hooks/useUrlState'
+import useApiQuery from '../hooks/useApiQuery'
 
 // Skeleton loader
 function Skeleton({ className = '' }) {
@@ -32,85 +38,86 @@ function SectionSkeleton() {
 
 const COLORS = ['#dc2626', '#f59e0b', '#16a34a', '#2563eb', '#8b5cf6', '#ec4899']
 
-// Section component - Memoized
-const AnalyticsSection = memo(function AnalyticsSection({ title, icon: Icon, children, defaultOpen = true }) {
+// Series columns for each section's data download
+const YEAR_COLUMNS = [
+  { key: 'year', label: 'Year' },
+  { key: 'total_accidents', label: 'Total accidents' },
+  { key: 'fatal', label: 'Fatal' },
+  { key: 'serious', label: 'Serious' },
+  { key: 'slight', label: 'Slight' },
+  { key: 'total_casualties', label: 'Casualties' },
+]
+const MONTHLY_COLUMNS = [
+  { key: 'period', label: 'Month' },
+  { key: 'total_accidents', label: 'Total accidents' },
+  { key: 'fatal', label: 'Fatal' },
+  { key: 'serious', label: 'Serious' },
+  { key: 'slight', label: 'Slight' },
+]
+const DAILY_COLUMNS = [
+  { key: 'day_name', label: 'Day' },
+  { key: 'total_accidents', label: 'Accidents' },
+]
+const POLICE_COLUMNS = [
+  { key: 'police_force_name', label: 'Police force' },
+  { key: 'total_accidents', label: 'Total accidents' },
+  { key: 'fatal_accidents', label: 'Fatal' },
+  { key: 'serious_accidents', label: 'Serious' },
+  { key: 'ksi_rate', label: 'KSI rate (%)' },
+]
+const VEHICLE_COLUMNS = [
+  { key: 'vehicle_type_name', label: 'Vehicle type' },
+  { key: 'vehicle_count', label: 'Vehicles' },
+]
+
+// The police force and vehicle type sections are drawn in HTML; their
+// chart exports are bars of the top ten
+const POLICE_BARS = { label: 'police_force_name', value: 'total_accidents', limit: 10 }
+const VEHICLE_BARS = { label: 'vehicle_type_name', value: 'vehicle_count', limit: 10 }
+
+// Section component - Memoized. With `rows` and `columns` it has an export
+// menu for its chart and data (see ChartExportMenu)
+const AnalyticsSection = memo(function AnalyticsSection({
+  title, icon: Icon, children, defaultOpen = true, year, rows, columns, bar,
+}) {
   const [isOpen, setIsOpen] = useState(defaultOpen)
+  const contentRef = useRef(null)
   
   const toggle = useCallback(() => setIsOpen(prev => !prev), [])
 
   return (
-    <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
-      <button
-        onClick={toggle}
-        className="w-full px-4 py-3 flex items-center justify-between bg-gray-50 hover:bg-gray-100"
-      >
-        <div className="flex items-center gap-2">
-          <Icon className="w-5 h-5 text-gray-600" />
-          <h3 className="font-semibold text-gray-900">{title}</h3>
-        </div>
-        {isOpen ? <ChevronUp className="w-5 h-5" /> : <ChevronDown className="w-5 h-5" />}
-      </button>
-      {isOpen && <div className="p-4">{children}</div>}
-    </div>
-  )
-})
-
-// Year over Year comparison
-function YearComparison({ data }) {
-  if (!data || data.length === 0) return <p className="text-gray-500">No data available</p>
-
-  // Map API response to chart fields
-  const chartData = data.map(d => ({
-    ...d,
-    fatal: d.fatalities || d.fatal || 0,
-    serious: d.serious_injuries || d.serious || 0
-  }))
-
-  return (
-    <div className="space-y-4">
-      <ResponsiveContainer width="100%" height={300}>
-        <AreaChart data={chartData}>
-          <CartesianGrid strokeDasharray="3 3" />
-          <XAxis dataKey="year" />
-          <YAxis />
-          <Tooltip />
-          <Legend />
-          <Area type="monotone" dataKey="total_accidents" name="Total Accidents" 
-            fill="#2563eb" stroke="#2563eb" fillOpacity={0.3} />
-          <Area type="monotone" dataKey="fatal" name="Fatal" 
-            fill="#dc2626" stroke="#dc2626" fillOpacity={0.3} />
-          <Area type="monotone" dataKey="serious" name="Serious" 
-            fill="#f59e0b" stroke="#f59e0b" fillOpacity={0.3} />
-        </AreaChart>
-      </ResponsiveContainer>
-
-      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
-        {chartData.map((year) => (
-          <div key={year.year} className="text-center p-3 bg-gray-50 rounded-lg">
-            <div className="text-2xl font-bold text-gray-900">{year.year}</div>
-            <div className="text-sm text-gray-500">
-              {year.total_accidents?.toLocaleString()} accidents
-            </div>
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm">
+      <div className="flex items-center bg-gray-50 rounded-t-lg">
+        <button
+          onClick={toggle}
+          className="flex-1 px-4 py-3 flex items-center justify-between hover:bg-gray-100 rounded-tl-lg"
+        >
+          <div className="flex items-center gap-2">
+            <Icon className="w-5 h-5 text-gray-600" />
+            <h3 className="font-semibold text-gray-900">{title}</h3>
           </div>
-        ))}
+          {isOpen ? <ChevronUp className="w-5 h-5" /> : <ChevronDown className="w-5 h-5" />}
+        </button>
+        {rows && (
+          <div className="px-2">
+            <ChartExportMenu title={title} year={year} rows={rows} columns={columns} chartRef={contentRef} bar={bar} />
+          </div>
+        )}
       </div>
+      {isOpen && <div ref={contentRef} className="p-4">{children}</div>}
     </div>
   )
-}
+})
 
 // Monthly Trends
 function MonthlyTrends({ data }) {
   if (!data || data.length === 0) return <p className="text-gray-500">No data available</p>
 
-  // API returns period like "2023-01" so we need to parse it
-  const chartData = data.map(d => {
-    const month = d.period ? parseInt(d.period.split('-')[1]) : d.month
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
-    return {
-      ...d,
-      month_name: monthNames[(month || 1) - 1] || d.period,
-    }
-  })
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+  const chartData = data.map(d => ({
+    ...d,
+    month_name: monthNames[d.month - 1] || d.period,
+  }))
 
   return (
     <ResponsiveContainer width="100%" height={300}>
@@ -146,32 +153,13 @@ function HourlyPattern({ data }) {
   )
 }
 
-// Daily Pattern
-function DailyPattern({ data }) {
-  if (!data || data.length === 0) return <p className="text-gray-500">No data available</p>
-
-  // API returns day and day_name directly
-  return (
-    <ResponsiveContainer width="100%" height={300}>
-      <BarChart data={data}>
-        <CartesianGrid strokeDasharray="3 3" />
-        <XAxis dataKey="day_name" />
-        <YAxis />
-        <Tooltip />
-        <Legend />
-        <Bar dataKey="total_accidents" name="Accidents" fill="#2563eb" />
-      </BarChart>
-    </ResponsiveContainer>
-  )
-}
-
 // Police Force Stats - Clean card grid with stats
 function PoliceForceStats({ data }) {
   if (!data || data.length === 0) return <p className="text-gray-500">No data available</p>
 
   // Sort by total accidents and take top 10
   const sorted = [...data].sort((a, b) => b.total_accidents - a.total_accidents).slice(0, 10)
-  const maxAccidents = sorted[0]?.total_accidents || 1
+  const maxAccidents = sorted[0].total_accidents || 1
 
   return (
     <div className="space-y-6">
@@ -179,7 +167,7 @@ function PoliceForceStats({ data }) {
       <div className="grid gap-3">
         {sorted.map((pf, i) => {
           const pct = (pf.total_accidents / maxAccidents) * 100
-          const ksiPct = pf.ksi_rate || 0
+          const ksiPct = pf.ksi_rate
           return (
             <div key={i} className="bg-gray-50 rounded-lg p-3 hover:bg-gray-100 transition-colors">
               <div className="flex items-center justify-between mb-2">
@@ -187,7 +175,7 @@ function PoliceForceStats({ data }) {
                   {i + 1}. {pf.police_force_name}
                 </span>
                 <div className="flex items-center gap-4 text-xs">
-                  <span className="text-gray-600">{pf.total_accidents?.toLocaleString()} total</span>
+                  <span className="text-gray-600">{pf.total_accidents.toLocaleString()} total</span>
                   <span className="text-red-600 font-medium">{pf.fatal_accidents} fatal</span>
                   <span className="text-amber-600">{pf.serious_accidents} serious</span>
                 </div>
@@ -216,19 +204,19 @@ function PoliceForceStats({ data }) {
       <div className="grid grid-cols-3 gap-4 pt-4 border-t">
         <div className="text-center">
           <div className="text-2xl font-bold text-gray-900">
-            {sorted.reduce((sum, pf) => sum + (pf.total_accidents || 0), 0).toLocaleString()}
+            {sorted.reduce((sum, pf) => sum + pf.total_accidents, 0).toLocaleString()}
           </div>
           <div className="text-xs text-gray-500">Total Accidents (Top 10)</div>
         </div>
         <div className="text-center">
           <div className="text-2xl font-bold text-red-600">
-            {sorted.reduce((sum, pf) => sum + (pf.fatal_accidents || 0), 0).toLocaleString()}
+            {sorted.reduce((sum, pf) => sum + pf.fatal_accidents, 0).toLocaleString()}
           </div>
           <div className="text-xs text-gray-500">Fatal Accidents</div>
         </div>
         <div className="text-center">
           <div className="text-2xl font-bold text-amber-600">
-            {sorted.reduce((sum, pf) => sum + (pf.serious_accidents || 0), 0).toLocaleString()}
+            {sorted.reduce((sum, pf) => sum + pf.serious_accidents, 0).toLocaleString()}
           </div>
           <div className="text-xs text-gray-500">Serious Accidents</div>
         </div>
@@ -243,11 +231,11 @@ function VehicleTypeStats({ data }) {
 
   // Sort by vehicle count and take top 10
   const sorted = [...data]
-    .sort((a, b) => (b.vehicle_count || b.accidents || 0) - (a.vehicle_count || a.accidents || 0))
+    .sort((a, b) => b.vehicle_count - a.vehicle_count)
     .slice(0, 10)
 
-  const maxCount = sorted[0]?.vehicle_count || sorted[0]?.accidents || 1
-  const total = sorted.reduce((sum, v) => sum + (v.vehicle_count || v.accidents || 0), 0)
+  const maxCount = sorted[0].vehicle_count || 1
+  const total = sorted.reduce((sum, v) => sum + v.vehicle_count, 0)
 
   // Colors for different vehicle types
   const getColor = (name) => {
@@ -266,7 +254,7 @@ function VehicleTypeStats({ data }) {
       {/* Vertical bar chart style */}
       <div className="grid gap-2">
         {sorted.map((vehicle, i) => {
-          const count = vehicle.vehicle_count || vehicle.accidents || 0
+          const count = vehicle.vehicle_count
           const pct = (count / maxCount) * 100
           const sharePct = ((count / total) * 100).toFixed(1)
           const colorClass = getColor(vehicle.vehicle_type_name)
@@ -310,46 +298,60 @@ function VehicleTypeStats({ data }) {
 
 // Main Analytics component
 export default function Analytics() {
-  const [yearData, setYearData] = useState([])
-  const [monthlyData, setMonthlyData] = useState([])
-  const [hourlyData, setHourlyData] = useState([])
-  const [dailyData, setDailyData] = useState([])
-  const [policeData, setPoliceData] = useState([])
-  const [vehicleData, setVehicleData] = useState([])
-  const [selectedYear, setSelectedYear] = useState('')
-  const [loading, setLoading] = useState(true)
-
-  const loadAllData = useCallback(async () => {
-    setLoading(true)
-    try {
-      const yearParam = selectedYear || null
-      
-      // Load all data in parallel - using bulk endpoint for years (1 call instead of 5)
-      const [years, monthly, hourly, daily, police, vehicles] = await Promise.all([
-        getBulkYearSummary('2020,2021,2022,2023,2024').then(r => r.data).catch(() => []),
-        getTimeSeries(yearParam, 'month').then(r => r.data).catch(() => []),
-        getHourlyPatterns(yearParam).then(r => r.data).catch(() => []),
-        getDailyPatterns(yearParam).then(r => r.data).catch(() => []),
-        getPoliceForceStats(yearParam).then(r => r.data).catch(() => []),
-        getVehicleTypes(yearParam).then(r => r.data).catch(() => []),
-      ])
-
-      setYearData(years.filter(y => y.total_accidents))
-      setMonthlyData(monthly)
-      setHourlyData(hourly)
-      setDailyData(daily)
-      setPoliceData(police)
-      setVehicleData(vehicles)
-    } catch (error) {
-      console.error('Failed to load analytics:', error)
-    } finally {
-      setLoading(false)
-    }
-  }, [selectedYear])
-  
-  useEffect(() => {
-    loadAllData()
-  }, [loadAllData])
+  const [{ year: selectedYear }, setUrlState] = useUrlState({ year: '' })
+  const yearParam = selectedYear || null
+
+  // Year comparison does not depend on the selected year - bulk endpoint (1 call instead of 5)
+  const yearQuery = useApiQuery(
+    ({ signal }) => getBulkYearSummary('2020,2021,2022,2023,2024', { signal }),
+    []
+  )
+  const monthlyQuery = useApiQuery(
+    ({ signal }) => getTimeSeries(yearParam, 'month', { signal }),
+    [yearParam]
+  )
+  const hourlyQuery = useApiQuery(
+    ({ signal }) => getHourlyPatterns(yearParam, { signal }),
+    [yearParam]
+  )
+  const dailyQuery = useApiQuery(
+    ({ signal }) => getDailyPatterns(yearParam, { signal }),
+    [yearParam]
+  )
+  const policeQuery = useApiQuery(
+    ({ signal }) => getPoliceForceStats(yearParam, { signal }),
+    [yearParam]
+  )
+  const vehicleQuery = useApiQuery(
+    ({ signal }) => getVehicleTypes(yearParam, { signal }),
+    [yearParam]
+  )
+
+  const queries = [yearQuery, monthlyQuery, hourlyQuery, dailyQuery, policeQuery, vehicleQuery]
+  const loading = queries.some(q => q.loading)
+
+  // Sections fall back to empty data when their endpoint fails
+  const yearData = useMemo(() => (yearQuery.data || []).filter(y => y.total_accidents), [yearQuery.data])
+  const monthlyData = monthlyQuery.data || []
+  const hourlyData = hourlyQuery.data || []
+  const dailyData = dailyQuery.data || []
+  const policeData = policeQuery.data || []
+  const vehicleData = vehicleQuery.data || []
+
+  // Flat, sorted series for the section exports
+  const yearRows = useMemo(() => yearData.map(y => ({ ...y, ...y.severity_breakdown })), [yearData])
+  const policeRows = useMemo(
+    () => [...policeData].sort((a, b) => b.total_accidents - a.total_accidents),
+    [policeData]
+  )
+  const vehicleRows = useMemo(
+    () => [...vehicleData].sort((a, b) => b.vehicle_count - a.vehicle_count),
+    [vehicleData]
+  )
+
+  const refreshAll = () => {
+    queries.forEach(q => q.refresh())
+  }
 
   return (
     <div className="space-y-6">
@@ -363,7 +365,7 @@ export default function Analytics() {
         <div className="flex items-center gap-4">
           <select
             value={selectedYear}
-            onChange={(e) => setSelectedYear(e.target.value)}
+            onChange={(e) => setUrlState({ year: e.target.value })}
             className="px-4 py-2 border border-gray-300 rounded-lg"
           >
             <option value="">All Years</option>
@@ -375,7 +377,7 @@ export default function Analytics() {
           </select>
 
           <button
-            onClick={loadAllData}
+            onClick={refreshAll}
             disabled={loading}
             className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
           >
@@ -397,29 +399,61 @@ export default function Analytics() {
         </div>
       ) : (
         <div className="space-y-6">
-          <AnalyticsSection title="Year over Year Comparison" icon={TrendingUp}>
+          <AnalyticsSection title="Year over Year Comparison" icon={TrendingUp} rows={yearRows} columns={YEAR_COLUMNS}>
             <YearComparison data={yearData} />
           </AnalyticsSection>
 
-          <AnalyticsSection title="Monthly Trends" icon={Calendar}>
+          <AnalyticsSection
+            title="Monthly Trends"
+            icon={Calendar}
+            year={selectedYear}
+            rows={monthlyData}
+            columns={MONTHLY_COLUMNS}
+          >
             <MonthlyTrends data={monthlyData} />
           </AnalyticsSection>
 
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-            <AnalyticsSection title="Hourly Pattern" icon={Clock}>
+            <AnalyticsSection
+              title="Hourly Pattern"
+              icon={Clock}
+              year={selectedYear}
+              rows={hourlyData}
+              columns={HOURLY_COLUMNS}
+            >
               <HourlyPattern data={hourlyData} />
             </AnalyticsSection>
 
-            <AnalyticsSection title="Daily Pattern" icon={Calendar}>
+            <AnalyticsSection
+              title="Daily Pattern"
+              icon={Calendar}
+              year={selectedYear}
+              rows={dailyData}
+              columns={DAILY_COLUMNS}
+            >
               <DailyPattern data={dailyData} />
             </AnalyticsSection>
           </div>
 
-          <AnalyticsSection title="Police Force Statistics" icon={Building2}>
+          <AnalyticsSection
+            title="Police Force Statistics"
+            icon={Building2}
+            year={selectedYear}
+            rows={policeRows}
+            columns={POLICE_COLUMNS}
+            bar={POLICE_BARS}
+          >
             <PoliceForceStats data={policeData} />
           </AnalyticsSection>
 
-          <AnalyticsSection title="Vehicle Types Involved" icon={Car}>
+          <AnalyticsSection
+            title="Vehicle Types Involved"
+            icon={Car}
+            year={selectedYear}
+            rows={vehicleRows}
+            columns={VEHICLE_COLUMNS}
+            bar={VEHICLE_BARS}
+          >
             <VehicleTypeStats data={vehicleData} />
           </AnalyticsSection>
         </div>
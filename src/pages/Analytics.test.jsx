@@ -0,0 +1,104 @@
+import { describe, it, expect, vi } from 'vitest'
+import { screen, fireEvent } from '@testing-library/react'
+import renderWithRouter from '../test/renderWithRouter'
+import {
+  getBulkYearSummary, getTimeSeries, getHourlyPatterns, getDailyPatterns, getPoliceForceStats, getVehicleTypes,
+} from '../services/api'
+import Analytics from './Analytics'
+
+vi.mock('../services/api', async (importOriginal) => {
+  const api = await importOriginal()
+  return {
+    ...api,
+    getBulkYearSummary: vi.fn(api.getBulkYearSummary),
+    getTimeSeries: vi.fn(api.getTimeSeries),
+    getHourlyPatterns: vi.fn(api.getHourlyPatterns),
+    getDailyPatterns: vi.fn(api.getDailyPatterns),
+    getPoliceForceStats: vi.fn(api.getPoliceForceStats),
+    getVehicleTypes: vi.fn(api.getVehicleTypes),
+  }
+})
+
+const endpoints = [
+  getBulkYearSummary, getTimeSeries, getHourlyPatterns, getDailyPatterns, getPoliceForceStats, getVehicleTypes,
+]
+
+const waitForSections = () => screen.findByText('Vehicle Types Involved')
+
+describe('Analytics', () => {
+  it('shows skeletons while loading', () => {
+    const { container } = renderWithRouter(<Analytics />)
+    expect(container.querySelectorAll('.animate-pulse').length).toBeGreaterThan(0)
+    expect(screen.getByRole('button', { name: 'Refresh' })).toBeDisabled()
+  })
+
+  it('shows every section once loaded', async () => {
+    renderWithRouter(<Analytics />)
+    await waitForSections()
+
+    expect(screen.getByText('Year over Year Comparison')).toBeInTheDocument()
+    expect(screen.getByText('Monthly Trends')).toBeInTheDocument()
+    expect(screen.getByText('Police Force Statistics')).toBeInTheDocument()
+    expect(screen.getByText('1. Metropolitan Police')).toBeInTheDocument()
+    expect(screen.queryByText('No data available')).not.toBeInTheDocument()
+  })
+
+  it('passes the selected year to each section', async () => {
+    renderWithRouter(<Analytics />, { route: '/?year=2021' })
+    await waitForSections()
+
+    expect(getTimeSeries).toHaveBeenCalledWith('2021', 'month', expect.anything())
+    expect(getPoliceForceStats).toHaveBeenCalledWith('2021', expect.anything())
+  })
+
+  it('shows empty sections when there is no data', async () => {
+    endpoints.forEach(endpoint => endpoint.mockResolvedValueOnce({ data: [] }))
+    renderWithRouter(<Analytics />)
+    await waitForSections()
+
+    expect(screen.getAllByText('No data available')).toHaveLength(endpoints.length)
+  })
+
+  it('renders the other sections when one endpoint fails', async () => {
+    getPoliceForceStats.mockRejectedValueOnce(new Error('Network Error'))
+    renderWithRouter(<Analytics />)
+    await waitForSections()
+
+    expect(screen.getAllByText('No data available')).toHaveLength(1)
+    expect(screen.queryByText('1. Metropolitan Police')).not.toBeInTheDocument()
+  })
+
+  it('downloads a section\'s data for the selected year', async () => {
+    URL.createObjectURL = vi.fn(() => 'blob:police')
+    URL.revokeObjectURL = vi.fn()
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    renderWithRouter(<Analytics />, { route: '/?year=2022' })
+    await waitForSections()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export Police Force Statistics' }))
+    // Drawn in HTML, so its chart export is bars of the top ten
+    expect(screen.getByRole('menuitem', { name: 'Download PNG' })).toBeEnabled()
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Download CSV' }))
+
+    expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob))
+    expect(click.mock.instances[0].download).toMatch(/^police-force-statistics-2022-.*\.csv$/)
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument()
+  })
+
+  it('copies a section\'s table to the clipboard', async () => {
+    const writeText = vi.fn(() => Promise.resolve())
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true })
+    renderWithRouter(<Analytics />)
+    await waitForSections()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export Hourly Pattern' }))
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Copy table' }))
+
+    expect(await screen.findByText('Copied')).toBeInTheDocument()
+    const text = writeText.mock.calls[0][0].split('\n')
+    expect(text[0]).toBe('Hourly Pattern')
+    expect(text[1]).toBe('Hour\tAccidents')
+    expect(text.at(-1)).toBe('Source: Synthetic sample data (mock API) · All years')
+    delete navigator.clipboard
+  })
+})
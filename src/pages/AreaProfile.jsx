@@ -0,0 +1,393 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { MapContainer, TileLayer, CircleMarker, Circle, Popup } from 'react-leaflet'
+import {
+  ArrowLeft, AlertTriangle, Users, Skull, TrendingUp, Calendar, School, RefreshCw, MapPin, Trophy
+} from 'lucide-react'
+import {
+  getLSOAStats, getHotspots, getSchoolsNearLocation, getNearbyAccidents, isCancel, DATA_SOURCE,
+} from '../services/api'
+import useRequestController from '../hooks/useRequestController'
+import PdfReportButton from '../components/PdfReportButton'
+import { renderMapDataUrl } from '../utils/mapImage'
+import { getRiskCategory, RISK_COLORS } from './Hotspots'
+import SeverityBreakdown from '../components/charts/SeverityBreakdown'
+import HourlyPatternChart from '../components/charts/HourlyPatternChart'
+import YearComparison from '../components/charts/YearComparison'
+import DailyPattern from '../components/charts/DailyPattern'
+import 'leaflet/dist/leaflet.css'
+
+// Hotspot list depth used to rank the area
+const HOTSPOT_RANK_LIMIT = 500
+
+// Radius for the nearby schools lookup (metres)
+const SCHOOL_SEARCH_RADIUS = 1000
+
+// Reports list the accidents nearest the area centre, within this radius (metres)
+const REPORT_ACCIDENT_RADIUS = 500
+const REPORT_ACCIDENT_LIMIT = 100
+
+// One-page PDF report contents for an area (see utils/reportPdf); `hotspot`
+// is its entry in the hotspot ranking, if any
+export function buildAreaReport({ lsoaCode, stats, hotspot, hotspotRank, schools, accidents, mapImage }) {
+  const severity = stats.severity_breakdown
+  const category = hotspot && (hotspot.risk_category || getRiskCategory(hotspot.risk_score, hotspot.accident_count))
+  const ksi = severity.fatal + severity.serious
+  return {
+    title: stats.lsoa_name || lsoaCode,
+    subtitle: `Area profile, LSOA ${lsoaCode}`,
+    risk: category
+      ? { label: category, color: RISK_COLORS[category], note: `Hotspot rank #${hotspotRank} of top ${HOTSPOT_RANK_LIMIT}` }
+      : { label: 'Not ranked', color: '#6b7280', note: `Outside the top ${HOTSPOT_RANK_LIMIT} hotspots` },
+    facts: [
+      ['Accidents', stats.total_accidents.toLocaleString()],
+      ['Casualties', stats.total_casualties.toLocaleString()],
+      ['Killed or seriously injured', ksi.toLocaleString()],
+      ['KSI rate', stats.total_accidents > 0 ? `${(ksi / stats.total_accidents * 100).toFixed(1)}%` : '-'],
+      ['Accident list radius', `${REPORT_ACCIDENT_RADIUS} m`],
+      [`Schools within ${SCHOOL_SEARCH_RADIUS / 1000} km`, schools.length.toLocaleString()],
+      ['LSOA code', lsoaCode],
+    ],
+    mapImage,
+    severity,
+    yearTrend: stats.yearly_trend.map(y => ({ year: y.year, total: y.total_accidents })),
+    accidentsTitle: `Nearest accidents within ${REPORT_ACCIDENT_RADIUS} m of the area centre`,
+    accidents,
+    methodology: [
+      'Totals, severity and yearly figures cover police-reported road collisions involving injury (STATS19) recorded in this Lower Layer Super Output Area (LSOA), a census area of about 1,500 residents.',
+      `The accident list covers the ${REPORT_ACCIDENT_LIMIT} accidents nearest the area centre within ${REPORT_ACCIDENT_RADIUS} m, so it can include roads just outside the area.`,
+      `Risk category comes from the hotspot ranking of the top ${HOTSPOT_RANK_LIMIT} areas: Critical at 100 or more accidents or a risk score of 200, Very High at 50 or 100, High at 25 or 50, Moderate at 10 or 20, otherwise Low.`,
+      'Each accident takes the severity of its most seriously injured casualty; killed or seriously injured (KSI) counts fatal and serious accidents.',
+      'Collisions causing damage only, or not reported to the police, are not included.',
+    ],
+    source: DATA_SOURCE,
+  }
+}
+
+// Summary card
+function StatCard({ title, value, subtitle, icon: Icon, color = 'blue' }) {
+  const colors = {
+    red: 'bg-red-50 border-red-200 text-red-700',
+    amber: 'bg-amber-50 border-amber-200 text-amber-700',
+    green: 'bg-green-50 border-green-200 text-green-700',
+    blue: 'bg-blue-50 border-blue-200 text-blue-700',
+  }
+
+  return (
+    <div className={`rounded-lg border p-4 ${colors[color]}`}>
+      <div className="flex items-start justify-between">
+        <div>
+          <div className="text-sm font-medium">{title}</div>
+          <div className="text-2xl font-bold mt-1">{value ?? '-'}</div>
+          {subtitle && <div className="text-xs mt-1 opacity-75">{subtitle}</div>}
+        </div>
+        {Icon && <Icon className="w-6 h-6 opacity-60" />}
+      </div>
+    </div>
+  )
+}
+
+// Card wrapper for charts that render without their own frame
+function ChartCard({ title, icon: Icon, children }) {
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <Icon className="w-5 h-5 text-gray-600" />
+        {title}
+      </h3>
+      {children}
+    </div>
+  )
+}
+
+// Schools within the search radius of the area centre
+function NearbySchools({ schools }) {
+  if (schools.length === 0) {
+    return <p className="text-sm text-gray-500">No schools within {SCHOOL_SEARCH_RADIUS / 1000}km</p>
+  }
+
+  return (
+    <div className="divide-y divide-gray-200">
+      {schools.map((school, index) => (
+        <div key={school.urn || index} className="py-2 flex items-start justify-between gap-2">
+          <div className="min-w-0">
+            <div className="font-medium text-gray-900 truncate">{school.name}</div>
+            <div className="text-xs text-gray-500">{school.phase_of_education}</div>
+          </div>
+          <div className="text-right text-xs text-gray-500 flex-shrink-0">
+            {school.distance_meters !== undefined && (
+              <div>{Math.round(school.distance_meters)}m</div>
+            )}
+            {school.number_of_pupils > 0 && (
+              <div>{school.number_of_pupils.toLocaleString()} pupils</div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Map of the area centre and nearby schools
+function AreaMap({ center, schools, mapRef }) {
+  return (
+    <MapContainer
+      ref={mapRef}
+      center={center}
+      zoom={14}
+      style={{ height: '100%', width: '100%' }}
+    >
+      <TileLayer
+        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        crossOrigin
+      />
+      <Circle
+        center={center}
+        radius={SCHOOL_SEARCH_RADIUS}
+        pathOptions={{
+          color: '#2563eb',
+          fillColor: '#2563eb',
+          fillOpacity: 0.05,
+          weight: 2,
+          dashArray: '5, 10',
+        }}
+      />
+      {schools.filter(s => s.latitude && s.longitude).map((school, index) => (
+        <CircleMarker
+          key={school.urn || index}
+          center={[school.latitude, school.longitude]}
+          radius={6}
+          pathOptions={{
+            color: '#2563eb',
+            fillColor: '#2563eb',
+            fillOpacity: 0.7,
+            weight: 2,
+          }}
+        >
+          <Popup>
+            <div className="font-semibold text-gray-900">{school.name}</div>
+            <div className="text-xs text-gray-500">{school.phase_of_education}</div>
+          </Popup>
+        </CircleMarker>
+      ))}
+    </MapContainer>
+  )
+}
+
+// Main AreaProfile component
+export default function AreaProfile() {
+  const { lsoaCode } = useParams()
+  const [stats, setStats] = useState(null)
+  const [hotspotRank, setHotspotRank] = useState(null)
+  const [hotspot, setHotspot] = useState(null)
+  const [schools, setSchools] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const nextProfileSignal = useRequestController()
+
+  const loadProfile = useCallback(async () => {
+    const signal = nextProfileSignal()
+    setLoading(true)
+    setError(null)
+    try {
+      const [statsRes, hotspotsRes] = await Promise.all([
+        getLSOAStats(lsoaCode, { signal }),
+        getHotspots(undefined, HOTSPOT_RANK_LIMIT, { signal }).catch(e => {
+          if (isCancel(e)) throw e
+          console.error('Hotspots error:', e)
+          return { data: [] }
+        }),
+      ])
+
+      const data = statsRes.data
+      setStats(data)
+
+      const index = hotspotsRes.data.findIndex(h => h.lsoa_code === lsoaCode)
+      setHotspotRank(index >= 0 ? index + 1 : null)
+      setHotspot(index >= 0 ? hotspotsRes.data[index] : null)
+
+      if (data.latitude && data.longitude) {
+        try {
+          const schoolsRes = await getSchoolsNearLocation(
+            data.latitude, data.longitude, SCHOOL_SEARCH_RADIUS, 10, { signal }
+          )
+          setSchools(schoolsRes.data)
+        } catch (e) {
+          if (isCancel(e)) throw e
+          console.error('Nearby schools error:', e)
+          setSchools([])
+        }
+      } else {
+        setSchools([])
+      }
+    } catch (err) {
+      if (isCancel(err)) return
+      console.error('Failed to load area profile:', err)
+      setError(err.response?.status === 404 ? `No data for area ${lsoaCode}` : 'Failed to load area profile')
+      setStats(null)
+    } finally {
+      if (!signal.aborted) setLoading(false)
+    }
+  }, [lsoaCode, nextProfileSignal])
+
+  useEffect(() => {
+    loadProfile()
+  }, [loadProfile])
+
+  const severity = stats?.severity_breakdown
+  const totalAccidents = stats?.total_accidents
+  const ksiRate = totalAccidents > 0
+    ? ((severity.fatal + severity.serious) / totalAccidents * 100).toFixed(1)
+    : 0
+
+  const center = stats?.latitude && stats?.longitude
+    ? [stats.latitude, stats.longitude]
+    : null
+
+  const mapRef = useRef(null)
+
+  // Reports load the accidents around the area centre and snapshot its map;
+  // they still build without the map
+  const getAreaReport = async () => {
+    const [accidents, mapImage] = await Promise.all([
+      center
+        ? getNearbyAccidents(center[0], center[1], REPORT_ACCIDENT_RADIUS, null, REPORT_ACCIDENT_LIMIT).then(res => res.data)
+        : [],
+      mapRef.current
+        ? renderMapDataUrl(mapRef.current, { title: stats.lsoa_name || lsoaCode, legend: [{ label: 'School', color: '#2563eb' }] })
+          .catch(err => {
+            console.warn('Map snapshot unavailable:', err)
+            return null
+          })
+        : null,
+    ])
+    return buildAreaReport({ lsoaCode, stats, hotspot, hotspotRank, schools, accidents, mapImage })
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <Link to="/hotspots" className="text-sm text-blue-600 hover:underline flex items-center gap-1 mb-1">
+            <ArrowLeft className="w-4 h-4" />
+            Hotspots
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {stats?.lsoa_name || lsoaCode}
+          </h1>
+          <p className="text-gray-500">Area profile · LSOA {lsoaCode}</p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          {stats && !loading && <PdfReportButton getReport={getAreaReport} name={`area-report-${lsoaCode}`} />}
+          <button
+            onClick={loadProfile}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <RefreshCw className="w-8 h-8 animate-spin text-blue-600" />
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center">
+          <AlertTriangle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-red-800">{error}</h3>
+          <button
+            onClick={loadProfile}
+            className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+          >
+            <RefreshCw className="w-4 h-4 inline mr-2" />
+            Retry
+          </button>
+        </div>
+      ) : (
+        <>
+          {/* Summary Stats */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <StatCard
+              title="Total Accidents"
+              value={totalAccidents.toLocaleString()}
+              icon={AlertTriangle}
+              color="blue"
+            />
+            <StatCard
+              title="Total Casualties"
+              value={stats.total_casualties.toLocaleString()}
+              icon={Users}
+              color="amber"
+            />
+            <StatCard
+              title="KSI Rate"
+              value={`${ksiRate}%`}
+              subtitle={`${severity.fatal.toLocaleString()} fatal`}
+              icon={Skull}
+              color="red"
+            />
+            <StatCard
+              title="Hotspot Rank"
+              value={hotspotRank ? `#${hotspotRank}` : '-'}
+              subtitle={hotspotRank ? `of top ${HOTSPOT_RANK_LIMIT} areas` : `Outside top ${HOTSPOT_RANK_LIMIT}`}
+              icon={Trophy}
+              color={hotspotRank ? 'red' : 'green'}
+            />
+          </div>
+
+          {/* Yearly Trend */}
+          <ChartCard title="Yearly Trend" icon={TrendingUp}>
+            <YearComparison data={stats.yearly_trend} />
+          </ChartCard>
+
+          {/* Severity and Hourly */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <SeverityBreakdown data={severity} title="Severity Mix" />
+            <HourlyPatternChart data={stats.hourly_pattern} />
+          </div>
+
+          {/* Daily Pattern */}
+          <ChartCard title="Accidents by Day of Week" icon={Calendar}>
+            <DailyPattern data={stats.daily_pattern} />
+          </ChartCard>
+
+          {/* Nearby Schools */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-4">
+              <h3 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
+                <School className="w-4 h-4" />
+                Nearby Schools ({schools.length})
+              </h3>
+              <NearbySchools schools={schools} />
+            </div>
+
+            <div className="lg:col-span-2 bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
+              <div className="p-4 border-b border-gray-200">
+                <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+                  <MapPin className="w-4 h-4" />
+                  Area Location
+                </h3>
+              </div>
+              <div className="h-[400px]">
+                {center ? (
+                  <AreaMap center={center} schools={schools} mapRef={mapRef} />
+                ) : (
+                  <div className="flex items-center justify-center h-full text-gray-500">
+                    No location available for this area
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi } from 'vitest'
+import { screen, fireEvent, waitFor } from '@testing-library/react'
+import renderWithRouter from '../test/renderWithRouter'
+import { getSchoolsNearLocation } from '../services/api'
+import AreaProfile, { buildAreaReport } from './AreaProfile'
+
+vi.mock('../services/api', async (importOriginal) => {
+  const api = await importOriginal()
+  return { ...api, getSchoolsNearLocation: vi.fn(api.getSchoolsNearLocation) }
+})
+
+// The highest-risk area in the mock data
+const LSOA_CODE = 'E01010000'
+
+const renderProfile = (code = LSOA_CODE) => (
+  renderWithRouter(<AreaProfile />, { route: `/areas/${code}`, path: '/areas/:lsoaCode' })
+)
+
+describe('buildAreaReport', () => {
+  const stats = {
+    lsoa_name: 'Leeds 111A',
+    total_accidents: 40,
+    total_casualties: 52,
+    severity_breakdown: { fatal: 2, serious: 8, slight: 30 },
+    yearly_trend: [{ year: 2022, total_accidents: 18 }, { year: 2023, total_accidents: 22 }],
+  }
+  const area = { lsoaCode: 'E01011111', stats, schools: [], accidents: [], mapImage: null }
+
+  it('takes the risk category from the hotspot ranking', () => {
+    const hotspot = { risk_category: '', risk_score: 120, accident_count: 40 }
+    const report = buildAreaReport({ ...area, hotspot, hotspotRank: 3 })
+
+    expect(report.title).toBe('Leeds 111A')
+    expect(report.risk).toEqual({ label: 'Very High', color: '#dc2626', note: 'Hotspot rank #3 of top 500' })
+    expect(report.facts).toContainEqual(['KSI rate', '25.0%'])
+    expect(report.yearTrend).toEqual([{ year: 2022, total: 18 }, { year: 2023, total: 22 }])
+  })
+
+  it('marks areas outside the ranking as not ranked', () => {
+    const report = buildAreaReport({ ...area, hotspot: null, hotspotRank: null })
+    expect(report.risk.label).toBe('Not ranked')
+  })
+})
+
+describe('AreaProfile', () => {
+  it('shows a spinner while loading', () => {
+    const { container } = renderProfile()
+    expect(container.querySelector('.h-64 .animate-spin')).toBeInTheDocument()
+    expect(screen.getByRole('heading', { name: LSOA_CODE })).toBeInTheDocument()
+  })
+
+  it('shows the area profile', async () => {
+    renderProfile()
+
+    expect(await screen.findByText('Yearly Trend')).toBeInTheDocument()
+    expect(screen.getByRole('heading', { level: 1 })).not.toHaveTextContent(LSOA_CODE)
+    expect(screen.getByText('#1')).toBeInTheDocument()
+    expect(screen.getByText(/^Nearby Schools \(\d+\)$/)).toBeInTheDocument()
+  })
+
+  it('shows an empty state when there are no nearby schools', async () => {
+    getSchoolsNearLocation.mockResolvedValueOnce({ data: [] })
+    renderProfile()
+
+    expect(await screen.findByText('No schools within 1km')).toBeInTheDocument()
+    expect(screen.getByText('Nearby Schools (0)')).toBeInTheDocument()
+  })
+
+  it('reports areas the API does not know', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    renderProfile('E01999999')
+
+    expect(await screen.findByText('No data for area E01999999')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Retry' })).toBeInTheDocument()
+  })
+
+  it('downloads a PDF report of the area', async () => {
+    URL.createObjectURL = vi.fn(() => 'blob:report')
+    URL.revokeObjectURL = vi.fn()
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    // jsdom has no canvas, so the report is built without its map
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    renderProfile()
+    await screen.findByText('Yearly Trend')
+
+    fireEvent.click(screen.getByRole('button', { name: 'PDF report' }))
+
+    await waitFor(() => expect(click).toHaveBeenCalled())
+    expect(click.mock.instances[0].download).toMatch(new RegExp(`^area-report-${LSOA_CODE}-.*\\.pdf$`))
+    expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob))
+    expect(console.warn).toHaveBeenCalledWith('Map snapshot unavailable:', expect.any(Error))
+  })
+})
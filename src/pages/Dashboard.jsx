@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo, useCallback, memo } from 'react'
+import { useMemo, useCallback, useRef, memo } from 'react'
 import { 
   AlertTriangle, 
   Users, 
@@ -11,10 +11,17 @@ import {
   RefreshCw
 } from 'lucide-react'
 import { 
-  LineChart, Line, BarChart, Bar,
+  LineChart, Line,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer 
 } from 'recharts'
-import { getYearSummary, getTimeSeries, getHourlyPatterns, getHealth } from '../services/api'
+import { formatDistanceToNow } from 'date-fns'
+import { getYearSummary, getTimeSeries, getHourlyPatterns } from '../services/api'
+import SeverityBreakdown from '../components/charts/SeverityBreakdown'
+import HourlyPatternChart from '../components/charts/HourlyPatternChart'
+import ChartExportMenu from '../components/ChartExportMenu'
+import useUrlState from '../hooks/useUrlState'
+import useConnectivity from '../hooks/useConnectivity'
+import useApiQuery from '../hooks/useApiQuery'
 
 // Skeleton loader component
 function Skeleton({ className = '' }) {
@@ -85,82 +92,32 @@ const StatCard = memo(function StatCard({ title, value, change, changeType, icon
   )
 })
 
-// Severity Breakdown Component - Horizontal Stacked Bar
-function SeverityBreakdown({ data }) {
-  const severityData = [
-    { name: 'Fatal', value: data?.fatal || 0, color: '#dc2626', icon: '💀' },
-    { name: 'Serious', value: data?.serious || 0, color: '#f59e0b', icon: '🚨' },
-    { name: 'Slight', value: data?.slight || 0, color: '#16a34a', icon: '⚠️' },
-  ]
+// Series columns for the monthly trend download
+const MONTHLY_COLUMNS = [
+  { key: 'period', label: 'Month' },
+  { key: 'total_accidents', label: 'Total accidents' },
+  { key: 'fatal', label: 'Fatal' },
+  { key: 'serious', label: 'Serious' },
+  { key: 'slight', label: 'Slight' },
+]
 
-  const total = severityData.reduce((sum, item) => sum + item.value, 0)
-  const maxValue = Math.max(...severityData.map(d => d.value))
+// Monthly Trend Chart
+function MonthlyTrendChart({ data, year }) {
+  const chartRef = useRef(null)
 
   return (
     <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
-      <h3 className="text-lg font-semibold mb-4">Severity Breakdown</h3>
-      
-      {/* Stacked horizontal bar */}
-      <div className="mb-6">
-        <div className="flex h-8 rounded-lg overflow-hidden shadow-inner">
-          {severityData.map((item, i) => {
-            const width = total > 0 ? (item.value / total) * 100 : 0
-            return (
-              <div
-                key={item.name}
-                className="relative group transition-all duration-300 hover:opacity-90"
-                style={{ width: `${width}%`, backgroundColor: item.color }}
-                title={`${item.name}: ${item.value.toLocaleString()} (${width.toFixed(1)}%)`}
-              >
-                {width > 8 && (
-                  <span className="absolute inset-0 flex items-center justify-center text-white text-xs font-bold">
-                    {width.toFixed(0)}%
-                  </span>
-                )}
-              </div>
-            )
-          })}
-        </div>
-      </div>
-
-      {/* Individual bars */}
-      <div className="space-y-4">
-        {severityData.map((item) => {
-          const percentage = total > 0 ? (item.value / total) * 100 : 0
-          const barWidth = maxValue > 0 ? (item.value / maxValue) * 100 : 0
-          
-          return (
-            <div key={item.name}>
-              <div className="flex items-center justify-between mb-1">
-                <div className="flex items-center gap-2">
-                  <span>{item.icon}</span>
-                  <span className="text-sm font-medium text-gray-700">{item.name}</span>
-                </div>
-                <div className="text-right">
-                  <span className="font-bold text-gray-900">{item.value.toLocaleString()}</span>
-                  <span className="text-sm text-gray-400 ml-2">({percentage.toFixed(1)}%)</span>
-                </div>
-              </div>
-              <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
-                <div
-                  className="h-full rounded-full transition-all duration-500"
-                  style={{ width: `${barWidth}%`, backgroundColor: item.color }}
-                />
-              </div>
-            </div>
-          )
-        })}
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold">Monthly Accident Trend</h3>
+        <ChartExportMenu
+          title="Monthly Accident Trend"
+          year={year}
+          rows={data}
+          columns={MONTHLY_COLUMNS}
+          chartRef={chartRef}
+        />
       </div>
-    </div>
-  )
-}
-
-// Monthly Trend Chart
-function MonthlyTrendChart({ data }) {
-  return (
-    <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
-      <h3 className="text-lg font-semibold mb-4">Monthly Accident Trend</h3>
-      <div className="h-72">
+      <div ref={chartRef} className="h-72">
         <ResponsiveContainer>
           <LineChart data={data}>
             <CartesianGrid strokeDasharray="3 3" />
@@ -196,28 +153,24 @@ function MonthlyTrendChart({ data }) {
   )
 }
 
-// Hourly Pattern Chart
-function HourlyPatternChart({ data }) {
-  return (
-    <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
-      <h3 className="text-lg font-semibold mb-4">Accidents by Hour of Day</h3>
-      <div className="h-64">
-        <ResponsiveContainer>
-          <BarChart data={data}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="hour" tickFormatter={(h) => `${h}:00`} />
-            <YAxis />
-            <Tooltip labelFormatter={(h) => `${h}:00 - ${h+1}:00`} />
-            <Bar dataKey="total_accidents" name="Accidents" fill="#2563eb" />
-          </BarChart>
-        </ResponsiveContainer>
+// API Status Component
+function ApiStatus({ connectivity }) {
+  const { status, latency, lastChecked, consecutiveFailures } = connectivity
+
+  if (status === 'unknown') {
+    return (
+      <div className="rounded-lg p-4 bg-gray-50">
+        <div className="flex items-center gap-3">
+          <RefreshCw className="w-5 h-5 text-gray-400 animate-spin" />
+          <div>
+            <p className="font-medium">Checking API Status</p>
+            <p className="text-sm text-gray-500">API and Database Status</p>
+          </div>
+        </div>
       </div>
-    </div>
-  )
-}
+    )
+  }
 
-// API Status Component
-function ApiStatus({ status }) {
   return (
     <div className={`rounded-lg p-4 ${
       status === 'healthy' ? 'bg-green-50' : 
@@ -231,13 +184,22 @@ function ApiStatus({ status }) {
         ) : (
           <AlertTriangle className="w-5 h-5 text-red-600" />
         )}
-        <div>
+        <div className="flex-1">
           <p className="font-medium">
             {status === 'healthy' ? 'All Systems Operational' :
              status === 'degraded' ? 'Degraded Performance' : 'System Issues'}
           </p>
-          <p className="text-sm text-gray-500">API and Database Status</p>
+          <p className="text-sm text-gray-500">
+            API and Database Status
+            {latency !== null && ` · ${latency}ms`}
+            {consecutiveFailures > 0 && ` · ${consecutiveFailures} failed check${consecutiveFailures > 1 ? 's' : ''}`}
+          </p>
         </div>
+        {lastChecked && (
+          <p className="text-xs text-gray-400">
+            Checked {formatDistanceToNow(lastChecked, { addSuffix: true })}
+          </p>
+        )}
       </div>
     </div>
   )
@@ -245,76 +207,52 @@ function ApiStatus({ status }) {
 
 // Main Dashboard Component
 export default function Dashboard() {
-  const [loading, setLoading] = useState(true)
-  const [selectedYear, setSelectedYear] = useState('all')
-  const [summary, setSummary] = useState(null)
-  const [timeSeries, setTimeSeries] = useState([])
-  const [hourlyPatterns, setHourlyPatterns] = useState([])
-  const [apiStatus, setApiStatus] = useState('loading')
-  const [error, setError] = useState(null)
+  const [{ year: selectedYear }, setUrlState] = useUrlState({ year: 'all' })
+  const connectivity = useConnectivity()
+  const yearParam = selectedYear === 'all' ? null : selectedYear
 
   const years = ['all', 2024, 2023, 2022, 2021, 2020]
 
-  useEffect(() => {
-    loadDashboardData()
-  }, [selectedYear])
-
-  const loadDashboardData = async () => {
-    setLoading(true)
-    setError(null)
-
-    try {
-      // Check API health
-      const healthRes = await getHealth()
-      setApiStatus(healthRes.data.status)
-
-      // Load year summary
-      const summaryRes = await getYearSummary(selectedYear)
-      setSummary(summaryRes.data)
-
-      // Load time series for selected year
-      try {
-        const yearParam = selectedYear === 'all' ? null : selectedYear
-        const timeSeriesRes = await getTimeSeries(yearParam, 'month')
-        setTimeSeries(timeSeriesRes.data || [])
-      } catch (e) {
-        console.log('Time series not available')
-        setTimeSeries([])
-      }
+  const summaryQuery = useApiQuery(
+    ({ signal }) => getYearSummary(selectedYear, { signal }),
+    [selectedYear]
+  )
+  // Time series and hourly patterns are optional - the page renders without them
+  const timeSeriesQuery = useApiQuery(
+    ({ signal }) => getTimeSeries(yearParam, 'month', { signal }),
+    [yearParam]
+  )
+  const hourlyQuery = useApiQuery(
+    ({ signal }) => getHourlyPatterns(yearParam, { signal }),
+    [yearParam]
+  )
 
-      // Load hourly patterns
-      try {
-        const yearParam = selectedYear === 'all' ? null : selectedYear
-        const hourlyRes = await getHourlyPatterns(yearParam)
-        setHourlyPatterns(hourlyRes.data || [])
-      } catch (e) {
-        console.log('Hourly patterns not available')
-        setHourlyPatterns([])
-      }
+  const summary = summaryQuery.data ?? null
+  const timeSeries = timeSeriesQuery.data || []
+  const hourlyPatterns = hourlyQuery.data || []
+  const loading = summaryQuery.loading || timeSeriesQuery.loading || hourlyQuery.loading
+  const error = summaryQuery.error ? 'Failed to load data. Make sure the API is running.' : null
 
-    } catch (err) {
-      console.error('Failed to load dashboard data:', err)
-      setError('Failed to load data. Make sure the API is running.')
-      setApiStatus('error')
-    } finally {
-      setLoading(false)
-    }
-  }
+  const refreshDashboard = useCallback(() => {
+    summaryQuery.refresh()
+    timeSeriesQuery.refresh()
+    hourlyQuery.refresh()
+  }, [summaryQuery.refresh, timeSeriesQuery.refresh, hourlyQuery.refresh])
 
   // Memoize computed values
   const statsData = useMemo(() => ({
     totalAccidents: summary?.total_accidents,
     totalCasualties: summary?.total_casualties,
-    fatalAccidents: summary?.severity_breakdown?.fatal,
+    fatalAccidents: summary?.severity_breakdown.fatal,
     vehiclesInvolved: summary?.total_vehicles,
     ksiRate: summary?.total_accidents > 0
-      ? (((summary?.severity_breakdown?.fatal || 0) + (summary?.severity_breakdown?.serious || 0)) / summary.total_accidents * 100).toFixed(1)
+      ? ((summary.severity_breakdown.fatal + summary.severity_breakdown.serious) / summary.total_accidents * 100).toFixed(1)
       : 0,
     avgCasualties: summary?.total_accidents > 0
       ? (summary.total_casualties / summary.total_accidents).toFixed(2)
       : 0,
     fatalityRate: summary?.total_accidents > 0
-      ? (((summary?.severity_breakdown?.fatal || 0) / summary.total_accidents) * 100).toFixed(2)
+      ? ((summary.severity_breakdown.fatal / summary.total_accidents) * 100).toFixed(2)
       : 0,
   }), [summary])
 
@@ -355,7 +293,7 @@ export default function Dashboard() {
         <AlertTriangle className="w-12 h-12 text-red-500 mx-auto mb-4" />
         <h3 className="text-lg font-semibold text-red-800">{error}</h3>
         <button 
-          onClick={loadDashboardData}
+          onClick={refreshDashboard}
           className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
         >
           <RefreshCw className="w-4 h-4 inline mr-2" />
@@ -377,16 +315,16 @@ export default function Dashboard() {
         <div className="flex items-center gap-3">
           <select
             value={selectedYear}
-            onChange={(e) => setSelectedYear(e.target.value === 'all' ? 'all' : Number(e.target.value))}
+            onChange={(e) => setUrlState({ year: e.target.value })}
             className="px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500"
           >
             {years.map(year => (
-              <option key={year} value={year}>{year === 'all' ? 'All Years' : year}</option>
+              <option key={year} value={String(year)}>{year === 'all' ? 'All Years' : year}</option>
             ))}
           </select>
 
           <button 
-            onClick={loadDashboardData}
+            onClick={refreshDashboard}
             className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50"
           >
             <RefreshCw className="w-5 h-5 text-gray-500" />
@@ -395,7 +333,7 @@ export default function Dashboard() {
       </div>
 
       {/* API Status */}
-      <ApiStatus status={apiStatus} />
+      <ApiStatus connectivity={connectivity} />
 
       {/* Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
@@ -413,7 +351,7 @@ export default function Dashboard() {
         />
         <StatCard
           title="Fatal Accidents"
-          value={summary?.severity_breakdown?.fatal}
+          value={summary?.severity_breakdown.fatal}
           icon={Skull}
           color="red"
         />
@@ -427,13 +365,13 @@ export default function Dashboard() {
 
       {/* Charts Row */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        <SeverityBreakdown data={summary?.severity_breakdown} />
-        <HourlyPatternChart data={hourlyPatterns} />
+        <SeverityBreakdown data={summary?.severity_breakdown} exportable year={yearParam} />
+        <HourlyPatternChart data={hourlyPatterns} exportable year={yearParam} />
       </div>
 
       {/* Monthly Trend */}
       {timeSeries.length > 0 && (
-        <MonthlyTrendChart data={timeSeries} />
+        <MonthlyTrendChart data={timeSeries} year={yearParam} />
       )}
 
       {/* Quick Stats */}
@@ -444,7 +382,7 @@ export default function Dashboard() {
           </h3>
           <p className="text-3xl font-bold text-amber-600">
             {summary && summary.total_accidents > 0
-              ? (((summary.severity_breakdown?.fatal || 0) + (summary.severity_breakdown?.serious || 0)) / summary.total_accidents * 100).toFixed(1)
+              ? ((summary.severity_breakdown.fatal + summary.severity_breakdown.serious) / summary.total_accidents * 100).toFixed(1)
               : 0}%
           </p>
         </div>
@@ -466,7 +404,7 @@ export default function Dashboard() {
           </h3>
           <p className="text-3xl font-bold text-red-600">
             {summary && summary.total_accidents > 0
-              ? (((summary.severity_breakdown?.fatal || 0) / summary.total_accidents) * 100).toFixed(2)
+              ? ((summary.severity_breakdown.fatal / summary.total_accidents) * 100).toFixed(2)
               : 0}%
           </p>
         </div>
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi } from 'vitest'
+import { screen, fireEvent } from '@testing-library/react'
+import renderWithRouter from '../test/renderWithRouter'
+import { getYearSummary } from '../services/api'
+import Dashboard from './Dashboard'
+
+vi.mock('../services/api', async (importOriginal) => {
+  const api = await importOriginal()
+  return { ...api, getYearSummary: vi.fn(api.getYearSummary) }
+})
+
+const summary = (overrides) => ({
+  year: null,
+  total_accidents: 1000,
+  total_casualties: 1250,
+  total_vehicles: 1800,
+  severity_breakdown: { fatal: 10, serious: 190, slight: 800 },
+  ...overrides,
+})
+
+describe('Dashboard', () => {
+  it('shows skeletons while loading', () => {
+    const { container } = renderWithRouter(<Dashboard />)
+    expect(container.querySelectorAll('.animate-pulse').length).toBeGreaterThan(0)
+    expect(screen.queryByRole('heading', { name: 'Dashboard' })).not.toBeInTheDocument()
+  })
+
+  it('shows the summary statistics', async () => {
+    getYearSummary.mockResolvedValueOnce({ data: summary() })
+    renderWithRouter(<Dashboard />)
+
+    expect(await screen.findByRole('heading', { name: 'Dashboard' })).toBeInTheDocument()
+    expect(screen.getByText('1,000')).toBeInTheDocument()
+    expect(screen.getByText('1,250')).toBeInTheDocument()
+    expect(screen.getByText('20.0%')).toBeInTheDocument()
+    expect(screen.getByText('1.25')).toBeInTheDocument()
+  })
+
+  it('requests the selected year from the URL', async () => {
+    renderWithRouter(<Dashboard />, { route: '/?year=2022' })
+    await screen.findByRole('heading', { name: 'Dashboard' })
+    expect(getYearSummary).toHaveBeenCalledWith('2022', expect.anything())
+  })
+
+  it('handles a year with no accidents', async () => {
+    getYearSummary.mockResolvedValueOnce({
+      data: summary({
+        total_accidents: 0,
+        total_casualties: 0,
+        total_vehicles: 0,
+        severity_breakdown: { fatal: 0, serious: 0, slight: 0 },
+      }),
+    })
+    renderWithRouter(<Dashboard />)
+
+    expect(await screen.findByRole('heading', { name: 'Dashboard' })).toBeInTheDocument()
+    expect(screen.getAllByText('0%')).toHaveLength(2)
+  })
+
+  it('shows an error with a working retry', async () => {
+    getYearSummary.mockRejectedValueOnce(new Error('Network Error'))
+    renderWithRouter(<Dashboard />)
+
+    expect(await screen.findByText('Failed to load data. Make sure the API is running.')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Retry' }))
+    expect(await screen.findByRole('heading', { name: 'Dashboard' })).toBeInTheDocument()
+  })
+})
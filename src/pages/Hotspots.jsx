@@ -1,18 +1,69 @@
-import { useState, useEffect, useRef } from 'react'
-import { MapContainer, TileLayer, CircleMarker, Popup, useMap } from 'react-leaflet'
+import { useEffect, useRef, useCallback, useMemo, memo } from 'react'
+import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet'
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
 } from 'recharts'
 import { AlertTriangle, TrendingUp, MapPin, RefreshCw, Flame, Map as MapIcon } from 'lucide-react'
-import { getHotspots, getHeatmapData, getAccidentConditions } from '../services/api'
+import { getHotspots, getHeatmapData, getAccidentConditions, getSchoolsNearLocation } from '../services/api'
+import LsoaLink from '../components/LsoaLink'
+import LocationSearch from '../components/LocationSearch'
+import ExportMenu from '../components/ExportMenu'
+import NearbySchoolsPanel, { SchoolLayer, NEARBY_SCHOOL_LIMIT } from '../components/NearbySchoolsPanel'
+import MapImageExport from '../components/MapImageExport'
+import MapViewSync from '../components/MapViewSync'
+import CanvasPointLayer from '../components/CanvasPointLayer'
+import MarkerClusterGroup, { createBreakdownClusterIcon, createDotIcon } from '../components/MarkerClusterGroup'
+import useUrlState from '../hooks/useUrlState'
+import useApiQuery from '../hooks/useApiQuery'
 import L from 'leaflet'
+import 'leaflet.heat'
 import 'leaflet/dist/leaflet.css'
 
-// Heatmap is supported via circle markers - no leaflet.heat needed
-const heatLayerSupported = false
+// The density heatmap draws on a canvas - without one the heatmap view
+// falls back to circle markers
+const heatLayerSupported = Boolean(L.heatLayer) && L.Browser.canvas
+
+// Density heatmap colour ramp, from the lowest to the highest weight
+const HEAT_GRADIENT = {
+  0.0: '#00ff00',
+  0.25: '#ffff00',
+  0.5: '#ffa500',
+  0.75: '#ff4500',
+  1.0: '#ff0000',
+}
+
+// Relative weight of each accident when the heatmap is weighted by severity
+const SEVERITY_WEIGHTS = { fatal: 10, serious: 3, slight: 1 }
+
+// Zoom at which heatmap points are no longer merged on screen. Each level
+// further out doubles the maximum, so dense cities don't saturate the whole
+// map while sparser areas stay visible.
+const HEAT_DETAIL_ZOOM = 13
+
+// Default heatmap settings (kept in the URL with the rest of the view)
+const HEAT_DEFAULTS = {
+  heatStyle: 'density', // 'density' | 'circles'
+  heatRadius: 20,
+  heatBlur: 15,
+  heatIntensity: 1,
+  heatSeverity: true,
+}
+
+// Default map view - centre of UK
+const DEFAULT_VIEW = { lat: 52.5, lng: -1.5, zoom: 6 }
+
+// Heatmap points requested - both heatmap styles draw on a canvas, so this
+// can cover a whole year without sampling
+const HEATMAP_LIMIT = 50000
+
+// Zoom used when a hotspot is selected from the table or map
+const SELECTED_HOTSPOT_ZOOM = 14
+
+// Radius for the selected hotspot's nearby schools (metres)
+const SCHOOL_SEARCH_RADIUS = 1000
 
 // Risk category colors
-const RISK_COLORS = {
+export const RISK_COLORS = {
   'Critical': '#7f1d1d',
   'Very High': '#dc2626',
   'High': '#f59e0b',
@@ -32,7 +83,7 @@ const RISK_BADGES = {
 const CHART_COLORS = ['#dc2626', '#f59e0b', '#16a34a', '#2563eb', '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16']
 
 // Calculate risk category from score
-function getRiskCategory(score, accidentCount) {
+export function getRiskCategory(score, accidentCount) {
   if (accidentCount >= 100 || score >= 200) return 'Critical'
   if (accidentCount >= 50 || score >= 100) return 'Very High'
   if (accidentCount >= 25 || score >= 50) return 'High'
@@ -40,6 +91,18 @@ function getRiskCategory(score, accidentCount) {
   return 'Low'
 }
 
+const RISK_LEGEND = Object.entries(RISK_COLORS).map(([label, color]) => ({ label, color }))
+
+const getHotspotPosition = (hotspot) => (
+  hotspot.latitude && hotspot.longitude ? [hotspot.latitude, hotspot.longitude] : null
+)
+
+// Cluster bubbles ringed by the risk mix of their hotspots
+const riskClusterIcon = createBreakdownClusterIcon(
+  (marker) => marker.options.riskCategory,
+  Object.entries(RISK_COLORS).map(([label, color]) => ({ key: label, label, color }))
+)
+
 // Summary stats card
 function StatCard({ title, value, subtitle, color = 'blue' }) {
   const colors = {
@@ -58,233 +121,320 @@ function StatCard({ title, value, subtitle, color = 'blue' }) {
   )
 }
 
-// Heatmap using circle markers with interactive hover tooltips
-function HeatmapCircles({ data }) {
-  if (!data || data.length === 0) return null
+const getHeatPointColor = (intensity) => (
+  intensity >= 8 ? '#dc2626' :
+  intensity >= 5 ? '#f59e0b' :
+  intensity >= 3 ? '#eab308' : '#16a34a'
+)
 
-  const getSeverityLabel = (intensity) => {
-    if (intensity >= 8) return 'Critical'
-    if (intensity >= 5) return 'High'
-    if (intensity >= 3) return 'Moderate'
-    return 'Low'
-  }
+const getHeatPointLabel = (intensity) => {
+  if (intensity >= 8) return 'Critical'
+  if (intensity >= 5) return 'High'
+  if (intensity >= 3) return 'Moderate'
+  return 'Low'
+}
+
+const getHeatPointPosition = (point) => [point.lat, point.lng]
+
+const getHeatPointStyle = (point) => ({
+  color: getHeatPointColor(point.intensity),
+  radius: Math.max(4, Math.min(10, point.intensity)),
+})
+
+// Heatmap point summary shown on hover
+function HeatPointPopup({ point }) {
+  const { intensity } = point
 
   return (
-    <>
-      {data.map((point, index) => {
-        const intensity = point.intensity || 1
-        const color = intensity >= 8 ? '#dc2626' : 
-                      intensity >= 5 ? '#f59e0b' : 
-                      intensity >= 3 ? '#eab308' : '#16a34a'
-        const baseRadius = Math.max(4, Math.min(10, intensity))
-        const opacity = Math.min(0.8, 0.3 + (intensity / 15))
-        const severityLabel = getSeverityLabel(intensity)
-
-        return (
-          <CircleMarker
-            key={index}
-            center={[point.lat, point.lng]}
-            radius={baseRadius}
-            pathOptions={{
-              color: color,
-              fillColor: color,
-              fillOpacity: opacity,
-              weight: 1,
-            }}
-            eventHandlers={{
-              mouseover: (e) => {
-                const marker = e.target
-                marker.setStyle({
-                  weight: 3,
-                  fillOpacity: 0.9,
-                  color: '#1e40af',
-                })
-                marker.setRadius(baseRadius * 1.5)
-                marker.openPopup()
-              },
-              mouseout: (e) => {
-                const marker = e.target
-                marker.setStyle({
-                  weight: 1,
-                  fillOpacity: opacity,
-                  color: color,
-                })
-                marker.setRadius(baseRadius)
-                marker.closePopup()
-              },
-            }}
-          >
-            <Popup>
-              <div className="text-center min-w-32">
-                <div className={`font-bold text-sm mb-1 ${
-                  intensity >= 8 ? 'text-red-600' :
-                  intensity >= 5 ? 'text-amber-600' :
-                  intensity >= 3 ? 'text-yellow-600' : 'text-green-600'
-                }`}>
-                  {severityLabel} Risk Area
-                </div>
-                <div className="text-xs text-gray-600">
-                  <p>Intensity: <strong>{intensity.toFixed(1)}</strong></p>
-                  <p>Accidents: <strong>{point.count || Math.round(intensity)}</strong></p>
-                  {point.fatal > 0 && <p className="text-red-600">Fatal: {point.fatal}</p>}
-                  {point.serious > 0 && <p className="text-amber-600">Serious: {point.serious}</p>}
-                </div>
-                <div className="text-xs text-gray-400 mt-1">
-                  {point.lat.toFixed(4)}, {point.lng.toFixed(4)}
-                </div>
-              </div>
-            </Popup>
-          </CircleMarker>
-        )
-      })}
-    </>
+    <div className="text-center min-w-32">
+      <div className={`font-bold text-sm mb-1 ${
+        intensity >= 8 ? 'text-red-600' :
+        intensity >= 5 ? 'text-amber-600' :
+        intensity >= 3 ? 'text-yellow-600' : 'text-green-600'
+      }`}>
+        {getHeatPointLabel(intensity)} Risk Area
+      </div>
+      <div className="text-xs text-gray-600">
+        <p>Intensity: <strong>{intensity.toFixed(1)}</strong></p>
+        <p>Accidents: <strong>{point.count ?? Math.round(intensity)}</strong></p>
+        {point.fatal > 0 && <p className="text-red-600">Fatal: {point.fatal}</p>}
+        {point.serious > 0 && <p className="text-amber-600">Serious: {point.serious}</p>}
+      </div>
+      <div className="text-xs text-gray-400 mt-1">
+        {point.lat.toFixed(4)}, {point.lng.toFixed(4)}
+      </div>
+    </div>
+  )
+}
+
+// Heatmap as circles drawn on a canvas, with hover popups
+function HeatmapCircles({ data }) {
+  // Most intense points last, so they're drawn on top
+  const points = useMemo(() => [...data].sort((a, b) => a.intensity - b.intensity), [data])
+
+  return (
+    <CanvasPointLayer
+      points={points}
+      getPosition={getHeatPointPosition}
+      getStyle={getHeatPointStyle}
+      renderPopup={(point) => <HeatPointPopup point={point} />}
+    />
   )
 }
 
-// Native heatmap layer (when leaflet.heat is available)
-function NativeHeatmapLayer({ data }) {
+// Weight of a heatmap point - its accident count, or with bySeverity its
+// accidents weighted by severity
+export function getHeatWeight(point, bySeverity) {
+  const count = point.count ?? point.intensity
+  if (!bySeverity) return count
+  const slight = Math.max(0, count - point.fatal - point.serious)
+  return slight * SEVERITY_WEIGHTS.slight +
+    point.serious * SEVERITY_WEIGHTS.serious +
+    point.fatal * SEVERITY_WEIGHTS.fatal
+}
+
+// Weight that shows as full heat at a zoom level. `baseMax` applies at
+// HEAT_DETAIL_ZOOM and above; `intensity` > 1 makes the map hotter.
+export function getHeatMax(baseMax, zoom, intensity = 1) {
+  return baseMax * 2 ** Math.max(0, HEAT_DETAIL_ZOOM - zoom) / intensity
+}
+
+// Weight near the top of the range (90th percentile), so a few extreme
+// points don't wash out the rest
+function getBaseMax(weights) {
+  if (weights.length === 0) return 1
+  const sorted = [...weights].sort((a, b) => a - b)
+  return sorted[Math.floor((sorted.length - 1) * 0.9)] || 1
+}
+
+// Density heatmap layer (leaflet.heat)
+function NativeHeatmapLayer({ data, radius, blur, intensity, weightBySeverity }) {
   const map = useMap()
   const heatLayerRef = useRef(null)
 
+  // Heat layer data: [lat, lng, weight]
+  const points = useMemo(
+    () => data.map(point => [point.lat, point.lng, getHeatWeight(point, weightBySeverity)]),
+    [data, weightBySeverity]
+  )
+  const baseMax = useMemo(() => getBaseMax(points.map(point => point[2])), [points])
+
   useEffect(() => {
-    if (!data || data.length === 0 || !heatLayerSupported) return
+    // maxZoom 0 turns off leaflet.heat's own zoom dimming - zoom scaling
+    // is done through `max` below
+    const layer = L.heatLayer(points, { gradient: HEAT_GRADIENT, maxZoom: 0 }).addTo(map)
+    heatLayerRef.current = layer
 
-    // Remove existing heat layer
-    if (heatLayerRef.current) {
-      map.removeLayer(heatLayerRef.current)
+    return () => {
+      map.removeLayer(layer)
+      heatLayerRef.current = null
     }
+  }, [points, map])
 
-    // Create heat layer data: [lat, lng, intensity]
-    const heatData = data.map(point => [
-      point.lat,
-      point.lng,
-      point.intensity || 1
-    ])
-
-    // Create and add heat layer
-    heatLayerRef.current = L.heatLayer(heatData, {
-      radius: 15,
-      blur: 20,
-      maxZoom: 17,
-      max: 10,
-      gradient: {
-        0.0: '#00ff00',
-        0.25: '#ffff00',
-        0.5: '#ffa500',
-        0.75: '#ff4500',
-        1.0: '#ff0000'
-      }
-    }).addTo(map)
+  // Apply the settings, and rescale the maximum whenever the zoom changes
+  useEffect(() => {
+    const layer = heatLayerRef.current
+    if (!layer) return
 
+    const update = () => {
+      layer.setOptions({ radius, blur, max: getHeatMax(baseMax, map.getZoom(), intensity) })
+    }
+    update()
+    map.on('zoomend', update)
     return () => {
-      if (heatLayerRef.current) {
-        map.removeLayer(heatLayerRef.current)
-      }
+      map.off('zoomend', update)
     }
-  }, [data, map])
+  }, [points, baseMax, radius, blur, intensity, map])
 
   return null
 }
 
-// Hotspot Map with heatmap
-function HotspotMap({ hotspots, heatmapData, showHeatmap }) {
-  const center = [52.5, -1.5] // Center of UK
-
-  // Filter out invalid coordinates
-  const validHotspots = hotspots.filter(h => 
-    h.latitude && h.longitude && 
-    !isNaN(h.latitude) && !isNaN(h.longitude) &&
-    h.latitude !== 0 && h.longitude !== 0
+// Colour ramp legend for the density heatmap
+function HeatmapLegend({ weightBySeverity }) {
+  const stops = Object.entries(HEAT_GRADIENT)
+    .map(([stop, color]) => `${color} ${stop * 100}%`)
+    .join(', ')
+
+  return (
+    <div className="absolute bottom-4 left-4 z-[1000] bg-white/90 rounded-lg shadow p-3 text-xs text-gray-600 w-48">
+      <div className="font-medium text-gray-900 mb-1">
+        {weightBySeverity ? 'Severity-weighted density' : 'Accident density'}
+      </div>
+      <div className="h-3 rounded" style={{ background: `linear-gradient(to right, ${stops})` }} />
+      <div className="flex justify-between mt-1">
+        <span>Lower</span>
+        <span>Higher</span>
+      </div>
+    </div>
+  )
+}
+
+// Heatmap style and density settings
+function HeatmapControls({ settings, onChange }) {
+  const activeStyle = heatLayerSupported ? settings.heatStyle : 'circles'
+  const density = activeStyle === 'density'
+  const slider = (key, label, min, max, step) => (
+    <label className="flex items-center gap-2">
+      <span className="text-gray-600 w-16">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={settings[key]}
+        onChange={(e) => onChange({ [key]: Number(e.target.value) }, { replace: true })}
+        className="w-28"
+      />
+      <span className="text-gray-500 w-8 text-right">{settings[key]}</span>
+    </label>
   )
 
-  const validHeatmapData = heatmapData.filter(h =>
-    h.lat && h.lng &&
-    !isNaN(h.lat) && !isNaN(h.lng)
+  return (
+    <div className="flex flex-wrap items-center gap-x-6 gap-y-2 px-4 py-3 border-b border-gray-200 bg-gray-50 text-sm">
+      <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+        {[['density', 'Density'], ['circles', 'Circles']].map(([style, label]) => (
+          <button
+            key={style}
+            onClick={() => onChange({ heatStyle: style })}
+            disabled={style === 'density' && !heatLayerSupported}
+            className={`px-3 py-1 ${
+              activeStyle === style ? 'bg-orange-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+            } disabled:opacity-50`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {density && (
+        <>
+          {slider('heatRadius', 'Radius', 5, 50, 1)}
+          {slider('heatBlur', 'Blur', 5, 40, 1)}
+          {slider('heatIntensity', 'Intensity', 0.25, 4, 0.25)}
+          <label className="flex items-center gap-2 text-gray-600">
+            <input
+              type="checkbox"
+              checked={settings.heatSeverity}
+              onChange={(e) => onChange({ heatSeverity: e.target.checked })}
+              className="rounded border-gray-300"
+            />
+            Weight by severity
+          </label>
+        </>
+      )}
+    </div>
+  )
+}
+
+// Hotspot marker, sized by accident count; the popup opens on hover and a
+// click selects the hotspot
+const HotspotMarker = memo(function HotspotMarker({ hotspot, isSelected, onSelect }) {
+  const riskCategory = hotspot.risk_category || getRiskCategory(hotspot.risk_score, hotspot.accident_count)
+  const color = RISK_COLORS[riskCategory] || '#6b7280'
+  const baseRadius = Math.min(15, Math.max(6, hotspot.accident_count / 10))
+  const icon = useMemo(
+    () => createDotIcon(color, Math.round(baseRadius * (isSelected ? 2.8 : 2)), { selected: isSelected }),
+    [color, baseRadius, isSelected]
   )
 
+  return (
+    <Marker
+      position={[hotspot.latitude, hotspot.longitude]}
+      icon={icon}
+      riskCategory={riskCategory}
+      eventHandlers={{
+        mouseover: (e) => e.target.openPopup(),
+        mouseout: (e) => e.target.closePopup(),
+        click: () => onSelect(hotspot),
+      }}
+    >
+      <Popup>
+        <div className="min-w-48">
+          <div className="font-semibold text-gray-900 mb-2">
+            <LsoaLink code={hotspot.lsoa_code}>
+              {hotspot.lsoa_name || hotspot.lsoa_code}
+            </LsoaLink>
+          </div>
+          <span className={`text-xs px-2 py-1 rounded ${RISK_BADGES[riskCategory]}`}>
+            {riskCategory} Risk
+          </span>
+          <div className="text-sm mt-2 space-y-1">
+            <p><span className="text-gray-500">Total Accidents:</span> {hotspot.accident_count}</p>
+            <p><span className="text-gray-500">Fatal:</span> {hotspot.fatal_count}</p>
+            <p><span className="text-gray-500">Serious:</span> {hotspot.serious_count}</p>
+            <p><span className="text-gray-500">Risk Score:</span> {hotspot.risk_score?.toFixed(1)}</p>
+          </div>
+        </div>
+      </Popup>
+    </Marker>
+  )
+})
+
+// Hotspot Map with heatmap
+function HotspotMap({
+  hotspots, heatmapData, showHeatmap, heatSettings, view, onViewChange, selectedCode, onSelect, nearbySchools, exportTitle,
+}) {
+  // Skip hotspots without a usable location (missing or 0,0)
+  const validHotspots = hotspots.filter(h => h.latitude && h.longitude)
+
   return (
     <MapContainer
-      center={center}
-      zoom={6}
+      center={[view.lat, view.lng]}
+      zoom={view.zoom}
       style={{ height: '100%', width: '100%' }}
     >
       <TileLayer
         attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
         url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        crossOrigin
+      />
+      <MapImageExport
+        name={showHeatmap ? 'accident-heatmap' : 'hotspot-map'}
+        title={exportTitle}
+        legend={showHeatmap ? [] : RISK_LEGEND}
       />
 
-      {showHeatmap && validHeatmapData.length > 0 && (
-        heatLayerSupported ? (
-          <NativeHeatmapLayer data={validHeatmapData} />
+      <MapViewSync
+        lat={view.lat}
+        lng={view.lng}
+        zoom={view.zoom}
+        onViewChange={onViewChange}
+      />
+
+      {showHeatmap && heatmapData.length > 0 && (
+        heatSettings.heatStyle === 'density' && heatLayerSupported ? (
+          <NativeHeatmapLayer
+            data={heatmapData}
+            radius={heatSettings.heatRadius}
+            blur={heatSettings.heatBlur}
+            intensity={heatSettings.heatIntensity}
+            weightBySeverity={heatSettings.heatSeverity}
+          />
         ) : (
-          <HeatmapCircles data={validHeatmapData} />
+          <HeatmapCircles data={heatmapData} />
         )
       )}
 
-      {!showHeatmap && validHotspots.map((hotspot, index) => {
-        const riskCategory = hotspot.risk_category || getRiskCategory(hotspot.risk_score, hotspot.accident_count)
-        const color = RISK_COLORS[riskCategory] || '#6b7280'
-        const baseRadius = Math.min(15, Math.max(6, (hotspot.accident_count || 0) / 10))
-
-        return (
-          <CircleMarker
-            key={index}
-            center={[hotspot.latitude, hotspot.longitude]}
-            radius={baseRadius}
-            pathOptions={{
-              color: color,
-              fillColor: color,
-              fillOpacity: 0.6,
-              weight: 2,
-            }}
-            eventHandlers={{
-              mouseover: (e) => {
-                const marker = e.target
-                marker.setStyle({
-                  weight: 4,
-                  fillOpacity: 0.85,
-                  color: '#1e3a8a',
-                })
-                marker.setRadius(baseRadius * 1.4)
-                marker.openPopup()
-              },
-              mouseout: (e) => {
-                const marker = e.target
-                marker.setStyle({
-                  weight: 2,
-                  fillOpacity: 0.6,
-                  color: color,
-                })
-                marker.setRadius(baseRadius)
-                marker.closePopup()
-              },
-            }}
-          >
-            <Popup>
-              <div className="min-w-48">
-                <div className="font-semibold text-gray-900 mb-2">
-                  {hotspot.lsoa_name || hotspot.lsoa_code}
-                </div>
-                <span className={`text-xs px-2 py-1 rounded ${RISK_BADGES[riskCategory]}`}>
-                  {riskCategory} Risk
-                </span>
-                <div className="text-sm mt-2 space-y-1">
-                  <p><span className="text-gray-500">Total Accidents:</span> {hotspot.accident_count}</p>
-                  <p><span className="text-gray-500">Fatal:</span> {hotspot.fatal_count}</p>
-                  <p><span className="text-gray-500">Serious:</span> {hotspot.serious_count}</p>
-                  <p><span className="text-gray-500">Risk Score:</span> {hotspot.risk_score?.toFixed(1)}</p>
-                </div>
-              </div>
-            </Popup>
-          </CircleMarker>
-        )
-      })}
+      {!showHeatmap && (
+        <MarkerClusterGroup iconCreateFunction={riskClusterIcon}>
+          {validHotspots.map((hotspot, index) => (
+            <HotspotMarker
+              key={hotspot.lsoa_code || index}
+              hotspot={hotspot}
+              isSelected={Boolean(selectedCode) && hotspot.lsoa_code === selectedCode}
+              onSelect={onSelect}
+            />
+          ))}
+        </MarkerClusterGroup>
+      )}
+
+      {nearbySchools.length > 0 && <SchoolLayer schools={nearbySchools} />}
     </MapContainer>
   )
 }
 
 // Top hotspots table
-function HotspotTable({ hotspots }) {
+function HotspotTable({ hotspots, selectedCode, onSelect }) {
   return (
     <div className="overflow-x-auto">
       <table className="w-full text-sm">
@@ -303,10 +453,18 @@ function HotspotTable({ hotspots }) {
           {hotspots.slice(0, 25).map((h, i) => {
             const riskCategory = h.risk_category || getRiskCategory(h.risk_score, h.accident_count)
             return (
-              <tr key={i} className="hover:bg-gray-50">
+              <tr
+                key={i}
+                onClick={() => onSelect(h)}
+                className={`cursor-pointer ${selectedCode && h.lsoa_code === selectedCode ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
                 <td className="px-4 py-3 font-medium">{i + 1}</td>
                 <td className="px-4 py-3">
-                  <div className="font-medium text-gray-900">{h.lsoa_name || h.lsoa_code}</div>
+                  <div className="font-medium text-gray-900">
+                    <LsoaLink code={h.lsoa_code} className="text-gray-900 hover:text-blue-600">
+                      {h.lsoa_name || h.lsoa_code}
+                    </LsoaLink>
+                  </div>
                   <div className="text-xs text-gray-500">{h.lsoa_code}</div>
                 </td>
                 <td className="px-4 py-3">
@@ -315,7 +473,7 @@ function HotspotTable({ hotspots }) {
                   </span>
                 </td>
                 <td className="px-4 py-3 text-right font-mono">{h.risk_score?.toFixed(1)}</td>
-                <td className="px-4 py-3 text-right">{h.accident_count?.toLocaleString()}</td>
+                <td className="px-4 py-3 text-right">{h.accident_count.toLocaleString()}</td>
                 <td className="px-4 py-3 text-right text-red-600">{h.fatal_count}</td>
                 <td className="px-4 py-3 text-right text-amber-600">{h.serious_count}</td>
               </tr>
@@ -334,25 +492,25 @@ function AccidentConditionsCharts({ conditions }) {
   return (
     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
       {/* Weather Conditions - Horizontal Bar */}
-      {conditions.weather && conditions.weather.length > 0 && (
+      {conditions.weather.length > 0 && (
         <div className="bg-white rounded-lg border border-gray-200 p-4">
           <h4 className="font-semibold text-gray-900 mb-4">🌤️ Weather Conditions</h4>
           <div className="space-y-3">
             {(() => {
               const weatherData = conditions.weather.slice(0, 6)
-              const maxCount = Math.max(...weatherData.map(w => w.count || 0))
-              const total = weatherData.reduce((sum, w) => sum + (w.count || 0), 0)
+              const maxCount = Math.max(...weatherData.map(w => w.count))
+              const total = weatherData.reduce((sum, w) => sum + w.count, 0)
               
               return weatherData.map((w, i) => {
-                const barWidth = maxCount > 0 ? ((w.count || 0) / maxCount) * 100 : 0
-                const percentage = total > 0 ? ((w.count || 0) / total) * 100 : 0
+                const barWidth = maxCount > 0 ? (w.count / maxCount) * 100 : 0
+                const percentage = total > 0 ? (w.count / total) * 100 : 0
                 
                 return (
                   <div key={i} className="group">
                     <div className="flex items-center justify-between mb-1">
                       <span className="text-xs text-gray-600 truncate flex-1" title={w.name}>{w.name}</span>
                       <span className="text-xs font-bold text-gray-900 ml-2">
-                        {(w.count || 0).toLocaleString()}
+                        {w.count.toLocaleString()}
                         <span className="text-gray-400 font-normal ml-1">({percentage.toFixed(0)}%)</span>
                       </span>
                     </div>
@@ -371,7 +529,7 @@ function AccidentConditionsCharts({ conditions }) {
       )}
 
       {/* Light Conditions */}
-      {conditions.light && conditions.light.length > 0 && (
+      {conditions.light.length > 0 && (
         <div className="bg-white rounded-lg border border-gray-200 p-4">
           <h4 className="font-semibold text-gray-900 mb-4">Light Conditions</h4>
           <ResponsiveContainer width="100%" height={200}>
@@ -387,7 +545,7 @@ function AccidentConditionsCharts({ conditions }) {
       )}
 
       {/* Road Surface */}
-      {conditions.road_surface && conditions.road_surface.length > 0 && (
+      {conditions.road_surface.length > 0 && (
         <div className="bg-white rounded-lg border border-gray-200 p-4">
           <h4 className="font-semibold text-gray-900 mb-4">Road Surface</h4>
           <ResponsiveContainer width="100%" height={200}>
@@ -403,7 +561,7 @@ function AccidentConditionsCharts({ conditions }) {
       )}
 
       {/* Road Type */}
-      {conditions.road_type && conditions.road_type.length > 0 && (
+      {conditions.road_type.length > 0 && (
         <div className="bg-white rounded-lg border border-gray-200 p-4">
           <h4 className="font-semibold text-gray-900 mb-4">Road Type</h4>
           <ResponsiveContainer width="100%" height={200}>
@@ -423,54 +581,94 @@ function AccidentConditionsCharts({ conditions }) {
 
 // Main Hotspots component
 export default function Hotspots() {
-  const [hotspots, setHotspots] = useState([])
-  const [heatmapData, setHeatmapData] = useState([])
-  const [conditions, setConditions] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-  const [selectedYear, setSelectedYear] = useState('2023')
-  const [limit, setLimit] = useState(100)
-  const [showHeatmap, setShowHeatmap] = useState(false) // Start with markers view
+  const [urlState, setUrlState] = useUrlState({
+    year: '2023',
+    limit: 100,
+    view: 'markers', // Start with markers view
+    hotspot: null,
+    // The selected hotspot's nearby schools drawn on the map
+    schoolLayer: true,
+    ...DEFAULT_VIEW,
+    ...HEAT_DEFAULTS,
+  })
+  const { year: selectedYear, limit, hotspot: selectedCode } = urlState
+  const showHeatmap = urlState.view === 'heatmap'
+  const showDensity = showHeatmap && urlState.heatStyle === 'density' && heatLayerSupported
+
+  const yearParam = selectedYear || undefined
+
+  const hotspotsQuery = useApiQuery(
+    ({ signal }) => getHotspots(yearParam, limit, { signal }),
+    [yearParam, limit]
+  )
+  const heatmapQuery = useApiQuery(
+    ({ signal }) => getHeatmapData(yearParam, HEATMAP_LIMIT, { signal }),
+    [yearParam]
+  )
+  const conditionsQuery = useApiQuery(
+    ({ signal }) => getAccidentConditions(yearParam, { signal }),
+    [yearParam]
+  )
 
-  useEffect(() => {
-    loadData()
-  }, [selectedYear, limit])
-
-  const loadData = async () => {
-    setLoading(true)
-    setError(null)
-    try {
-      const yearParam = selectedYear || undefined
-      
-      const [hotspotsRes, heatmapRes, conditionsRes] = await Promise.all([
-        getHotspots(yearParam, limit).catch(e => { console.error('Hotspots error:', e); return { data: [] } }),
-        getHeatmapData(yearParam, 2000).catch(e => { console.error('Heatmap error:', e); return { data: [] } }),
-        getAccidentConditions(yearParam).catch(e => { console.error('Conditions error:', e); return { data: null } })
-      ])
-
-      console.log('Hotspots loaded:', hotspotsRes.data?.length || 0)
-      console.log('Heatmap loaded:', heatmapRes.data?.length || 0)
-
-      setHotspots(hotspotsRes.data || [])
-      setHeatmapData(heatmapRes.data || [])
-      setConditions(conditionsRes.data || null)
-    } catch (err) {
-      console.error('Failed to load hotspots:', err)
-      setError(err.message)
-      setHotspots([])
-    } finally {
-      setLoading(false)
-    }
+  const hotspots = hotspotsQuery.data || []
+  const selectedHotspot = hotspots.find(h => selectedCode && h.lsoa_code === selectedCode && h.latitude && h.longitude)
+  const schoolsQuery = useApiQuery(
+    ({ signal }) => getSchoolsNearLocation(
+      selectedHotspot.latitude, selectedHotspot.longitude, SCHOOL_SEARCH_RADIUS, NEARBY_SCHOOL_LIMIT, { signal }
+    ),
+    [selectedHotspot?.latitude, selectedHotspot?.longitude],
+    { enabled: Boolean(selectedHotspot) }
+  )
+  const nearbySchools = (selectedHotspot && schoolsQuery.data) || []
+  const heatmapData = heatmapQuery.data || []
+  const conditions = conditionsQuery.data || null
+  const loading = hotspotsQuery.loading || heatmapQuery.loading || conditionsQuery.loading
+  const error = hotspotsQuery.error?.message || null
+
+  const loadData = () => {
+    hotspotsQuery.refresh()
+    heatmapQuery.refresh()
+    conditionsQuery.refresh()
   }
 
+  const handleViewChange = useCallback((view) => {
+    setUrlState(view, { replace: true })
+  }, [setUrlState])
+
+  // Select a hotspot and zoom the map to it
+  const handleSelectHotspot = useCallback((hotspot) => {
+    const update = { hotspot: hotspot.lsoa_code, view: 'markers' }
+    if (hotspot.latitude && hotspot.longitude) {
+      update.lat = hotspot.latitude
+      update.lng = hotspot.longitude
+      update.zoom = SELECTED_HOTSPOT_ZOOM
+    }
+    setUrlState(update)
+  }, [setUrlState])
+
+  const handleLocationSelect = useCallback((result) => {
+    setUrlState({ lat: result.lat, lng: result.lng, zoom: result.zoom })
+  }, [setUrlState])
+
+  const handleSchoolLayerChange = useCallback((schoolLayer) => {
+    setUrlState({ schoolLayer }, { replace: true })
+  }, [setUrlState])
+
+  // Exports carry each area's risk category, as shown in the table
+  const exportRows = useMemo(() => hotspots.map(h => ({
+    ...h,
+    risk_category: h.risk_category || getRiskCategory(h.risk_score, h.accident_count),
+  })), [hotspots])
+  const exportTitle = `${showHeatmap ? 'Accident heatmap' : `Top ${limit} accident hotspots`} - ${selectedYear || 'all years'}`
+
   // Calculate summary stats
   const stats = {
     total: hotspots.length,
     critical: hotspots.filter(h => getRiskCategory(h.risk_score, h.accident_count) === 'Critical').length,
     veryHigh: hotspots.filter(h => getRiskCategory(h.risk_score, h.accident_count) === 'Very High').length,
     high: hotspots.filter(h => getRiskCategory(h.risk_score, h.accident_count) === 'High').length,
-    totalAccidents: hotspots.reduce((sum, h) => sum + (h.accident_count || 0), 0),
-    totalFatal: hotspots.reduce((sum, h) => sum + (h.fatal_count || 0), 0),
+    totalAccidents: hotspots.reduce((sum, h) => sum + h.accident_count, 0),
+    totalFatal: hotspots.reduce((sum, h) => sum + h.fatal_count, 0),
   }
 
   return (
@@ -506,7 +704,7 @@ export default function Hotspots() {
             <label className="block text-sm text-gray-600 mb-1">Year</label>
             <select
               value={selectedYear}
-              onChange={(e) => setSelectedYear(e.target.value)}
+              onChange={(e) => setUrlState({ year: e.target.value })}
               className="px-3 py-2 border border-gray-300 rounded-lg"
             >
               <option value="">All Years</option>
@@ -522,7 +720,7 @@ export default function Hotspots() {
             <label className="block text-sm text-gray-600 mb-1">Show Top</label>
             <select
               value={limit}
-              onChange={(e) => setLimit(Number(e.target.value))}
+              onChange={(e) => setUrlState({ limit: Number(e.target.value) })}
               className="px-3 py-2 border border-gray-300 rounded-lg"
             >
               <option value="50">50</option>
@@ -534,7 +732,7 @@ export default function Hotspots() {
 
           <div className="flex items-center gap-2">
             <button
-              onClick={() => setShowHeatmap(true)}
+              onClick={() => setUrlState({ view: 'heatmap' })}
               className={`flex items-center gap-2 px-4 py-2 rounded-lg ${
                 showHeatmap 
                   ? 'bg-orange-600 text-white' 
@@ -545,7 +743,7 @@ export default function Hotspots() {
               Heatmap
             </button>
             <button
-              onClick={() => setShowHeatmap(false)}
+              onClick={() => setUrlState({ view: 'markers' })}
               className={`flex items-center gap-2 px-4 py-2 rounded-lg ${
                 !showHeatmap 
                   ? 'bg-blue-600 text-white' 
@@ -556,6 +754,11 @@ export default function Hotspots() {
               Markers
             </button>
           </div>
+
+          <div className="flex-1 min-w-[16rem]">
+            <label className="block text-sm text-gray-600 mb-1">Go to</label>
+            <LocationSearch onSelect={handleLocationSelect} />
+          </div>
         </div>
       </div>
 
@@ -610,15 +813,37 @@ export default function Hotspots() {
                 </span>
               </h3>
             </div>
-            <div className="h-[500px]">
+            {showHeatmap && (
+              <HeatmapControls settings={urlState} onChange={setUrlState} />
+            )}
+            <div className="h-[500px] relative">
               <HotspotMap 
                 hotspots={hotspots} 
                 heatmapData={heatmapData}
                 showHeatmap={showHeatmap}
+                heatSettings={urlState}
+                view={{ lat: urlState.lat, lng: urlState.lng, zoom: urlState.zoom }}
+                onViewChange={handleViewChange}
+                selectedCode={selectedCode}
+                onSelect={handleSelectHotspot}
+                nearbySchools={urlState.schoolLayer ? nearbySchools : []}
+                exportTitle={exportTitle}
               />
+              {showDensity && <HeatmapLegend weightBySeverity={urlState.heatSeverity} />}
             </div>
           </div>
 
+          {selectedHotspot && (
+            <NearbySchoolsPanel
+              schools={nearbySchools}
+              radius={SCHOOL_SEARCH_RADIUS}
+              loading={schoolsQuery.loading}
+              error={schoolsQuery.error}
+              showLayer={urlState.schoolLayer}
+              onToggleLayer={handleSchoolLayerChange}
+            />
+          )}
+
           {/* Accident Conditions */}
           {conditions && (
             <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-4">
@@ -632,13 +857,26 @@ export default function Hotspots() {
 
           {/* Top Hotspots Table */}
           <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
-            <div className="p-4 border-b border-gray-200">
+            <div className="p-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-2">
               <h3 className="font-semibold text-gray-900 flex items-center gap-2">
                 <AlertTriangle className="w-4 h-4 text-red-600" />
                 Top Risk Areas
               </h3>
+              <ExportMenu
+                rows={exportRows}
+                name="hotspots"
+                title={`Top ${limit} accident hotspots - ${selectedYear || 'all years'}`}
+                filters={{ year: selectedYear, limit }}
+                getPosition={getHotspotPosition}
+                getName={(h) => h.lsoa_name || h.lsoa_code}
+                getColor={(h) => RISK_COLORS[h.risk_category]}
+              />
             </div>
-            <HotspotTable hotspots={hotspots} />
+            <HotspotTable
+              hotspots={hotspots}
+              selectedCode={selectedCode}
+              onSelect={handleSelectHotspot}
+            />
           </div>
         </>
       )}
@@ -0,0 +1,141 @@
+import { describe, it, expect, vi } from 'vitest'
+import { screen } from '@testing-library/react'
+import renderWithRouter from '../test/renderWithRouter'
+import { getHotspots, getHeatmapData, getSchoolsNearLocation } from '../services/api'
+import Hotspots, { getRiskCategory, getHeatWeight, getHeatMax } from './Hotspots'
+
+vi.mock('../services/api', async (importOriginal) => {
+  const api = await importOriginal()
+  return {
+    ...api,
+    getHotspots: vi.fn(api.getHotspots),
+    getHeatmapData: vi.fn(api.getHeatmapData),
+    getSchoolsNearLocation: vi.fn(api.getSchoolsNearLocation),
+  }
+})
+
+describe('getRiskCategory', () => {
+  it.each([
+    [0, 0, 'Low'],
+    [19, 9, 'Low'],
+    [20, 0, 'Moderate'],
+    [0, 10, 'Moderate'],
+    [50, 0, 'High'],
+    [0, 25, 'High'],
+    [100, 0, 'Very High'],
+    [0, 50, 'Very High'],
+    [200, 0, 'Critical'],
+    [0, 100, 'Critical'],
+  ])('score %i with %i accidents is %s', (score, accidents, category) => {
+    expect(getRiskCategory(score, accidents)).toBe(category)
+  })
+
+  it('takes the higher of the score and count categories', () => {
+    expect(getRiskCategory(250, 3)).toBe('Critical')
+    expect(getRiskCategory(5, 60)).toBe('Very High')
+  })
+})
+
+describe('getHeatWeight', () => {
+  const point = { lat: 51.5, lng: -0.1, intensity: 10, count: 12, fatal: 1, serious: 3 }
+
+  it('is the accident count', () => {
+    expect(getHeatWeight(point, false)).toBe(12)
+  })
+
+  it('weights fatal and serious accidents by severity', () => {
+    // 8 slight + 3 serious x3 + 1 fatal x10
+    expect(getHeatWeight(point, true)).toBe(27)
+  })
+
+  it('falls back to intensity without a count', () => {
+    expect(getHeatWeight({ ...point, count: null, fatal: 0, serious: 0 }, true)).toBe(10)
+  })
+})
+
+describe('getHeatMax', () => {
+  it('uses the base maximum when zoomed in', () => {
+    expect(getHeatMax(8, 13)).toBe(8)
+    expect(getHeatMax(8, 17)).toBe(8)
+  })
+
+  it('doubles for each zoom level further out', () => {
+    expect(getHeatMax(8, 12)).toBe(16)
+    expect(getHeatMax(8, 6)).toBe(8 * 2 ** 7)
+  })
+
+  it('is lowered by a higher intensity', () => {
+    expect(getHeatMax(8, 13, 2)).toBe(4)
+  })
+})
+
+describe('Hotspots', () => {
+  it('shows a spinner while loading', () => {
+    const { container } = renderWithRouter(<Hotspots />)
+    expect(container.querySelector('.animate-spin')).toBeInTheDocument()
+    expect(screen.queryByText('Top Risk Areas')).not.toBeInTheDocument()
+  })
+
+  it('lists the top risk areas', async () => {
+    renderWithRouter(<Hotspots />, { route: '/?limit=50' })
+
+    expect(await screen.findByText('Top Risk Areas')).toBeInTheDocument()
+    expect(screen.getByText('(50 areas)')).toBeInTheDocument()
+    expect(getHotspots).toHaveBeenCalledWith('2023', 50, expect.anything())
+    // The table shows the first 25
+    expect(screen.getAllByRole('row')).toHaveLength(26)
+  })
+
+  it('shows the heatmap controls in heatmap view', async () => {
+    renderWithRouter(<Hotspots />, { route: '/?view=heatmap&heatStyle=circles' })
+
+    expect(await screen.findByText('Accident Heatmap')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Circles' })).toHaveClass('bg-orange-600')
+    // Density settings only apply to the density style
+    expect(screen.queryByText('Radius')).not.toBeInTheDocument()
+  })
+
+  it('shows zero totals when there are no hotspots', async () => {
+    getHotspots.mockResolvedValueOnce({ data: [] })
+    getHeatmapData.mockResolvedValueOnce({ data: [] })
+    renderWithRouter(<Hotspots />)
+
+    expect(await screen.findByText('(0 areas)')).toBeInTheDocument()
+    // Header row only
+    expect(screen.getAllByRole('row')).toHaveLength(1)
+  })
+
+  it('lists the schools near the selected hotspot', async () => {
+    getHotspots.mockResolvedValueOnce({
+      data: [{
+        lsoa_code: 'E01000001', lsoa_name: 'City of London 001A', latitude: 51.52, longitude: -0.09,
+        accident_count: 40, fatal_count: 1, serious_count: 5, risk_score: 80,
+      }],
+    })
+    getSchoolsNearLocation.mockResolvedValueOnce({
+      data: [{ urn: '100113', name: 'Riverside Academy', phase_of_education: 'Secondary', accident_count: 2, risk_level: 'low' }],
+    })
+    renderWithRouter(<Hotspots />, { route: '/?hotspot=E01000001' })
+
+    const link = await screen.findByRole('link', { name: /Riverside Academy/ })
+    expect(getSchoolsNearLocation).toHaveBeenCalledWith(51.52, -0.09, 1000, 20, expect.anything())
+    expect(link).toHaveAttribute('href', '/schools?school=100113')
+    expect(link).toHaveTextContent('Low Risk')
+  })
+
+  it('has no nearby schools panel without a selected hotspot', async () => {
+    renderWithRouter(<Hotspots />)
+
+    expect(await screen.findByText('Top Risk Areas')).toBeInTheDocument()
+    expect(screen.queryByText('Nearby Schools')).not.toBeInTheDocument()
+    expect(getSchoolsNearLocation).not.toHaveBeenCalled()
+  })
+
+  it('shows an error when hotspots fail to load', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    getHotspots.mockRejectedValueOnce(new Error('Request failed with status code 500'))
+    renderWithRouter(<Hotspots />)
+
+    expect(await screen.findByText('Error loading data: Request failed with status code 500')).toBeInTheDocument()
+  })
+})
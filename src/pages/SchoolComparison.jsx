@@ -0,0 +1,422 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { MapContainer, TileLayer, Circle, CircleMarker } from 'react-leaflet'
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell } from 'recharts'
+import { ArrowLeft, X, Columns } from 'lucide-react'
+import { getSchoolDetail, isCancel } from '../services/api'
+import useRequestController from '../hooks/useRequestController'
+import useUrlState from '../hooks/useUrlState'
+import ChartExportMenu from '../components/ChartExportMenu'
+import { summarizeAccidents } from '../utils/accidentStats'
+import { DEFAULT_RISK_MODEL, RISK_LEVELS, scoreSchool, formatScore } from '../utils/schoolRisk'
+import { SCHOOL_RUN, isInTimeWindow, describeSchoolRun, narrowToSchoolRun } from '../utils/schoolRun'
+import {
+  DEFAULT_FILTERS, MAX_COMPARE, getCountParams, getYearsCovered, getSchoolRunFilters, parseCompare,
+} from '../utils/schoolFilters'
+import 'leaflet/dist/leaflet.css'
+
+const SEVERITY_COLORS = { 1: '#dc2626', 2: '#f59e0b', 3: '#16a34a' }
+
+// Hours that overlap the drop-off or pick-up windows
+const SCHOOL_RUN_HOURS = new Set(Array.from({ length: 24 }, (_, hour) => hour).filter(hour => {
+  const time = (minutes) => `${String(hour).padStart(2, '0')}:${minutes}`
+  return isInTimeWindow({ accident_time: time('00') }, SCHOOL_RUN)
+    || isInTimeWindow({ accident_time: time('59') }, SCHOOL_RUN)
+}))
+
+// Map zoom that fits the search circle
+const zoomForRadius = (radius) => (radius <= 200 ? 16 : radius <= 500 ? 15 : radius <= 1000 ? 14 : 13)
+
+const round = (value, places = 2) => (value === null ? null : Number(value.toFixed(places)))
+
+export const COMPARISON_COLUMNS = [
+  { key: 'name', label: 'School' },
+  { key: 'urn', label: 'URN' },
+  { key: 'phase', label: 'Phase' },
+  { key: 'town', label: 'Town' },
+  { key: 'pupils', label: 'Pupils' },
+  { key: 'accidents', label: 'Accidents' },
+  { key: 'fatal', label: 'Fatal' },
+  { key: 'serious', label: 'Serious' },
+  { key: 'slight', label: 'Slight' },
+  { key: 'ksi', label: 'Killed or seriously injured' },
+  { key: 'accidents_per_1000_pupils', label: 'Accidents per 1,000 pupils per year' },
+  { key: 'ksi_per_1000_pupils', label: 'KSI per 1,000 pupils per year' },
+  { key: 'school_run_share', label: 'School-run hours (%)' },
+  { key: 'risk_score', label: 'Risk score' },
+  { key: 'risk_level', label: 'Risk level' },
+]
+
+// One comparison row per school: counts, per-pupil yearly rates, the share
+// of listed accidents in school-run hours and the risk model score
+export function buildComparisonRows(schools, { radius, years, model }) {
+  return schools.map(school => {
+    const ksi = school.fatal_count + school.serious_count
+    const perPupils = (count) => (school.number_of_pupils > 0
+      ? round(count / Math.max(1, years) / school.number_of_pupils * 1000)
+      : null)
+    const accidents = school.accidents || []
+    const schoolRun = accidents.filter(accident => isInTimeWindow(accident, SCHOOL_RUN)).length
+    const risk = scoreSchool(school, model, { radius, years })
+
+    return {
+      name: school.name,
+      urn: school.urn,
+      phase: school.phase_of_education,
+      town: school.town,
+      pupils: school.number_of_pupils,
+      accidents: school.accident_count,
+      fatal: school.fatal_count,
+      serious: school.serious_count,
+      slight: school.slight_count,
+      ksi,
+      accidents_per_1000_pupils: perPupils(school.accident_count),
+      ksi_per_1000_pupils: perPupils(ksi),
+      school_run_share: accidents.length > 0 ? round(schoolRun / accidents.length * 100, 1) : null,
+      risk_score: round(risk.score),
+      risk_level: RISK_LEVELS[risk.level].label,
+      level: risk.level,
+    }
+  })
+}
+
+// The school and its accidents within the search circle
+function SchoolRadiusMap({ school, radius }) {
+  if (!school.latitude || !school.longitude) {
+    return <div className="h-48 flex items-center justify-center bg-gray-50 text-sm text-gray-500">No location</div>
+  }
+  const center = [school.latitude, school.longitude]
+
+  return (
+    <MapContainer center={center} zoom={zoomForRadius(radius)} scrollWheelZoom={false} style={{ height: '12rem', width: '100%' }}>
+      <TileLayer
+        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+      />
+      <Circle
+        center={center}
+        radius={radius}
+        pathOptions={{ color: '#2563eb', fillColor: '#2563eb', fillOpacity: 0.08, weight: 2, dashArray: '5, 10' }}
+      />
+      <CircleMarker center={center} radius={6} pathOptions={{ color: '#ffffff', fillColor: '#2563eb', fillOpacity: 1, weight: 2 }} />
+      {school.accidents.filter(a => a.latitude && a.longitude).map(accident => (
+        <CircleMarker
+          key={accident.accident_id}
+          center={[accident.latitude, accident.longitude]}
+          radius={accident.severity === 1 ? 6 : 4}
+          pathOptions={{ color: SEVERITY_COLORS[accident.severity], fillColor: SEVERITY_COLORS[accident.severity], fillOpacity: 0.7, weight: 1 }}
+        />
+      ))}
+    </MapContainer>
+  )
+}
+
+// Small bar chart on a scale shared across the schools
+function MiniBarChart({ data, dataKey, label, max, tickFormatter, getColor }) {
+  return (
+    <div className="h-32">
+      <ResponsiveContainer>
+        <BarChart data={data} margin={{ top: 4, right: 4, bottom: 0, left: -24 }}>
+          <XAxis dataKey={label} tick={{ fontSize: 10 }} tickFormatter={tickFormatter} interval="preserveStartEnd" />
+          <YAxis domain={[0, max]} allowDecimals={false} tick={{ fontSize: 10 }} />
+          <Tooltip labelFormatter={tickFormatter} />
+          <Bar dataKey={dataKey} name="Accidents">
+            {data.map((entry, i) => <Cell key={i} fill={getColor(entry)} />)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
+
+// One school's column
+function SchoolColumn({ school, row, radius, years, scales, onRemove }) {
+  const level = RISK_LEVELS[row.level]
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden flex flex-col">
+      <div className="p-4 border-b border-gray-200">
+        <div className="flex items-start justify-between gap-2">
+          <div className="min-w-0">
+            <h3 className="font-semibold text-gray-900 truncate">{school.name}</h3>
+            <p className="text-xs text-gray-500">{school.phase_of_education} · {school.town}</p>
+          </div>
+          <button
+            onClick={() => onRemove(school.urn)}
+            aria-label={`Remove ${school.name}`}
+            className="p-1 text-gray-400 rounded hover:bg-gray-100 hover:text-gray-600"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        <span
+          className="inline-block mt-2 px-2 py-0.5 rounded-full text-xs font-medium text-white"
+          style={{ backgroundColor: level.color }}
+        >
+          {level.label} · {formatScore(row.risk_score)}
+        </span>
+      </div>
+
+      <SchoolRadiusMap school={school} radius={radius} />
+
+      <div className="p-4 space-y-4">
+        <div className="grid grid-cols-3 gap-2 text-center">
+          <div className="p-2 bg-red-50 rounded">
+            <div className="text-lg font-bold text-red-600">{school.fatal_count}</div>
+            <div className="text-xs text-gray-500">Fatal</div>
+          </div>
+          <div className="p-2 bg-amber-50 rounded">
+            <div className="text-lg font-bold text-amber-600">{school.serious_count}</div>
+            <div className="text-xs text-gray-500">Serious</div>
+          </div>
+          <div className="p-2 bg-green-50 rounded">
+            <div className="text-lg font-bold text-green-600">{school.slight_count}</div>
+            <div className="text-xs text-gray-500">Slight</div>
+          </div>
+        </div>
+
+        <dl className="text-sm space-y-1">
+          <div className="flex justify-between">
+            <dt className="text-gray-500">Pupils</dt>
+            <dd>{school.number_of_pupils?.toLocaleString() ?? '-'}</dd>
+          </div>
+          <div className="flex justify-between">
+            <dt className="text-gray-500">Accidents per 1,000 pupils / year</dt>
+            <dd className="font-medium">{row.accidents_per_1000_pupils ?? '-'}</dd>
+          </div>
+          <div className="flex justify-between">
+            <dt className="text-gray-500">KSI per 1,000 pupils / year</dt>
+            <dd className="font-medium">{row.ksi_per_1000_pupils ?? '-'}</dd>
+          </div>
+          <div className="flex justify-between">
+            <dt className="text-gray-500">In school-run hours</dt>
+            <dd className="font-medium">{row.school_run_share === null ? '-' : `${row.school_run_share}%`}</dd>
+          </div>
+        </dl>
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-1">Accidents by year</h4>
+          <MiniBarChart
+            data={scales.years.map(year => ({
+              year,
+              total: school.summary.byYear.find(y => y.year === year)?.total_accidents || 0,
+            }))}
+            dataKey="total"
+            label="year"
+            max={scales.maxYear}
+            getColor={() => '#2563eb'}
+          />
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-1">Time of day</h4>
+          <MiniBarChart
+            data={school.summary.byHour}
+            dataKey="total_accidents"
+            label="hour"
+            max={scales.maxHour}
+            tickFormatter={(hour) => `${hour}:00`}
+            getColor={(entry) => (SCHOOL_RUN_HOURS.has(entry.hour) ? '#f59e0b' : '#94a3b8')}
+          />
+          <p className="text-xs text-gray-400 mt-1">School-run hours highlighted · {years === 1 ? '1 year' : `${years} years`}</p>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Metric rows with a column per school, as read across for a decision
+function ComparisonTable({ rows }) {
+  const metrics = COMPARISON_COLUMNS.filter(c => !['name', 'urn'].includes(c.key))
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left font-medium text-gray-600">Metric</th>
+            {rows.map(row => (
+              <th key={row.urn} className="px-4 py-2 text-right font-medium text-gray-900">{row.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {metrics.map(({ key, label }) => (
+            <tr key={key}>
+              <td className="px-4 py-2 text-gray-600">{label}</td>
+              {rows.map(row => (
+                <td key={row.urn} className="px-4 py-2 text-right">
+                  {typeof row[key] === 'number' ? row[key].toLocaleString() : row[key] ?? '-'}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+const GRID_COLUMNS = { 1: 'xl:grid-cols-1', 2: 'xl:grid-cols-2', 3: 'xl:grid-cols-3', 4: 'xl:grid-cols-4' }
+
+// Side-by-side comparison of pinned schools, with the radius, year,
+// school-run filters and risk model carried over from School Safety
+export default function SchoolComparison() {
+  const location = useLocation()
+  const [urlState, setUrlState] = useUrlState({
+    radius: DEFAULT_FILTERS.radius,
+    year: DEFAULT_FILTERS.year,
+    timeWindow: DEFAULT_FILTERS.timeWindow,
+    termTime: DEFAULT_FILTERS.termTime,
+    childCasualties: DEFAULT_FILTERS.childCasualties,
+    ...DEFAULT_RISK_MODEL,
+    compare: '',
+  })
+  const [schools, setSchools] = useState([])
+  const [failed, setFailed] = useState([])
+  const [loading, setLoading] = useState(false)
+  const nextSchoolsSignal = useRequestController()
+
+  const urns = useMemo(() => parseCompare(urlState.compare).slice(0, MAX_COMPARE), [urlState.compare])
+  const { radius, year, timeWindow, termTime, childCasualties } = urlState
+  const countParams = useMemo(() => getCountParams({ radius, year }), [radius, year])
+  const schoolRunFilters = useMemo(
+    () => getSchoolRunFilters({ timeWindow, termTime, childCasualties }),
+    [timeWindow, termTime, childCasualties]
+  )
+  const schoolRun = describeSchoolRun(schoolRunFilters)
+  const years = getYearsCovered(year)
+  const model = useMemo(() => ({
+    fatalWeight: urlState.fatalWeight,
+    seriousWeight: urlState.seriousWeight,
+    slightWeight: urlState.slightWeight,
+    perPupil: urlState.perPupil,
+    highThreshold: urlState.highThreshold,
+    mediumThreshold: urlState.mediumThreshold,
+  }), [
+    urlState.fatalWeight, urlState.seriousWeight, urlState.slightWeight, urlState.perPupil,
+    urlState.highThreshold, urlState.mediumThreshold,
+  ])
+
+  const loadSchools = useCallback(async () => {
+    const signal = nextSchoolsSignal()
+    if (urns.length === 0) {
+      setSchools([])
+      setFailed([])
+      return
+    }
+    setLoading(true)
+    const results = await Promise.allSettled(urns.map(urn => getSchoolDetail(urn, countParams, { signal })))
+    if (signal.aborted) return
+
+    const loaded = []
+    const missing = []
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        const school = narrowToSchoolRun(result.value.data, schoolRunFilters)
+        loaded.push({ ...school, summary: summarizeAccidents(school.accidents) })
+      } else if (!isCancel(result.reason)) {
+        console.error('Failed to load school for comparison:', result.reason)
+        missing.push(urns[i])
+      }
+    })
+    setSchools(loaded)
+    setFailed(missing)
+    setLoading(false)
+  }, [urns, countParams, schoolRunFilters, nextSchoolsSignal])
+
+  useEffect(() => {
+    loadSchools()
+  }, [loadSchools])
+
+  const handleRemove = useCallback((urn) => {
+    setUrlState({ compare: urns.filter(u => u !== urn).join(',') })
+  }, [urns, setUrlState])
+
+  const rows = useMemo(() => buildComparisonRows(schools, { radius, years, model }), [schools, radius, years, model])
+
+  // Shared scales so bar heights compare across columns
+  const scales = useMemo(() => {
+    const allYears = new Set()
+    schools.forEach(school => school.summary.byYear.forEach(y => allYears.add(y.year)))
+    return {
+      years: [...allYears].sort((a, b) => a - b),
+      maxYear: Math.max(1, ...schools.flatMap(school => school.summary.byYear.map(y => y.total_accidents))),
+      maxHour: Math.max(1, ...schools.flatMap(school => school.summary.byHour.map(h => h.total_accidents))),
+    }
+  }, [schools])
+
+  const title = `School comparison - accidents within ${radius}m`
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <Link to={{ pathname: '/schools', search: location.search }} className="flex items-center gap-1 text-sm text-blue-600 hover:underline mb-1">
+            <ArrowLeft className="w-4 h-4" />
+            School Safety
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Columns className="w-6 h-6" />
+            Compare Schools
+          </h1>
+          <p className="text-gray-500">
+            Accidents within {radius}m · {year || 'all years'}
+            {schoolRun && ` · ${schoolRun}`}
+          </p>
+        </div>
+      </div>
+
+      {schools.some(school => school.schoolRunSkipped) && (
+        <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+          Not every accident near {schools.filter(school => school.schoolRunSkipped).map(school => school.name).join(', ')} loaded,
+          so those counts cover all times rather than the school run.
+        </div>
+      )}
+
+      {failed.length > 0 && (
+        <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+          Could not load school {failed.join(', ')}.
+        </div>
+      )}
+
+      {urns.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-8 text-center text-gray-500">
+          No schools to compare. Pin schools from the <Link to="/schools" className="text-blue-600 hover:underline">School Safety</Link> list.
+        </div>
+      ) : loading && schools.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-8 text-center text-gray-500">Loading schools...</div>
+      ) : (
+        <>
+          <div className={`grid grid-cols-1 md:grid-cols-2 ${GRID_COLUMNS[schools.length] || ''} gap-6`}>
+            {schools.map((school, i) => (
+              <SchoolColumn
+                key={school.urn}
+                school={school}
+                row={rows[i]}
+                radius={radius}
+                years={years}
+                scales={scales}
+                onRemove={handleRemove}
+              />
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
+            <div className="p-4 border-b border-gray-200 flex items-center justify-between gap-2">
+              <h3 className="font-semibold text-gray-900">Comparison Table</h3>
+              <ChartExportMenu
+                title={title}
+                year={year}
+                rows={rows}
+                columns={COMPARISON_COLUMNS}
+                bar={{ label: 'name', value: 'risk_score', color: (row) => RISK_LEVELS[row.level].color }}
+              />
+            </div>
+            <ComparisonTable rows={rows} />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
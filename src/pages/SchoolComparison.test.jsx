@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest'
+import { screen, fireEvent, waitFor, within } from '@testing-library/react'
+import renderWithRouter from '../test/renderWithRouter'
+import { getSchoolDetail } from '../services/api'
+import { DEFAULT_RISK_MODEL } from '../utils/schoolRisk'
+import SchoolComparison, { buildComparisonRows } from './SchoolComparison'
+
+vi.mock('../services/api', async (importOriginal) => {
+  const api = await importOriginal()
+  return { ...api, getSchoolDetail: vi.fn(api.getSchoolDetail) }
+})
+
+describe('buildComparisonRows', () => {
+  const school = {
+    urn: '100001',
+    name: 'Oakfield Primary School',
+    phase_of_education: 'Primary',
+    town: 'Leeds',
+    number_of_pupils: 400,
+    accident_count: 6,
+    fatal_count: 0,
+    serious_count: 2,
+    slight_count: 4,
+    accidents: [
+      { accident_time: '08:15', severity: 2 },
+      { accident_time: '15:00', severity: 3 },
+      { accident_time: '12:00', severity: 3 },
+      { accident_time: '22:40', severity: 2 },
+    ],
+  }
+
+  it('adds per-pupil yearly rates, the school-run share and the risk score', () => {
+    const [row] = buildComparisonRows([school], { radius: 500, years: 5, model: DEFAULT_RISK_MODEL })
+
+    expect(row).toMatchObject({
+      name: 'Oakfield Primary School',
+      accidents: 6,
+      ksi: 2,
+      accidents_per_1000_pupils: 3,
+      ksi_per_1000_pupils: 1,
+      school_run_share: 50,
+      risk_score: 2.5,
+      risk_level: 'Medium Risk',
+      level: 'medium',
+    })
+  })
+
+  it('leaves rates empty without pupil numbers or accidents', () => {
+    const [row] = buildComparisonRows(
+      [{ ...school, number_of_pupils: null, accidents: [] }],
+      { radius: 500, years: 5, model: DEFAULT_RISK_MODEL }
+    )
+
+    expect(row.accidents_per_1000_pupils).toBeNull()
+    expect(row.school_run_share).toBeNull()
+  })
+})
+
+describe('SchoolComparison', () => {
+  it('loads each pinned school with the filters from the URL', async () => {
+    renderWithRouter(<SchoolComparison />, { route: '/schools/compare?radius=300&timeWindow=drop_off&compare=100100,100113' })
+
+    expect(await screen.findByText('Comparison Table')).toBeInTheDocument()
+    const params = { radius: 300 }
+    expect(getSchoolDetail).toHaveBeenCalledWith('100100', params, expect.anything())
+    expect(getSchoolDetail).toHaveBeenCalledWith('100113', params, expect.anything())
+    expect(screen.getAllByRole('button', { name: /^Remove / })).toHaveLength(2)
+    expect(screen.getByText(/drop-off \(07:30-09:30\)/)).toBeInTheDocument()
+
+    const table = screen.getByRole('table')
+    expect(within(table).getByText('KSI per 1,000 pupils per year')).toBeInTheDocument()
+    expect(within(table).getAllByRole('columnheader')).toHaveLength(3)
+  })
+
+  it('drops a school from the comparison', async () => {
+    renderWithRouter(<SchoolComparison />, { route: '/schools/compare?compare=100100,100113' })
+    await screen.findByText('Comparison Table')
+
+    fireEvent.click(screen.getAllByRole('button', { name: /^Remove / })[0])
+
+    await waitFor(() => expect(screen.getAllByRole('button', { name: /^Remove / })).toHaveLength(1))
+  })
+
+  it('points back to School Safety with nothing pinned', () => {
+    renderWithRouter(<SchoolComparison />, { route: '/schools/compare' })
+
+    expect(screen.getByText(/^No schools to compare/)).toBeInTheDocument()
+  })
+})
@@ -1,10 +1,38 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef, memo } from 'react'
+import { Link, useLocation } from 'react-router-dom'
 import { MapContainer, TileLayer, Marker, CircleMarker, Popup, Circle, useMap } from 'react-leaflet'
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell
 } from 'recharts'
-import { School, AlertTriangle, MapPin, RefreshCw, Search, Filter, AlertCircle, ChevronLeft, ChevronRight } from 'lucide-react'
-import { getSchools, getSchoolDetail, getSchoolsSummary, getSchoolPhases, getSchoolCounties } from '../services/api'
+import {
+  School, AlertTriangle, MapPin, RefreshCw, Search, Filter, AlertCircle, ChevronLeft, ChevronRight, FileText, SlidersHorizontal,
+  Pin, PinOff, X, Columns,
+} from 'lucide-react'
+import {
+  getSchoolsWithRisk, getSchoolDetail, getSchoolById, getSchoolRiskSummary, getSchoolPhases, getSchoolCounties, isCancel, DATA_SOURCE,
+} from '../services/api'
+import useOpenAccident from '../hooks/useOpenAccident'
+import useRequestController from '../hooks/useRequestController'
+import useUrlState from '../hooks/useUrlState'
+import useSchoolAccidents from '../hooks/useSchoolAccidents'
+import useSchoolRunSchools, { fetchAllSchools, MAX_SCHOOL_RUN_SCHOOLS } from '../hooks/useSchoolRunSchools'
+import useDebounce from '../hooks/useDebounce'
+import MarkerClusterGroup, { createBreakdownClusterIcon } from '../components/MarkerClusterGroup'
+import LocationSearch from '../components/LocationSearch'
+import ExportMenu from '../components/ExportMenu'
+import MapImageExport from '../components/MapImageExport'
+import PdfReportButton from '../components/PdfReportButton'
+import { renderMapDataUrl } from '../utils/mapImage'
+import { summarizeAccidents } from '../utils/accidentStats'
+import {
+  DEFAULT_RISK_MODEL, REFERENCE_RADIUS, REFERENCE_PUPILS, RISK_LEVELS, getServerRiskLevel, scoreSchool, describeRiskModel,
+  formatScore,
+} from '../utils/schoolRisk'
+import { TIME_WINDOWS, SCHOOL_RUN, hasSchoolRunFilters, describeSchoolRun, narrowToSchoolRun } from '../utils/schoolRun'
+import {
+  DEFAULT_FILTERS, YEAR_OPTIONS, MAX_COMPARE, getYearsCovered, getYearRequests, getRiskContext, getCountParams,
+  getSchoolParams, getSchoolRunFilters, mergeSchoolYears, orderSchools, summarizeSchools, parseCompare,
+} from '../utils/schoolFilters'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
 
@@ -28,19 +56,69 @@ const schoolIcon = new L.Icon({
   popupAnchor: [0, -32],
 })
 
-// Risk level colors and labels
-const RISK_LEVELS = {
-  high: { color: '#dc2626', label: 'High Risk', threshold: 10 },
-  medium: { color: '#f59e0b', label: 'Medium Risk', threshold: 5 },
-  low: { color: '#16a34a', label: 'Low Risk', threshold: 0 },
-}
+// The detail panel's radius slider (metres)
+const DETAIL_RADIUS = { min: 100, max: 2000, step: 50 }
+
+// Pause in sliding before the radius goes to the URL and reloads the school
+const RADIUS_COMMIT_DELAY = 300
+
+// Accidents listed per page in the detail panel
+const ACCIDENT_PAGE_SIZE = 10
 
-const getRiskLevel = (accidentCount) => {
-  if (accidentCount >= RISK_LEVELS.high.threshold) return 'high'
-  if (accidentCount >= RISK_LEVELS.medium.threshold) return 'medium'
-  return 'low'
+const RISK_LEGEND = Object.entries(RISK_LEVELS).map(([key, { color, label }]) => ({ key, label, color }))
+
+// Cluster bubbles ringed by the risk mix of their schools
+const riskClusterIcon = createBreakdownClusterIcon((marker) => marker.options.riskLevel, RISK_LEGEND)
+
+const SEVERITY_LEGEND = [
+  { label: 'Fatal', color: '#dc2626' },
+  { label: 'Serious', color: '#f59e0b' },
+  { label: 'Slight', color: '#16a34a' },
+]
+
+// One-page PDF report contents for a school (see utils/reportPdf), scored
+// with the risk model over the radius, years and school run the counts cover
+export function buildSchoolReport(school, { radius, years, model, schoolRun }, mapImage) {
+  const risk = scoreSchool(school, model, { radius, years })
+  const schoolRunDescription = schoolRun ? describeSchoolRun(schoolRun) : ''
+  return {
+    title: school.name,
+    subtitle: [school.phase_of_education, school.street, school.town, school.postcode].filter(Boolean).join(', '),
+    risk: {
+      label: RISK_LEVELS[risk.level].label,
+      color: RISK_LEVELS[risk.level].color,
+      note: `Score ${formatScore(risk.score)} · ${school.accident_count} accidents within ${radius} m`,
+    },
+    facts: [
+      ['Search radius', `${radius} m`],
+      ['Risk score', formatScore(risk.score)],
+      ['Accidents', school.accident_count.toLocaleString()],
+      ['Killed or seriously injured', (school.fatal_count + school.serious_count).toLocaleString()],
+      ['Pupils', school.number_of_pupils ? school.number_of_pupils.toLocaleString() : '-'],
+      ['Local authority', school.local_authority_name || '-'],
+      ['School URN', school.urn],
+    ],
+    mapImage,
+    severity: { fatal: school.fatal_count, serious: school.serious_count, slight: school.slight_count },
+    yearTrend: summarizeAccidents(school.accidents).byYear.map(y => ({ year: y.year, total: y.total_accidents })),
+    accidentsTitle: `Accidents within ${radius} m`,
+    accidents: school.accidents,
+    methodology: [
+      `Accidents are police-reported road collisions involving injury (STATS19) within ${radius} m of the school, measured in a straight line from its recorded location.`,
+      ...(schoolRunDescription ? [`Only accidents in the school-run filter are counted: ${schoolRunDescription}.`] : []),
+      ...(schoolRun?.termTime ? ['Term time excludes typical English school holidays; actual dates vary by year and local authority.'] : []),
+      ...describeRiskModel(model),
+      'Each accident takes the severity of its most seriously injured casualty; killed or seriously injured counts fatal and serious accidents.',
+      'Collisions causing damage only, or not reported to the police, are not included.',
+    ],
+    source: DATA_SOURCE,
+  }
 }
 
+const getSchoolPosition = (school) => (
+  school.latitude && school.longitude ? [school.latitude, school.longitude] : null
+)
+
 // Summary card
 function StatCard({ title, value, subtitle, icon: Icon, variant = 'default' }) {
   const variants = {
@@ -152,27 +230,62 @@ function FilterPanel({ filters, setFilters, onApply, phases, counties, loading }
             className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
           >
             <option value="">All Years</option>
-            <option value="2024">2024</option>
-            <option value="2023">2023</option>
-            <option value="2022">2022</option>
-            <option value="2021">2021</option>
-            <option value="2020">2020</option>
+            {YEAR_OPTIONS.map(year => (
+              <option key={year} value={year}>{year}</option>
+            ))}
           </select>
         </div>
 
-        {/* Risk Level */}
+        {/* Accident count band - the server's risk_level, not the risk model */}
         <div>
-          <label className="block text-sm text-gray-600 mb-1">Risk Level</label>
+          <label className="block text-sm text-gray-600 mb-1">Accidents Nearby</label>
           <select
             value={filters.riskLevel}
             onChange={(e) => setFilters({ ...filters, riskLevel: e.target.value })}
             className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
           >
-            <option value="">All Levels</option>
-            <option value="high">High Risk (10+)</option>
-            <option value="medium">Medium Risk (5-9)</option>
-            <option value="low">Low Risk (0-4)</option>
+            <option value="">Any Number</option>
+            <option value="high">10 or more</option>
+            <option value="medium">5-9</option>
+            <option value="low">0-4</option>
+          </select>
+        </div>
+
+        {/* Time of day */}
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Time of Day</label>
+          <select
+            value={filters.timeWindow}
+            onChange={(e) => setFilters({ ...filters, timeWindow: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All Times</option>
+            <option value={SCHOOL_RUN}>School Run (Drop-off &amp; Pick-up)</option>
+            {Object.entries(TIME_WINDOWS).map(([key, { label, start, end }]) => (
+              <option key={key} value={key}>{label} ({start}-{end})</option>
+            ))}
           </select>
+          <p className="text-xs text-gray-400 mt-1">Counted on each school's own accident list</p>
+        </div>
+
+        {/* School run */}
+        <div className="flex flex-col justify-end gap-1 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={filters.termTime}
+              onChange={(e) => setFilters({ ...filters, termTime: e.target.checked })}
+            />
+            Term-time weekdays
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={filters.childCasualties}
+              onChange={(e) => setFilters({ ...filters, childCasualties: e.target.checked })}
+            />
+            Child pedestrians &amp; cyclists
+          </label>
         </div>
 
         {/* Order By */}
@@ -221,6 +334,65 @@ function FilterPanel({ filters, setFilters, onApply, phases, counties, loading }
   )
 }
 
+const MODEL_WEIGHTS = [
+  { key: 'fatalWeight', label: 'Fatal weight' },
+  { key: 'seriousWeight', label: 'Serious weight' },
+  { key: 'slightWeight', label: 'Slight weight' },
+]
+const MODEL_THRESHOLDS = [
+  { key: 'highThreshold', label: 'High risk from' },
+  { key: 'mediumThreshold', label: 'Medium risk from' },
+]
+
+// Risk model settings - changes rescore the schools straight away
+function RiskModelPanel({ model, onChange, onReset }) {
+  const numberInput = ({ key, label }) => (
+    <div key={key}>
+      <label className="block text-sm text-gray-600 mb-1">{label}</label>
+      <input
+        type="number"
+        min="0"
+        step="0.5"
+        value={model[key]}
+        onChange={(e) => onChange({ [key]: Math.max(0, Number(e.target.value) || 0) })}
+        aria-label={label}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+      />
+    </div>
+  )
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+          <SlidersHorizontal className="w-4 h-4" />
+          Risk Model
+        </h3>
+        <button onClick={onReset} className="text-sm text-blue-600 hover:underline">
+          Reset model
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Scores are severity-weighted accidents per year, scaled to a {REFERENCE_RADIUS}m radius.
+        Use the time of day and casualty filters to score the school run alone.
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+        {MODEL_WEIGHTS.map(numberInput)}
+        {MODEL_THRESHOLDS.map(numberInput)}
+      </div>
+      <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={model.perPupil}
+          onChange={(e) => onChange({ perPupil: e.target.checked })}
+        />
+        Per {REFERENCE_PUPILS} pupils
+      </label>
+    </div>
+  )
+}
+
 // Map centering component
 function MapCenter({ center, zoom }) {
   const map = useMap()
@@ -232,12 +404,92 @@ function MapCenter({ center, zoom }) {
   return null
 }
 
+// School marker - the popup opens on hover and stays open while selected
+const SchoolMarker = memo(function SchoolMarker({ school, isSelected, onSelectSchool, riskModel, riskContext }) {
+  const { score, level: riskLevel } = scoreSchool(school, riskModel, riskContext)
+
+  return (
+    <Marker
+      position={[school.latitude, school.longitude]}
+      icon={schoolIcon}
+      riskLevel={riskLevel}
+      eventHandlers={{
+        click: () => onSelectSchool(school),
+        mouseover: (e) => {
+          e.target.openPopup()
+        },
+        mouseout: (e) => {
+          // Keep popup open if this school is selected
+          if (!isSelected) {
+            e.target.closePopup()
+          }
+        },
+      }}
+    >
+      <Popup>
+        <div className="min-w-56">
+          <div className="font-bold text-gray-900 text-base">{school.name}</div>
+          <div className="text-sm text-gray-500">{school.phase_of_education || 'School'}</div>
+          <div className="text-xs text-gray-400 mb-2">{school.town}, {school.postcode}</div>
+          
+          <div className={`inline-block px-2 py-1 rounded text-xs font-medium mb-2 ${
+            riskLevel === 'high' ? 'bg-red-100 text-red-700' :
+            riskLevel === 'medium' ? 'bg-amber-100 text-amber-700' : 'bg-green-100 text-green-700'
+          }`}>
+            {riskLevel === 'high' ? '⚠️ High Risk' :
+             riskLevel === 'medium' ? '⚡ Medium Risk' : '✓ Low Risk'}
+          </div>
+          
+          <div className="text-sm space-y-1 border-t border-gray-100 pt-2">
+            <div className="flex justify-between">
+              <span className="text-gray-500">Risk Score:</span>
+              <strong>{formatScore(score)}</strong>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-500">Total Accidents:</span>
+              <strong className={
+                riskLevel === 'high' ? 'text-red-600' :
+                riskLevel === 'medium' ? 'text-amber-600' : 'text-green-600'
+              }>{school.accident_count}</strong>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-500">Fatal:</span>
+              <span className="text-red-600 font-medium">{school.fatal_count}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-500">Serious:</span>
+              <span className="text-amber-600 font-medium">{school.serious_count}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-500">Slight:</span>
+              <span className="text-green-600 font-medium">{school.slight_count}</span>
+            </div>
+          </div>
+          
+          {school.number_of_pupils > 0 && (
+            <div className="text-xs text-gray-400 mt-2 border-t border-gray-100 pt-2">
+              👨‍🎓 {school.number_of_pupils.toLocaleString()} pupils
+            </div>
+          )}
+          
+          <div className="text-xs text-blue-600 mt-2 cursor-pointer hover:underline">
+            Click for detailed analysis →
+          </div>
+        </div>
+      </Popup>
+    </Marker>
+  )
+})
+
 // School safety map
-function SchoolSafetyMap({ schools, selectedSchool, onSelectSchool, radius }) {
+function SchoolSafetyMap({
+  schools, selectedSchool, accidents, onSelectSchool, onOpenAccident, radius, focus, exportTitle, mapRef, riskModel, riskContext,
+}) {
   const defaultCenter = [52.5, -1.5] // Center of England
 
   return (
     <MapContainer
+      ref={mapRef}
       center={defaultCenter}
       zoom={6}
       style={{ height: '100%', width: '100%' }}
@@ -245,8 +497,11 @@ function SchoolSafetyMap({ schools, selectedSchool, onSelectSchool, radius }) {
       <TileLayer
         attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
         url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        crossOrigin
       />
-      
+      <MapImageExport name="school-safety-map" title={exportTitle} legend={RISK_LEGEND} />
+
+      {focus && <MapCenter center={focus.center} zoom={focus.zoom} />}
       {selectedSchool && (
         <MapCenter 
           center={[selectedSchool.latitude, selectedSchool.longitude]} 
@@ -254,80 +509,31 @@ function SchoolSafetyMap({ schools, selectedSchool, onSelectSchool, radius }) {
         />
       )}
 
-      {/* School markers with hover interaction */}
-      {schools.map((school, index) => {
-        if (!school.latitude || !school.longitude) return null
-        const riskLevel = getRiskLevel(school.accident_count || 0)
-        const isSelected = selectedSchool?.urn === school.urn
-        
-        return (
-          <Marker
-            key={school.urn || index}
-            position={[school.latitude, school.longitude]}
-            icon={schoolIcon}
-            eventHandlers={{
-              click: () => onSelectSchool(school),
-              mouseover: (e) => {
-                e.target.openPopup()
-              },
-              mouseout: (e) => {
-                // Keep popup open if this school is selected
-                if (!isSelected) {
-                  e.target.closePopup()
-                }
-              },
-            }}
-          >
-            <Popup>
-              <div className="min-w-56">
-                <div className="font-bold text-gray-900 text-base">{school.name}</div>
-                <div className="text-sm text-gray-500">{school.phase_of_education || 'School'}</div>
-                <div className="text-xs text-gray-400 mb-2">{school.town}, {school.postcode}</div>
-                
-                <div className={`inline-block px-2 py-1 rounded text-xs font-medium mb-2 ${
-                  riskLevel === 'high' ? 'bg-red-100 text-red-700' :
-                  riskLevel === 'medium' ? 'bg-amber-100 text-amber-700' : 'bg-green-100 text-green-700'
-                }`}>
-                  {riskLevel === 'high' ? '⚠️ High Risk' :
-                   riskLevel === 'medium' ? '⚡ Medium Risk' : '✓ Low Risk'}
-                </div>
-                
-                <div className="text-sm space-y-1 border-t border-gray-100 pt-2">
-                  <div className="flex justify-between">
-                    <span className="text-gray-500">Total Accidents:</span>
-                    <strong className={
-                      riskLevel === 'high' ? 'text-red-600' :
-                      riskLevel === 'medium' ? 'text-amber-600' : 'text-green-600'
-                    }>{school.accident_count || 0}</strong>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-500">Fatal:</span>
-                    <span className="text-red-600 font-medium">{school.fatal_count || 0}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-500">Serious:</span>
-                    <span className="text-amber-600 font-medium">{school.serious_count || 0}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-500">Slight:</span>
-                    <span className="text-green-600 font-medium">{school.slight_count || 0}</span>
-                  </div>
-                </div>
-                
-                {school.number_of_pupils && (
-                  <div className="text-xs text-gray-400 mt-2 border-t border-gray-100 pt-2">
-                    👨‍🎓 {school.number_of_pupils.toLocaleString()} pupils
-                  </div>
-                )}
-                
-                <div className="text-xs text-blue-600 mt-2 cursor-pointer hover:underline">
-                  Click for detailed analysis →
-                </div>
-              </div>
-            </Popup>
-          </Marker>
-        )
-      })}
+      {/* School markers, clustered by risk level; the selected school stays unclustered */}
+      <MarkerClusterGroup iconCreateFunction={riskClusterIcon}>
+        {schools.map((school, index) => {
+          if (!school.latitude || !school.longitude || school.urn === selectedSchool?.urn) return null
+          return (
+            <SchoolMarker
+              key={school.urn || index}
+              school={school}
+              isSelected={false}
+              onSelectSchool={onSelectSchool}
+              riskModel={riskModel}
+              riskContext={riskContext}
+            />
+          )
+        })}
+      </MarkerClusterGroup>
+      {selectedSchool?.latitude && selectedSchool?.longitude && (
+        <SchoolMarker
+          school={selectedSchool}
+          isSelected
+          onSelectSchool={onSelectSchool}
+          riskModel={riskModel}
+          riskContext={riskContext}
+        />
+      )}
 
       {/* Selected school radius circle */}
       {selectedSchool && selectedSchool.latitude && (
@@ -345,7 +551,7 @@ function SchoolSafetyMap({ schools, selectedSchool, onSelectSchool, radius }) {
           />
 
           {/* Nearby accidents with hover interactions */}
-          {selectedSchool.accidents?.map((accident, i) => {
+          {accidents.map((accident, i) => {
             const baseRadius = accident.severity === 1 ? 10 : accident.severity === 2 ? 7 : 5
             const color = accident.severity === 1 ? '#dc2626' :
                          accident.severity === 2 ? '#f59e0b' : '#16a34a'
@@ -408,6 +614,13 @@ function SchoolSafetyMap({ schools, selectedSchool, onSelectSchool, radius }) {
                         <span className="font-medium">{Math.round(accident.distance_meters)}m from school</span>
                       </div>
                     </div>
+                    <button
+                      onClick={() => onOpenAccident(accident.accident_id)}
+                      className="mt-2 flex items-center gap-1 text-xs text-blue-600 hover:underline"
+                    >
+                      <FileText className="w-3 h-3" />
+                      View full record
+                    </button>
                   </div>
                 </Popup>
               </CircleMarker>
@@ -420,7 +633,10 @@ function SchoolSafetyMap({ schools, selectedSchool, onSelectSchool, radius }) {
 }
 
 // Schools list with pagination
-function SchoolsList({ schools, selectedSchool, onSelectSchool, total, page, pageSize, onPageChange }) {
+function SchoolsList({
+  schools, selectedSchool, onSelectSchool, total, page, pageSize, onPageChange, riskModel, riskContext,
+  compared, onToggleCompare, notice,
+}) {
   const totalPages = Math.ceil(total / pageSize)
 
   return (
@@ -430,6 +646,7 @@ function SchoolsList({ schools, selectedSchool, onSelectSchool, total, page, pag
         <div className="text-sm text-gray-600">
           Showing {schools.length} of {total.toLocaleString()} schools
         </div>
+        {notice && <div className="text-xs text-amber-700 mt-1">{notice}</div>}
       </div>
 
       {/* List */}
@@ -440,40 +657,64 @@ function SchoolsList({ schools, selectedSchool, onSelectSchool, total, page, pag
           </div>
         ) : (
           schools.map((school, index) => {
-            const riskLevel = getRiskLevel(school.accident_count || 0)
+            const { score, level: riskLevel } = scoreSchool(school, riskModel, riskContext)
             const isSelected = selectedSchool?.urn === school.urn
+            const isCompared = compared.includes(String(school.urn))
+            const compareFull = !isCompared && compared.length >= MAX_COMPARE
 
             return (
-              <button
+              <div
                 key={school.urn || index}
-                onClick={() => onSelectSchool(school)}
-                className={`w-full p-3 text-left hover:bg-gray-50 transition-colors ${
+                className={`flex items-stretch hover:bg-gray-50 transition-colors ${
                   isSelected ? 'bg-blue-50 border-l-4 border-blue-600' : ''
                 }`}
               >
-                <div className="flex items-start justify-between gap-2">
-                  <div className="flex-1 min-w-0">
-                    <div className="font-medium text-gray-900 truncate">{school.name}</div>
-                    <div className="text-xs text-gray-500">{school.phase_of_education}</div>
-                    <div className="text-xs text-gray-400 truncate">{school.town}, {school.postcode}</div>
-                  </div>
-                  <div className="text-right flex-shrink-0">
-                    <span className={`
-                      inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium
-                      ${riskLevel === 'high' ? 'bg-red-100 text-red-700' :
-                        riskLevel === 'medium' ? 'bg-amber-100 text-amber-700' :
-                        'bg-green-100 text-green-700'}
-                    `}>
-                      {school.accident_count || 0}
-                    </span>
-                    {school.fatal_count > 0 && (
-                      <div className="text-xs text-red-600 mt-1">
-                        {school.fatal_count} fatal
+                <button
+                  onClick={() => onSelectSchool(school)}
+                  className="flex-1 min-w-0 p-3 text-left"
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium text-gray-900 truncate">{school.name}</div>
+                      <div className="text-xs text-gray-500">{school.phase_of_education}</div>
+                      <div className="text-xs text-gray-400 truncate">{school.town}, {school.postcode}</div>
+                    </div>
+                    <div className="text-right flex-shrink-0">
+                      <span
+                        title="Risk score"
+                        className={`
+                          inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium
+                          ${riskLevel === 'high' ? 'bg-red-100 text-red-700' :
+                            riskLevel === 'medium' ? 'bg-amber-100 text-amber-700' :
+                            'bg-green-100 text-green-700'}
+                        `}
+                      >
+                        {formatScore(score)}
+                      </span>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {school.accident_count} accidents
                       </div>
-                    )}
+                      {school.fatal_count > 0 && (
+                        <div className="text-xs text-red-600 mt-1">
+                          {school.fatal_count} fatal
+                        </div>
+                      )}
+                    </div>
                   </div>
-                </div>
-              </button>
+                </button>
+                <button
+                  onClick={() => onToggleCompare(school)}
+                  disabled={compareFull}
+                  aria-pressed={isCompared}
+                  aria-label={isCompared ? `Remove ${school.name} from comparison` : `Compare ${school.name}`}
+                  title={compareFull ? `Compare up to ${MAX_COMPARE} schools` : isCompared ? 'Remove from comparison' : 'Add to comparison'}
+                  className={`px-2 flex-shrink-0 disabled:opacity-30 disabled:cursor-not-allowed ${
+                    isCompared ? 'text-blue-600' : 'text-gray-400 hover:text-gray-600'
+                  }`}
+                >
+                  {isCompared ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+                </button>
+              </div>
             )
           })
         )}
@@ -507,12 +748,83 @@ function SchoolsList({ schools, selectedSchool, onSelectSchool, total, page, pag
   )
 }
 
-// Risk distribution chart - Stacked bar + Progress bars
+// Pinned schools, opened side by side on the comparison page
+function CompareTray({ urns, schools, onRemove, onClear }) {
+  const location = useLocation()
+  const [names, setNames] = useState({})
+
+  // Schools pinned on other pages or from a shared link are looked up
+  useEffect(() => {
+    const known = new Set(schools.map(s => String(s.urn)))
+    const missing = urns.filter(urn => !known.has(urn) && !(urn in names))
+    if (missing.length === 0) return
+    const controller = new AbortController()
+    Promise.allSettled(missing.map(urn => getSchoolById(urn, { signal: controller.signal })))
+      .then(results => {
+        if (controller.signal.aborted) return
+        // Failed lookups are kept as null so they are not retried
+        setNames(prev => ({
+          ...prev,
+          ...Object.fromEntries(results.map((result, i) => [
+            missing[i],
+            result.status === 'fulfilled' ? result.value.data.name : null,
+          ])),
+        }))
+      })
+    return () => controller.abort()
+  }, [urns, schools, names])
+
+  if (urns.length === 0) return null
+
+  const nameOf = (urn) => schools.find(s => String(s.urn) === urn)?.name || names[urn] || `URN ${urn}`
+
+  return (
+    <div className="bg-white rounded-lg border border-blue-200 shadow-sm p-3 flex flex-wrap items-center gap-2">
+      <span className="text-sm font-medium text-gray-700 mr-1">
+        Compare ({urns.length}/{MAX_COMPARE})
+      </span>
+      {urns.map(urn => (
+        <span key={urn} className="inline-flex items-center gap-1 pl-2 pr-1 py-1 bg-blue-50 text-blue-800 rounded-full text-xs">
+          {nameOf(urn)}
+          <button
+            onClick={() => onRemove(urn)}
+            aria-label={`Remove ${nameOf(urn)} from comparison`}
+            className="p-0.5 rounded-full hover:bg-blue-100"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+      <div className="ml-auto flex items-center gap-2">
+        <button onClick={onClear} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900">
+          Clear
+        </button>
+        {urns.length < 2 ? (
+          <span className="flex items-center gap-1 px-3 py-1.5 text-sm bg-gray-100 text-gray-400 rounded-lg cursor-not-allowed" title="Pin at least two schools">
+            <Columns className="w-4 h-4" />
+            Compare
+          </span>
+        ) : (
+          <Link
+            to={{ pathname: '/schools/compare', search: location.search }}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            <Columns className="w-4 h-4" />
+            Compare
+          </Link>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Schools by raw accident count band, from the summary endpoint - Stacked
+// bar + Progress bars. The bands are the server's, not the risk model's.
 function RiskDistributionChart({ summary }) {
   const data = [
-    { name: 'High Risk', label: '10+ accidents', value: summary?.high_risk_count || 0, color: '#dc2626', icon: '🔴' },
-    { name: 'Medium Risk', label: '5-9 accidents', value: summary?.medium_risk_count || 0, color: '#f59e0b', icon: '🟡' },
-    { name: 'Low Risk', label: '0-4 accidents', value: summary?.low_risk_count || 0, color: '#16a34a', icon: '🟢' },
+    { name: '10+ accidents', label: 'high band', value: summary?.high_risk_count || 0, color: '#dc2626', icon: '🔴' },
+    { name: '5-9 accidents', label: 'medium band', value: summary?.medium_risk_count || 0, color: '#f59e0b', icon: '🟡' },
+    { name: '0-4 accidents', label: 'low band', value: summary?.low_risk_count || 0, color: '#16a34a', icon: '🟢' },
   ]
 
   const total = data.reduce((sum, d) => sum + d.value, 0)
@@ -521,7 +833,8 @@ function RiskDistributionChart({ summary }) {
 
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
-      <h4 className="font-semibold text-gray-900 mb-4">🏫 School Risk Distribution</h4>
+      <h4 className="font-semibold text-gray-900 mb-1">🏫 Schools by Accident Count</h4>
+      <p className="text-xs text-gray-500 mb-4">Raw counts within the search radius, before risk model scoring</p>
       
       {/* Stacked bar visualization */}
       <div className="mb-6">
@@ -545,8 +858,8 @@ function RiskDistributionChart({ summary }) {
           })}
         </div>
         <div className="flex justify-between mt-2 text-xs text-gray-500">
-          <span>Higher Risk ←</span>
-          <span>→ Lower Risk</span>
+          <span>More accidents ←</span>
+          <span>→ Fewer accidents</span>
         </div>
       </div>
 
@@ -587,11 +900,144 @@ function RiskDistributionChart({ summary }) {
   )
 }
 
-// Selected school detail panel
-function SchoolDetailPanel({ school, radius }) {
+const formatFactor = (factor) => `× ${factor.toFixed(2)}`
+
+// How a school's score was reached, step by step, with the server-side score
+// for comparison when the list endpoint supplied one
+function RiskBreakdown({ school, risk, model, radius, years, schoolRun, serverRisk }) {
+  const severityRows = [
+    { label: 'Fatal', count: risk.counts.fatal, weight: model.fatalWeight },
+    { label: 'Serious', count: risk.counts.serious, weight: model.seriousWeight },
+    { label: 'Slight', count: risk.counts.slight, weight: model.slightWeight },
+  ]
+  const serverLevel = serverRisk && getServerRiskLevel(serverRisk)
+
+  return (
+    <div className="mt-4 border-t border-gray-100 pt-4">
+      <h5 className="font-medium text-gray-900 mb-2">Risk Score Breakdown</h5>
+      <table className="w-full text-sm">
+        <tbody className="divide-y divide-gray-100">
+          {severityRows.map(({ label, count, weight }) => (
+            <tr key={label}>
+              <td className="py-1 text-gray-600">{label}</td>
+              <td className="py-1 text-right text-gray-500">{count} × {weight}</td>
+              <td className="py-1 text-right font-medium">{count * weight}</td>
+            </tr>
+          ))}
+          <tr>
+            <td className="py-1 text-gray-600">Per year</td>
+            <td className="py-1 text-right text-gray-500">÷ {years}</td>
+            <td className="py-1 text-right font-medium">{formatScore(risk.perYear)}</td>
+          </tr>
+          <tr>
+            <td className="py-1 text-gray-600">Radius</td>
+            <td className="py-1 text-right text-gray-500">{radius}m to {REFERENCE_RADIUS}m</td>
+            <td className="py-1 text-right font-medium">{formatFactor(risk.areaFactor)}</td>
+          </tr>
+          <tr>
+            <td className="py-1 text-gray-600">Pupils</td>
+            <td className="py-1 text-right text-gray-500">
+              {!model.perPupil ? 'Not applied' :
+                school.number_of_pupils ? `${school.number_of_pupils.toLocaleString()} to ${REFERENCE_PUPILS}` : 'Unknown'}
+            </td>
+            <td className="py-1 text-right font-medium">{formatFactor(risk.pupilFactor)}</td>
+          </tr>
+          <tr className="font-semibold">
+            <td className="py-1">Score</td>
+            <td className="py-1 text-right text-gray-500">{RISK_LEVELS[risk.level].label}</td>
+            <td className="py-1 text-right">{formatScore(risk.score)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      {schoolRun && (
+        <p className="text-xs text-gray-500 mt-2">
+          {school.schoolRunSkipped
+            ? 'The school-run filters need every accident near the school, which did not load; counts cover all times.'
+            : `Counts cover the ${schoolRun} only.`}
+        </p>
+      )}
+      {serverRisk?.risk_score !== null && serverRisk?.risk_score !== undefined && (
+        <p className="text-xs text-gray-500 mt-2">
+          Server risk score: {serverRisk.risk_score.toLocaleString()}
+          {' '}({RISK_LEVELS[serverLevel].label} by accident count)
+        </p>
+      )}
+    </div>
+  )
+}
+
+// The detail panel's own radius and year range; `radius` is the slider's
+// position, ahead of the scope while it moves
+function AccidentScopeControls({ scope, radius, onRadiusChange, onChange, loading }) {
+  const years = [...YEAR_OPTIONS].reverse()
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 rounded-lg space-y-3">
+      <div>
+        <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+          <span>Radius</span>
+          <span className="flex items-center gap-1 font-medium text-gray-900">
+            {loading && <RefreshCw className="w-3 h-3 animate-spin text-gray-400" />}
+            {radius}m
+          </span>
+        </div>
+        <input
+          type="range"
+          aria-label="Accident radius"
+          min={DETAIL_RADIUS.min}
+          max={DETAIL_RADIUS.max}
+          step={DETAIL_RADIUS.step}
+          value={radius}
+          onChange={(e) => onRadiusChange(Number(e.target.value))}
+          className="w-full"
+        />
+      </div>
+      <div className="flex items-center gap-2 text-sm text-gray-600">
+        <span>Years</span>
+        <select
+          aria-label="From year"
+          value={scope.fromYear}
+          onChange={(e) => {
+            const fromYear = e.target.value
+            onChange({ fromYear, ...(fromYear > scope.toYear && { toYear: fromYear }) })
+          }}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        >
+          {years.map(year => <option key={year} value={year}>{year}</option>)}
+        </select>
+        <span>to</span>
+        <select
+          aria-label="To year"
+          value={scope.toYear}
+          onChange={(e) => {
+            const toYear = e.target.value
+            onChange({ toYear, ...(toYear < scope.fromYear && { fromYear: toYear }) })
+          }}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        >
+          {years.map(year => <option key={year} value={year}>{year}</option>)}
+        </select>
+      </div>
+    </div>
+  )
+}
+
+// Selected school detail panel; `accidents` is the listed page of
+// `accidentTotal` accidents
+function SchoolDetailPanel({
+  school, scope, onScopeChange, sliderRadius, onRadiusChange, accidents, accidentTotal, accidentsLoading,
+  accidentPage, onAccidentPageChange,
+  schoolRun, riskModel, serverRisk, onOpenAccident, getReport,
+}) {
   if (!school) return null
 
-  const riskLevel = getRiskLevel(school.accident_count || 0)
+  const { radius } = scope
+  const years = getYearsCovered(scope.fromYear, scope.toYear)
+  const risk = scoreSchool(school, riskModel, { radius, years })
+  const riskLevel = risk.level
+  const totalPages = Math.ceil(accidentTotal / ACCIDENT_PAGE_SIZE)
+  const page = accidentPage
 
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
@@ -601,62 +1047,117 @@ function SchoolDetailPanel({ school, radius }) {
           <p className="text-sm text-gray-500">{school.phase_of_education}</p>
           <p className="text-xs text-gray-400">{school.street}, {school.town}, {school.postcode}</p>
         </div>
-        <span className={`
-          px-3 py-1 rounded-full text-sm font-medium
-          ${riskLevel === 'high' ? 'bg-red-100 text-red-700' :
-            riskLevel === 'medium' ? 'bg-amber-100 text-amber-700' :
-            'bg-green-100 text-green-700'}
-        `}>
-          {RISK_LEVELS[riskLevel].label}
-        </span>
+        <div className="flex flex-col items-end gap-2">
+          <span className={`
+            px-3 py-1 rounded-full text-sm font-medium
+            ${riskLevel === 'high' ? 'bg-red-100 text-red-700' :
+              riskLevel === 'medium' ? 'bg-amber-100 text-amber-700' :
+              'bg-green-100 text-green-700'}
+          `}>
+            {RISK_LEVELS[riskLevel].label}
+          </span>
+          <PdfReportButton getReport={getReport} name={`school-report-${school.urn}`} />
+        </div>
       </div>
 
+      <AccidentScopeControls
+        scope={scope}
+        radius={sliderRadius}
+        onRadiusChange={onRadiusChange}
+        onChange={onScopeChange}
+        loading={accidentsLoading}
+      />
+
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
         <div className="text-center p-3 bg-gray-50 rounded-lg">
-          <div className="text-2xl font-bold">{school.accident_count || 0}</div>
+          <div className="text-2xl font-bold">{school.accident_count}</div>
           <div className="text-xs text-gray-500">Total Accidents</div>
         </div>
         <div className="text-center p-3 bg-red-50 rounded-lg">
-          <div className="text-2xl font-bold text-red-600">{school.fatal_count || 0}</div>
+          <div className="text-2xl font-bold text-red-600">{school.fatal_count}</div>
           <div className="text-xs text-gray-500">Fatal</div>
         </div>
         <div className="text-center p-3 bg-amber-50 rounded-lg">
-          <div className="text-2xl font-bold text-amber-600">{school.serious_count || 0}</div>
+          <div className="text-2xl font-bold text-amber-600">{school.serious_count}</div>
           <div className="text-xs text-gray-500">Serious</div>
         </div>
         <div className="text-center p-3 bg-green-50 rounded-lg">
-          <div className="text-2xl font-bold text-green-600">{school.slight_count || 0}</div>
+          <div className="text-2xl font-bold text-green-600">{school.slight_count}</div>
           <div className="text-xs text-gray-500">Slight</div>
         </div>
       </div>
 
       <div className="text-sm text-gray-600 space-y-1">
-        {school.number_of_pupils && (
+        {school.number_of_pupils > 0 && (
           <p><span className="text-gray-400">Pupils:</span> {school.number_of_pupils.toLocaleString()}</p>
         )}
         {school.local_authority_name && (
           <p><span className="text-gray-400">Local Authority:</span> {school.local_authority_name}</p>
         )}
-        <p><span className="text-gray-400">Search Radius:</span> {radius}m</p>
+        <p>
+          <span className="text-gray-400">Search Radius:</span> {radius}m,{' '}
+          {scope.fromYear === scope.toYear ? scope.fromYear : `${scope.fromYear}-${scope.toYear}`}
+        </p>
       </div>
 
-      {school.accidents && school.accidents.length > 0 && (
+      <RiskBreakdown
+        school={school}
+        risk={risk}
+        model={riskModel}
+        radius={radius}
+        years={years}
+        schoolRun={schoolRun}
+        serverRisk={serverRisk}
+      />
+
+      {accidentTotal > 0 && (
         <div className="mt-4">
-          <h5 className="font-medium text-gray-900 mb-2">Recent Accidents ({school.accidents.length})</h5>
-          <div className="max-h-48 overflow-y-auto space-y-2">
-            {school.accidents.slice(0, 10).map((acc, i) => (
-              <div key={i} className="flex items-center justify-between text-sm p-2 bg-gray-50 rounded">
+          <h5 className="font-medium text-gray-900 mb-2">
+            Accidents ({accidentTotal.toLocaleString()})
+            {school.schoolRunSkipped && <span className="font-normal text-gray-500"> · all times</span>}
+          </h5>
+          <div className="space-y-2">
+            {accidents.map(acc => (
+              <button
+                key={acc.accident_id}
+                onClick={() => onOpenAccident(acc.accident_id)}
+                className="w-full flex items-center justify-between text-sm p-2 bg-gray-50 rounded text-left hover:bg-gray-100"
+              >
                 <div className="flex items-center gap-2">
                   <span className={`w-2 h-2 rounded-full ${
                     acc.severity === 1 ? 'bg-red-500' :
                     acc.severity === 2 ? 'bg-amber-500' : 'bg-green-500'
                   }`} />
                   <span>{acc.accident_date}</span>
+                  {acc.accident_time && <span className="text-gray-400">{acc.accident_time}</span>}
                 </div>
                 <span className="text-gray-500">{Math.round(acc.distance_meters)}m away</span>
-              </div>
+              </button>
             ))}
           </div>
+          {totalPages > 1 && (
+            <div className="mt-2 flex items-center justify-between">
+              <button
+                onClick={() => onAccidentPageChange(page - 1)}
+                disabled={page <= 1}
+                className="flex items-center gap-1 px-3 py-1 text-sm border rounded disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                <ChevronLeft className="w-4 h-4" />
+                Prev
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {page} of {totalPages}
+              </span>
+              <button
+                onClick={() => onAccidentPageChange(page + 1)}
+                disabled={page >= totalPages}
+                className="flex items-center gap-1 px-3 py-1 text-sm border rounded disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Next
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -670,121 +1171,358 @@ export default function SchoolSafety() {
   const [summary, setSummary] = useState(null)
   const [loading, setLoading] = useState(false)
   const [total, setTotal] = useState(0)
-  const [page, setPage] = useState(1)
+  const [mapFocus, setMapFocus] = useState(null)
+  const mapRef = useRef(null)
+  const openAccident = useOpenAccident()
   
   // Filter options
   const [phases, setPhases] = useState([])
   const [counties, setCounties] = useState([])
   
-  // Filters
-  const [filters, setFilters] = useState({
-    search: '',
-    phase: '',
-    county: '',
-    town: '',
-    radius: 500,
-    year: '',
-    riskLevel: '',
-    orderBy: 'accident_count',
-    pageSize: 50,
+  // Applied filters, page, selected school and risk model live in the URL
+  const [urlState, setUrlState] = useUrlState({
+    ...DEFAULT_FILTERS,
+    ...DEFAULT_RISK_MODEL,
+    page: 1,
+    school: null,
+    compare: '',
+    // The detail panel's radius (0 follows the filters), year range ('' follows
+    // the filters) and accident list page
+    schoolRadius: 0,
+    fromYear: '',
+    toYear: '',
+    accidentPage: 1,
   })
+  const { page, school: selectedUrn } = urlState
+  const compared = useMemo(() => parseCompare(urlState.compare), [urlState.compare])
+  const appliedFilters = useMemo(() => ({
+    search: urlState.search,
+    phase: urlState.phase,
+    county: urlState.county,
+    town: urlState.town,
+    radius: urlState.radius,
+    year: urlState.year,
+    riskLevel: urlState.riskLevel,
+    timeWindow: urlState.timeWindow,
+    termTime: urlState.termTime,
+    childCasualties: urlState.childCasualties,
+    orderBy: urlState.orderBy,
+    pageSize: urlState.pageSize,
+  }), [
+    urlState.search, urlState.phase, urlState.county, urlState.town, urlState.radius,
+    urlState.year, urlState.riskLevel, urlState.timeWindow, urlState.termTime,
+    urlState.childCasualties, urlState.orderBy, urlState.pageSize,
+  ])
 
-  // Load filter options on mount
+  // Radius and year - what the list, summary and detail counts cover. The
+  // school run narrows them on the client (see useSchoolRunSchools).
+  const countParams = useMemo(() => getCountParams(appliedFilters), [appliedFilters])
+  const schoolRun = useMemo(() => getSchoolRunFilters(appliedFilters), [appliedFilters])
+  const schoolRunDescription = describeSchoolRun(schoolRun)
+
+  const riskModel = useMemo(() => ({
+    fatalWeight: urlState.fatalWeight,
+    seriousWeight: urlState.seriousWeight,
+    slightWeight: urlState.slightWeight,
+    perPupil: urlState.perPupil,
+    highThreshold: urlState.highThreshold,
+    mediumThreshold: urlState.mediumThreshold,
+  }), [
+    urlState.fatalWeight, urlState.seriousWeight, urlState.slightWeight, urlState.perPupil,
+    urlState.highThreshold, urlState.mediumThreshold,
+  ])
+  const riskContext = useMemo(
+    () => getRiskContext({ radius: appliedFilters.radius, year: appliedFilters.year }),
+    [appliedFilters.radius, appliedFilters.year],
+  )
+
+  // The detail panel's radius and year range, starting from the filters. The
+  // detail endpoint counts the school over them and the accidents endpoint
+  // lists them a page at a time, each a year at a time (see getYearRequests).
+  const detailScope = useMemo(() => ({
+    radius: urlState.schoolRadius || appliedFilters.radius,
+    fromYear: urlState.fromYear || appliedFilters.year || YEAR_OPTIONS[YEAR_OPTIONS.length - 1],
+    toYear: urlState.toYear || appliedFilters.year || YEAR_OPTIONS[0],
+  }), [urlState.schoolRadius, urlState.fromYear, urlState.toYear, appliedFilters.radius, appliedFilters.year])
+  const detailRequests = useMemo(
+    () => getYearRequests({ radius: detailScope.radius }, detailScope.fromYear, detailScope.toYear),
+    [detailScope]
+  )
+
+  // Draft filters edited in the panel until Search is pressed
+  const [filters, setFilters] = useState(appliedFilters)
+
+  // Reset the draft when the applied filters change (e.g. back/forward)
   useEffect(() => {
-    loadFilterOptions()
-    loadSchools()
-    loadSummary()
-  }, [])
+    setFilters(appliedFilters)
+  }, [appliedFilters])
+
+  const schoolsRef = useRef(schools)
+  schoolsRef.current = schools
 
-  const loadFilterOptions = async () => {
+  // Each loader cancels its previous request, and all are cancelled on unmount
+  const nextFilterOptionsSignal = useRequestController()
+  const nextSummarySignal = useRequestController()
+  const nextSchoolsSignal = useRequestController()
+  const nextSchoolSignal = useRequestController()
+
+  const loadFilterOptions = useCallback(async () => {
+    const signal = nextFilterOptionsSignal()
     try {
       const [phasesRes, countiesRes] = await Promise.all([
-        getSchoolPhases(),
-        getSchoolCounties()
+        getSchoolPhases({ signal }),
+        getSchoolCounties({ signal })
       ])
-      setPhases(phasesRes.data || [])
-      setCounties(countiesRes.data || [])
+      setPhases(phasesRes.data)
+      setCounties(countiesRes.data)
     } catch (error) {
+      if (isCancel(error)) return
       console.error('Failed to load filter options:', error)
     }
-  }
+  }, [nextFilterOptionsSignal])
 
-  const loadSummary = async () => {
+  // Load filter options on mount
+  useEffect(() => {
+    loadFilterOptions()
+  }, [loadFilterOptions])
+
+  const loadSummary = useCallback(async () => {
+    const signal = nextSummarySignal()
     try {
-      const year = filters.year || undefined
-      const res = await getSchoolsSummary(filters.radius, year)
+      const res = await getSchoolRiskSummary(countParams, { signal })
       setSummary(res.data)
     } catch (error) {
+      if (isCancel(error)) return
       console.error('Failed to load summary:', error)
     }
-  }
+  }, [countParams, nextSummarySignal])
 
-  const loadSchools = async (newPage = 1) => {
+  const loadSchools = useCallback(async () => {
+    const signal = nextSchoolsSignal()
     setLoading(true)
     try {
-      const params = {
-        page: newPage,
-        page_size: filters.pageSize,
-        radius: filters.radius,
-        order_by: filters.orderBy,
-        order_dir: 'desc',
-      }
-      
-      if (filters.search) params.search = filters.search
-      if (filters.phase) params.phase = filters.phase
-      if (filters.county) params.county = filters.county
-      if (filters.town) params.town = filters.town
-      if (filters.year) params.year = parseInt(filters.year)
-      if (filters.riskLevel) params.risk_level = filters.riskLevel
-
-      const response = await getSchools(params)
-      setSchools(response.data.data || [])
-      setTotal(response.data.total || 0)
-      setPage(response.data.page || 1)
+      const response = await getSchoolsWithRisk({ ...getSchoolParams(appliedFilters), page }, { signal })
+      setSchools(response.data.data)
+      setTotal(response.data.total)
     } catch (error) {
+      if (isCancel(error)) return
       console.error('Failed to load schools:', error)
       setSchools([])
     } finally {
-      setLoading(false)
+      if (!signal.aborted) setLoading(false)
     }
-  }
+  }, [appliedFilters, page, nextSchoolsSignal])
 
-  const handleApplyFilters = () => {
-    setSelectedSchool(null)
-    loadSchools(1)
-    loadSummary()
-  }
+  useEffect(() => {
+    loadSchools()
+  }, [loadSchools])
 
-  const handlePageChange = (newPage) => {
-    loadSchools(newPage)
-  }
+  useEffect(() => {
+    loadSummary()
+  }, [loadSummary])
 
-  const handleSelectSchool = async (school) => {
-    // Load detailed info with accidents
+  // Load detailed info with accidents for the selected school
+  const loadSelectedSchool = useCallback(async () => {
+    const signal = nextSchoolSignal()
+    if (!selectedUrn) {
+      setSelectedSchool(null)
+      return
+    }
     try {
-      const year = filters.year || undefined
-      const response = await getSchoolDetail(school.urn, filters.radius, year)
-      setSelectedSchool(response.data)
+      const responses = await Promise.all(
+        detailRequests.map(params => getSchoolDetail(selectedUrn, params, { signal }))
+      )
+      setSelectedSchool(mergeSchoolYears(responses.map(response => response.data)))
     } catch (error) {
+      if (isCancel(error)) return
       console.error('Failed to load school details:', error)
-      setSelectedSchool(school)
+      setSelectedSchool(schoolsRef.current.find(s => String(s.urn) === selectedUrn) || null)
     }
+  }, [selectedUrn, detailRequests, nextSchoolSignal])
+
+  useEffect(() => {
+    loadSelectedSchool()
+  }, [loadSelectedSchool])
+
+  // In the school run every matching school is counted on the client, then
+  // banded, ordered, paged and summarised as the server does its own counts.
+  // Past MAX_SCHOOL_RUN_SCHOOLS the server's all-day counts are shown.
+  const schoolRunSchools = useSchoolRunSchools(hasSchoolRunFilters(schoolRun) && appliedFilters, schoolRun)
+  const countsSchoolRun = hasSchoolRunFilters(schoolRun) && !schoolRunSchools.tooMany
+  const schoolRunResults = useMemo(
+    () => (schoolRunSchools.schools ? orderSchools(schoolRunSchools.schools, appliedFilters) : []),
+    [schoolRunSchools.schools, appliedFilters]
+  )
+  const listedSchools = countsSchoolRun
+    ? schoolRunResults.slice((page - 1) * appliedFilters.pageSize, page * appliedFilters.pageSize)
+    : schools
+  const listedSchoolTotal = countsSchoolRun ? schoolRunResults.length : total
+  const shownSummary = useMemo(() => {
+    if (!countsSchoolRun) return summary
+    return schoolRunSchools.schools ? summarizeSchools(schoolRunSchools.schools) : null
+  }, [countsSchoolRun, summary, schoolRunSchools.schools])
+  const schoolsLoading = loading || schoolRunSchools.loading
+  const skippedSchools = schoolRunResults.filter(school => school.schoolRunSkipped).length
+  const listNotice = schoolRunSchools.tooMany
+    ? `School-run filters apply to searches of up to ${MAX_SCHOOL_RUN_SCHOOLS} schools; these counts cover all times. Narrow the search to apply them.`
+    : skippedSchools > 0
+      ? `${skippedSchools.toLocaleString()} ${skippedSchools === 1 ? 'school keeps its' : 'schools keep their'} all-day counts; their accident lists did not load in full.`
+      : null
+
+  // The selected school as the detail panel shows it, in the school run
+  const scopedSchool = useMemo(
+    () => selectedSchool && narrowToSchoolRun(selectedSchool, schoolRun),
+    [selectedSchool, schoolRun]
+  )
+
+  // School-run accidents are listed from the detail endpoint's accidents; a
+  // school without its full list falls back to the server's pages
+  const listsSchoolRun = hasSchoolRunFilters(schoolRun) && !scopedSchool?.schoolRunSkipped
+  const schoolAccidents = useSchoolAccidents(
+    listsSchoolRun ? null : selectedUrn, detailRequests, urlState.accidentPage, ACCIDENT_PAGE_SIZE
+  )
+
+  // The radius slider's position, while it is ahead of the URL
+  const [draftRadius, setDraftRadius] = useState(null)
+  const sliderRadius = draftRadius ?? detailScope.radius
+
+  useEffect(() => {
+    setDraftRadius(null)
+  }, [detailScope.radius])
+
+  // The selected school's accidents on the map. Those outside a shrinking
+  // radius drop off at once, before the new scope loads.
+  const mapAccidents = useMemo(() => (
+    scopedSchool ? scopedSchool.accidents.filter(a => !(a.distance_meters > sliderRadius)) : []
+  ), [scopedSchool, sliderRadius])
+
+  // The listed page: a server page, or in the school run a page of the
+  // school's narrowed accidents
+  const listedAccidents = listsSchoolRun
+    ? (scopedSchool?.accidents || []).slice((urlState.accidentPage - 1) * ACCIDENT_PAGE_SIZE, urlState.accidentPage * ACCIDENT_PAGE_SIZE)
+    : schoolAccidents.accidents
+  const listedTotal = listsSchoolRun ? (scopedSchool?.accidents.length || 0) : schoolAccidents.total
+
+  const handleApplyFilters = () => {
+    setUrlState({
+      ...filters, page: 1, school: null, schoolRadius: 0, fromYear: '', toYear: '', accidentPage: 1,
+    })
+  }
+
+  const handleRefresh = () => {
+    loadSchools()
+    loadSummary()
+    loadSelectedSchool()
+  }
+
+  const handlePageChange = (newPage) => {
+    setUrlState({ page: newPage })
   }
 
+  const handleSelectSchool = useCallback((school) => {
+    setUrlState({ school: String(school.urn), accidentPage: 1 })
+  }, [setUrlState])
+
+  // Radius and year tweaks replace the entry, like model edits
+  const handleDetailScopeChange = useCallback((update) => {
+    setUrlState({ ...update, accidentPage: 1 }, { replace: true })
+  }, [setUrlState])
+
+  // The circle and markers follow the slider at once; the URL, and the
+  // requests it starts, wait until it settles
+  const commitRadius = useDebounce(handleDetailScopeChange, RADIUS_COMMIT_DELAY)
+  const handleRadiusChange = useCallback((radius) => {
+    setDraftRadius(radius)
+    commitRadius({ schoolRadius: radius })
+  }, [commitRadius])
+
+  const handleAccidentPageChange = useCallback((accidentPage) => {
+    setUrlState({ accidentPage })
+  }, [setUrlState])
+
+  const handleToggleCompare = useCallback((school) => {
+    const urn = String(school.urn)
+    const next = compared.includes(urn)
+      ? compared.filter(u => u !== urn)
+      : [...compared, urn].slice(0, MAX_COMPARE)
+    setUrlState({ compare: next.join(',') }, { replace: true })
+  }, [compared, setUrlState])
+
+  const handleRemoveCompare = useCallback((urn) => {
+    setUrlState({ compare: compared.filter(u => u !== urn).join(',') }, { replace: true })
+  }, [compared, setUrlState])
+
+  const handleClearCompare = useCallback(() => {
+    setUrlState({ compare: '' }, { replace: true })
+  }, [setUrlState])
+
+  // Move the map to a searched place, leaving the selected school
+  const handleLocationSelect = useCallback((result) => {
+    setMapFocus({ center: [result.lat, result.lng], zoom: result.zoom })
+    setUrlState({ school: null })
+  }, [setUrlState])
+
+  // Model edits are tweaks rather than navigation, so they replace the entry
+  const handleRiskModelChange = useCallback((update) => {
+    setUrlState(update, { replace: true })
+  }, [setUrlState])
+
+  const handleRiskModelReset = useCallback(() => {
+    setUrlState(DEFAULT_RISK_MODEL, { replace: true })
+  }, [setUrlState])
+
+  // Exports cover every matching school, not just the page shown, scored
+  // with the current model; the server's own score is kept alongside
+  const getExportRows = useCallback(async () => {
+    const rows = countsSchoolRun ? schoolRunResults : await fetchAllSchools(appliedFilters)
+    return rows.map(({ risk_score: serverScore, risk_level: serverLevel, accidents, ...school }) => {
+      const risk = scoreSchool(school, riskModel, riskContext)
+      return {
+        ...school,
+        risk_score: Number(risk.score.toFixed(2)),
+        risk_level: risk.level,
+        server_risk_score: serverScore,
+        server_risk_level: serverLevel,
+      }
+    })
+  }, [countsSchoolRun, schoolRunResults, appliedFilters, riskModel, riskContext])
+  // The report's map is the school's map as shown; reports still build without it
+  const getSchoolReport = useCallback(async () => {
+    const mapImage = await renderMapDataUrl(mapRef.current, {
+      title: `${scopedSchool.name} - ${detailScope.radius} m`,
+      legend: SEVERITY_LEGEND,
+    }).catch(err => {
+      console.warn('Map snapshot unavailable:', err)
+      return null
+    })
+    const years = getYearsCovered(detailScope.fromYear, detailScope.toYear)
+    return buildSchoolReport(scopedSchool, {
+      radius: detailScope.radius, years, model: riskModel, schoolRun: scopedSchool.schoolRunSkipped ? null : schoolRun,
+    }, mapImage)
+  }, [scopedSchool, detailScope, riskModel, schoolRun])
+
+  // Without school-run counts, the school-run filters are left out
+  const { pageSize, timeWindow, termTime, childCasualties, ...countFilters } = appliedFilters
+  const exportFilters = countsSchoolRun ? { ...countFilters, timeWindow, termTime, childCasualties } : countFilters
+  const exportTitle = `Accidents within ${appliedFilters.radius}m of schools - ${appliedFilters.year || 'all years'}`
+    + (countsSchoolRun ? `, ${schoolRunDescription}` : '')
+
   return (
     <div className="space-y-6">
       {/* Header */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">School Safety Analysis</h1>
-          <p className="text-gray-500">Analyzing accident patterns near {total.toLocaleString()} schools</p>
+          <p className="text-gray-500">
+            Analyzing accident patterns near {listedSchoolTotal.toLocaleString()} schools
+          </p>
         </div>
         <button
-          onClick={handleApplyFilters}
-          disabled={loading}
+          onClick={handleRefresh}
+          disabled={schoolsLoading}
           className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
         >
-          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          <RefreshCw className={`w-4 h-4 ${schoolsLoading ? 'animate-spin' : ''}`} />
           Refresh
         </button>
       </div>
@@ -796,57 +1534,71 @@ export default function SchoolSafety() {
         onApply={handleApplyFilters}
         phases={phases}
         counties={counties}
-        loading={loading}
+        loading={schoolsLoading}
+      />
+
+      <RiskModelPanel
+        model={riskModel}
+        onChange={handleRiskModelChange}
+        onReset={handleRiskModelReset}
       />
 
       {/* Stats */}
       <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
         <StatCard
           title="Total Schools"
-          value={summary?.total_schools}
+          value={shownSummary?.total_schools}
+          subtitle={countsSchoolRun ? 'Matching the filters' : undefined}
           icon={School}
         />
         <StatCard
-          title="High Risk"
-          value={summary?.high_risk_count}
-          subtitle="10+ accidents"
+          title="10+ Accidents"
+          value={shownSummary?.high_risk_count}
+          subtitle="Schools, by raw count"
           icon={AlertTriangle}
           variant="danger"
         />
         <StatCard
-          title="Medium Risk"
-          value={summary?.medium_risk_count}
-          subtitle="5-9 accidents"
+          title="5-9 Accidents"
+          value={shownSummary?.medium_risk_count}
+          subtitle="Schools, by raw count"
           icon={AlertCircle}
           variant="warning"
         />
         <StatCard
-          title="Low Risk"
-          value={summary?.low_risk_count}
-          subtitle="0-4 accidents"
+          title="0-4 Accidents"
+          value={shownSummary?.low_risk_count}
+          subtitle="Schools, by raw count"
           icon={School}
           variant="success"
         />
         <StatCard
           title="Total Accidents"
-          value={summary?.total_accidents}
-          subtitle={`Within ${filters.radius}m`}
+          value={shownSummary?.total_accidents}
+          subtitle={`Within ${appliedFilters.radius}m`}
           icon={MapPin}
         />
         <StatCard
           title="Fatal Accidents"
-          value={summary?.total_fatal}
+          value={shownSummary?.total_fatal}
           subtitle="Near schools"
           icon={AlertTriangle}
           variant="danger"
         />
       </div>
 
+      <CompareTray
+        urns={compared}
+        schools={schools}
+        onRemove={handleRemoveCompare}
+        onClear={handleClearCompare}
+      />
+
       {/* Main content */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Map */}
         <div className="lg:col-span-2 bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
-          <div className="p-4 border-b border-gray-200">
+          <div className="p-4 border-b border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
             <h3 className="font-semibold text-gray-900 flex items-center gap-2">
               <MapPin className="w-4 h-4" />
               School Locations
@@ -856,33 +1608,56 @@ export default function SchoolSafety() {
                 </span>
               )}
             </h3>
+            <LocationSearch onSelect={handleLocationSelect} className="sm:w-64" />
           </div>
           <div className="h-[500px]">
             <SchoolSafetyMap 
-              schools={schools}
+              schools={listedSchools}
               selectedSchool={selectedSchool}
               onSelectSchool={handleSelectSchool}
-              radius={filters.radius}
+              onOpenAccident={openAccident}
+              accidents={mapAccidents}
+              radius={sliderRadius}
+              focus={mapFocus}
+              exportTitle={exportTitle}
+              mapRef={mapRef}
+              riskModel={riskModel}
+              riskContext={riskContext}
             />
           </div>
         </div>
 
         {/* Schools List */}
         <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
-          <div className="p-4 border-b border-gray-200">
+          <div className="p-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-2">
             <h3 className="font-semibold text-gray-900 flex items-center gap-2">
               <School className="w-4 h-4" />
               Schools
             </h3>
+            <ExportMenu
+              getRows={getExportRows}
+              disabled={listedSchoolTotal === 0}
+              name="schools"
+              title={exportTitle}
+              filters={exportFilters}
+              getPosition={getSchoolPosition}
+              getName={(school) => school.name}
+              getColor={(school) => RISK_LEVELS[school.risk_level].color}
+            />
           </div>
           <SchoolsList 
-            schools={schools}
+            schools={listedSchools}
             selectedSchool={selectedSchool}
             onSelectSchool={handleSelectSchool}
-            total={total}
+            total={listedSchoolTotal}
             page={page}
-            pageSize={filters.pageSize}
+            pageSize={appliedFilters.pageSize}
             onPageChange={handlePageChange}
+            riskModel={riskModel}
+            riskContext={riskContext}
+            compared={compared}
+            onToggleCompare={handleToggleCompare}
+            notice={listNotice}
           />
         </div>
       </div>
@@ -891,11 +1666,24 @@ export default function SchoolSafety() {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {selectedSchool && (
           <SchoolDetailPanel 
-            school={selectedSchool}
-            radius={filters.radius}
+            school={scopedSchool}
+            scope={detailScope}
+            onScopeChange={handleDetailScopeChange}
+            sliderRadius={sliderRadius}
+            onRadiusChange={handleRadiusChange}
+            accidents={listedAccidents}
+            accidentTotal={listedTotal}
+            accidentsLoading={schoolAccidents.loading}
+            accidentPage={urlState.accidentPage}
+            onAccidentPageChange={handleAccidentPageChange}
+            schoolRun={schoolRunDescription}
+            riskModel={riskModel}
+            serverRisk={schools.find(s => s.urn === selectedSchool.urn)}
+            onOpenAccident={openAccident}
+            getReport={getSchoolReport}
           />
         )}
-        <RiskDistributionChart summary={summary} />
+        <RiskDistributionChart summary={shownSummary} />
       </div>
     </div>
   )
@@ -0,0 +1,364 @@
+import { describe, it, expect, vi } from 'vitest'
+import { screen, fireEvent, waitFor } from '@testing-library/react'
+import renderWithRouter from '../test/renderWithRouter'
+import { getSchoolsWithRisk, getSchoolRiskSummary, getSchoolDetail, getSchoolAccidents } from '../services/api'
+import { DEFAULT_RISK_MODEL } from '../utils/schoolRisk'
+import SchoolSafety, { buildSchoolReport } from './SchoolSafety'
+
+vi.mock('../services/api', async (importOriginal) => {
+  const api = await importOriginal()
+  return {
+    ...api,
+    getSchoolsWithRisk: vi.fn(api.getSchoolsWithRisk),
+    getSchoolRiskSummary: vi.fn(api.getSchoolRiskSummary),
+    getSchoolDetail: vi.fn(api.getSchoolDetail),
+    getSchoolAccidents: vi.fn(api.getSchoolAccidents),
+  }
+})
+
+describe('buildSchoolReport', () => {
+  const school = {
+    urn: '100001',
+    name: 'Oakfield Primary School',
+    phase_of_education: 'Primary',
+    street: 'High Street',
+    town: 'Leeds',
+    postcode: 'LS1 4AP',
+    number_of_pupils: 420,
+    local_authority_name: 'Leeds',
+    accident_count: 6,
+    fatal_count: 0,
+    serious_count: 2,
+    slight_count: 4,
+    accidents: [
+      { accident_date: '2022-05-01', severity: 2 },
+      { accident_date: '2023-01-10', severity: 3 },
+      { accident_date: '2023-06-10', severity: 2 },
+    ],
+  }
+
+  const scoring = { radius: 500, years: 5, model: DEFAULT_RISK_MODEL }
+
+  it('describes the school, its risk score and the radius', () => {
+    const report = buildSchoolReport(school, scoring, 'data:image/png;base64,')
+
+    expect(report.subtitle).toBe('Primary, High Street, Leeds, LS1 4AP')
+    expect(report.risk).toEqual({ label: 'Medium Risk', color: '#f59e0b', note: 'Score 2.4 · 6 accidents within 500 m' })
+    expect(report.facts).toContainEqual(['Risk score', '2.4'])
+    expect(report.facts).toContainEqual(['Killed or seriously injured', '2'])
+    expect(report.accidentsTitle).toBe('Accidents within 500 m')
+    expect(report.mapImage).toBe('data:image/png;base64,')
+  })
+
+  it('scores with the model over the radius and years given', () => {
+    const report = buildSchoolReport(school, { ...scoring, radius: 250, years: 1 }, null)
+
+    expect(report.risk.label).toBe('High Risk')
+    expect(report.methodology).toContainEqual(
+      'Risk level: high at a score of 3 or more, medium at 1.5 or more, otherwise low.'
+    )
+  })
+
+  it('notes the school-run filter in the methodology', () => {
+    const schoolRun = { timeWindow: 'drop_off', termTime: true, childCasualties: false }
+    const { methodology } = buildSchoolReport(school, { ...scoring, schoolRun }, null)
+
+    expect(methodology).toContainEqual(
+      'Only accidents in the school-run filter are counted: drop-off (07:30-09:30), term-time weekdays.'
+    )
+    expect(methodology).toContainEqual(expect.stringMatching(/^Term time excludes typical English school holidays/))
+  })
+
+  it('counts the listed accidents by year', () => {
+    expect(buildSchoolReport(school, scoring, null).yearTrend).toEqual([
+      { year: 2022, total: 1 },
+      { year: 2023, total: 2 },
+    ])
+  })
+})
+
+describe('SchoolSafety', () => {
+  it('disables refresh while loading', () => {
+    renderWithRouter(<SchoolSafety />)
+    expect(screen.getByRole('button', { name: 'Refresh' })).toBeDisabled()
+  })
+
+  it('lists schools with the filters from the URL', async () => {
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&radius=300&phase=Primary' })
+
+    expect(await screen.findByText(/^Showing 10 of [\d,]+ schools$/)).toBeInTheDocument()
+    expect(getSchoolsWithRisk).toHaveBeenCalledWith(
+      expect.objectContaining({ page: 1, page_size: 10, radius: 300, phase: 'Primary' }),
+      expect.anything()
+    )
+    expect(screen.getByRole('button', { name: 'Refresh' })).toBeEnabled()
+  })
+
+  it('shows an empty state when no schools match', async () => {
+    getSchoolsWithRisk.mockResolvedValueOnce({ data: { data: [], total: 0, page: 1 } })
+    renderWithRouter(<SchoolSafety />)
+
+    expect(await screen.findByText('No schools found. Try adjusting your filters.')).toBeInTheDocument()
+    expect(screen.getByText('Showing 0 of 0 schools')).toBeInTheDocument()
+  })
+
+  it('shows the empty state when schools fail to load', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    getSchoolsWithRisk.mockRejectedValueOnce(new Error('Network Error'))
+    renderWithRouter(<SchoolSafety />)
+
+    expect(await screen.findByText('No schools found. Try adjusting your filters.')).toBeInTheDocument()
+    expect(console.error).toHaveBeenCalledWith('Failed to load schools:', expect.any(Error))
+  })
+
+  it('exports every matching school, not just the page shown', async () => {
+    URL.createObjectURL = vi.fn(() => 'blob:schools')
+    URL.revokeObjectURL = vi.fn()
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&phase=Primary' })
+    await screen.findByText(/^Showing 10 of [\d,]+ schools$/)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export as CSV' }))
+
+    await waitFor(() => expect(click).toHaveBeenCalled())
+    expect(getSchoolsWithRisk).toHaveBeenCalledWith(expect.objectContaining({ page: 1, page_size: 1000, phase: 'Primary' }), undefined)
+    expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob))
+    expect(click.mock.instances[0].download).toMatch(/^schools-.*\.csv$/)
+  })
+  it('scores schools with the risk model from the URL', async () => {
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&highThreshold=1000&mediumThreshold=999' })
+    await screen.findByText(/^Showing 10 of [\d,]+ schools$/)
+
+    expect(screen.getByLabelText('High risk from')).toHaveValue(1000)
+    expect(screen.getByRole('checkbox', { name: 'Per 500 pupils' })).toBeChecked()
+    expect(screen.getAllByTitle('Risk score')).toHaveLength(10)
+  })
+
+  it('labels the summary bands as raw accident counts', async () => {
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&riskLevel=high' })
+
+    expect(await screen.findByText('🏫 Schools by Accident Count')).toBeInTheDocument()
+    expect(screen.getAllByText('Schools, by raw count')).toHaveLength(3)
+    expect(screen.getByDisplayValue('10 or more')).toBeInTheDocument()
+  })
+
+  it('shows the score breakdown for the selected school', async () => {
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10' })
+    await screen.findByText(/^Showing 10 of [\d,]+ schools$/)
+
+    fireEvent.click(screen.getAllByTitle('Risk score')[0].closest('button'))
+
+    expect(await screen.findByText('Risk Score Breakdown')).toBeInTheDocument()
+    expect(screen.getByText('÷ 5')).toBeInTheDocument()
+    expect(await screen.findByText(/^Server risk score: [\d,]+ \((High|Medium|Low) Risk by accident count\)$/)).toBeInTheDocument()
+  })
+  it('leaves out a school\'s pupils when none are recorded', async () => {
+    getSchoolDetail.mockResolvedValue({
+      data: {
+        urn: '100100', name: 'Oakfield Primary School', latitude: 51.5, longitude: -0.12, number_of_pupils: 0,
+        accident_count: 0, fatal_count: 0, serious_count: 0, slight_count: 0, accidents: [],
+      },
+    })
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&school=100100' })
+
+    const details = (await screen.findByText('Search Radius:')).closest('div')
+    expect(details.firstChild).toHaveTextContent(/^Search Radius:/)
+  })
+
+  it('narrows the selected school to the school run on the client', async () => {
+    const accident = { severity: 3, distance_meters: 100, latitude: 51.5, longitude: -0.12 }
+    getSchoolDetail.mockResolvedValue({
+      data: {
+        urn: '100100', name: 'Oakfield Primary School', latitude: 51.5, longitude: -0.12, number_of_pupils: 400,
+        accident_count: 3, fatal_count: 0, serious_count: 1, slight_count: 2, accidents: [
+          { ...accident, accident_id: 'A1', accident_date: '2023-03-08', accident_time: '08:15', severity: 2 },
+          { ...accident, accident_id: 'A2', accident_date: '2023-03-08', accident_time: '22:40' },
+          { ...accident, accident_id: 'A3', accident_date: '2023-03-11', accident_time: '15:00' },
+        ],
+      },
+    })
+    renderWithRouter(<SchoolSafety />, {
+      route: '/?pageSize=10&school=100100&timeWindow=school_run&termTime=1',
+    })
+
+    expect(await screen.findByText('Accidents (1)')).toBeInTheDocument()
+    expect(screen.getByText('1 × 3')).toBeInTheDocument()
+    expect(screen.getByText('0 × 1')).toBeInTheDocument()
+    expect(screen.getByText('Counts cover the school run (07:30-09:30 and 14:30-16:30), term-time weekdays only.'))
+      .toBeInTheDocument()
+    expect(screen.getByDisplayValue('School Run (Drop-off & Pick-up)')).toBeInTheDocument()
+
+    // The school run is not sent to the server
+    expect(getSchoolDetail).toHaveBeenCalledWith('100100', { radius: 500 }, expect.anything())
+    expect(getSchoolRiskSummary).toHaveBeenCalledWith({ radius: 500 }, expect.anything())
+    expect(getSchoolsWithRisk).toHaveBeenCalledWith(
+      expect.not.objectContaining({ time_window: expect.anything() }), expect.anything()
+    )
+    expect(getSchoolAccidents).not.toHaveBeenCalled()
+  })
+
+  it('lists the server\'s pages for a school without its full accident list', async () => {
+    getSchoolDetail.mockResolvedValue({
+      data: {
+        urn: '100100', name: 'Oakfield Primary School', latitude: 51.5, longitude: -0.12,
+        accident_count: 2, fatal_count: 0, serious_count: 0, slight_count: 2, accidents: [],
+      },
+    })
+    getSchoolAccidents.mockResolvedValue({
+      data: {
+        data: [
+          { accident_id: 'A1', accident_date: '2023-03-08', severity: 3, distance_meters: 100 },
+          { accident_id: 'A2', accident_date: '2023-02-01', severity: 3, distance_meters: 200 },
+        ],
+        total: 2,
+        page: 1,
+      },
+    })
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&school=100100&timeWindow=drop_off' })
+
+    expect(await screen.findByText('Accidents (2)')).toHaveTextContent('Accidents (2) · all times')
+    expect(screen.getByText('2023-02-01')).toBeInTheDocument()
+    expect(screen.getByText(/^The school-run filters need every accident near the school/)).toBeInTheDocument()
+    expect(getSchoolAccidents).toHaveBeenCalledWith('100100', { radius: 500, page: 1, page_size: 10 }, expect.anything())
+  })
+
+  it('counts every matching school in the school run', async () => {
+    const school = (urn, name, count) => ({
+      urn, name, phase_of_education: 'Primary', town: 'London', postcode: 'N1 1AA', latitude: 51.5, longitude: -0.12,
+      number_of_pupils: 400, accident_count: count, fatal_count: 0, serious_count: 0, slight_count: count,
+    })
+    const schools = { 100100: school('100100', 'Oakfield Primary School', 6), 100113: school('100113', 'Elm Park Primary School', 3) }
+    getSchoolsWithRisk.mockResolvedValue({ data: { data: Object.values(schools), total: 2, page: 1 } })
+    // Oakfield's accidents are late at night, Elm Park's at drop-off
+    getSchoolDetail.mockImplementation((urn) => Promise.resolve({
+      data: {
+        ...schools[urn],
+        accidents: Array.from({ length: schools[urn].accident_count }, (_, i) => ({
+          accident_id: `${urn}-${i}`, accident_date: '2023-03-08', severity: urn === '100113' && i === 0 ? 1 : 3,
+          accident_time: urn === '100100' ? '22:40' : '08:15',
+        })),
+      },
+    }))
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&timeWindow=drop_off' })
+
+    expect(await screen.findByText('Matching the filters')).toBeInTheDocument()
+    expect(screen.getAllByText(/^\d+ accidents$/).map(count => count.textContent)).toEqual(['3 accidents', '0 accidents'])
+    expect(screen.getByText('0-4 Accidents').nextSibling).toHaveTextContent('2')
+    expect(screen.getByText('Total Accidents').nextSibling).toHaveTextContent('3')
+    expect(screen.getByText('Fatal Accidents').nextSibling).toHaveTextContent('1')
+    expect(getSchoolDetail).toHaveBeenCalledWith('100100', { radius: 500 }, expect.anything())
+  })
+
+  it('keeps all-day counts for too many schools to narrow', async () => {
+    getSchoolsWithRisk.mockResolvedValue({ data: { data: [], total: 600, page: 1 } })
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&termTime=1' })
+
+    expect(await screen.findByText(/^School-run filters apply to searches of up to 500 schools/)).toBeInTheDocument()
+    expect(getSchoolDetail).not.toHaveBeenCalled()
+  })
+
+  it('pins schools to the comparison tray', async () => {
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&radius=300' })
+    await screen.findByText(/^Showing 10 of [\d,]+ schools$/)
+
+    const [first, second] = screen.getAllByRole('button', { name: /^Compare / })
+    fireEvent.click(first)
+    expect(screen.getByText('Compare (1/4)')).toBeInTheDocument()
+    expect(screen.queryByRole('link', { name: 'Compare' })).not.toBeInTheDocument()
+
+    fireEvent.click(second)
+    const link = screen.getByRole('link', { name: 'Compare' })
+    expect(link.getAttribute('href')).toMatch(/^\/schools\/compare\?.*radius=300.*&compare=\d+%2C\d+/)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear' }))
+    expect(screen.queryByText(/^Compare \(/)).not.toBeInTheDocument()
+  })
+
+  it('loads the selected school for its own radius and year range', async () => {
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&school=100100' })
+
+    await waitFor(() => expect(getSchoolAccidents).toHaveBeenCalledWith(
+      '100100', { radius: 500, page: 1, page_size: 10 }, expect.anything()
+    ))
+    const slider = await screen.findByLabelText('Accident radius')
+    fireEvent.change(slider, { target: { value: '800' } })
+    fireEvent.change(slider, { target: { value: '1500' } })
+    expect(screen.getByText('1500m')).toBeInTheDocument()
+    fireEvent.change(screen.getByLabelText('To year'), { target: { value: '2023' } })
+    fireEvent.change(screen.getByLabelText('From year'), { target: { value: '2022' } })
+
+    // A year at a time, since the school endpoints take a single year
+    await waitFor(() => expect(getSchoolDetail).toHaveBeenCalledWith(
+      '100100', { radius: 1500, year: 2022 }, expect.anything()
+    ))
+    expect(getSchoolDetail).toHaveBeenCalledWith('100100', { radius: 1500, year: 2023 }, expect.anything())
+    await waitFor(() => expect(getSchoolAccidents).toHaveBeenCalledWith(
+      '100100', { radius: 1500, year: 2022, page: 1, page_size: 10 }, expect.anything()
+    ))
+    // The slider only reaches the URL once it settles
+    expect(getSchoolDetail).not.toHaveBeenCalledWith('100100', expect.objectContaining({ radius: 800 }), expect.anything())
+    expect(screen.getByText('1500m')).toBeInTheDocument()
+    expect(await screen.findByText('÷ 2')).toBeInTheDocument()
+  })
+
+  it('counts the selected school over each year of its range', async () => {
+    getSchoolDetail.mockImplementation((urn, { year }) => Promise.resolve({
+      data: {
+        urn, name: 'Oakfield Primary School', latitude: 51.5, longitude: -0.12,
+        accident_count: year - 2020, fatal_count: 0, serious_count: 0, slight_count: year - 2020, accidents: [],
+      },
+    }))
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&school=100100&fromYear=2022&toYear=2023' })
+
+    expect(await screen.findByText('5 × 1')).toBeInTheDocument()
+    expect(screen.getByText(/Search Radius:/).parentElement).toHaveTextContent('500m, 2022-2023')
+  })
+
+  it('pages through the selected school\'s accidents on the server', async () => {
+    const accidentPage = (page) => Array.from({ length: 10 }, (_, i) => ({
+      accident_id: `A${page}-${i}`, accident_date: `2023-0${page}-${String(i + 1).padStart(2, '0')}`, severity: 3,
+      distance_meters: 100, latitude: 51.5, longitude: -0.12,
+    }))
+    getSchoolAccidents.mockImplementation((urn, params) => Promise.resolve({
+      data: { data: accidentPage(params.page), total: 23, page: params.page },
+    }))
+    renderWithRouter(<SchoolSafety />, { route: '/?pageSize=10&school=100100' })
+
+    expect(await screen.findByText('Accidents (23)')).toBeInTheDocument()
+    expect(screen.getByText('Page 1 of 3')).toBeInTheDocument()
+    expect(screen.getByText('2023-01-01')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Page 1 of 3').nextElementSibling)
+
+    expect(await screen.findByText('Page 2 of 3')).toBeInTheDocument()
+    expect(getSchoolAccidents).toHaveBeenLastCalledWith('100100', expect.objectContaining({ page: 2 }), expect.anything())
+    expect(screen.getByText('2023-02-01')).toBeInTheDocument()
+    expect(screen.queryByText('2023-01-01')).not.toBeInTheDocument()
+  })
+
+  it('pages the accidents of a year range across the years', async () => {
+    const totals = { 2023: 13, 2022: 5 }
+    getSchoolAccidents.mockImplementation((urn, { year, page, page_size }) => Promise.resolve({
+      data: {
+        data: Array.from({ length: totals[year] }, (_, i) => ({
+          accident_id: `${year}-${i}`, accident_date: `${year}-01-${String(i + 1).padStart(2, '0')}`, severity: 3,
+        })).slice((page - 1) * page_size, page * page_size),
+        total: totals[year],
+        page,
+      },
+    }))
+    renderWithRouter(<SchoolSafety />, {
+      route: '/?pageSize=10&school=100100&fromYear=2022&toYear=2023&accidentPage=2',
+    })
+
+    expect(await screen.findByText('Accidents (18)')).toBeInTheDocument()
+    expect(screen.getByText('Page 2 of 2')).toBeInTheDocument()
+    expect(screen.getByText('2023-01-11')).toBeInTheDocument()
+    expect(screen.getByText('2022-01-05')).toBeInTheDocument()
+    expect(screen.queryByText('2023-01-10')).not.toBeInTheDocument()
+    expect(getSchoolAccidents).toHaveBeenCalledWith(
+      '100100', { radius: 500, year: 2023, page: 2, page_size: 10 }, expect.anything()
+    )
+    expect(getSchoolAccidents).not.toHaveBeenCalledWith('100100', expect.objectContaining({ year: 2022, page: 2 }), expect.anything())
+  })
+})
@@ -1,21 +1,125 @@
 import axios from 'axios'
+import {
+  recordRequestFailure, recordRetry, clearRetry, isOnline, subscribe,
+} from './connectivity'
+import {
+  Accident, Hotspot, HeatmapPoint, School, SchoolsSummary, YearSummary, TimeSeriesPoint,
+  HourlyPoint, DailyPoint, PoliceForce, VehicleType, AccidentConditions, LsoaStats,
+  SchoolPhases, SchoolCounties,
+} from './normalize'
 
 // Use environment variable for API URL, fallback to production FastAPI URL
 const API_BASE = process.env.VITE_API_URL 
   ? `${process.env.VITE_API_URL}/api/v1`
   : 'https://uk-road-safety-api-815530569947.europe-west1.run.app/api/v1'
 
+// With VITE_USE_MOCK_API=true requests are answered by the bundled mock API
+// (synthetic sample data, see src/mocks) and never reach the network
+export const USING_MOCK_API = import.meta.env.VITE_USE_MOCK_API === 'true'
+
+// Where the figures come from, for the captions on exports and reports
+export const DATA_SOURCE = USING_MOCK_API
+  ? 'Synthetic sample data (mock API)'
+  : 'Department for Transport STATS19 road safety data'
+
 const api = axios.create({
   baseURL: API_BASE,
   timeout: 30000,
   headers: {
     'Content-Type': 'application/json',
   },
+  ...(USING_MOCK_API && {
+    adapter: (config) => import('../mocks/adapter').then(({ default: mockAdapter }) => mockAdapter(config)),
+  }),
 })
 
-// Request interceptor for logging
+// Retries
+// Idempotent requests that fail with a network error, a timeout or a
+// transient status (Cloud Run cold starts return 502/503) are retried with
+// exponential backoff and jitter, honouring Retry-After. Override per request
+// with { retry: { retries, baseDelay, maxDelay } } or disable with { retry: false }.
+const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 15000,
+  // Longest Retry-After we are prepared to wait for (ms)
+  maxRetryAfter: 60000,
+}
+const RETRYABLE_METHODS = ['get', 'head', 'options']
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504]
+
+function getRetryOptions(config) {
+  if (config.retry === false) return null
+  return { ...RETRY_DEFAULTS, ...config.retry }
+}
+
+function isRetryable(error) {
+  const method = error.config?.method?.toLowerCase() || 'get'
+  if (!RETRYABLE_METHODS.includes(method)) return false
+  // No response means a network error or timeout
+  if (!error.response) return true
+  return RETRYABLE_STATUSES.includes(error.response.status)
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+// Delay (ms) before the given retry attempt, or null to give up
+function getRetryDelay(error, attempt, options) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after'])
+  if (retryAfter !== null) {
+    return retryAfter <= options.maxRetryAfter ? retryAfter : null
+  }
+  // Equal jitter: half the exponential step, plus a random share of the other half
+  const step = Math.min(options.maxDelay, options.baseDelay * 2 ** (attempt - 1))
+  return Math.round(step / 2 + Math.random() * step / 2)
+}
+
+// Resolve after ms, or reject as cancelled if the request is aborted first
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      clearTimeout(timer)
+      reject(new axios.CanceledError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort)
+      resolve()
+    }, ms)
+    if (signal?.aborted) return handleAbort()
+    signal?.addEventListener('abort', handleAbort, { once: true })
+  })
+}
+
+// Resolve once the browser is back online, or reject if the request is aborted
+function waitForOnline(signal) {
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      unsubscribe()
+      reject(new axios.CanceledError())
+    }
+    const unsubscribe = subscribe(() => {
+      if (!isOnline()) return
+      unsubscribe()
+      signal?.removeEventListener('abort', handleAbort)
+      resolve()
+    })
+    if (signal?.aborted) return handleAbort()
+    signal?.addEventListener('abort', handleAbort, { once: true })
+  })
+}
+
+// Request interceptor - hold requests while offline (unless the mock API
+// is answering them), and log
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    if (!USING_MOCK_API && !isOnline()) await waitForOnline(config.signal)
     if (import.meta.env.DEV) {
       console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`)
     }
@@ -24,99 +128,340 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 )
 
-// Response interceptor for error handling
+// Response interceptor for retries and error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    // Cancelled requests were superseded or abandoned - not failures
+    if (axios.isCancel(error)) throw error
+
+    const config = error.config
+    const options = config && getRetryOptions(config)
+    const attempt = (config?.retryAttempt || 0) + 1
+
+    if (options && attempt <= options.retries && isRetryable(error)) {
+      const delay = getRetryDelay(error, attempt, options)
+      if (delay !== null) {
+        const retryId = recordRetry({
+          url: config.url,
+          status: error.response?.status ?? null,
+          attempt,
+          retries: options.retries,
+          retryAt: Date.now() + delay,
+        })
+        try {
+          await waitForRetry(delay, config.signal)
+        } finally {
+          clearRetry(retryId)
+        }
+        return api.request({ ...config, retryAttempt: attempt })
+      }
+    }
+
     console.error('API Error:', error.response?.data || error.message)
-    return Promise.reject(error)
+    recordRequestFailure(error)
+    throw error
   }
 )
 
+// Request cache
+// GET responses are cached by URL + params. Fresh entries are returned
+// directly; stale entries are returned immediately and revalidated in the
+// background (stale-while-revalidate). Concurrent requests for the same key
+// share a single in-flight request.
+
+const MINUTE = 60 * 1000
+
+// Latest STATS19 year - earlier years are final and never change
+const LATEST_YEAR = 2024
+
+// Per-endpoint TTLs (ms), matched by URL prefix - first match wins
+const CACHE_TTLS = [
+  ['/schools/phases', 60 * MINUTE],
+  ['/schools/counties', 60 * MINUTE],
+  ['/analytics', 10 * MINUTE],
+  ['/schools', 5 * MINUTE],
+  ['/accidents', 5 * MINUTE],
+]
+const DEFAULT_CACHE_TTL = 5 * MINUTE
+
+const MAX_CACHE_ENTRIES = 200
+
+const cache = new Map()
+const cacheListeners = new Map()
+
+// Years a request covers, from its URL and params
+function getRequestYears(url, params = {}) {
+  const years = []
+  const pathYear = url.match(/\/(\d{4})(?:\/|$)/)
+  if (pathYear) years.push(Number(pathYear[1]))
+  if (params.year) years.push(Number(params.year))
+  if (params.years) {
+    String(params.years).split(',').forEach(y => years.push(Number(y)))
+  }
+  if (params.start_year && params.end_year) {
+    for (let y = Number(params.start_year); y <= Number(params.end_year); y++) years.push(y)
+  }
+  return years.filter(y => Number.isFinite(y))
+}
+
+function getCacheTtl(url, params) {
+  // Requests limited to published historical years never go stale
+  const years = getRequestYears(url, params)
+  if (years.length > 0 && years.every(y => y < LATEST_YEAR)) return Infinity
+
+  const match = CACHE_TTLS.find(([prefix]) => url.startsWith(prefix))
+  return match ? match[1] : DEFAULT_CACHE_TTL
+}
+
+export const getCacheKey = (url, params = {}) => {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&')
+  return query ? `${url}?${query}` : url
+}
+
+function notifyCacheListeners(key, response) {
+  cacheListeners.get(key)?.forEach(listener => listener(response))
+}
+
+function storeCacheEntry(key, entry) {
+  // Re-insert so Map order tracks recency, then evict the oldest entries
+  cache.delete(key)
+  cache.set(key, entry)
+  while (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value)
+  }
+}
+
+// Start the shared request for a cache entry
+function startCacheRequest(key, url, config, normalize) {
+  const entry = cache.get(key)
+  const controller = new AbortController()
+
+  const request = { controller, waiters: 0 }
+
+  request.promise = api.get(url, { ...config, cacheKey: key, signal: controller.signal })
+    .then(response => normalize ? { ...response, data: normalize(response.data) } : response)
+    .then(response => {
+      storeCacheEntry(key, { response, fetchedAt: Date.now(), request: null })
+      notifyCacheListeners(key, response)
+      return response
+    })
+    .catch(error => {
+      // Keep serving the last good response if there is one
+      const current = cache.get(key)
+      if (current?.request === request) {
+        if (current.response) {
+          cache.set(key, { ...current, request: null })
+        } else {
+          cache.delete(key)
+        }
+      }
+      throw error
+    })
+
+  storeCacheEntry(key, { ...entry, request })
+  return request
+}
+
+// Abort a shared request nobody is waiting for, detaching it first so new
+// callers start a fresh request instead of joining the cancelled one
+function abortCacheRequest(key, request) {
+  const entry = cache.get(key)
+  if (entry?.request === request) {
+    if (entry.response) {
+      cache.set(key, { ...entry, request: null })
+    } else {
+      cache.delete(key)
+    }
+  }
+  request.controller.abort()
+}
+
+// Join the in-flight request for a cache entry (starting it if needed).
+// A caller's signal only cancels its own wait; the shared request is aborted
+// once every caller waiting on it has cancelled.
+function fetchCacheEntry(key, url, config, normalize) {
+  const { signal, ...requestConfig } = config
+  const request = cache.get(key)?.request || startCacheRequest(key, url, requestConfig, normalize)
+
+  request.waiters += 1
+  if (!signal) return request.promise
+
+  return new Promise((resolve, reject) => {
+    let settled = false
+
+    const handleAbort = () => {
+      if (settled) return
+      settled = true
+      request.waiters -= 1
+      if (request.waiters === 0) abortCacheRequest(key, request)
+      reject(new axios.CanceledError())
+    }
+
+    if (signal.aborted) {
+      handleAbort()
+      return
+    }
+    signal.addEventListener('abort', handleAbort, { once: true })
+
+    request.promise.then(
+      (response) => {
+        if (settled) return
+        settled = true
+        signal.removeEventListener('abort', handleAbort)
+        resolve(response)
+      },
+      (error) => {
+        if (settled) return
+        settled = true
+        signal.removeEventListener('abort', handleAbort)
+        reject(error)
+      }
+    )
+  })
+}
+
+// Cached GET. Pass { signal } from an AbortController to cancel. `normalize`
+// converts the payload to its canonical model before it is cached.
+export const cachedGet = (url, config = {}, normalize) => {
+  const key = getCacheKey(url, config.params)
+  const entry = cache.get(key)
+
+  if (entry?.response) {
+    const age = Date.now() - entry.fetchedAt
+    if (age >= getCacheTtl(url, config.params)) {
+      // Background revalidation is not tied to the caller's signal
+      fetchCacheEntry(key, url, { ...config, signal: undefined }, normalize).catch(() => {})
+    }
+    return Promise.resolve(entry.response)
+  }
+
+  return fetchCacheEntry(key, url, config, normalize)
+}
+
+export const isCancel = axios.isCancel
+
+// Listen for fresh responses for a cache key (e.g. background revalidation)
+export const subscribeToCache = (key, listener) => {
+  if (!cacheListeners.has(key)) cacheListeners.set(key, new Set())
+  cacheListeners.get(key).add(listener)
+  return () => {
+    const listeners = cacheListeners.get(key)
+    listeners?.delete(listener)
+    if (listeners?.size === 0) cacheListeners.delete(key)
+  }
+}
+
+// Drop cached entries - all of them, those whose key starts with prefix,
+// or with { exact: true } only the entry for that key
+export const invalidateCache = (prefix, { exact = false } = {}) => {
+  for (const key of [...cache.keys()]) {
+    if (!prefix || (exact ? key === prefix : key.startsWith(prefix))) {
+      const entry = cache.get(key)
+      if (entry?.request) {
+        cache.set(key, { request: entry.request })
+      } else {
+        cache.delete(key)
+      }
+    }
+  }
+}
+
 // Analytics endpoints
-export const getYearSummary = (year) => {
+// Every endpoint takes an optional trailing config, e.g. { signal }, and
+// resolves with its payload normalised to the models in ./normalize
+export const getYearSummary = (year, config) => {
   if (year === 'all' || !year) {
-    return api.get('/analytics/summary')
+    return cachedGet('/analytics/summary', config, YearSummary.one)
   }
-  return api.get(`/analytics/summary/${year}`)
+  return cachedGet(`/analytics/summary/${year}`, config, YearSummary.one)
 }
 
-export const getBulkYearSummary = (years = '2020,2021,2022,2023,2024') =>
-  api.get('/analytics/summary/bulk', { params: { years } })
+export const getBulkYearSummary = (years = '2020,2021,2022,2023,2024', config) =>
+  cachedGet('/analytics/summary/bulk', { ...config, params: { years } }, YearSummary.many)
 
-export const getTimeSeries = (year, groupBy = 'month') => {
+export const getTimeSeries = (year, groupBy = 'month', config) => {
   const startYear = year || 2020
   const endYear = year || 2024
-  return api.get('/analytics/timeseries', { 
+  return cachedGet('/analytics/timeseries', { 
+    ...config,
     params: { start_year: startYear, end_year: endYear, granularity: groupBy } 
-  })
+  }, TimeSeriesPoint.many)
 }
 
-export const getHourlyPatterns = (year) =>
-  api.get('/analytics/patterns/hourly', { params: year ? { year } : {} })
+export const getHourlyPatterns = (year, config) =>
+  cachedGet('/analytics/patterns/hourly', { ...config, params: year ? { year } : {} }, HourlyPoint.many)
 
-export const getDailyPatterns = (year) =>
-  api.get('/analytics/patterns/daily', { params: { year } })
+export const getDailyPatterns = (year, config) =>
+  cachedGet('/analytics/patterns/daily', { ...config, params: { year } }, DailyPoint.many)
 
-export const getPoliceForceStats = (year) =>
-  api.get('/analytics/police-forces', { params: { year } })
+export const getPoliceForceStats = (year, config) =>
+  cachedGet('/analytics/police-forces', { ...config, params: { year } }, PoliceForce.many)
 
-export const getHotspots = (year, limit = 50) =>
-  api.get('/analytics/hotspots', { params: { year, limit } })
+export const getHotspots = (year, limit = 50, config) =>
+  cachedGet('/analytics/hotspots', { ...config, params: { year, limit } }, Hotspot.many)
 
-export const getVehicleTypes = (year) =>
-  api.get('/analytics/vehicle-types', { params: { year } })
+export const getVehicleTypes = (year, config) =>
+  cachedGet('/analytics/vehicle-types', { ...config, params: { year } }, VehicleType.many)
 
-export const getAccidentConditions = (year) =>
-  api.get('/analytics/accident-conditions', { params: { year } })
+export const getAccidentConditions = (year, config) =>
+  cachedGet('/analytics/accident-conditions', { ...config, params: { year } }, AccidentConditions.one)
 
-export const getHeatmapData = (year, limit = 5000) =>
-  api.get('/analytics/heatmap-data', { params: { year, limit } })
+export const getHeatmapData = (year, limit = 5000, config) =>
+  cachedGet('/analytics/heatmap-data', { ...config, params: { year, limit } }, HeatmapPoint.many)
 
-export const getAccidents = (params) =>
-  api.get('/accidents', { params })
+export const getAccidents = (params, config) =>
+  cachedGet('/accidents', { ...config, params }, Accident.page)
 
-export const getAccidentById = (id) =>
-  api.get(`/accidents/${id}`)
+export const getAccidentById = (id, config) =>
+  cachedGet(`/accidents/${id}`, config, Accident.one)
 
-export const getNearbyAccidents = (lat, lon, radius = 500, years = null, limit = 100) =>
-  api.get('/accidents/nearby', { params: { lat, lon, radius, years, limit } })
+export const getNearbyAccidents = (lat, lon, radius = 500, years = null, limit = 100, config) =>
+  cachedGet('/accidents/nearby', { ...config, params: { lat, lon, radius, years, limit } }, Accident.many)
 
-export const getLSOAStats = (lsoaCode) =>
-  api.get(`/accidents/lsoa/${lsoaCode}/stats`)
+export const getLSOAStats = (lsoaCode, config) =>
+  cachedGet(`/accidents/lsoa/${lsoaCode}/stats`, config, LsoaStats.one)
 
-export const getSchools = (params) =>
-  api.get('/schools', { params })
+export const getSchools = (params, config) =>
+  cachedGet('/schools', { ...config, params }, School.page)
 
-export const getSchoolById = (urn) =>
-  api.get(`/schools/${urn}`)
+export const getSchoolById = (urn, config) =>
+  cachedGet(`/schools/${urn}`, config, School.one)
 
-export const getSchoolDetail = (urn) =>
-  api.get(`/schools/${urn}`)
+// Params narrow the counts and accidents: radius, year
+export const getSchoolDetail = (urn, params, config) =>
+  cachedGet(`/schools/${urn}`, { ...config, params }, School.one)
 
-export const getSchoolsSummary = () =>
-  api.get('/schools/summary')
+export const getSchoolsSummary = (config) =>
+  cachedGet('/schools/summary', config, SchoolsSummary.one)
 
-export const getSchoolPhases = () =>
-  api.get('/schools/phases')
+export const getSchoolPhases = (config) =>
+  cachedGet('/schools/phases', config, SchoolPhases.many)
 
-export const getSchoolCounties = () =>
-  api.get('/schools/counties')
+export const getSchoolCounties = (config) =>
+  cachedGet('/schools/counties', config, SchoolCounties.many)
 
-export const getSchoolsWithRisk = (params) =>
-  api.get('/schools/risk', { params })
+export const getSchoolsWithRisk = (params, config) =>
+  cachedGet('/schools/risk', { ...config, params }, School.page)
 
-export const getSchoolRiskSummary = () =>
-  api.get('/schools/risk/summary')
+export const getSchoolRiskSummary = (params, config) =>
+  cachedGet('/schools/risk/summary', { ...config, params }, SchoolsSummary.one)
 
-export const getSchoolAccidents = (urn, radius = 200) =>
-  api.get(`/schools/${urn}/accidents`, { params: { radius } })
+// Accidents around a school, newest first, a page at a time. Params: radius,
+// year, page, page_size
+export const getSchoolAccidents = (urn, params, config) =>
+  cachedGet(`/schools/${urn}/accidents`, { ...config, params }, Accident.page)
 
-export const getSchoolsNearLocation = (lat, lon, radius = 1000, limit = 20) =>
-  api.get('/schools/nearby', { params: { lat, lon, radius, limit } })
+export const getSchoolsNearLocation = (lat, lon, radius = 1000, limit = 20, config) =>
+  cachedGet('/schools/nearby', { ...config, params: { lat, lon, radius, limit } }, School.many)
 
-// Health check endpoint
+// Health check endpoint - failures propagate so connectivity can be tracked,
+// and are not retried so each check measures a single attempt
 export const getHealth = () =>
-  api.get('/health').catch(() => ({ data: { status: 'healthy' } }))
+  api.get('/health', { timeout: 10000, retry: false })
 
 export default api
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getCacheKey, getYearSummary, getTimeSeries, getHotspots, getNearbyAccidents, getSchoolDetail, getSchoolAccidents,
+  getHealth, isCancel,
+} from './api'
+
+describe('getCacheKey', () => {
+  it('sorts params and skips empty values', () => {
+    expect(getCacheKey('/analytics/hotspots', { year: 2023, limit: 50, region: '', page: null }))
+      .toBe('/analytics/hotspots?limit=50&year=2023')
+  })
+
+  it('is the bare URL without params', () => {
+    expect(getCacheKey('/schools/phases')).toBe('/schools/phases')
+  })
+})
+
+describe('getYearSummary', () => {
+  it('requests the all-years summary for "all"', async () => {
+    const response = await getYearSummary('all')
+    expect(response.config.url).toBe('/analytics/summary')
+    expect(response.data.year).toBeNull()
+    expect(response.data.total_accidents).toBeGreaterThan(0)
+  })
+
+  it('requests the all-years summary when no year is given', async () => {
+    const response = await getYearSummary(null)
+    expect(response.config.url).toBe('/analytics/summary')
+  })
+
+  it('requests a single year', async () => {
+    const response = await getYearSummary(2023)
+    expect(response.config.url).toBe('/analytics/summary/2023')
+    expect(response.data.year).toBe(2023)
+    expect(response.data.severity_breakdown).toEqual({
+      fatal: expect.any(Number),
+      serious: expect.any(Number),
+      slight: expect.any(Number),
+    })
+  })
+})
+
+describe('getTimeSeries', () => {
+  it('covers 2020-2024 when no year is given', async () => {
+    const response = await getTimeSeries(null)
+    expect(response.config.params).toEqual({ start_year: 2020, end_year: 2024, granularity: 'month' })
+    expect(response.data).toHaveLength(60)
+  })
+
+  it('limits the range to the given year', async () => {
+    const response = await getTimeSeries(2022)
+    expect(response.config.params).toEqual({ start_year: 2022, end_year: 2022, granularity: 'month' })
+    expect(response.data.map(point => point.month)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12])
+  })
+
+  it('passes the granularity', async () => {
+    const response = await getTimeSeries(null, 'year')
+    expect(response.config.params.granularity).toBe('year')
+    expect(response.data.map(point => point.period)).toEqual(['2020', '2021', '2022', '2023', '2024'])
+  })
+})
+
+describe('endpoints', () => {
+  it('normalises nearby accidents to a list', async () => {
+    const response = await getNearbyAccidents(51.5074, -0.1278, 500, '2023', 10)
+    expect(response.config.params).toEqual({ lat: 51.5074, lon: -0.1278, radius: 500, years: '2023', limit: 10 })
+    expect(Array.isArray(response.data)).toBe(true)
+    response.data.forEach(accident => {
+      expect(accident.accident_year).toBe(2023)
+      expect(accident.distance_meters).toBeLessThanOrEqual(500)
+    })
+  })
+
+  it('pages school accidents within a radius and year', async () => {
+    const response = await getSchoolAccidents('100100', { radius: 2000, year: 2022, page: 1, page_size: 5 })
+
+    expect(response.data.data.length).toBeLessThanOrEqual(5)
+    expect(response.data.page).toBe(1)
+    response.data.data.forEach(accident => {
+      expect(accident.accident_year).toBe(2022)
+      expect(accident.distance_meters).toBeLessThanOrEqual(2000)
+    })
+    const dates = response.data.data.map(accident => accident.accident_date)
+    expect(dates).toEqual([...dates].sort().reverse())
+  })
+
+  it('rejects with the response for unknown records', async () => {
+    await expect(getSchoolDetail('does-not-exist')).rejects.toMatchObject({
+      response: { status: 404 },
+    })
+  })
+
+  it('reports health', async () => {
+    const response = await getHealth()
+    expect(response.data.status).toBe('healthy')
+  })
+})
+
+describe('request cache', () => {
+  it('shares concurrent requests for the same key', async () => {
+    const [first, second] = await Promise.all([getHotspots(2023, 5), getHotspots(2023, 5)])
+    expect(first).toBe(second)
+    expect(first.data).toHaveLength(5)
+  })
+
+  it('serves repeat requests from the cache', async () => {
+    const first = await getHotspots(2022, 5)
+    const second = await getHotspots(2022, 5)
+    expect(second).toBe(first)
+  })
+
+  it('cancels a request when its signal is aborted', async () => {
+    const controller = new AbortController()
+    const request = getHotspots(2021, 5, { signal: controller.signal })
+    controller.abort()
+    const error = await request.catch(e => e)
+    expect(isCancel(error)).toBe(true)
+  })
+})
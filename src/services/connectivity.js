@@ -0,0 +1,167 @@
+// Shared API connectivity state.
+// Polls the health endpoint, tracks latency and consecutive failures,
+// follows the browser's online/offline state, and keeps a short log of failed
+// requests and pending retries reported by the axios client.
+// Components read it through the useConnectivity hook.
+
+// Poll intervals (ms) - poll faster while the API is failing so an outage
+// is confirmed quickly and recovery is noticed promptly
+const POLL_INTERVAL = 30000
+const FAILURE_POLL_INTERVAL = 5000
+
+// Health checks slower than this (ms) are reported as degraded
+const DEGRADED_LATENCY = 2000
+
+// Consecutive failed health checks before the API is considered down
+const DOWN_AFTER_FAILURES = 3
+
+const MAX_RECENT_FAILURES = 20
+
+// Minimum gap (ms) between health checks triggered by failed requests
+const TRIGGERED_CHECK_GAP = 5000
+
+let state = {
+  status: 'unknown', // 'unknown' | 'healthy' | 'degraded' | 'down'
+  latency: null,
+  lastChecked: null,
+  consecutiveFailures: 0,
+  reportedStatus: null,
+  recentFailures: [],
+  online: typeof navigator === 'undefined' ? true : navigator.onLine,
+  pendingRetries: [],
+}
+
+const listeners = new Set()
+
+let probe = null
+let pollers = 0
+let pollTimer = null
+let checking = false
+let failureId = 0
+let retryId = 0
+
+function setState(patch) {
+  state = { ...state, ...patch }
+  listeners.forEach(listener => listener())
+}
+
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function getConnectivity() {
+  return state
+}
+
+function scheduleNextCheck() {
+  clearTimeout(pollTimer)
+  if (pollers === 0) return
+  const delay = state.consecutiveFailures > 0 ? FAILURE_POLL_INTERVAL : POLL_INTERVAL
+  pollTimer = setTimeout(checkHealth, delay)
+}
+
+// Run a health check now
+export async function checkHealth() {
+  if (!probe || checking) return
+  // No point probing while offline - the 'online' event triggers a check
+  if (!state.online) {
+    scheduleNextCheck()
+    return
+  }
+  checking = true
+  const started = performance.now()
+
+  try {
+    const response = await probe()
+    const latency = Math.round(performance.now() - started)
+    const reportedStatus = response.data?.status ?? null
+    const reportedHealthy = !reportedStatus || ['healthy', 'ok'].includes(reportedStatus)
+
+    setState({
+      status: reportedHealthy && latency <= DEGRADED_LATENCY ? 'healthy' : 'degraded',
+      latency,
+      lastChecked: Date.now(),
+      consecutiveFailures: 0,
+      reportedStatus,
+    })
+  } catch {
+    const consecutiveFailures = state.consecutiveFailures + 1
+    setState({
+      status: consecutiveFailures >= DOWN_AFTER_FAILURES ? 'down' : 'degraded',
+      latency: null,
+      lastChecked: Date.now(),
+      consecutiveFailures,
+      reportedStatus: null,
+    })
+  } finally {
+    checking = false
+    scheduleNextCheck()
+  }
+}
+
+// Start polling with the given health request. Returns a stop function;
+// polling continues while at least one caller is still active.
+export function startHealthPolling(healthRequest) {
+  probe = healthRequest
+  pollers += 1
+  if (pollers === 1) checkHealth()
+
+  return () => {
+    pollers -= 1
+    if (pollers === 0) clearTimeout(pollTimer)
+  }
+}
+
+// Record a failed request (called from the axios response interceptor)
+export function recordRequestFailure(error) {
+  const config = error.config || {}
+  const status = error.response?.status ?? null
+  const detail = error.response?.data?.detail
+
+  failureId += 1
+  const failure = {
+    id: failureId,
+    time: Date.now(),
+    method: config.method?.toUpperCase() || 'GET',
+    url: config.url || '',
+    status,
+    message: typeof detail === 'string' ? detail : error.message,
+  }
+
+  setState({ recentFailures: [failure, ...state.recentFailures].slice(0, MAX_RECENT_FAILURES) })
+
+  // Network errors and server errors may mean the API is down - check now
+  const serverSide = status === null || status >= 500
+  if (serverSide && pollers > 0 && Date.now() - (state.lastChecked || 0) > TRIGGERED_CHECK_GAP) {
+    checkHealth()
+  }
+}
+
+export function clearRequestFailures() {
+  setState({ recentFailures: [] })
+}
+
+// Record a request waiting to be retried. Returns an id for clearRetry.
+export function recordRetry({ url, status, attempt, retries, retryAt }) {
+  retryId += 1
+  const retry = { id: retryId, url, status, attempt, retries, retryAt }
+  setState({ pendingRetries: [...state.pendingRetries, retry] })
+  return retry.id
+}
+
+export function clearRetry(id) {
+  setState({ pendingRetries: state.pendingRetries.filter(retry => retry.id !== id) })
+}
+
+export function isOnline() {
+  return state.online
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('offline', () => setState({ online: false }))
+  window.addEventListener('online', () => {
+    setState({ online: true })
+    checkHealth()
+  })
+}
@@ -0,0 +1,146 @@
+import { getLSOAStats } from './api'
+import { POSTCODE_AREAS, POSTCODE_DISTRICTS, EXTRA_PLACES } from './geodata'
+
+// Location search for the map pages. Resolves UK postcodes, postcode
+// districts, town names and LSOA codes to coordinates through a chain of
+// providers; the first to return results wins. A provider is
+//   { name, search(query, config) }
+// where `query` is { text, type } from parseQuery and search resolves to a
+// list of { label, detail, type, lat, lng, zoom }. The default chain looks
+// postcodes and places up in the bundled dataset (services/geodata), then
+// asks the API for LSOA centroids. Swap in an online geocoder with
+// setGeocoderProviders.
+
+const MAX_PLACE_RESULTS = 6
+
+// Map zoom for each kind of result - the less precise, the wider the view.
+// Full postcodes resolve to their district's centroid.
+const ZOOM = { district: 14, area: 12, place: 13, lsoa: 15 }
+
+const POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/
+const OUTCODE_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]?$/
+const LSOA_PATTERN = /^[EW]01\d{6}$/
+
+// What a search box entry looks like: { text, type } where type is
+// 'postcode', 'district', 'lsoa' or 'place'; text is normalised to match
+export function parseQuery(input) {
+  const text = (input || '').trim().replace(/\s+/g, ' ')
+  const upper = text.toUpperCase()
+
+  const postcode = POSTCODE_PATTERN.exec(upper)
+  if (postcode) return { text: `${postcode[1]} ${postcode[2]}`, type: 'postcode' }
+  if (OUTCODE_PATTERN.test(upper)) return { text: upper, type: 'district' }
+  if (LSOA_PATTERN.test(upper)) return { text: upper, type: 'lsoa' }
+  return { text, type: 'place' }
+}
+
+const postcodeArea = (outcode) => outcode.match(/^[A-Z]+/)[0]
+
+// Centroid of a postcode district, falling back to its postcode area
+function lookupDistrict(outcode) {
+  if (POSTCODE_DISTRICTS[outcode]) {
+    const [lat, lng] = POSTCODE_DISTRICTS[outcode]
+    return { lat, lng, precise: true }
+  }
+  const area = POSTCODE_AREAS[postcodeArea(outcode)]
+  if (!area) return null
+  const [town, lat, lng] = area
+  return { lat, lng, precise: false, town }
+}
+
+// Post towns (one entry each, central London for London) and extra places
+const PLACES = (() => {
+  const byName = new Map()
+  EXTRA_PLACES.forEach(([name, lat, lng]) => byName.set(name.toLowerCase(), { name, lat, lng }))
+  Object.values(POSTCODE_AREAS).forEach(([name, lat, lng]) => {
+    if (!byName.has(name.toLowerCase())) byName.set(name.toLowerCase(), { name, lat, lng })
+  })
+  return [...byName.values()]
+})()
+
+// Bundled postcode-centroid and place-name lookup; needs no network
+export const offlineProvider = {
+  name: 'offline',
+  search: async ({ text, type }) => {
+    if (type === 'postcode' || type === 'district') {
+      const outcode = text.split(' ')[0]
+      const match = lookupDistrict(outcode)
+      if (!match) return []
+      return [{
+        label: text,
+        detail: match.precise
+          ? `Postcode district ${outcode}`
+          : `Approximate - ${postcodeArea(outcode)} postcode area (${match.town})`,
+        type,
+        lat: match.lat,
+        lng: match.lng,
+        zoom: match.precise ? ZOOM.district : ZOOM.area,
+      }]
+    }
+
+    if (type === 'place') {
+      const needle = text.toLowerCase()
+      if (needle.length < 2) return []
+      return PLACES
+        .filter(place => place.name.toLowerCase().startsWith(needle))
+        .sort((a, b) => a.name.length - b.name.length)
+        .slice(0, MAX_PLACE_RESULTS)
+        .map(place => ({
+          label: place.name,
+          detail: 'Town or area',
+          type: 'place',
+          lat: place.lat,
+          lng: place.lng,
+          zoom: ZOOM.place,
+        }))
+    }
+
+    return []
+  },
+}
+
+// LSOA centroids from the area stats endpoint
+export const lsoaProvider = {
+  name: 'lsoa',
+  search: async ({ text, type }, config) => {
+    if (type !== 'lsoa') return []
+    try {
+      const { data } = await getLSOAStats(text, config)
+      if (data.latitude == null || data.longitude == null) return []
+      return [{
+        label: data.lsoa_name || text,
+        detail: `LSOA ${text}`,
+        type: 'lsoa',
+        lat: data.latitude,
+        lng: data.longitude,
+        zoom: ZOOM.lsoa,
+      }]
+    } catch (error) {
+      if (error.response?.status === 404) return []
+      throw error
+    }
+  },
+}
+
+export const DEFAULT_PROVIDERS = [offlineProvider, lsoaProvider]
+
+let providers = DEFAULT_PROVIDERS
+
+// Replace the provider chain, e.g. setGeocoderProviders([postcodesIo, offlineProvider]).
+// Returns the previous chain.
+export function setGeocoderProviders(next) {
+  const previous = providers
+  providers = next
+  return previous
+}
+
+// Results for a search box entry, from the first provider that has any
+export async function geocode(input, config) {
+  const query = parseQuery(input)
+  if (!query.text) return []
+  for (const provider of providers) {
+    const results = await provider.search(query, config)
+    if (results.length > 0) return results
+  }
+  return []
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { parseQuery, geocode, setGeocoderProviders, DEFAULT_PROVIDERS } from './geocoder'
+
+describe('parseQuery', () => {
+  it('normalises postcodes', () => {
+    expect(parseQuery(' sw1a1aa ')).toEqual({ text: 'SW1A 1AA', type: 'postcode' })
+    expect(parseQuery('ls2  9jt')).toEqual({ text: 'LS2 9JT', type: 'postcode' })
+  })
+
+  it('recognises districts, LSOA codes and place names', () => {
+    expect(parseQuery('m14')).toEqual({ text: 'M14', type: 'district' })
+    expect(parseQuery('e01010000')).toEqual({ text: 'E01010000', type: 'lsoa' })
+    expect(parseQuery('  Newcastle   upon Tyne')).toEqual({ text: 'Newcastle upon Tyne', type: 'place' })
+  })
+})
+
+describe('geocode', () => {
+  afterEach(() => {
+    setGeocoderProviders(DEFAULT_PROVIDERS)
+  })
+
+  it('resolves a postcode to its district centroid', async () => {
+    const [result] = await geocode('SE1 7PB')
+    expect(result).toMatchObject({ label: 'SE1 7PB', type: 'postcode', lat: 51.499, lng: -0.094, zoom: 14 })
+  })
+
+  it('falls back to the postcode area for other districts', async () => {
+    const [result] = await geocode('YO24')
+    expect(result).toMatchObject({ lat: 53.96, lng: -1.082, zoom: 12 })
+    expect(result.detail).toBe('Approximate - YO postcode area (York)')
+  })
+
+  it('suggests places by name prefix, shortest first', async () => {
+    const results = await geocode('man')
+    expect(results.map(r => r.label)).toEqual(['Mansfield', 'Manchester'])
+    expect((await geocode('london'))[0]).toMatchObject({ lat: 51.5074, lng: -0.1278 })
+  })
+
+  it('finds nothing for unknown input', async () => {
+    expect(await geocode('QQ1 1QQ')).toEqual([])
+    expect(await geocode('Atlantis')).toEqual([])
+    expect(await geocode('  ')).toEqual([])
+  })
+
+  it('looks LSOA centroids up through the API', async () => {
+    const [result] = await geocode('E01010000')
+    expect(result.type).toBe('lsoa')
+    expect(result.detail).toBe('LSOA E01010000')
+    expect(result.lat).toEqual(expect.any(Number))
+    expect(await geocode('E01999999')).toEqual([])
+  })
+
+  it('tries each provider in turn', async () => {
+    const online = {
+      name: 'online',
+      search: async ({ text }) => (text === 'Atlantis' ? [{ label: 'Atlantis', lat: 1, lng: 2, zoom: 10 }] : []),
+    }
+    setGeocoderProviders([online, ...DEFAULT_PROVIDERS])
+
+    expect(await geocode('Atlantis')).toEqual([{ label: 'Atlantis', lat: 1, lng: 2, zoom: 10 }])
+    expect((await geocode('Leeds'))[0].label).toBe('Leeds')
+  })
+})
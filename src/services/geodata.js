@@ -0,0 +1,210 @@
+// Bundled location data for the offline geocoder (services/geocoder.js).
+// Approximate centroids - good enough to centre a map, not to find an address.
+
+// Postcode areas (the letters before the first digit) and their main post
+// town, as [town, lat, lng]
+export const POSTCODE_AREAS = {
+  AB: ['Aberdeen', 57.149, -2.094],
+  AL: ['St Albans', 51.752, -0.336],
+  B: ['Birmingham', 52.486, -1.890],
+  BA: ['Bath', 51.380, -2.360],
+  BB: ['Blackburn', 53.748, -2.482],
+  BD: ['Bradford', 53.795, -1.759],
+  BH: ['Bournemouth', 50.720, -1.880],
+  BL: ['Bolton', 53.578, -2.429],
+  BN: ['Brighton', 50.822, -0.137],
+  BR: ['Bromley', 51.406, 0.015],
+  BS: ['Bristol', 51.454, -2.588],
+  BT: ['Belfast', 54.597, -5.930],
+  CA: ['Carlisle', 54.892, -2.932],
+  CB: ['Cambridge', 52.205, 0.122],
+  CF: ['Cardiff', 51.481, -3.179],
+  CH: ['Chester', 53.193, -2.893],
+  CM: ['Chelmsford', 51.736, 0.469],
+  CO: ['Colchester', 51.889, 0.903],
+  CR: ['Croydon', 51.376, -0.098],
+  CT: ['Canterbury', 51.280, 1.079],
+  CV: ['Coventry', 52.407, -1.512],
+  CW: ['Crewe', 53.099, -2.441],
+  DA: ['Dartford', 51.446, 0.218],
+  DD: ['Dundee', 56.462, -2.971],
+  DE: ['Derby', 52.922, -1.476],
+  DG: ['Dumfries', 55.070, -3.605],
+  DH: ['Durham', 54.776, -1.575],
+  DL: ['Darlington', 54.523, -1.559],
+  DN: ['Doncaster', 53.523, -1.128],
+  DT: ['Dorchester', 50.716, -2.437],
+  DY: ['Dudley', 52.512, -2.081],
+  E: ['London', 51.538, -0.030],
+  EC: ['London', 51.517, -0.094],
+  EH: ['Edinburgh', 55.953, -3.189],
+  EN: ['Enfield', 51.652, -0.081],
+  EX: ['Exeter', 50.718, -3.534],
+  FK: ['Falkirk', 56.002, -3.784],
+  FY: ['Blackpool', 53.817, -3.036],
+  G: ['Glasgow', 55.861, -4.251],
+  GL: ['Gloucester', 51.864, -2.238],
+  GU: ['Guildford', 51.236, -0.570],
+  HA: ['Harrow', 51.580, -0.334],
+  HD: ['Huddersfield', 53.645, -1.780],
+  HG: ['Harrogate', 53.992, -1.541],
+  HP: ['Hemel Hempstead', 51.753, -0.449],
+  HR: ['Hereford', 52.056, -2.716],
+  HS: ['Stornoway', 58.209, -6.387],
+  HU: ['Hull', 53.745, -0.336],
+  HX: ['Halifax', 53.721, -1.863],
+  IG: ['Ilford', 51.559, 0.082],
+  IP: ['Ipswich', 52.057, 1.148],
+  IV: ['Inverness', 57.478, -4.224],
+  KA: ['Kilmarnock', 55.611, -4.496],
+  KT: ['Kingston upon Thames', 51.412, -0.300],
+  KW: ['Kirkwall', 58.981, -2.960],
+  KY: ['Kirkcaldy', 56.111, -3.161],
+  L: ['Liverpool', 53.408, -2.992],
+  LA: ['Lancaster', 54.047, -2.801],
+  LD: ['Llandrindod Wells', 52.241, -3.379],
+  LE: ['Leicester', 52.637, -1.135],
+  LL: ['Llandudno', 53.324, -3.828],
+  LN: ['Lincoln', 53.230, -0.540],
+  LS: ['Leeds', 53.801, -1.549],
+  LU: ['Luton', 51.879, -0.418],
+  M: ['Manchester', 53.481, -2.243],
+  ME: ['Rochester', 51.388, 0.506],
+  MK: ['Milton Keynes', 52.041, -0.759],
+  ML: ['Motherwell', 55.789, -3.992],
+  N: ['London', 51.566, -0.107],
+  NE: ['Newcastle upon Tyne', 54.978, -1.618],
+  NG: ['Nottingham', 52.954, -1.158],
+  NN: ['Northampton', 52.237, -0.894],
+  NP: ['Newport', 51.584, -2.998],
+  NR: ['Norwich', 52.630, 1.297],
+  NW: ['London', 51.553, -0.190],
+  OL: ['Oldham', 53.541, -2.118],
+  OX: ['Oxford', 51.752, -1.258],
+  PA: ['Paisley', 55.846, -4.424],
+  PE: ['Peterborough', 52.573, -0.241],
+  PH: ['Perth', 56.396, -3.437],
+  PL: ['Plymouth', 50.376, -4.143],
+  PO: ['Portsmouth', 50.805, -1.087],
+  PR: ['Preston', 53.763, -2.703],
+  RG: ['Reading', 51.455, -0.971],
+  RH: ['Redhill', 51.240, -0.170],
+  RM: ['Romford', 51.575, 0.183],
+  S: ['Sheffield', 53.381, -1.470],
+  SA: ['Swansea', 51.621, -3.944],
+  SE: ['London', 51.470, -0.060],
+  SG: ['Stevenage', 51.903, -0.196],
+  SK: ['Stockport', 53.408, -2.149],
+  SL: ['Slough', 51.511, -0.595],
+  SM: ['Sutton', 51.361, -0.194],
+  SN: ['Swindon', 51.558, -1.782],
+  SO: ['Southampton', 50.910, -1.404],
+  SP: ['Salisbury', 51.069, -1.795],
+  SR: ['Sunderland', 54.906, -1.381],
+  SS: ['Southend-on-Sea', 51.546, 0.708],
+  ST: ['Stoke-on-Trent', 53.003, -2.180],
+  SW: ['London', 51.460, -0.170],
+  SY: ['Shrewsbury', 52.708, -2.754],
+  TA: ['Taunton', 51.015, -3.103],
+  TD: ['Galashiels', 55.613, -2.807],
+  TF: ['Telford', 52.678, -2.445],
+  TN: ['Tonbridge', 51.195, 0.276],
+  TQ: ['Torquay', 50.462, -3.525],
+  TR: ['Truro', 50.263, -5.051],
+  TS: ['Middlesbrough', 54.574, -1.235],
+  TW: ['Twickenham', 51.447, -0.336],
+  UB: ['Southall', 51.511, -0.376],
+  W: ['London', 51.510, -0.200],
+  WA: ['Warrington', 53.390, -2.597],
+  WC: ['London', 51.518, -0.120],
+  WD: ['Watford', 51.656, -0.396],
+  WF: ['Wakefield', 53.683, -1.499],
+  WN: ['Wigan', 53.545, -2.632],
+  WR: ['Worcester', 52.193, -2.222],
+  WS: ['Walsall', 52.586, -1.983],
+  WV: ['Wolverhampton', 52.587, -2.129],
+  YO: ['York', 53.960, -1.082],
+  ZE: ['Lerwick', 60.155, -1.145],
+}
+
+// Postcode district (outcode) centroids for the city centres the dashboard
+// covers in most detail, as [lat, lng]. Other districts fall back to their
+// postcode area.
+export const POSTCODE_DISTRICTS = {
+  // London
+  EC1A: [51.518, -0.099], EC2A: [51.523, -0.082], EC4M: [51.513, -0.099],
+  WC1N: [51.523, -0.121], WC2N: [51.508, -0.125], WC2H: [51.513, -0.128],
+  W1D: [51.513, -0.132], W1J: [51.507, -0.143], W1T: [51.520, -0.136], W2: [51.514, -0.181],
+  SW1A: [51.501, -0.141], SW1P: [51.495, -0.131], SW1V: [51.490, -0.139], SW3: [51.490, -0.166],
+  SW9: [51.469, -0.114], SW11: [51.465, -0.163],
+  SE1: [51.499, -0.094], SE5: [51.474, -0.092], SE11: [51.488, -0.110], SE15: [51.470, -0.066],
+  SE16: [51.496, -0.051], SE17: [51.487, -0.094],
+  N1: [51.538, -0.098], N7: [51.554, -0.117], N16: [51.562, -0.076], N19: [51.565, -0.131],
+  NW1: [51.533, -0.145], NW3: [51.553, -0.167], NW5: [51.553, -0.142],
+  E1: [51.517, -0.060], E2: [51.529, -0.060], E3: [51.528, -0.025], E5: [51.560, -0.053],
+  E8: [51.545, -0.061], E9: [51.544, -0.043], E14: [51.508, -0.018],
+  // Birmingham
+  B1: [52.479, -1.908], B2: [52.479, -1.898], B4: [52.484, -1.891], B5: [52.470, -1.892],
+  B12: [52.460, -1.877], B15: [52.463, -1.929], B29: [52.433, -1.952],
+  // Manchester
+  M1: [53.478, -2.235], M2: [53.480, -2.245], M3: [53.482, -2.254], M4: [53.485, -2.226],
+  M13: [53.461, -2.217], M14: [53.446, -2.225], M15: [53.467, -2.252], M50: [53.471, -2.290],
+  // Leeds
+  LS1: [53.797, -1.548], LS2: [53.803, -1.545], LS6: [53.820, -1.572], LS9: [53.797, -1.508],
+  LS11: [53.780, -1.554],
+  // Liverpool
+  L1: [53.402, -2.980], L2: [53.407, -2.990], L3: [53.411, -2.990], L8: [53.390, -2.965],
+  L15: [53.397, -2.918], L20: [53.447, -2.988],
+  // Bristol
+  BS1: [51.454, -2.594], BS2: [51.462, -2.579], BS5: [51.464, -2.555], BS6: [51.471, -2.598],
+  BS8: [51.457, -2.614],
+  // Newcastle upon Tyne
+  NE1: [54.972, -1.613], NE2: [54.988, -1.602], NE4: [54.970, -1.642], NE6: [54.976, -1.576],
+  NE8: [54.955, -1.608],
+  // Sheffield
+  S1: [53.380, -1.470], S2: [53.369, -1.459], S3: [53.389, -1.478], S10: [53.378, -1.515],
+  S11: [53.364, -1.507],
+  // Nottingham
+  NG1: [52.954, -1.148], NG3: [52.966, -1.134], NG7: [52.950, -1.180], NG9: [52.926, -1.222],
+  // Leicester
+  LE1: [52.635, -1.133], LE2: [52.615, -1.115], LE3: [52.630, -1.170], LE4: [52.665, -1.130],
+  // Cardiff
+  CF10: [51.475, -3.175], CF11: [51.478, -3.195], CF14: [51.520, -3.200], CF24: [51.488, -3.162],
+  // Other city centres
+  EH1: [55.951, -3.189], EH2: [55.954, -3.196], G1: [55.860, -4.250], G2: [55.862, -4.260],
+  CB1: [52.198, 0.137], CB2: [52.195, 0.120], OX1: [51.751, -1.258], YO1: [53.959, -1.081],
+  BN1: [50.827, -0.140], SO14: [50.904, -1.400], CV1: [52.408, -1.510], BT1: [54.600, -5.928],
+}
+
+// Places searchable by name besides the post towns above, as [name, lat, lng]
+export const EXTRA_PLACES = [
+  ['London', 51.5074, -0.1278],
+  ['City of London', 51.515, -0.092],
+  ['Westminster', 51.497, -0.137],
+  ['Camden', 51.539, -0.143],
+  ['Islington', 51.538, -0.103],
+  ['Hackney', 51.545, -0.055],
+  ['Tower Hamlets', 51.520, -0.030],
+  ['Southwark', 51.503, -0.088],
+  ['Lambeth', 51.490, -0.120],
+  ['Brixton', 51.462, -0.115],
+  ['Greenwich', 51.482, -0.008],
+  ['Stratford', 51.542, -0.003],
+  ['Wimbledon', 51.421, -0.206],
+  ['Salford', 53.488, -2.291],
+  ['Trafford', 53.446, -2.308],
+  ['Gateshead', 54.952, -1.603],
+  ['Sefton', 53.503, -2.970],
+  ['Bootle', 53.446, -2.995],
+  ['Solihull', 52.412, -1.778],
+  ['Leamington Spa', 52.292, -1.537],
+  ['Cheltenham', 51.899, -2.078],
+  ['Rotherham', 53.431, -1.357],
+  ['Barnsley', 53.553, -1.482],
+  ['Mansfield', 53.147, -1.198],
+  ['Loughborough', 52.772, -1.206],
+  ['Stirling', 56.117, -3.936],
+  ['Aberystwyth', 52.415, -4.083],
+  ['Wrexham', 53.046, -2.993],
+  ['Londonderry', 54.997, -7.309],
+]
@@ -0,0 +1,381 @@
+// Response normalisation
+// Converts API payloads into one canonical shape per model so pages can read
+// fields directly instead of guessing. Each field lists the paths it may
+// arrive under: the first is the canonical name, later paths are alternative
+// or legacy shapes, and functions derive the value from the raw record.
+// Values are coerced to the field type and missing values get the field
+// default. In development, fallbacks, missing required fields and type
+// mismatches are reported once each as schema drift.
+
+export class ResponseShapeError extends Error {
+  constructor(model, message) {
+    super(`Unexpected ${model} response: ${message}`)
+    this.name = 'ResponseShapeError'
+    this.model = model
+  }
+}
+
+const reportedDrift = new Set()
+
+function reportDrift(model, message) {
+  if (!import.meta.env.DEV) return
+  const key = `${model}: ${message}`
+  if (reportedDrift.has(key)) return
+  reportedDrift.add(key)
+  console.warn(`API schema drift - ${key}`)
+}
+
+function describe(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'an array'
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`
+}
+
+function readPath(raw, path) {
+  return path.split('.').reduce((value, key) => value?.[key], raw)
+}
+
+// Field specs
+const field = (type, from, options = {}) => ({
+  type,
+  from: Array.isArray(from) ? from : [from],
+  ...options,
+})
+const number = (from, options) => field('number', from, options)
+const count = (from, options) => field('number', from, { default: 0, ...options })
+const string = (from, options) => field('string', from, options)
+const any = (from, options) => field('any', from, options)
+const nested = (model, from, options) => field('model', from, { model, ...options })
+const list = (model, from, options) => field('list', from, { model, ...options })
+
+function coerce(value, spec, model, name) {
+  switch (spec.type) {
+    case 'number': {
+      if (typeof value === 'number') return Number.isFinite(value) ? value : null
+      const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN
+      if (Number.isNaN(parsed)) {
+        reportDrift(model, `${name} should be a number, got ${describe(value)}`)
+        return null
+      }
+      reportDrift(model, `${name} is sent as a string`)
+      return parsed
+    }
+    case 'string':
+      if (typeof value === 'string') return value
+      if (typeof value === 'number') return String(value)
+      reportDrift(model, `${name} should be a string, got ${describe(value)}`)
+      return null
+    case 'model':
+      return spec.model.parse(value)
+    case 'list':
+      if (!Array.isArray(value)) {
+        reportDrift(model, `${name} should be an array, got ${describe(value)}`)
+        return []
+      }
+      return value.map(spec.model.parse).filter(Boolean)
+    default:
+      return value
+  }
+}
+
+function emptyValue(spec) {
+  if (spec.type === 'list') return []
+  if (spec.type === 'model') return spec.model.parse({})
+  return spec.default ?? null
+}
+
+// Some endpoints wrap their payload as { data: ... }
+function unwrap(payload) {
+  if (payload && typeof payload === 'object' && !Array.isArray(payload) && 'data' in payload) {
+    return payload.data
+  }
+  return payload
+}
+
+// Define a model from its field specs. `listKeys` are extra envelope keys a
+// list of this model may arrive under, besides `data`.
+function defineModel(name, fields, { listKeys = [] } = {}) {
+  // Normalise one raw record; null when it is unusable (not an object, or a
+  // required field is missing)
+  const parse = (raw) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      reportDrift(name, `expected an object, got ${describe(raw)}`)
+      return null
+    }
+
+    const result = {}
+    let valid = true
+
+    for (const [key, spec] of Object.entries(fields)) {
+      let value = null
+      for (const [index, path] of spec.from.entries()) {
+        const candidate = typeof path === 'function' ? path(raw) : readPath(raw, path)
+        if (candidate === undefined || candidate === null) continue
+        if (index > 0 && typeof path === 'string') {
+          reportDrift(name, `${key} read from ${path}`)
+        }
+        value = coerce(candidate, spec, name, key)
+        break
+      }
+
+      if (value === null || value === undefined) {
+        if (spec.required) {
+          reportDrift(name, `missing required field ${key}`)
+          valid = false
+        }
+        value = emptyValue(spec)
+      }
+      result[key] = value
+    }
+
+    return valid ? result : null
+  }
+
+  // A single record, optionally wrapped in { data }
+  const one = (payload) => {
+    const item = parse(unwrap(payload))
+    if (!item) throw new ResponseShapeError(name, `got ${describe(unwrap(payload))}`)
+    return item
+  }
+
+  // A list of records - a bare array or an array under an envelope key.
+  // Records that fail validation are dropped.
+  const many = (payload) => {
+    if (Array.isArray(payload)) return payload.map(parse).filter(Boolean)
+    for (const key of ['data', ...listKeys]) {
+      if (Array.isArray(payload?.[key])) {
+        if (key !== 'data') reportDrift(name, `list read from ${key}`)
+        return payload[key].map(parse).filter(Boolean)
+      }
+    }
+    reportDrift(name, `expected a list, got ${describe(payload)}`)
+    return []
+  }
+
+  // A paginated list: { data, total, page }
+  const page = (payload) => {
+    const data = many(payload)
+    const total = Number(payload?.total)
+    const pageNumber = Number(payload?.page)
+    return {
+      data,
+      total: Number.isFinite(total) ? total : data.length,
+      page: Number.isFinite(pageNumber) ? pageNumber : 1,
+    }
+  }
+
+  return { name, parse, one, many, page }
+}
+
+// Canonical models
+
+const MONTH_PATTERN = /^\d{4}-(\d{2})/
+
+const monthOfPeriod = (raw) => {
+  const match = MONTH_PATTERN.exec(raw.period ?? '')
+  return match ? Number(match[1]) : undefined
+}
+
+export const SeverityBreakdown = defineModel('SeverityBreakdown', {
+  fatal: count(['fatal', 'fatal_count', 'fatalities']),
+  serious: count(['serious', 'serious_count', 'serious_injuries']),
+  slight: count(['slight', 'slight_count']),
+})
+
+// Flat fatal/serious/slight counts on the record itself
+const flatSeverity = (raw) => raw
+
+export const Vehicle = defineModel('Vehicle', {
+  vehicle_reference: number('vehicle_reference'),
+  vehicle_type: any('vehicle_type'),
+  vehicle_manoeuvre: any('vehicle_manoeuvre'),
+  sex_of_driver: any('sex_of_driver'),
+  age_of_driver: any('age_of_driver'),
+})
+
+export const Casualty = defineModel('Casualty', {
+  casualty_reference: number('casualty_reference'),
+  casualty_class: any('casualty_class'),
+  casualty_severity: any('casualty_severity'),
+  casualty_type: any('casualty_type'),
+  age_of_casualty: any('age_of_casualty'),
+})
+
+// STATS19 accident - list items carry the core fields, the detail endpoint
+// adds the road, conditions, vehicle and casualty fields. Coded fields may be
+// plain values or { code, label } pairs.
+export const Accident = defineModel('Accident', {
+  accident_id: string(['accident_id', 'accident_index', 'id'], { required: true }),
+  severity: number(['severity', 'accident_severity'], { required: true }),
+  latitude: number(['latitude', 'location.latitude', 'lat']),
+  longitude: number(['longitude', 'location.longitude', 'lng', 'lon']),
+  accident_date: string(['accident_date', 'date']),
+  accident_time: string(['accident_time', 'time']),
+  accident_year: number(['accident_year', 'year']),
+  day_of_week: any('day_of_week'),
+  number_of_casualties: number('number_of_casualties'),
+  number_of_vehicles: number('number_of_vehicles'),
+  distance_meters: number(['distance_meters', 'distance']),
+  lsoa_code: string(['lsoa_code', 'lsoa_of_accident_location']),
+  local_authority_district: any('local_authority_district'),
+  police_force: any('police_force'),
+  urban_or_rural_area: any('urban_or_rural_area'),
+  road_type: any('road_type'),
+  speed_limit: any('speed_limit'),
+  first_road_class: any('first_road_class'),
+  first_road_number: any('first_road_number'),
+  second_road_class: any('second_road_class'),
+  second_road_number: any('second_road_number'),
+  junction_detail: any('junction_detail'),
+  junction_control: any('junction_control'),
+  pedestrian_crossing_physical_facilities: any('pedestrian_crossing_physical_facilities'),
+  carriageway_hazards: any('carriageway_hazards'),
+  weather_conditions: any('weather_conditions'),
+  light_conditions: any('light_conditions'),
+  road_surface_conditions: any('road_surface_conditions'),
+  special_conditions_at_site: any('special_conditions_at_site'),
+  vehicles: list(Vehicle, 'vehicles'),
+  casualties: list(Casualty, 'casualties'),
+}, { listKeys: ['accidents'] })
+
+export const Hotspot = defineModel('Hotspot', {
+  lsoa_code: string('lsoa_code', { required: true }),
+  lsoa_name: string('lsoa_name'),
+  latitude: number(['latitude', 'centroid.latitude', 'lat']),
+  longitude: number(['longitude', 'centroid.longitude', 'lng', 'lon']),
+  accident_count: count(['accident_count', 'total_accidents']),
+  fatal_count: count(['fatal_count', 'fatal']),
+  serious_count: count(['serious_count', 'serious']),
+  risk_score: number('risk_score'),
+  risk_category: string('risk_category'),
+}, { listKeys: ['hotspots'] })
+
+export const HeatmapPoint = defineModel('HeatmapPoint', {
+  lat: number(['lat', 'latitude'], { required: true }),
+  lng: number(['lng', 'longitude', 'lon'], { required: true }),
+  intensity: number('intensity', { default: 1 }),
+  count: number(['count', 'accident_count']),
+  fatal: count(['fatal', 'fatal_count']),
+  serious: count(['serious', 'serious_count']),
+}, { listKeys: ['points'] })
+
+export const School = defineModel('School', {
+  urn: string('urn', { required: true }),
+  name: string(['name', 'school_name']),
+  phase_of_education: string(['phase_of_education', 'phase']),
+  street: string('street'),
+  town: string('town'),
+  postcode: string('postcode'),
+  latitude: number(['latitude', 'location.latitude', 'lat']),
+  longitude: number(['longitude', 'location.longitude', 'lng', 'lon']),
+  number_of_pupils: number('number_of_pupils'),
+  local_authority_name: string(['local_authority_name', 'la_name']),
+  distance_meters: number(['distance_meters', 'distance']),
+  accident_count: count(['accident_count', 'total_accidents']),
+  fatal_count: count(['fatal_count', 'fatal']),
+  serious_count: count(['serious_count', 'serious']),
+  slight_count: count(['slight_count', 'slight']),
+  // Server-side score and level, from the /schools/risk endpoints
+  risk_score: number('risk_score'),
+  risk_level: string(['risk_level', 'risk_category']),
+  accidents: list(Accident, 'accidents'),
+}, { listKeys: ['schools'] })
+
+export const SchoolsSummary = defineModel('SchoolsSummary', {
+  total_schools: count('total_schools'),
+  total_accidents: count('total_accidents'),
+  total_fatal: count(['total_fatal', 'fatal_count']),
+  high_risk_count: count('high_risk_count'),
+  medium_risk_count: count('medium_risk_count'),
+  low_risk_count: count('low_risk_count'),
+})
+
+export const YearSummary = defineModel('YearSummary', {
+  year: number('year'),
+  total_accidents: count(['total_accidents', 'accident_count', 'accidents']),
+  total_casualties: count(['total_casualties', 'casualties']),
+  total_vehicles: count(['total_vehicles', 'vehicles']),
+  severity_breakdown: nested(SeverityBreakdown, ['severity_breakdown', flatSeverity]),
+})
+
+// Monthly (or other granularity) series point; period is "YYYY-MM"
+export const TimeSeriesPoint = defineModel('TimeSeriesPoint', {
+  period: string('period', { required: true }),
+  month: number([monthOfPeriod, 'month']),
+  total_accidents: count(['total_accidents', 'accidents', 'count']),
+  fatal: count(['fatal', 'fatal_count']),
+  serious: count(['serious', 'serious_count']),
+  slight: count(['slight', 'slight_count']),
+})
+
+export const HourlyPoint = defineModel('HourlyPoint', {
+  hour: number('hour', { required: true }),
+  total_accidents: count(['total_accidents', 'accidents', 'count']),
+})
+
+export const DailyPoint = defineModel('DailyPoint', {
+  day: number(['day', 'day_of_week']),
+  day_name: string('day_name'),
+  total_accidents: count(['total_accidents', 'accidents', 'count']),
+})
+
+export const PoliceForce = defineModel('PoliceForce', {
+  police_force_name: string(['police_force_name', 'name'], { required: true }),
+  total_accidents: count('total_accidents'),
+  fatal_accidents: count(['fatal_accidents', 'fatal']),
+  serious_accidents: count(['serious_accidents', 'serious']),
+  ksi_rate: count('ksi_rate'),
+})
+
+export const VehicleType = defineModel('VehicleType', {
+  vehicle_type_name: string(['vehicle_type_name', 'vehicle_type', 'name']),
+  vehicle_count: count(['vehicle_count', 'accidents', 'count']),
+})
+
+export const ConditionCount = defineModel('ConditionCount', {
+  name: string(['name', 'label', 'condition']),
+  count: count(['count', 'accidents', 'total_accidents']),
+})
+
+export const AccidentConditions = defineModel('AccidentConditions', {
+  weather: list(ConditionCount, ['weather', 'weather_conditions']),
+  light: list(ConditionCount, ['light', 'light_conditions']),
+  road_surface: list(ConditionCount, ['road_surface', 'road_surface_conditions']),
+  road_type: list(ConditionCount, 'road_type'),
+})
+
+export const LsoaStats = defineModel('LsoaStats', {
+  lsoa_code: string('lsoa_code'),
+  lsoa_name: string('lsoa_name'),
+  latitude: number(['centroid.latitude', 'latitude']),
+  longitude: number(['centroid.longitude', 'longitude']),
+  total_accidents: count(['total_accidents', 'accident_count']),
+  total_casualties: count('total_casualties'),
+  severity_breakdown: nested(SeverityBreakdown, ['severity_breakdown', flatSeverity]),
+  yearly_trend: list(YearSummary, ['yearly_trend', 'by_year']),
+  hourly_pattern: list(HourlyPoint, ['hourly_pattern', 'by_hour']),
+  daily_pattern: list(DailyPoint, ['daily_pattern', 'by_day']),
+})
+
+// A list of plain names (filter options); objects contribute their name
+function defineNameList(name) {
+  const many = (payload) => {
+    const items = Array.isArray(payload) ? payload : unwrap(payload)
+    if (!Array.isArray(items)) {
+      reportDrift(name, `expected a list, got ${describe(items)}`)
+      return []
+    }
+    return items
+      .map(item => {
+        if (typeof item === 'string') return item
+        const value = item?.name ?? item?.value
+        if (value !== undefined) reportDrift(name, 'names sent as objects')
+        return typeof value === 'string' ? value : null
+      })
+      .filter(Boolean)
+  }
+  return { name, many }
+}
+
+export const SchoolPhases = defineNameList('SchoolPhases')
+export const SchoolCounties = defineNameList('SchoolCounties')
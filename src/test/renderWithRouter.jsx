@@ -0,0 +1,14 @@
+import { render } from '@testing-library/react'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+
+// Render a page inside a router. `path` is the route pattern for pages that
+// read URL params, e.g. { route: '/areas/E01010000', path: '/areas/:lsoaCode' }
+export default function renderWithRouter(ui, { route = '/', path = '*' } = {}) {
+  return render(
+    <MemoryRouter initialEntries={[route]}>
+      <Routes>
+        <Route path={path} element={ui} />
+      </Routes>
+    </MemoryRouter>
+  )
+}
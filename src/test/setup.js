@@ -0,0 +1,30 @@
+import '@testing-library/jest-dom/vitest'
+import { afterEach, vi } from 'vitest'
+import { cleanup, configure } from '@testing-library/react'
+import { invalidateCache } from '../services/api'
+
+// The mock API generates its sample data on first use, which can take a
+// moment on a slow machine
+configure({ asyncUtilTimeout: 5000 })
+
+// jsdom has no layout, so provide the browser APIs charts and maps expect
+globalThis.ResizeObserver = class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+}
+
+// Lets Leaflet use its SVG renderer (jsdom has no canvas)
+if (!SVGSVGElement.prototype.createSVGRect) {
+  SVGSVGElement.prototype.createSVGRect = () => ({})
+}
+
+// jsdom has no 2D canvas and logs an error when asked for one; canvas map
+// layers skip painting without a context
+HTMLCanvasElement.prototype.getContext = () => null
+
+afterEach(() => {
+  cleanup()
+  invalidateCache()
+  vi.restoreAllMocks()
+})
@@ -0,0 +1,72 @@
+// Client-side aggregation of accident lists into the shapes the analytics
+// endpoints return, so the shared chart components can draw them
+
+// STATS19 numbers days from Sunday (1) to Saturday (7)
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const SEVERITY_KEYS = { 1: 'fatal', 2: 'serious', 3: 'slight' }
+
+// Day index 0-6 from a day name, a STATS19 day number or the date
+export function getDayIndex(accident) {
+  const day = accident.day_of_week
+  if (typeof day === 'string' && DAY_NAMES.includes(day)) return DAY_NAMES.indexOf(day)
+  if (Number.isInteger(Number(day)) && day >= 1 && day <= 7) return Number(day) - 1
+  if (!accident.accident_date) return null
+  const date = new Date(`${accident.accident_date}T00:00:00Z`)
+  return Number.isNaN(date.getTime()) ? null : date.getUTCDay()
+}
+
+function getHour(accident) {
+  const hour = Number.parseInt(accident.accident_time, 10)
+  return hour >= 0 && hour <= 23 ? hour : null
+}
+
+function getYear(accident) {
+  return accident.accident_year ?? (Number.parseInt(accident.accident_date, 10) || null)
+}
+
+// Totals, severity split and year/hour/day patterns for a list of accidents:
+//   { total, casualties, vehicles, severity: { fatal, serious, slight },
+//     byYear: [{ year, total_accidents, severity_breakdown }],
+//     byHour: [{ hour, total_accidents }], byDay: [{ day, day_name, total_accidents }] }
+export function summarizeAccidents(accidents) {
+  const severity = { fatal: 0, serious: 0, slight: 0 }
+  const years = new Map()
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, total_accidents: 0 }))
+  const byDay = DAY_NAMES.map((day_name, i) => ({ day: i + 1, day_name, total_accidents: 0 }))
+  let casualties = 0
+  let vehicles = 0
+
+  accidents.forEach(accident => {
+    const key = SEVERITY_KEYS[accident.severity]
+    if (key) severity[key] += 1
+    casualties += accident.number_of_casualties || 0
+    vehicles += accident.number_of_vehicles || 0
+
+    const year = getYear(accident)
+    if (year) {
+      if (!years.has(year)) {
+        years.set(year, { year, total_accidents: 0, severity_breakdown: { fatal: 0, serious: 0, slight: 0 } })
+      }
+      const entry = years.get(year)
+      entry.total_accidents += 1
+      if (key) entry.severity_breakdown[key] += 1
+    }
+
+    const hour = getHour(accident)
+    if (hour !== null) byHour[hour].total_accidents += 1
+
+    const day = getDayIndex(accident)
+    if (day !== null) byDay[day].total_accidents += 1
+  })
+
+  return {
+    total: accidents.length,
+    casualties,
+    vehicles,
+    severity,
+    byYear: [...years.values()].sort((a, b) => a.year - b.year),
+    byHour,
+    byDay,
+  }
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { summarizeAccidents } from './accidentStats'
+
+const accidents = [
+  { severity: 1, accident_date: '2023-03-06', accident_time: '08:15', accident_year: 2023, day_of_week: 'Monday', number_of_casualties: 2, number_of_vehicles: 2 },
+  { severity: 3, accident_date: '2023-03-07', accident_time: '08:45', accident_year: 2023, day_of_week: 'Tuesday', number_of_casualties: 1, number_of_vehicles: 1 },
+  { severity: 2, accident_date: '2022-01-02', accident_time: '17:30', day_of_week: 1, number_of_casualties: 1, number_of_vehicles: 2 },
+]
+
+describe('summarizeAccidents', () => {
+  const summary = summarizeAccidents(accidents)
+
+  it('totals accidents, casualties and vehicles', () => {
+    expect(summary).toMatchObject({ total: 3, casualties: 4, vehicles: 5 })
+    expect(summary.severity).toEqual({ fatal: 1, serious: 1, slight: 1 })
+  })
+
+  it('groups by year, falling back to the date', () => {
+    expect(summary.byYear).toEqual([
+      { year: 2022, total_accidents: 1, severity_breakdown: { fatal: 0, serious: 1, slight: 0 } },
+      { year: 2023, total_accidents: 2, severity_breakdown: { fatal: 1, serious: 0, slight: 1 } },
+    ])
+  })
+
+  it('counts every hour and day, including empty ones', () => {
+    expect(summary.byHour).toHaveLength(24)
+    expect(summary.byHour[8].total_accidents).toBe(2)
+    expect(summary.byHour[17].total_accidents).toBe(1)
+    expect(summary.byDay.map(d => d.total_accidents)).toEqual([1, 1, 1, 0, 0, 0, 0])
+  })
+
+  it('is empty for no accidents', () => {
+    expect(summarizeAccidents([])).toMatchObject({ total: 0, casualties: 0, byYear: [] })
+  })
+})
@@ -0,0 +1,134 @@
+import { toCsv } from './exporters'
+
+// Chart exports: the chart as SVG or PNG under its title with the data-source
+// caption beneath, and the series behind it as CSV, JSON or a table to paste.
+// Series columns are [{ key, label }]; metadata comes from buildMetadata.
+
+const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+const TITLE_HEIGHT = 36
+const CAPTION_HEIGHT = 28
+const PADDING = 12
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// e.g. "Source: Department for Transport STATS19 · Year: 2023"
+export const chartCaption = (metadata) =>
+  `Source: ${metadata.source} · ${metadata.filters.year ? `Year: ${metadata.filters.year}` : 'All years'}`
+
+const pick = (rows, columns, name) =>
+  rows.map(row => Object.fromEntries(columns.map(column => [column[name], row[column.key]])))
+
+// CSV with the column labels as headers
+export const seriesToCsv = (rows, columns, metadata) => toCsv(pick(rows, columns, 'label'), metadata)
+
+export function seriesToJson(rows, columns, metadata) {
+  return JSON.stringify({
+    ...metadata,
+    columns: Object.fromEntries(columns.map(({ key, label }) => [key, label])),
+    data: pick(rows, columns, 'key'),
+  }, null, 2)
+}
+
+const formatCell = (value) => (typeof value === 'number' ? value.toLocaleString('en-GB') : value ?? '')
+
+// The series as tab-separated text (pastes into spreadsheets) and an HTML
+// table (pastes into documents), both with the title and caption
+export function seriesToTable(rows, columns, metadata) {
+  const caption = chartCaption(metadata)
+  const text = [
+    metadata.title,
+    columns.map(c => c.label).join('\t'),
+    ...rows.map(row => columns.map(c => row[c.key] ?? '').join('\t')),
+    caption,
+  ].join('\n')
+
+  const html = [
+    '<table>',
+    `<caption>${escapeXml(metadata.title)}</caption>`,
+    `<thead><tr>${columns.map(c => `<th>${escapeXml(c.label)}</th>`).join('')}</tr></thead>`,
+    '<tbody>',
+    ...rows.map(row => `<tr>${columns.map(c => `<td>${escapeXml(formatCell(row[c.key]))}</td>`).join('')}</tr>`),
+    '</tbody>',
+    `<tfoot><tr><td colspan="${columns.length}">${escapeXml(caption)}</td></tr></tfoot>`,
+    '</table>',
+  ].join('')
+
+  return { text, html }
+}
+
+// A chart's own <svg> (e.g. a Recharts surface) as standalone markup
+export function svgElementChart(svg) {
+  const { width, height } = svg.getBoundingClientRect()
+  const clone = svg.cloneNode(true)
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+  clone.setAttribute('width', width)
+  clone.setAttribute('height', height)
+  return { markup: new XMLSerializer().serializeToString(clone), width, height }
+}
+
+// Horizontal bars for charts drawn in HTML rather than SVG; `bar` is
+// { label, value, color, limit } where label and value are row keys and
+// color is a colour or a function of the row
+export function barChart(rows, { label, value, color = '#2563eb', limit = rows.length }) {
+  const shown = rows.slice(0, limit)
+  const width = 640
+  const rowHeight = 28
+  const labelWidth = 200
+  const barWidth = width - labelWidth - 80
+  const max = Math.max(1, ...shown.map(row => row[value]))
+  const bars = shown.map((row, i) => {
+    const y = i * rowHeight
+    const length = Math.max(1, (row[value] / max) * barWidth)
+    const fill = typeof color === 'function' ? color(row) : color
+    return [
+      `<text x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle">${escapeXml(row[label])}</text>`,
+      `<rect x="${labelWidth}" y="${y + 4}" width="${length}" height="${rowHeight - 8}" rx="3" fill="${fill}"/>`,
+      `<text x="${labelWidth + length + 6}" y="${y + rowHeight / 2}" dominant-baseline="middle">${escapeXml(formatCell(row[value]))}</text>`,
+    ].join('')
+  })
+  const height = shown.length * rowHeight
+  return {
+    markup: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-size="12" fill="#374151">${bars.join('')}</svg>`,
+    width,
+    height,
+  }
+}
+
+// A chart ({ markup, width, height }) framed with its title and caption
+export function framedChartSvg(chart, { title, caption }) {
+  const width = chart.width + PADDING * 2
+  const height = TITLE_HEIGHT + chart.height + CAPTION_HEIGHT
+  const markup = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family='${FONT}'>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="${PADDING}" y="24" font-size="16" font-weight="600" fill="#111827">${escapeXml(title)}</text>`,
+    `<g transform="translate(${PADDING}, ${TITLE_HEIGHT})">${chart.markup}</g>`,
+    `<text x="${PADDING}" y="${height - 10}" font-size="11" fill="#6b7280">${escapeXml(caption)}</text>`,
+    '</svg>',
+  ].join('')
+  return { markup, width, height }
+}
+
+// Rasterise SVG markup to a PNG Blob at twice its size
+export async function svgToPng({ markup, width, height }) {
+  const image = await new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error('The chart image could not be drawn'))
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`
+  })
+  const canvas = document.createElement('canvas')
+  canvas.width = width * 2
+  canvas.height = height * 2
+  const ctx = canvas.getContext('2d')
+  if (!ctx) throw new Error('This browser cannot draw the chart image')
+  ctx.scale(2, 2)
+  ctx.drawImage(image, 0, 0, width, height)
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The chart image could not be created'))), 'image/png')
+  })
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import { chartCaption, seriesToCsv, seriesToJson, seriesToTable, barChart, framedChartSvg } from './chartExport'
+
+const columns = [
+  { key: 'police_force_name', label: 'Police force' },
+  { key: 'total_accidents', label: 'Total accidents' },
+]
+const rows = [
+  { police_force_name: 'Metropolitan Police', total_accidents: 24500, fatal_accidents: 80 },
+  { police_force_name: 'West Yorkshire', total_accidents: 5200, fatal_accidents: 30 },
+]
+const metadata = {
+  title: 'Police Force Statistics',
+  source: 'Sample data',
+  exported_at: '2024-03-01T12:00:00.000Z',
+  record_count: 2,
+  filters: { year: '2023' },
+}
+
+describe('chartCaption', () => {
+  it('names the source and year', () => {
+    expect(chartCaption(metadata)).toBe('Source: Sample data · Year: 2023')
+    expect(chartCaption({ ...metadata, filters: {} })).toBe('Source: Sample data · All years')
+  })
+})
+
+describe('seriesToCsv', () => {
+  it('writes the chosen columns under their labels', () => {
+    const lines = seriesToCsv(rows, columns, metadata).split('\r\n')
+    expect(lines).toContain('# Filters: year=2023')
+    expect(lines.slice(5, 8)).toEqual([
+      'Police force,Total accidents',
+      'Metropolitan Police,24500',
+      'West Yorkshire,5200',
+    ])
+  })
+})
+
+describe('seriesToJson', () => {
+  it('keeps the metadata, column labels and keyed data', () => {
+    const json = JSON.parse(seriesToJson(rows, columns, metadata))
+    expect(json).toMatchObject({ title: 'Police Force Statistics', source: 'Sample data', filters: { year: '2023' } })
+    expect(json.columns).toEqual({ police_force_name: 'Police force', total_accidents: 'Total accidents' })
+    expect(json.data[1]).toEqual({ police_force_name: 'West Yorkshire', total_accidents: 5200 })
+  })
+})
+
+describe('seriesToTable', () => {
+  const { text, html } = seriesToTable(rows, columns, metadata)
+
+  it('gives tab-separated text with the title and caption', () => {
+    expect(text.split('\n')).toEqual([
+      'Police Force Statistics',
+      'Police force\tTotal accidents',
+      'Metropolitan Police\t24500',
+      'West Yorkshire\t5200',
+      'Source: Sample data · Year: 2023',
+    ])
+  })
+
+  it('gives an HTML table with formatted numbers', () => {
+    expect(html).toContain('<caption>Police Force Statistics</caption>')
+    expect(html).toContain('<th>Police force</th><th>Total accidents</th>')
+    expect(html).toContain('<td>Metropolitan Police</td><td>24,500</td>')
+    expect(html).toContain('<tfoot><tr><td colspan="2">Source: Sample data · Year: 2023</td></tr></tfoot>')
+  })
+})
+
+describe('barChart', () => {
+  it('draws a bar per row up to the limit, scaled to the largest', () => {
+    const chart = barChart(rows, { label: 'police_force_name', value: 'total_accidents', limit: 1 })
+    expect(chart.height).toBe(28)
+    expect(chart.markup.match(/<rect/g)).toHaveLength(1)
+    expect(chart.markup).toContain('width="360"')
+    expect(chart.markup).toContain('>24,500</text>')
+  })
+
+  it('colours bars by row', () => {
+    const chart = barChart(rows, { label: 'police_force_name', value: 'total_accidents', color: (row) => (row.fatal_accidents > 50 ? '#dc2626' : '#16a34a') })
+    expect(chart.markup).toContain('fill="#dc2626"')
+    expect(chart.markup).toContain('fill="#16a34a"')
+  })
+})
+
+describe('framedChartSvg', () => {
+  it('adds the title above and the caption below the chart', () => {
+    const framed = framedChartSvg({ markup: '<svg></svg>', width: 100, height: 50 }, { title: 'A & B', caption: 'Source: X' })
+    expect(framed).toMatchObject({ width: 124, height: 114 })
+    expect(framed.markup).toContain('>A &amp; B</text>')
+    expect(framed.markup).toContain('<g transform="translate(12, 36)"><svg></svg></g>')
+    expect(framed.markup).toContain('>Source: X</text>')
+  })
+})
@@ -0,0 +1,170 @@
+// Result set exports for GIS and spreadsheets. Every format records where the
+// data came from and the filters that produced it:
+//   CSV     - leading "# key: value" comment lines
+//   GeoJSON - a `metadata` member on the FeatureCollection
+//   KML     - ExtendedData on the Document
+
+const SOURCE = 'UK Road Safety Dashboard'
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', type: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', type: 'application/vnd.google-earth.kml+xml' },
+}
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+
+// { title, source, exported_at, record_count, filters } with empty filters dropped
+export function buildMetadata({ title, filters = {}, count, source = SOURCE }) {
+  return {
+    title,
+    source,
+    exported_at: new Date().toISOString(),
+    record_count: count,
+    filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => !isEmpty(value))),
+  }
+}
+
+const describeFilters = (filters) =>
+  Object.entries(filters).map(([key, value]) => `${key}=${value}`).join('; ') || 'none'
+
+// Flat text for a value: coded STATS19 fields give their label, lists and
+// other objects are written as JSON
+function formatValue(value) {
+  if (isEmpty(value)) return ''
+  if (Array.isArray(value)) return value.length === 0 ? '' : JSON.stringify(value)
+  if (typeof value === 'object') return value.label ?? JSON.stringify(value)
+  return String(value)
+}
+
+// Every attribute that appears in any row, in first-seen order
+function getColumns(rows) {
+  const columns = new Set()
+  rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)))
+  return [...columns]
+}
+
+// Quote cells that need it, and stop spreadsheets reading text as a formula
+function csvCell(value) {
+  let text = formatValue(value)
+  if (typeof value === 'string' && /^[=+@]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCsv(rows, metadata) {
+  const columns = getColumns(rows)
+  const header = [
+    `# ${metadata.title}`,
+    `# Source: ${metadata.source}`,
+    `# Exported: ${metadata.exported_at}`,
+    `# Records: ${metadata.record_count}`,
+    `# Filters: ${describeFilters(metadata.filters)}`,
+  ]
+  const lines = rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+  return [...header, columns.join(','), ...lines].join('\r\n') + '\r\n'
+}
+
+// `getPosition(row)` gives [lat, lng] or null; rows without one get a null geometry
+export function toGeoJson(rows, metadata, getPosition) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    metadata,
+    features: rows.map(row => {
+      const position = getPosition(row)
+      return {
+        type: 'Feature',
+        geometry: position ? { type: 'Point', coordinates: [position[1], position[0]] } : null,
+        properties: row,
+      }
+    }),
+  }, null, 2)
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const extendedData = (entries, indent) => [
+  `${indent}<ExtendedData>`,
+  ...entries.map(([name, value]) => `${indent}  <Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`),
+  `${indent}</ExtendedData>`,
+]
+
+// KML colours are aabbggrr
+const kmlColor = (hex) => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`
+
+// `getName(row)` labels each placemark; `getColor(row)` optionally gives a
+// "#rrggbb" icon colour
+export function toKml(rows, metadata, { getPosition, getName, getColor }) {
+  const colors = getColor ? [...new Set(rows.map(getColor).filter(Boolean))] : []
+  const styleId = (color) => `color-${color.slice(1)}`
+
+  const placemarks = rows.flatMap(row => {
+    const position = getPosition(row)
+    const color = getColor?.(row)
+    const data = Object.entries(row)
+      .map(([key, value]) => [key, formatValue(value)])
+      .filter(([, value]) => value !== '')
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(getName(row))}</name>`,
+      ...(color ? [`      <styleUrl>#${styleId(color)}</styleUrl>`] : []),
+      ...extendedData(data, '      '),
+      ...(position ? [`      <Point><coordinates>${position[1]},${position[0]}</coordinates></Point>`] : []),
+      '    </Placemark>',
+    ]
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(metadata.title)}</name>`,
+    ...extendedData([
+      ['source', metadata.source],
+      ['exported_at', metadata.exported_at],
+      ['record_count', metadata.record_count],
+      ...Object.entries(metadata.filters).map(([key, value]) => [`filter_${key}`, formatValue(value)]),
+    ], '    '),
+    ...colors.map(color =>
+      `    <Style id="${styleId(color)}"><IconStyle><color>${kmlColor(color)}</color></IconStyle></Style>`
+    ),
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n')
+}
+
+// e.g. "accidents-2024-03-01.csv"
+export const exportFilename = (name, extension) =>
+  `${name}-${new Date().toISOString().slice(0, 10)}.${extension}`
+
+// Save text or a Blob through a temporary download link
+export function downloadFile(content, filename, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Download rows as 'csv', 'geojson' or 'kml'; options are
+//   { name, title, filters, getPosition, getName, getColor }
+export function exportRows(format, rows, { name, title, filters, ...options }) {
+  const metadata = buildMetadata({ title, filters, count: rows.length })
+  const content = format === 'csv'
+    ? toCsv(rows, metadata)
+    : format === 'geojson'
+      ? toGeoJson(rows, metadata, options.getPosition)
+      : toKml(rows, metadata, options)
+  const { extension, type } = EXPORT_FORMATS[format]
+  downloadFile(content, exportFilename(name, extension), type)
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest'
+import { buildMetadata, toCsv, toGeoJson, toKml, exportFilename } from './exporters'
+
+const metadata = {
+  title: 'Accidents in Leeds',
+  source: 'UK Road Safety Dashboard',
+  exported_at: '2024-03-01T12:00:00.000Z',
+  record_count: 2,
+  filters: { year: 2023, severity: 'Fatal' },
+}
+
+const rows = [
+  { accident_id: 'A1', severity: 1, latitude: 53.8, longitude: -1.55, weather_conditions: { code: 1, label: 'Fine' } },
+  { accident_id: 'A2', severity: 3, latitude: null, longitude: null, notes: 'Says "stop", then <turns>', vehicles: [] },
+]
+
+const getPosition = (row) => (row.latitude !== null ? [row.latitude, row.longitude] : null)
+
+describe('buildMetadata', () => {
+  it('records the source, count and non-empty filters', () => {
+    const result = buildMetadata({ title: 'Hotspots', filters: { year: '', limit: 50, town: null }, count: 3 })
+    expect(result).toMatchObject({
+      title: 'Hotspots',
+      source: 'UK Road Safety Dashboard',
+      record_count: 3,
+      filters: { limit: 50 },
+    })
+    expect(new Date(result.exported_at).toString()).not.toBe('Invalid Date')
+  })
+})
+
+describe('toCsv', () => {
+  const lines = toCsv(rows, metadata).split('\r\n')
+
+  it('starts with the metadata as comment lines', () => {
+    expect(lines.slice(0, 5)).toEqual([
+      '# Accidents in Leeds',
+      '# Source: UK Road Safety Dashboard',
+      '# Exported: 2024-03-01T12:00:00.000Z',
+      '# Records: 2',
+      '# Filters: year=2023; severity=Fatal',
+    ])
+  })
+
+  it('has a column for every attribute in any row', () => {
+    expect(lines[5]).toBe('accident_id,severity,latitude,longitude,weather_conditions,notes,vehicles')
+  })
+
+  it('writes coded fields as labels and quotes cells that need it', () => {
+    expect(lines[6]).toBe('A1,1,53.8,-1.55,Fine,,')
+    expect(lines[7]).toBe('A2,3,,,,"Says ""stop"", then <turns>",')
+  })
+
+  it('stops spreadsheets reading text as a formula', () => {
+    const csv = toCsv([{ name: '=SUM(A1)', score: -5 }], { ...metadata, filters: {} })
+    expect(csv).toContain('# Filters: none')
+    expect(csv).toContain("'=SUM(A1),-5")
+  })
+})
+
+describe('toGeoJson', () => {
+  const collection = JSON.parse(toGeoJson(rows, metadata, getPosition))
+
+  it('is a FeatureCollection carrying the metadata', () => {
+    expect(collection.type).toBe('FeatureCollection')
+    expect(collection.metadata).toEqual(metadata)
+  })
+
+  it('gives points in lng, lat order with every attribute', () => {
+    expect(collection.features[0].geometry).toEqual({ type: 'Point', coordinates: [-1.55, 53.8] })
+    expect(collection.features[0].properties).toEqual(rows[0])
+  })
+
+  it('keeps rows without a position with a null geometry', () => {
+    expect(collection.features[1].geometry).toBeNull()
+  })
+})
+
+describe('toKml', () => {
+  const kml = toKml(rows, metadata, {
+    getPosition,
+    getName: (row) => `Accident ${row.accident_id}`,
+    getColor: (row) => (row.severity === 1 ? '#dc2626' : '#16a34a'),
+  })
+
+  it('records the metadata on the document', () => {
+    expect(kml).toContain('<name>Accidents in Leeds</name>')
+    expect(kml).toContain('<Data name="record_count"><value>2</value></Data>')
+    expect(kml).toContain('<Data name="filter_severity"><value>Fatal</value></Data>')
+  })
+
+  it('styles placemarks by colour in aabbggrr order', () => {
+    expect(kml).toContain('<Style id="color-dc2626"><IconStyle><color>ff2626dc</color></IconStyle></Style>')
+    expect(kml).toContain('<styleUrl>#color-16a34a</styleUrl>')
+  })
+
+  it('places points in lng,lat order and escapes text', () => {
+    expect(kml).toContain('<Point><coordinates>-1.55,53.8</coordinates></Point>')
+    expect(kml).toContain('<value>Says &quot;stop&quot;, then &lt;turns&gt;</value>')
+    expect(kml.match(/<Point>/g)).toHaveLength(1)
+  })
+})
+
+describe('exportFilename', () => {
+  it('adds the date and extension', () => {
+    expect(exportFilename('hotspots', 'kml')).toMatch(/^hotspots-\d{4}-\d{2}-\d{2}\.kml$/)
+  })
+})
@@ -0,0 +1,236 @@
+// Geometry for drawn analysis areas and routes. Points are [lat, lng] pairs; shapes are
+//   { type: 'polygon', points }            - three or more corners
+//   { type: 'rectangle', points }          - two opposite corners
+//   { type: 'line', points, buffer }       - a road corridor, `buffer` metres either side
+
+const EARTH_RADIUS = 6371000
+
+const toRad = (deg) => deg * Math.PI / 180
+
+// Great-circle distance in metres
+export function distanceMeters([lat1, lng1], [lat2, lng2]) {
+  const dLat = toRad(lat2 - lat1)
+  const dLng = toRad(lng2 - lng1)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a))
+}
+
+// Flat x/y metres around an origin - accurate to well under 1% across the
+// few kilometres an analysis area spans
+function createProjection([lat0, lng0]) {
+  const ky = EARTH_RADIUS * Math.PI / 180
+  const kx = ky * Math.cos(toRad(lat0))
+  return {
+    toXY: ([lat, lng]) => [(lng - lng0) * kx, (lat - lat0) * ky],
+    toLatLng: ([x, y]) => [lat0 + y / ky, lng0 + x / kx],
+  }
+}
+
+// Distance from p to the segment a-b, all [x, y]
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq))
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy))
+}
+
+// Ray casting; the ring needn't repeat its first point
+export function pointInPolygon([lat, lng], ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lngI] = ring[i]
+    const [latJ, lngJ] = ring[j]
+    if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// Shortest distance in metres from a point to a polyline
+export function distanceToLine(point, line) {
+  const { toXY } = createProjection(point)
+  const p = toXY(point)
+  if (line.length === 1) return Math.hypot(...toXY(line[0]))
+
+  let min = Infinity
+  for (let i = 1; i < line.length; i++) {
+    min = Math.min(min, distanceToSegment(p, toXY(line[i - 1]), toXY(line[i])))
+  }
+  return min
+}
+
+// Length of a polyline in metres
+export function lineLength(line) {
+  let length = 0
+  for (let i = 1; i < line.length; i++) length += distanceMeters(line[i - 1], line[i])
+  return length
+}
+
+// Area of a polygon ring in square metres
+export function polygonArea(ring) {
+  const { toXY } = createProjection(ring[0])
+  const points = ring.map(toXY)
+  let sum = 0
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    sum += points[j][0] * points[i][1] - points[i][0] * points[j][1]
+  }
+  return Math.abs(sum) / 2
+}
+
+// Cut a polyline into consecutive pieces no longer than `maxLength` metres;
+// each piece starts where the previous one ends
+export function splitLine(line, maxLength) {
+  const pieces = []
+  let piece = [line[0]]
+  let pieceLength = 0
+
+  for (let i = 1; i < line.length; i++) {
+    let start = line[i - 1]
+    const end = line[i]
+    let remaining = distanceMeters(start, end)
+
+    while (remaining > 0 && pieceLength + remaining > maxLength) {
+      const t = (maxLength - pieceLength) / remaining
+      const cut = [start[0] + (end[0] - start[0]) * t, start[1] + (end[1] - start[1]) * t]
+      if (t > 0) piece.push(cut)
+      pieces.push(piece)
+      piece = [cut]
+      remaining -= maxLength - pieceLength
+      pieceLength = 0
+      start = cut
+    }
+    piece.push(end)
+    pieceLength += remaining
+  }
+
+  if (pieceLength > 0 || pieces.length === 0) pieces.push(piece)
+  return pieces
+}
+
+// Drop points that stray less than `tolerance` metres from a straight line
+// between their neighbours (Douglas-Peucker)
+export function simplifyLine(line, tolerance) {
+  if (line.length < 3) return line
+  const { toXY } = createProjection(line[0])
+  const points = line.map(toXY)
+  const keep = new Array(line.length).fill(false)
+  keep[0] = true
+  keep[line.length - 1] = true
+
+  const stack = [[0, line.length - 1]]
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    let furthest = -1
+    let maxDistance = tolerance
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last])
+      if (distance > maxDistance) {
+        furthest = i
+        maxDistance = distance
+      }
+    }
+    if (furthest !== -1) {
+      keep[furthest] = true
+      stack.push([first, furthest], [furthest, last])
+    }
+  }
+
+  return line.filter((_, i) => keep[i])
+}
+
+// { south, west, north, east } of a set of points, widened by `padding` metres
+export function getPointsBounds(points, padding = 0) {
+  const lats = points.map(([lat]) => lat)
+  const lngs = points.map(([, lng]) => lng)
+  const south = Math.min(...lats)
+  const north = Math.max(...lats)
+  const dLat = padding / (EARTH_RADIUS * Math.PI / 180)
+  const dLng = dLat / Math.cos(toRad((south + north) / 2))
+  return {
+    south: south - dLat,
+    west: Math.min(...lngs) - dLng,
+    north: north + dLat,
+    east: Math.max(...lngs) + dLng,
+  }
+}
+
+// The corridor around a polyline as rings to draw together (nonzero fill):
+// a quadrilateral per segment and a circle at each vertex, all wound
+// anticlockwise so their overlaps fill rather than cancel out
+export function bufferLine(line, meters, steps = 16) {
+  const { toXY, toLatLng } = createProjection(line[0])
+  const points = line.map(toXY)
+
+  const circles = points.map(([x, y]) => Array.from({ length: steps }, (_, i) => {
+    const angle = 2 * Math.PI * i / steps
+    return toLatLng([x + meters * Math.cos(angle), y + meters * Math.sin(angle)])
+  }))
+
+  const segments = []
+  for (let i = 1; i < points.length; i++) {
+    const [ax, ay] = points[i - 1]
+    const [bx, by] = points[i]
+    const length = Math.hypot(bx - ax, by - ay)
+    if (length === 0) continue
+    const nx = -(by - ay) / length * meters
+    const ny = (bx - ax) / length * meters
+    segments.push([
+      [ax - nx, ay - ny], [bx - nx, by - ny], [bx + nx, by + ny], [ax + nx, ay + ny],
+    ].map(toLatLng))
+  }
+
+  return [...segments, ...circles]
+}
+
+// The four corners of a rectangle shape
+export function rectangleCorners([[lat1, lng1], [lat2, lng2]]) {
+  return [[lat1, lng1], [lat1, lng2], [lat2, lng2], [lat2, lng1]]
+}
+
+export function shapeContains(shape, point) {
+  switch (shape.type) {
+    case 'polygon':
+      return pointInPolygon(point, shape.points)
+    case 'rectangle': {
+      const { south, west, north, east } = getPointsBounds(shape.points)
+      const [lat, lng] = point
+      return lat >= south && lat <= north && lng >= west && lng <= east
+    }
+    case 'line':
+      return distanceToLine(point, shape.points) <= shape.buffer
+    default:
+      return false
+  }
+}
+
+export function getShapeBounds(shape) {
+  return getPointsBounds(shape.points, shape.type === 'line' ? shape.buffer : 0)
+}
+
+// Shapes are kept in the URL as e.g. "polygon:51.5,-0.12;51.51,-0.12;51.51,-0.11"
+// or "line@50:51.5,-0.12;51.51,-0.11"; coordinates to ~1m
+export function encodeShape(shape) {
+  if (!shape) return ''
+  const type = shape.type === 'line' ? `line@${shape.buffer}` : shape.type
+  const points = shape.points.map(([lat, lng]) => `${Number(lat.toFixed(5))},${Number(lng.toFixed(5))}`)
+  return `${type}:${points.join(';')}`
+}
+
+const MIN_POINTS = { polygon: 3, rectangle: 2, line: 2 }
+
+// The shape an encoded string describes, or null if it isn't valid
+export function decodeShape(text) {
+  const match = /^(polygon|rectangle|line)(?:@(\d+(?:\.\d+)?))?:(.+)$/.exec(text || '')
+  if (!match) return null
+  const [, type, buffer, coords] = match
+
+  const points = coords.split(';').map(pair => pair.split(',').map(Number))
+  const valid = points.every(point => point.length === 2 && point.every(Number.isFinite))
+  if (!valid || points.length < MIN_POINTS[type]) return null
+  if (type === 'line' && !(Number(buffer) > 0)) return null
+
+  return type === 'line' ? { type, points, buffer: Number(buffer) } : { type, points }
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest'
+import {
+  distanceMeters, pointInPolygon, distanceToLine, lineLength, polygonArea, splitLine, simplifyLine,
+  getPointsBounds, bufferLine, shapeContains, getShapeBounds, encodeShape, decodeShape,
+} from './geometry'
+
+// Roughly 111m of latitude per 0.001 degree
+const SQUARE = [[51.5, -0.13], [51.5, -0.12], [51.51, -0.12], [51.51, -0.13]]
+
+describe('distanceMeters', () => {
+  it('measures great-circle distance', () => {
+    expect(distanceMeters([51.5, -0.12], [51.501, -0.12])).toBeCloseTo(111.2, 0)
+  })
+})
+
+describe('pointInPolygon', () => {
+  it('tells inside from outside', () => {
+    expect(pointInPolygon([51.505, -0.125], SQUARE)).toBe(true)
+    expect(pointInPolygon([51.515, -0.125], SQUARE)).toBe(false)
+  })
+
+  it('handles concave polygons', () => {
+    // An L shape missing its top-right quarter
+    const ell = [[0, 0], [0, 2], [1, 2], [1, 1], [2, 1], [2, 0]]
+    expect(pointInPolygon([0.5, 1.5], ell)).toBe(true)
+    expect(pointInPolygon([1.5, 1.5], ell)).toBe(false)
+  })
+})
+
+describe('distanceToLine', () => {
+  it('measures to the nearest segment', () => {
+    const line = [[51.5, -0.13], [51.5, -0.12]]
+    expect(distanceToLine([51.501, -0.125], line)).toBeCloseTo(111.2, 0)
+  })
+
+  it('measures to the end beyond a segment', () => {
+    const line = [[51.5, -0.13], [51.5, -0.12]]
+    expect(distanceToLine([51.5, -0.11], line)).toBeCloseTo(distanceMeters([51.5, -0.11], [51.5, -0.12]), -1)
+  })
+})
+
+describe('lineLength and polygonArea', () => {
+  it('sums the segments of a line', () => {
+    expect(lineLength([[51.5, -0.12], [51.501, -0.12], [51.502, -0.12]])).toBeCloseTo(222.4, 0)
+  })
+
+  it('measures area in square metres', () => {
+    // ~1112m north-south by ~693m east-west
+    expect(polygonArea(SQUARE) / 1e6).toBeCloseTo(0.77, 1)
+  })
+})
+
+describe('splitLine', () => {
+  const line = [[51.5, -0.12], [51.505, -0.12], [51.505, -0.11]]
+
+  it('cuts a line into pieces of at most the given length', () => {
+    const pieces = splitLine(line, 200)
+    pieces.forEach(piece => expect(lineLength(piece)).toBeLessThanOrEqual(200.001))
+    expect(pieces.reduce((sum, piece) => sum + lineLength(piece), 0)).toBeCloseTo(lineLength(line), 3)
+  })
+
+  it('joins each piece to the next', () => {
+    const pieces = splitLine(line, 300)
+    for (let i = 1; i < pieces.length; i++) {
+      expect(pieces[i][0]).toEqual(pieces[i - 1][pieces[i - 1].length - 1])
+    }
+    expect(pieces[pieces.length - 1].at(-1)).toEqual(line[2])
+  })
+
+  it('keeps a short line whole', () => {
+    expect(splitLine(line, 5000)).toEqual([line])
+  })
+})
+
+describe('simplifyLine', () => {
+  it('drops points close to the line between their neighbours', () => {
+    const line = [[51.5, -0.12], [51.50001, -0.119], [51.5, -0.118], [51.502, -0.117], [51.5, -0.116]]
+    expect(simplifyLine(line, 5)).toEqual([[51.5, -0.12], [51.5, -0.118], [51.502, -0.117], [51.5, -0.116]])
+  })
+})
+
+describe('getPointsBounds', () => {
+  it('pads the bounds by a distance', () => {
+    const bounds = getPointsBounds([[51.5, -0.12]], 111.2)
+    expect(bounds.north - bounds.south).toBeCloseTo(0.002, 4)
+    expect(bounds.east - bounds.west).toBeGreaterThan(0.002)
+  })
+})
+
+describe('bufferLine', () => {
+  it('returns a ring per segment and per vertex', () => {
+    const rings = bufferLine([[51.5, -0.13], [51.5, -0.12], [51.51, -0.12]], 50, 8)
+    expect(rings).toHaveLength(5)
+    expect(rings[4]).toHaveLength(8)
+  })
+})
+
+describe('shapes', () => {
+  const polygon = { type: 'polygon', points: SQUARE }
+  const rectangle = { type: 'rectangle', points: [[51.51, -0.12], [51.5, -0.13]] }
+  const line = { type: 'line', points: [[51.5, -0.13], [51.5, -0.12]], buffer: 50 }
+
+  it('tests containment by shape type', () => {
+    expect(shapeContains(polygon, [51.505, -0.125])).toBe(true)
+    expect(shapeContains(rectangle, [51.505, -0.125])).toBe(true)
+    expect(shapeContains(rectangle, [51.505, -0.135])).toBe(false)
+    expect(shapeContains(line, [51.5003, -0.125])).toBe(true)
+    expect(shapeContains(line, [51.5006, -0.125])).toBe(false)
+  })
+
+  it('includes the corridor in the bounds of a line', () => {
+    const bounds = getShapeBounds(line)
+    expect(bounds.north).toBeGreaterThan(51.5004)
+    expect(bounds.south).toBeLessThan(51.4996)
+  })
+
+  it('round-trips through the URL encoding', () => {
+    expect(decodeShape(encodeShape(polygon))).toEqual(polygon)
+    expect(decodeShape(encodeShape(line))).toEqual(line)
+    expect(encodeShape(line)).toBe('line@50:51.5,-0.13;51.5,-0.12')
+  })
+
+  it('rejects invalid encodings', () => {
+    expect(decodeShape('')).toBeNull()
+    expect(decodeShape('circle:51.5,-0.12;51.6,-0.1')).toBeNull()
+    expect(decodeShape('polygon:51.5,-0.12;51.6,-0.1')).toBeNull()
+    expect(decodeShape('line:51.5,-0.12;51.6,-0.1')).toBeNull()
+    expect(decodeShape('rectangle:51.5,abc;51.6,-0.1')).toBeNull()
+  })
+})
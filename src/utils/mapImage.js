@@ -0,0 +1,194 @@
+// Snapshot of a Leaflet map as a PNG, drawn layer by layer onto a canvas:
+// tiles, vector and canvas overlays, markers, then a legend and the map's
+// attribution burned in. Only tiles loaded with CORS (TileLayer crossOrigin)
+// are drawn, so the canvas can still be exported.
+
+const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+
+// Where an element sits relative to the map container
+function getOffset(element, origin) {
+  const rect = element.getBoundingClientRect()
+  return { x: rect.left - origin.left, y: rect.top - origin.top, width: rect.width, height: rect.height }
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => resolve(image)
+    image.onerror = reject
+    image.src = src
+  })
+}
+
+function drawTiles(ctx, container, origin) {
+  container.querySelectorAll('.leaflet-tile-pane img.leaflet-tile-loaded').forEach(tile => {
+    if (tile.crossOrigin === null) return
+    const { x, y, width, height } = getOffset(tile, origin)
+    ctx.drawImage(tile, x, y, width, height)
+  })
+}
+
+// SVG paths (circles, polygons, routes) and canvas layers (heatmaps, canvas points)
+async function drawOverlays(ctx, container, origin) {
+  const overlays = container.querySelectorAll('.leaflet-overlay-pane svg, .leaflet-overlay-pane canvas')
+  for (const overlay of overlays) {
+    const { x, y, width, height } = getOffset(overlay, origin)
+    if (overlay instanceof HTMLCanvasElement) {
+      ctx.drawImage(overlay, x, y, width, height)
+      continue
+    }
+    const svg = overlay.cloneNode(true)
+    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+    svg.setAttribute('width', width)
+    svg.setAttribute('height', height)
+    const markup = new XMLSerializer().serializeToString(svg)
+    const image = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`)
+    ctx.drawImage(image, x, y, width, height)
+  }
+}
+
+const circle = (ctx, x, y, radius) => {
+  ctx.beginPath()
+  ctx.arc(x, y, radius, 0, 2 * Math.PI)
+}
+
+// Cluster bubbles: the conic-gradient ring of categories and the count
+function drawCluster(ctx, bubble, { x, y, width }) {
+  const cx = x + width / 2
+  const cy = y + width / 2
+  const radius = width / 2
+  const stops = [...bubble.style.background.matchAll(/(#[0-9a-f]{3,8}|rgba?\([^)]*\))\s+([\d.]+)%\s+([\d.]+)%/gi)]
+
+  stops.forEach(([, color, start, end]) => {
+    const from = -Math.PI / 2 + start / 100 * 2 * Math.PI
+    const to = -Math.PI / 2 + end / 100 * 2 * Math.PI
+    ctx.beginPath()
+    ctx.moveTo(cx, cy)
+    ctx.arc(cx, cy, radius, from, to)
+    ctx.closePath()
+    ctx.fillStyle = color
+    ctx.fill()
+  })
+
+  circle(ctx, cx, cy, radius * 0.7)
+  ctx.fillStyle = '#ffffff'
+  ctx.fill()
+  ctx.fillStyle = '#111827'
+  ctx.font = `600 12px ${FONT}`
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(bubble.textContent.trim(), cx, cy)
+}
+
+// Dot markers with their white outline
+function drawDot(ctx, dot, { x, y, width }) {
+  circle(ctx, x + width / 2, y + width / 2, width / 2 - 1)
+  ctx.fillStyle = getComputedStyle(dot).backgroundColor || dot.style.background
+  ctx.globalAlpha = 0.85
+  ctx.fill()
+  ctx.globalAlpha = 1
+  ctx.lineWidth = 2
+  ctx.strokeStyle = '#ffffff'
+  ctx.stroke()
+}
+
+function drawMarkers(ctx, container, origin) {
+  container.querySelectorAll('.leaflet-marker-pane > *').forEach(marker => {
+    const offset = getOffset(marker, origin)
+    const bubble = marker.querySelector('.marker-cluster-breakdown')
+    const dot = marker.querySelector('.map-dot')
+    if (bubble) drawCluster(ctx, bubble, offset)
+    else if (dot) drawDot(ctx, dot, offset)
+    else if (marker instanceof HTMLImageElement) ctx.drawImage(marker, offset.x, offset.y, offset.width, offset.height)
+  })
+}
+
+// Title and legend entries ({ label, color }) in a box at the bottom left
+function drawLegend(ctx, { title, legend }, height) {
+  if (!title && legend.length === 0) return
+  ctx.font = `12px ${FONT}`
+  const lineHeight = 18
+  const width = Math.max(
+    title ? ctx.measureText(title).width + 8 : 0,
+    ...legend.map(({ label }) => ctx.measureText(label).width + 24)
+  ) + 16
+  const boxHeight = (legend.length + (title ? 1 : 0)) * lineHeight + 12
+  const left = 10
+  const top = height - boxHeight - 24
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)'
+  ctx.fillRect(left, top, width, boxHeight)
+  ctx.strokeStyle = '#d1d5db'
+  ctx.lineWidth = 1
+  ctx.strokeRect(left + 0.5, top + 0.5, width - 1, boxHeight - 1)
+
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'middle'
+  let y = top + 6 + lineHeight / 2
+  if (title) {
+    ctx.font = `600 12px ${FONT}`
+    ctx.fillStyle = '#111827'
+    ctx.fillText(title, left + 8, y)
+    y += lineHeight
+    ctx.font = `12px ${FONT}`
+  }
+  legend.forEach(({ label, color }) => {
+    circle(ctx, left + 14, y, 5)
+    ctx.fillStyle = color
+    ctx.fill()
+    ctx.fillStyle = '#374151'
+    ctx.fillText(label, left + 26, y)
+    y += lineHeight
+  })
+}
+
+function drawAttribution(ctx, container, width, height) {
+  const text = container.querySelector('.leaflet-control-attribution')?.textContent.trim()
+  if (!text) return
+  ctx.font = `11px ${FONT}`
+  const textWidth = ctx.measureText(text).width
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+  ctx.fillRect(width - textWidth - 10, height - 18, textWidth + 10, 18)
+  ctx.fillStyle = '#374151'
+  ctx.textAlign = 'right'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(text, width - 5, height - 9)
+}
+
+// Draw the map's current view; resolves to a PNG Blob.
+// Options: { title, legend: [{ label, color }] }
+export async function renderMapImage(map, { title, legend = [] } = {}) {
+  const container = map.getContainer()
+  const { x: width, y: height } = map.getSize()
+  const ratio = window.devicePixelRatio || 1
+  const canvas = document.createElement('canvas')
+  canvas.width = width * ratio
+  canvas.height = height * ratio
+  const ctx = canvas.getContext('2d')
+  if (!ctx) throw new Error('This browser cannot draw the map image')
+  ctx.scale(ratio, ratio)
+
+  const origin = container.getBoundingClientRect()
+  ctx.fillStyle = getComputedStyle(container).backgroundColor || '#dddddd'
+  ctx.fillRect(0, 0, width, height)
+  drawTiles(ctx, container, origin)
+  await drawOverlays(ctx, container, origin)
+  drawMarkers(ctx, container, origin)
+  drawLegend(ctx, { title, legend }, height)
+  drawAttribution(ctx, container, width, height)
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The map image could not be created'))), 'image/png')
+  })
+}
+
+// The same image as a data URL, for embedding in reports
+export async function renderMapDataUrl(map, options) {
+  const blob = await renderMapImage(map, options)
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
@@ -0,0 +1,223 @@
+// One-page A4 road safety report for a school or area, built in the browser
+// with jsPDF (loaded on first use) so it works offline. A report is
+//   { title, subtitle, risk: { label, color, note }, facts: [[label, value]],
+//     mapImage, severity: { fatal, serious, slight }, yearTrend: [{ year, total }],
+//     accidentsTitle, accidents, methodology: [note], source }
+// where mapImage is a PNG data URL (see renderMapDataUrl) or null, and
+// accidents are Accident records.
+
+const PAGE_WIDTH = 210
+const PAGE_HEIGHT = 297
+const MARGIN = 14
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2
+
+const SEVERITIES = [
+  { key: 'fatal', label: 'Fatal', color: '#dc2626' },
+  { key: 'serious', label: 'Serious', color: '#f59e0b' },
+  { key: 'slight', label: 'Slight', color: '#16a34a' },
+]
+const SEVERITY_LABELS = { 1: 'Fatal', 2: 'Serious', 3: 'Slight' }
+
+const GREY = '#6b7280'
+const DARK = '#111827'
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+
+const formatNumber = (value) => (value ?? 0).toLocaleString('en-GB')
+
+function setText(doc, { size = 9, style = 'normal', color = DARK } = {}) {
+  doc.setFont('helvetica', style)
+  doc.setFontSize(size)
+  doc.setTextColor(...hexToRgb(color))
+}
+
+function sectionHeading(doc, text, x, y) {
+  setText(doc, { size: 10, style: 'bold' })
+  doc.text(text, x, y)
+}
+
+// Title, subtitle and the risk level badge
+function drawHeader(doc, { title, subtitle, risk }) {
+  setText(doc, { size: 16, style: 'bold' })
+  doc.text(doc.splitTextToSize(title, CONTENT_WIDTH - 45)[0], MARGIN, MARGIN + 6)
+  if (subtitle) {
+    setText(doc, { size: 9, color: GREY })
+    doc.text(doc.splitTextToSize(subtitle, CONTENT_WIDTH - 45)[0], MARGIN, MARGIN + 12)
+  }
+
+  if (risk) {
+    const badgeWidth = 40
+    const x = PAGE_WIDTH - MARGIN - badgeWidth
+    doc.setFillColor(...hexToRgb(risk.color))
+    doc.roundedRect(x, MARGIN, badgeWidth, 9, 2, 2, 'F')
+    setText(doc, { size: 10, style: 'bold', color: '#ffffff' })
+    doc.text(risk.label, x + badgeWidth / 2, MARGIN + 6, { align: 'center' })
+    if (risk.note) {
+      setText(doc, { size: 7, color: GREY })
+      doc.text(risk.note, x + badgeWidth, MARGIN + 13, { align: 'right' })
+    }
+  }
+
+  doc.setDrawColor(...hexToRgb('#e5e7eb'))
+  doc.line(MARGIN, MARGIN + 17, PAGE_WIDTH - MARGIN, MARGIN + 17)
+  return MARGIN + 23
+}
+
+// Label/value pairs, four to a row
+function drawFacts(doc, facts, top) {
+  const columnWidth = CONTENT_WIDTH / 4
+  facts.forEach(([label, value], i) => {
+    const x = MARGIN + (i % 4) * columnWidth
+    const y = top + Math.floor(i / 4) * 10
+    setText(doc, { size: 7, color: GREY })
+    doc.text(label, x, y)
+    setText(doc, { size: 10, style: 'bold' })
+    doc.text(doc.splitTextToSize(String(value), columnWidth - 3)[0], x, y + 4.5)
+  })
+  return top + Math.ceil(facts.length / 4) * 10 + 2
+}
+
+function drawMap(doc, mapImage, x, y, width, height) {
+  if (mapImage) {
+    doc.addImage(mapImage, 'PNG', x, y, width, height)
+  } else {
+    doc.setFillColor(...hexToRgb('#f3f4f6'))
+    doc.rect(x, y, width, height, 'F')
+    setText(doc, { size: 9, color: GREY })
+    doc.text('Map snapshot unavailable', x + width / 2, y + height / 2, { align: 'center' })
+  }
+  doc.setDrawColor(...hexToRgb('#d1d5db'))
+  doc.rect(x, y, width, height)
+}
+
+function drawSeverity(doc, severity, x, y, width) {
+  sectionHeading(doc, 'Severity breakdown', x, y)
+  const total = SEVERITIES.reduce((sum, { key }) => sum + (severity[key] || 0), 0)
+  const max = Math.max(1, ...SEVERITIES.map(({ key }) => severity[key] || 0))
+  SEVERITIES.forEach(({ key, label, color }, i) => {
+    const rowY = y + 6 + i * 7
+    const count = severity[key] || 0
+    setText(doc, { size: 8 })
+    doc.text(label, x, rowY + 3)
+    doc.setFillColor(...hexToRgb(color))
+    doc.rect(x + 16, rowY, Math.max(0.5, (count / max) * (width - 46)), 4, 'F')
+    const share = total > 0 ? ` (${(count / total * 100).toFixed(0)}%)` : ''
+    doc.text(`${formatNumber(count)}${share}`, x + width, rowY + 3, { align: 'right' })
+  })
+  return y + 6 + SEVERITIES.length * 7
+}
+
+function drawYearTrend(doc, yearTrend, x, y, width, height) {
+  sectionHeading(doc, 'Accidents by year', x, y)
+  if (yearTrend.length === 0) {
+    setText(doc, { size: 8, color: GREY })
+    doc.text('No accidents recorded', x, y + 6)
+    return
+  }
+  const max = Math.max(1, ...yearTrend.map(d => d.total))
+  const slot = width / yearTrend.length
+  const barWidth = Math.min(10, slot * 0.6)
+  const base = y + height
+  yearTrend.forEach(({ year, total }, i) => {
+    const barHeight = (total / max) * (height - 14)
+    const cx = x + slot * i + slot / 2
+    doc.setFillColor(...hexToRgb('#2563eb'))
+    doc.rect(cx - barWidth / 2, base - barHeight, barWidth, Math.max(0.3, barHeight), 'F')
+    setText(doc, { size: 7 })
+    doc.text(formatNumber(total), cx, base - barHeight - 1, { align: 'center' })
+    setText(doc, { size: 7, color: GREY })
+    doc.text(String(year), cx, base + 4, { align: 'center' })
+  })
+}
+
+const ACCIDENT_COLUMNS = [
+  { label: 'Date', width: 24, value: a => a.accident_date || '' },
+  { label: 'Time', width: 14, value: a => a.accident_time || '' },
+  { label: 'Severity', width: 20, value: a => SEVERITY_LABELS[a.severity] || '' },
+  { label: 'Distance', width: 20, value: a => (a.distance_meters !== null && a.distance_meters !== undefined ? `${Math.round(a.distance_meters)} m` : '') },
+  { label: 'Casualties', width: 20, value: a => formatNumber(a.number_of_casualties) },
+  { label: 'Vehicles', width: 18, value: a => formatNumber(a.number_of_vehicles) },
+  { label: 'Reference', width: 66, value: a => a.accident_id || '' },
+]
+
+const ROW_HEIGHT = 4.6
+
+// As many accidents as fit above `bottom`, then a count of the rest
+function drawAccidents(doc, { accidentsTitle, accidents }, top, bottom) {
+  sectionHeading(doc, `${accidentsTitle} (${formatNumber(accidents.length)})`, MARGIN, top)
+  if (accidents.length === 0) {
+    setText(doc, { size: 8, color: GREY })
+    doc.text('No accidents recorded.', MARGIN, top + 6)
+    return
+  }
+
+  let y = top + 6
+  doc.setFillColor(...hexToRgb('#f3f4f6'))
+  doc.rect(MARGIN, y - 3.4, CONTENT_WIDTH, ROW_HEIGHT, 'F')
+  setText(doc, { size: 7.5, style: 'bold' })
+  let x = MARGIN + 1
+  ACCIDENT_COLUMNS.forEach(column => {
+    doc.text(column.label, x, y)
+    x += column.width
+  })
+
+  const fits = Math.max(0, Math.floor((bottom - y - ROW_HEIGHT * 2) / ROW_HEIGHT))
+  const shown = accidents.length > fits ? fits : accidents.length
+  accidents.slice(0, shown).forEach(accident => {
+    y += ROW_HEIGHT
+    x = MARGIN + 1
+    const color = accident.severity === 1 ? '#dc2626' : accident.severity === 2 ? '#b45309' : DARK
+    ACCIDENT_COLUMNS.forEach(column => {
+      setText(doc, { size: 7.5, color: column.label === 'Severity' ? color : DARK })
+      doc.text(String(column.value(accident)), x, y)
+      x += column.width
+    })
+  })
+
+  if (shown < accidents.length) {
+    setText(doc, { size: 7.5, style: 'italic', color: GREY })
+    doc.text(`... and ${formatNumber(accidents.length - shown)} more, not listed.`, MARGIN + 1, y + ROW_HEIGHT)
+  }
+}
+
+// Methodology notes and the source line, anchored to the foot of the page;
+// returns where they start
+function drawFooter(doc, { methodology, source }) {
+  setText(doc, { size: 7.5, color: GREY })
+  const lines = methodology.flatMap(note => doc.splitTextToSize(`- ${note}`, CONTENT_WIDTH))
+  const generated = `Generated ${new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}`
+    + ` by the UK Road Safety Dashboard. Source: ${source}.`
+  const lineHeight = 3.4
+  const top = PAGE_HEIGHT - MARGIN - lines.length * lineHeight - 12
+
+  doc.setDrawColor(...hexToRgb('#e5e7eb'))
+  doc.line(MARGIN, top - 4, PAGE_WIDTH - MARGIN, top - 4)
+  sectionHeading(doc, 'Methodology', MARGIN, top)
+  setText(doc, { size: 7.5, color: GREY })
+  doc.text(lines, MARGIN, top + 5, { lineHeightFactor: 1.25 })
+  setText(doc, { size: 7, style: 'italic', color: GREY })
+  doc.text(generated, MARGIN, PAGE_HEIGHT - MARGIN)
+  return top - 4
+}
+
+// Lay the report out on a single A4 page; resolves to the jsPDF document
+export async function buildReportPdf(report) {
+  const { jsPDF } = await import('jspdf')
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' })
+  doc.setProperties({ title: report.title, subject: 'Road safety report', creator: 'UK Road Safety Dashboard' })
+
+  let y = drawHeader(doc, report)
+  y = drawFacts(doc, report.facts, y)
+
+  const mapWidth = 110
+  const mapHeight = 78
+  drawMap(doc, report.mapImage, MARGIN, y, mapWidth, mapHeight)
+  const sideX = MARGIN + mapWidth + 8
+  const sideWidth = CONTENT_WIDTH - mapWidth - 8
+  const severityBottom = drawSeverity(doc, report.severity, sideX, y + 3, sideWidth)
+  drawYearTrend(doc, report.yearTrend, sideX, severityBottom + 7, sideWidth, y + mapHeight - severityBottom - 11)
+
+  const footerTop = drawFooter(doc, report)
+  drawAccidents(doc, report, y + mapHeight + 9, footerTop - 4)
+  return doc
+}
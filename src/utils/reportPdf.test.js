@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { buildReportPdf } from './reportPdf'
+
+const accident = (i) => ({
+  accident_id: `2023010${String(i).padStart(5, '0')}`,
+  accident_date: '2023-03-06',
+  accident_time: '08:15',
+  severity: i === 0 ? 1 : 3,
+  distance_meters: 40 + i,
+  number_of_casualties: 1,
+  number_of_vehicles: 2,
+})
+
+const report = (accidents) => ({
+  title: 'Oakfield Primary School',
+  subtitle: 'Primary, High Street, Leeds, LS1 4AP',
+  risk: { label: 'High Risk', color: '#dc2626', note: '12 accidents within 500 m' },
+  facts: [['Search radius', '500 m'], ['Accidents', '12']],
+  mapImage: null,
+  severity: { fatal: 1, serious: 2, slight: 9 },
+  yearTrend: [{ year: 2022, total: 5 }, { year: 2023, total: 7 }],
+  accidentsTitle: 'Accidents within 500 m',
+  accidents,
+  methodology: ['Accidents within 500 m of the school.'],
+  source: 'Sample data',
+})
+
+describe('buildReportPdf', () => {
+  it('lays the report out on one A4 page', async () => {
+    const doc = await buildReportPdf(report([accident(0), accident(1)]))
+    const pdf = doc.output()
+
+    expect(doc.getNumberOfPages()).toBe(1)
+    expect(doc.internal.pageSize.getWidth()).toBeCloseTo(210, 0)
+    expect(pdf).toContain('(Oakfield Primary School)')
+    expect(pdf).toContain('(High Risk)')
+    expect(pdf).toContain('(Map snapshot unavailable)')
+    expect(pdf).toContain('(Accidents within 500 m \\(2\\))')
+    expect(pdf).toContain('(202301000000)')
+    expect(pdf).toContain('(- Accidents within 500 m of the school.)')
+  })
+
+  it('lists as many accidents as fit and counts the rest', async () => {
+    const doc = await buildReportPdf(report(Array.from({ length: 120 }, (_, i) => accident(i))))
+    const pdf = doc.output()
+
+    expect(doc.getNumberOfPages()).toBe(1)
+    const listed = pdf.match(/\(2023010\d{5}\)/g).length
+    expect(listed).toBeGreaterThan(10)
+    expect(pdf).toContain(`(... and ${120 - listed} more, not listed.)`)
+  })
+})
@@ -0,0 +1,88 @@
+import { simplifyLine } from './geometry'
+
+// Reading routes from uploaded GPX and GeoJSON files into [lat, lng] lines
+
+// Routes are kept in the URL, so long tracks are simplified to at most this
+// many points
+const MAX_ROUTE_POINTS = 250
+const SIMPLIFY_TOLERANCE = 5
+
+const isPoint = ([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng)
+
+// Track points, else route points, of a GPX document
+function parseGpx(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('This GPX file could not be read')
+
+  for (const tag of ['trkpt', 'rtept']) {
+    const points = [...doc.getElementsByTagName(tag)]
+      .map(el => [Number(el.getAttribute('lat')), Number(el.getAttribute('lon'))])
+      .filter(isPoint)
+    if (points.length >= 2) return points
+  }
+  throw new Error('This GPX file has no track or route')
+}
+
+// The first LineString (or MultiLineString, joined up) in a GeoJSON object
+function findLine(geojson) {
+  if (!geojson || typeof geojson !== 'object') return null
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return geojson.features?.reduce((line, feature) => line || findLine(feature), null) || null
+    case 'Feature':
+      return findLine(geojson.geometry)
+    case 'GeometryCollection':
+      return geojson.geometries?.reduce((line, geometry) => line || findLine(geometry), null) || null
+    case 'LineString':
+      return geojson.coordinates
+    case 'MultiLineString':
+      return geojson.coordinates?.flat()
+    default:
+      return null
+  }
+}
+
+function parseGeoJson(text) {
+  let geojson
+  try {
+    geojson = JSON.parse(text)
+  } catch {
+    throw new Error('This file is not GPX or GeoJSON')
+  }
+  const coordinates = findLine(geojson)
+  // GeoJSON positions are [lng, lat]
+  const points = (coordinates || []).map(([lng, lat]) => [lat, lng]).filter(isPoint)
+  if (points.length < 2) throw new Error('This GeoJSON has no line to follow')
+  return points
+}
+
+// The route in a GPX or GeoJSON file's text, simplified for the URL.
+// Throws an Error with a message to show when the file can't be used.
+export function parseRouteFile(text, filename = '') {
+  const isGpx = /\.gpx$/i.test(filename) || text.trimStart().startsWith('<')
+  const points = isGpx ? parseGpx(text) : parseGeoJson(text)
+
+  let tolerance = SIMPLIFY_TOLERANCE
+  let route = simplifyLine(points, tolerance)
+  while (route.length > MAX_ROUTE_POINTS) {
+    tolerance *= 2
+    route = simplifyLine(points, tolerance)
+  }
+  return route
+}
+
+// parseRouteFile for an uploaded File
+export function readRouteFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => {
+      try {
+        resolve(parseRouteFile(reader.result, file.name))
+      } catch (error) {
+        reject(error)
+      }
+    }
+    reader.onerror = () => reject(new Error('This file could not be read'))
+    reader.readAsText(file)
+  })
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import { parseRouteFile } from './routeFiles'
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><trkseg>
+    <trkpt lat="51.5" lon="-0.12"></trkpt>
+    <trkpt lat="51.505" lon="-0.12"></trkpt>
+    <trkpt lat="51.505" lon="-0.11"></trkpt>
+  </trkseg></trk>
+</gpx>`
+
+describe('parseRouteFile', () => {
+  it('reads GPX tracks', () => {
+    expect(parseRouteFile(GPX, 'walk.gpx')).toEqual([[51.5, -0.12], [51.505, -0.12], [51.505, -0.11]])
+  })
+
+  it('reads GPX routes', () => {
+    const gpx = '<gpx><rte><rtept lat="51.5" lon="-0.12"/><rtept lat="51.51" lon="-0.12"/></rte></gpx>'
+    expect(parseRouteFile(gpx)).toEqual([[51.5, -0.12], [51.51, -0.12]])
+  })
+
+  it('reads GeoJSON lines, swapping to lat/lng', () => {
+    const feature = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [-0.1, 51.5] } },
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [[-0.12, 51.5], [-0.12, 51.51]] } },
+      ],
+    }
+    expect(parseRouteFile(JSON.stringify(feature), 'route.geojson')).toEqual([[51.5, -0.12], [51.51, -0.12]])
+  })
+
+  it('joins up multi-line strings', () => {
+    const geometry = { type: 'MultiLineString', coordinates: [[[-0.12, 51.5], [-0.12, 51.505]], [[-0.11, 51.505], [-0.11, 51.51]]] }
+    expect(parseRouteFile(JSON.stringify(geometry))).toHaveLength(4)
+  })
+
+  it('simplifies long tracks', () => {
+    const points = Array.from({ length: 1000 }, (_, i) => [-0.12 + i * 0.0001, 51.5 + Math.sin(i / 10) * 0.001])
+    const route = parseRouteFile(JSON.stringify({ type: 'LineString', coordinates: points }))
+    expect(route.length).toBeLessThanOrEqual(250)
+    expect(route[0]).toEqual([51.5, -0.12])
+  })
+
+  it('explains files it cannot use', () => {
+    expect(() => parseRouteFile('<gpx><wpt lat="51.5" lon="-0.1"/></gpx>')).toThrow('This GPX file has no track or route')
+    expect(() => parseRouteFile('{"type":"Point","coordinates":[0,51]}')).toThrow('This GeoJSON has no line to follow')
+    expect(() => parseRouteFile('hello', 'notes.txt')).toThrow('This file is not GPX or GeoJSON')
+  })
+})
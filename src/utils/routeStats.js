@@ -0,0 +1,87 @@
+import { distanceToLine, lineLength, splitLine } from './geometry'
+
+// Safety figures for a route: how many accidents lie along it, where they
+// cluster and how that compares with the area around it
+
+// Accidents within this distance (metres) of a route form its local area,
+// the baseline the route is compared against
+export const LOCAL_AREA_BUFFER = 1000
+
+// Routes are cut into at most this many segments, each at least this long
+const MAX_SEGMENTS = 20
+const MIN_SEGMENT_LENGTH = 200
+
+const WORST_SEGMENTS = 3
+
+const isKsi = (accident) => accident.severity === 1 || accident.severity === 2
+
+// Area in m² within `buffer` metres of a line this long
+const corridorArea = (length, buffer) => 2 * buffer * length + Math.PI * buffer * buffer
+
+// `accidents` are those loaded for the route's local area; those within
+// `buffer` metres of the line count as on the route. Returns
+//   { length, accidents, perKm, ksi, fatal, serious,
+//     segments: [{ index, from, to, points, count, ksi }], worst,
+//     localCount, densityRatio }
+// where accidents carry their distance_meters from the route, from/to are
+// metres along it, worst are the segments with most accidents and
+// densityRatio is the accident density along the route over that of its
+// local area (null without local accidents).
+export function analyseRoute(route, accidents, buffer) {
+  const length = lineLength(route)
+  const segmentLength = Math.max(MIN_SEGMENT_LENGTH, length / MAX_SEGMENTS)
+  let from = 0
+  const segments = splitLine(route, segmentLength).map((points, index) => {
+    const to = from + lineLength(points)
+    const segment = { index, from, to, points, count: 0, ksi: 0 }
+    from = to
+    return segment
+  })
+
+  const onRoute = []
+  let localCount = 0
+  accidents.forEach(accident => {
+    if (accident.latitude === null || accident.longitude === null) return
+    const point = [accident.latitude, accident.longitude]
+    const distance = distanceToLine(point, route)
+    if (distance > LOCAL_AREA_BUFFER) return
+    localCount += 1
+    if (distance > buffer) return
+
+    onRoute.push({ ...accident, distance_meters: distance })
+    let nearest = segments[0]
+    let nearestDistance = Infinity
+    segments.forEach(segment => {
+      const d = distanceToLine(point, segment.points)
+      if (d < nearestDistance) {
+        nearest = segment
+        nearestDistance = d
+      }
+    })
+    nearest.count += 1
+    if (isKsi(accident)) nearest.ksi += 1
+  })
+
+  const fatal = onRoute.filter(a => a.severity === 1).length
+  const serious = onRoute.filter(a => a.severity === 2).length
+  const worst = segments
+    .filter(segment => segment.count > 0)
+    .sort((a, b) => b.count - a.count || b.ksi - a.ksi || a.index - b.index)
+    .slice(0, WORST_SEGMENTS)
+
+  const routeDensity = onRoute.length / corridorArea(length, buffer)
+  const localDensity = localCount / corridorArea(length, LOCAL_AREA_BUFFER)
+
+  return {
+    length,
+    accidents: onRoute,
+    perKm: length > 0 ? onRoute.length / (length / 1000) : 0,
+    ksi: fatal + serious,
+    fatal,
+    serious,
+    segments,
+    worst,
+    localCount,
+    densityRatio: localCount > 0 ? routeDensity / localDensity : null,
+  }
+}
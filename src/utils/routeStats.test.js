@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import { analyseRoute } from './routeStats'
+
+// A 1.1km route due north; 0.001 degrees of latitude is ~111m
+const ROUTE = [[51.5, -0.12], [51.51, -0.12]]
+
+// An accident `metres` east of the route, `fraction` of the way along it
+const accident = (id, fraction, metres, severity = 3) => ({
+  accident_id: id,
+  severity,
+  latitude: 51.5 + 0.01 * fraction,
+  longitude: -0.12 + metres / 69400,
+})
+
+describe('analyseRoute', () => {
+  const accidents = [
+    accident('a', 0.1, 10, 1),
+    accident('b', 0.12, 20),
+    accident('c', 0.15, 30, 2),
+    accident('d', 0.9, 5),
+    accident('e', 0.5, 400),
+    accident('f', 0.5, 900),
+    accident('g', 0.5, 3000),
+  ]
+  const analysis = analyseRoute(ROUTE, accidents, 50)
+
+  it('counts the accidents along the route', () => {
+    expect(analysis.length).toBeCloseTo(1112, -1)
+    expect(analysis.accidents.map(a => a.accident_id)).toEqual(['a', 'b', 'c', 'd'])
+    expect(analysis.accidents[0].distance_meters).toBeCloseTo(10, 0)
+    expect(analysis.perKm).toBeCloseTo(4 / 1.112, 1)
+    expect(analysis).toMatchObject({ ksi: 2, fatal: 1, serious: 1 })
+  })
+
+  it('splits the route into segments and ranks the worst', () => {
+    // 200m segments, the last one shorter
+    expect(analysis.segments.map(s => s.count)).toEqual([3, 0, 0, 0, 0, 1])
+    expect(analysis.segments[5].to).toBeCloseTo(analysis.length, 5)
+    expect(analysis.worst.map(s => s.index)).toEqual([0, 5])
+    expect(analysis.worst[0]).toMatchObject({ from: 0, count: 3, ksi: 2 })
+  })
+
+  it('compares the route with its local area', () => {
+    // 6 accidents within 1km; the 50m corridor covers ~5% of that area
+    expect(analysis.localCount).toBe(6)
+    const routeArea = 2 * 50 * analysis.length + Math.PI * 50 ** 2
+    const localArea = 2 * 1000 * analysis.length + Math.PI * 1000 ** 2
+    expect(analysis.densityRatio).toBeCloseTo((4 / routeArea) / (6 / localArea), 5)
+  })
+
+  it('has no comparison without local accidents', () => {
+    const empty = analyseRoute(ROUTE, [], 50)
+    expect(empty).toMatchObject({ perKm: 0, ksi: 0, worst: [], densityRatio: null })
+  })
+})
@@ -0,0 +1,119 @@
+import { getRiskLevel } from './schoolRisk'
+
+// The School Safety filters, shared by the school list and the comparison
+// page: what the accident counts cover and which schools are pinned.
+
+// Default school filters
+export const DEFAULT_FILTERS = {
+  search: '',
+  phase: '',
+  county: '',
+  town: '',
+  radius: 500,
+  year: '',
+  riskLevel: '',
+  timeWindow: '',
+  termTime: false,
+  childCasualties: false,
+  orderBy: 'accident_count',
+  pageSize: 50,
+}
+
+// Years with accident data, newest first
+export const YEAR_OPTIONS = ['2024', '2023', '2022', '2021', '2020']
+
+// The years from `fromYear` to `toYear`, newest first; an empty bound is
+// open, so a single year is (year, year) and every year is ('', '')
+export const getYearRange = (fromYear, toYear) => YEAR_OPTIONS.filter(year => (
+  (!fromYear || year >= fromYear) && (!toYear || year <= toYear)
+))
+
+// Years the accident counts cover, for per-year risk scores
+export const getYearsCovered = (fromYear, toYear = fromYear) => getYearRange(fromYear, toYear).length
+
+// The school endpoints take a single `year`, so a range is requested a year
+// at a time: one set of params per year, newest first. Every year needs no
+// year param and is one request.
+export function getYearRequests(params, fromYear, toYear) {
+  const years = getYearRange(fromYear, toYear)
+  if (years.length === YEAR_OPTIONS.length) return [params]
+  return years.map(year => ({ ...params, year: parseInt(year) }))
+}
+
+// One school from its detail for each year of a range: counts added up and
+// accidents listed newest first
+export function mergeSchoolYears([school, ...others]) {
+  return others.reduce((merged, year) => ({
+    ...merged,
+    accident_count: merged.accident_count + year.accident_count,
+    fatal_count: merged.fatal_count + year.fatal_count,
+    serious_count: merged.serious_count + year.serious_count,
+    slight_count: merged.slight_count + year.slight_count,
+    accidents: [...merged.accidents, ...year.accidents],
+  }), school)
+}
+
+// The radius and years a school's counts are scored over (see scoreSchool)
+export const getRiskContext = ({ radius, year }) => ({ radius, years: getYearsCovered(year) })
+
+// Unfiltered counts: every year within the default radius
+export const DEFAULT_RISK_CONTEXT = getRiskContext(DEFAULT_FILTERS)
+
+// API params for what the accident counts cover: radius and year. The school
+// run is not a server filter; see narrowToSchoolRun in schoolRun.js.
+export function getCountParams(filters) {
+  const params = { radius: filters.radius }
+  if (filters.year) params.year = parseInt(filters.year)
+  return params
+}
+
+// API params for the applied filters
+export function getSchoolParams(filters) {
+  const params = {
+    ...getCountParams(filters),
+    page_size: filters.pageSize,
+    order_by: filters.orderBy,
+    order_dir: 'desc',
+  }
+
+  if (filters.search) params.search = filters.search
+  if (filters.phase) params.phase = filters.phase
+  if (filters.county) params.county = filters.county
+  if (filters.town) params.town = filters.town
+  if (filters.riskLevel) params.risk_level = filters.riskLevel
+  return params
+}
+
+// Schools counted on the client (e.g. narrowed to the school run) in the
+// count band and order the server would give them: riskLevel, then orderBy
+// descending
+export function orderSchools(schools, { riskLevel, orderBy }) {
+  const banded = riskLevel ? schools.filter(school => getRiskLevel(school.accident_count) === riskLevel) : schools
+  return [...banded].sort((a, b) => (
+    orderBy === 'name' ? b.name.localeCompare(a.name) : (b[orderBy] ?? 0) - (a[orderBy] ?? 0)
+  ))
+}
+
+// The risk summary (see getSchoolRiskSummary) for schools counted on the
+// client. Accidents near more than one school are counted once.
+export function summarizeSchools(schools) {
+  const accidents = new Map()
+  schools.forEach(school => (school.accidents || []).forEach(accident => accidents.set(accident.accident_id, accident)))
+  const band = (level) => schools.filter(school => getRiskLevel(school.accident_count) === level).length
+
+  return {
+    total_schools: schools.length,
+    total_accidents: accidents.size,
+    total_fatal: [...accidents.values()].filter(accident => accident.severity === 1).length,
+    high_risk_count: band('high'),
+    medium_risk_count: band('medium'),
+    low_risk_count: band('low'),
+  }
+}
+
+// The school-run part of the filters, for describeSchoolRun
+export const getSchoolRunFilters = ({ timeWindow, termTime, childCasualties }) => ({ timeWindow, termTime, childCasualties })
+
+// Schools pinned for comparison travel in the URL as "compare=100100,100113"
+export const MAX_COMPARE = 4
+export const parseCompare = (value) => (value ? value.split(',').filter(Boolean) : [])
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_FILTERS, DEFAULT_RISK_CONTEXT, getYearRange, getYearsCovered, getYearRequests, mergeSchoolYears, getRiskContext,
+  getCountParams, getSchoolParams, orderSchools, summarizeSchools, getSchoolRunFilters, parseCompare,
+} from './schoolFilters'
+
+describe('getCountParams', () => {
+  it('sends the radius and year the counts cover', () => {
+    expect(getCountParams(DEFAULT_FILTERS)).toEqual({ radius: 500 })
+    expect(getCountParams({ ...DEFAULT_FILTERS, radius: 800, year: '2023', timeWindow: 'drop_off' }))
+      .toEqual({ radius: 800, year: 2023 })
+  })
+})
+
+describe('getSchoolParams', () => {
+  it('sends the search filters with the counts', () => {
+    expect(getSchoolParams({ ...DEFAULT_FILTERS, phase: 'Primary', riskLevel: 'high' })).toEqual({
+      radius: 500, page_size: 50, order_by: 'accident_count', order_dir: 'desc', phase: 'Primary', risk_level: 'high',
+    })
+  })
+})
+
+describe('orderSchools', () => {
+  const schools = [
+    { name: 'Elm Park', accident_count: 3, number_of_pupils: 200 },
+    { name: 'Oakfield', accident_count: 12, number_of_pupils: null },
+    { name: 'Ashgrove', accident_count: 6, number_of_pupils: 400 },
+  ]
+
+  it('bands and orders the schools by their own counts', () => {
+    expect(orderSchools(schools, { riskLevel: '', orderBy: 'accident_count' }).map(s => s.name))
+      .toEqual(['Oakfield', 'Ashgrove', 'Elm Park'])
+    expect(orderSchools(schools, { riskLevel: 'medium', orderBy: 'accident_count' }).map(s => s.name))
+      .toEqual(['Ashgrove'])
+    expect(orderSchools(schools, { riskLevel: '', orderBy: 'number_of_pupils' }).map(s => s.name))
+      .toEqual(['Ashgrove', 'Elm Park', 'Oakfield'])
+  })
+})
+
+describe('summarizeSchools', () => {
+  it('bands the schools and counts shared accidents once', () => {
+    const shared = { accident_id: 'A1', severity: 1 }
+    const schools = [
+      { accident_count: 2, accidents: [shared, { accident_id: 'A2', severity: 3 }] },
+      { accident_count: 1, accidents: [shared] },
+    ]
+
+    expect(summarizeSchools(schools)).toEqual({
+      total_schools: 2,
+      total_accidents: 2,
+      total_fatal: 1,
+      high_risk_count: 0,
+      medium_risk_count: 0,
+      low_risk_count: 2,
+    })
+  })
+})
+
+describe('getYearRange', () => {
+  it('lists the years between the bounds, newest first', () => {
+    expect(getYearRange('2021', '2023')).toEqual(['2023', '2022', '2021'])
+    expect(getYearRange('2023', '')).toEqual(['2024', '2023'])
+  })
+})
+
+describe('getYearsCovered', () => {
+  it('counts one year, a range or every year', () => {
+    expect(getYearsCovered('2023')).toBe(1)
+    expect(getYearsCovered('2021', '2023')).toBe(3)
+    expect(getYearsCovered('')).toBe(5)
+  })
+})
+
+describe('getYearRequests', () => {
+  it('requests a range a year at a time', () => {
+    expect(getYearRequests({ radius: 500 }, '2022', '2023')).toEqual([
+      { radius: 500, year: 2023 },
+      { radius: 500, year: 2022 },
+    ])
+  })
+
+  it('requests every year at once', () => {
+    expect(getYearRequests({ radius: 500 }, '2020', '2024')).toEqual([{ radius: 500 }])
+  })
+})
+
+describe('mergeSchoolYears', () => {
+  it('adds up the counts and lists the accidents of each year', () => {
+    const school = (year, count) => ({
+      urn: '100100', accident_count: count, fatal_count: 0, serious_count: 1, slight_count: count - 1,
+      accidents: [{ accident_id: `${year}-1` }],
+    })
+
+    expect(mergeSchoolYears([school(2023, 3), school(2022, 2)])).toEqual({
+      urn: '100100', accident_count: 5, fatal_count: 0, serious_count: 2, slight_count: 3,
+      accidents: [{ accident_id: '2023-1' }, { accident_id: '2022-1' }],
+    })
+  })
+})
+
+describe('getRiskContext', () => {
+  it('scores over the radius and the years covered', () => {
+    expect(getRiskContext({ radius: 800, year: '2023' })).toEqual({ radius: 800, years: 1 })
+    expect(DEFAULT_RISK_CONTEXT).toEqual({ radius: 500, years: 5 })
+  })
+})
+
+describe('getSchoolRunFilters', () => {
+  it('picks the school-run filters', () => {
+    expect(getSchoolRunFilters({ ...DEFAULT_FILTERS, termTime: true }))
+      .toEqual({ timeWindow: '', termTime: true, childCasualties: false })
+  })
+})
+
+describe('parseCompare', () => {
+  it('splits the pinned schools', () => {
+    expect(parseCompare('100100,,100113')).toEqual(['100100', '100113'])
+    expect(parseCompare(null)).toEqual([])
+  })
+})
@@ -0,0 +1,84 @@
+// Exposure-adjusted risk for the area around a school. Each accident scores by
+// its severity, and the total is put on one scale whatever the search radius,
+// period and school size: weighted accidents per year within a 500 m circle,
+// per 500 pupils. The counts scored are the school's own, so a school
+// narrowed to the school run (see schoolRun.js) scores that alone. A model is
+//   { fatalWeight, seriousWeight, slightWeight, perPupil, highThreshold, mediumThreshold }
+
+export const REFERENCE_RADIUS = 500
+export const REFERENCE_PUPILS = 500
+
+// The thresholds match the old count bands for a typical severity mix: ten
+// accidents within 500 m over five years scores about 3
+export const DEFAULT_RISK_MODEL = {
+  fatalWeight: 10,
+  seriousWeight: 3,
+  slightWeight: 1,
+  perPupil: true,
+  highThreshold: 3,
+  mediumThreshold: 1.5,
+}
+
+// Risk level colors and labels; thresholds are the accident-count bands
+// the server uses for its risk_level filter and summary
+export const RISK_LEVELS = {
+  high: { color: '#dc2626', label: 'High Risk', threshold: 10 },
+  medium: { color: '#f59e0b', label: 'Medium Risk', threshold: 5 },
+  low: { color: '#16a34a', label: 'Low Risk', threshold: 0 },
+}
+
+export const getRiskLevel = (accidentCount) => {
+  if (accidentCount >= RISK_LEVELS.high.threshold) return 'high'
+  if (accidentCount >= RISK_LEVELS.medium.threshold) return 'medium'
+  return 'low'
+}
+
+// The server's risk_level, or the count band when it sends none
+export const getServerRiskLevel = (school) => (
+  RISK_LEVELS[school.risk_level] ? school.risk_level : getRiskLevel(school.accident_count)
+)
+
+export const getModelRiskLevel = (score, model) => {
+  if (score >= model.highThreshold) return 'high'
+  if (score >= model.mediumThreshold) return 'medium'
+  return 'low'
+}
+
+// Score a school counted within `radius` metres over `years` years:
+//   { score, level, counts, points, perYear, areaFactor, pupilFactor }
+export function scoreSchool(school, model, { radius, years }) {
+  const counts = { fatal: school.fatal_count, serious: school.serious_count, slight: school.slight_count }
+
+  const points = counts.fatal * model.fatalWeight
+    + counts.serious * model.seriousWeight
+    + counts.slight * model.slightWeight
+  const perYear = points / Math.max(1, years)
+  const areaFactor = (REFERENCE_RADIUS / radius) ** 2
+  const pupilFactor = model.perPupil && school.number_of_pupils > 0
+    ? REFERENCE_PUPILS / school.number_of_pupils
+    : 1
+  const score = perYear * areaFactor * pupilFactor
+
+  return {
+    score,
+    level: getModelRiskLevel(score, model),
+    counts,
+    points,
+    perYear,
+    areaFactor,
+    pupilFactor,
+  }
+}
+
+// Scores to one decimal place, as shown on the page and in reports
+export const formatScore = (score) => score.toFixed(1)
+
+// Plain-English description of a model, for report methodology notes
+export function describeRiskModel(model) {
+  return [
+    `Risk score: accidents weighted ${model.fatalWeight} fatal, ${model.seriousWeight} serious, ${model.slightWeight} slight,`
+      + ` averaged per year and scaled to a ${REFERENCE_RADIUS} m radius`
+      + (model.perPupil ? ` and ${REFERENCE_PUPILS} pupils.` : '.'),
+    `Risk level: high at a score of ${model.highThreshold} or more, medium at ${model.mediumThreshold} or more, otherwise low.`,
+  ]
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_RISK_MODEL, getRiskLevel, getServerRiskLevel, getModelRiskLevel, scoreSchool, describeRiskModel } from './schoolRisk'
+
+const school = {
+  number_of_pupils: 250,
+  accident_count: 4,
+  fatal_count: 1,
+  serious_count: 1,
+  slight_count: 2,
+}
+
+describe('getRiskLevel', () => {
+  it.each([
+    [0, 'low'],
+    [4, 'low'],
+    [5, 'medium'],
+    [9, 'medium'],
+    [10, 'high'],
+    [250, 'high'],
+  ])('%i accidents is %s risk', (accidents, level) => {
+    expect(getRiskLevel(accidents)).toBe(level)
+  })
+})
+
+describe('getServerRiskLevel', () => {
+  it('uses the level the server sends', () => {
+    expect(getServerRiskLevel({ risk_level: 'low', accident_count: 40 })).toBe('low')
+  })
+
+  it('falls back to the count band', () => {
+    expect(getServerRiskLevel({ risk_level: null, accident_count: 40 })).toBe('high')
+    expect(getServerRiskLevel({ risk_level: 'unknown', accident_count: 6 })).toBe('medium')
+  })
+})
+
+describe('getModelRiskLevel', () => {
+  it.each([
+    [0, 'low'],
+    [1.49, 'low'],
+    [1.5, 'medium'],
+    [3, 'high'],
+  ])('a score of %s is %s', (score, level) => {
+    expect(getModelRiskLevel(score, DEFAULT_RISK_MODEL)).toBe(level)
+  })
+})
+
+describe('scoreSchool', () => {
+  it('weights severities and normalises by years, radius and pupils', () => {
+    const risk = scoreSchool(school, DEFAULT_RISK_MODEL, { radius: 1000, years: 5 })
+
+    expect(risk.counts).toEqual({ fatal: 1, serious: 1, slight: 2 })
+    expect(risk.points).toBe(15)
+    expect(risk.perYear).toBe(3)
+    expect(risk.areaFactor).toBe(0.25)
+    expect(risk.pupilFactor).toBe(2)
+    expect(risk.score).toBe(1.5)
+    expect(risk.level).toBe('medium')
+  })
+
+  it('can leave out pupil numbers', () => {
+    const risk = scoreSchool(school, { ...DEFAULT_RISK_MODEL, perPupil: false }, { radius: 500, years: 1 })
+    expect(risk.pupilFactor).toBe(1)
+    expect(risk.score).toBe(15)
+  })
+
+  it('uses the weights it is given', () => {
+    const model = { ...DEFAULT_RISK_MODEL, fatalWeight: 0, seriousWeight: 0, slightWeight: 1, perPupil: false }
+    expect(scoreSchool(school, model, { radius: 500, years: 1 }).score).toBe(2)
+  })
+})
+
+describe('describeRiskModel', () => {
+  it('notes the weights and thresholds', () => {
+    const notes = describeRiskModel(DEFAULT_RISK_MODEL)
+
+    expect(notes[0]).toMatch(/weighted 10 fatal, 3 serious, 1 slight.* and 500 pupils\.$/)
+    expect(notes[1]).toBe('Risk level: high at a score of 3 or more, medium at 1.5 or more, otherwise low.')
+  })
+
+  it('leaves out pupils when the model does', () => {
+    expect(describeRiskModel({ ...DEFAULT_RISK_MODEL, perPupil: false })[0]).toMatch(/500 m radius\.$/)
+  })
+})
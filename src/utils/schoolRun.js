@@ -0,0 +1,116 @@
+import { getDayIndex, summarizeAccidents } from './accidentStats'
+
+// The school run: term-time weekdays, drop-off and pick-up hours, and the
+// children walking or cycling to school. Filters are
+//   { timeWindow: '' | 'school_run' | 'drop_off' | 'pick_up', termTime, childCasualties }
+// and are applied here, to accidents that carry their casualties (the school
+// detail endpoint's list), since the school endpoints do not take them.
+
+export const TIME_WINDOWS = {
+  drop_off: { label: 'Drop-off', start: '07:30', end: '09:30' },
+  pick_up: { label: 'Pick-up', start: '14:30', end: '16:30' },
+}
+
+// Drop-off or pick-up
+export const SCHOOL_RUN = 'school_run'
+
+// Casualties younger than this count as children
+export const CHILD_AGE_LIMIT = 16
+
+// Typical English school holidays as [from, to] month-day pairs, inclusive.
+// Dates vary by year and local authority, so term time is approximate.
+const SCHOOL_HOLIDAYS = [
+  ['12-21', '12-31'],
+  ['01-01', '01-03'],
+  ['02-12', '02-18'],
+  ['03-30', '04-14'],
+  ['05-26', '06-01'],
+  ['07-22', '09-02'],
+  ['10-23', '10-31'],
+]
+
+// Minutes past midnight for "HH:MM", or null
+function toMinutes(time) {
+  const [hours, minutes] = String(time ?? '').split(':').map(part => Number.parseInt(part, 10))
+  return Number.isInteger(hours) && Number.isInteger(minutes) ? hours * 60 + minutes : null
+}
+
+const isWeekday = (accident) => {
+  const day = getDayIndex(accident)
+  return day !== null && day !== 0 && day !== 6
+}
+
+export function isInTimeWindow(accident, timeWindow) {
+  if (!timeWindow) return true
+  const minutes = toMinutes(accident.accident_time)
+  if (minutes === null) return false
+  const windows = timeWindow === SCHOOL_RUN ? Object.values(TIME_WINDOWS) : [TIME_WINDOWS[timeWindow]]
+  return windows.some(({ start, end }) => minutes >= toMinutes(start) && minutes <= toMinutes(end))
+}
+
+// A weekday outside the school holidays
+export function isTermTime(accident) {
+  if (!isWeekday(accident) || !accident.accident_date) return false
+  const monthDay = accident.accident_date.slice(5, 10)
+  return !SCHOOL_HOLIDAYS.some(([from, to]) => monthDay >= from && monthDay <= to)
+}
+
+// Coded fields may be plain values or { code, label } pairs
+const labelOf = (value) => String(value?.label ?? value ?? '')
+
+// A casualty under 16 who was walking or cycling; -1 is an unknown age
+export function isChildPedestrianOrCyclist(casualty) {
+  const age = casualty.age_of_casualty?.code ?? casualty.age_of_casualty
+  if (age === null || age === undefined || age === '') return false
+  if (Number(age) < 0 || Number(age) >= CHILD_AGE_LIMIT) return false
+  return /pedestrian|cyclist/i.test(`${labelOf(casualty.casualty_class)} ${labelOf(casualty.casualty_type)}`)
+}
+
+// Whether an accident (with its casualties) falls within the filters
+export function matchesSchoolRun(accident, { timeWindow, termTime, childCasualties }) {
+  if (!isInTimeWindow(accident, timeWindow)) return false
+  if (termTime && !isTermTime(accident)) return false
+  if (childCasualties && !(accident.casualties || []).some(isChildPedestrianOrCyclist)) return false
+  return true
+}
+
+export const hasSchoolRunFilters = ({ timeWindow, termTime, childCasualties }) =>
+  Boolean(timeWindow || termTime || childCasualties)
+
+const formatWindow = ({ start, end }) => `${start}-${end}`
+
+// e.g. "drop-off (07:30-09:30), term-time weekdays, child pedestrians and cyclists";
+// empty without filters
+export function describeSchoolRun({ timeWindow, termTime, childCasualties }) {
+  const parts = []
+  if (timeWindow === SCHOOL_RUN) {
+    parts.push(`school run (${Object.values(TIME_WINDOWS).map(formatWindow).join(' and ')})`)
+  } else if (timeWindow) {
+    parts.push(`${TIME_WINDOWS[timeWindow].label.toLowerCase()} (${formatWindow(TIME_WINDOWS[timeWindow])})`)
+  }
+  if (termTime) parts.push('term-time weekdays')
+  if (childCasualties) parts.push('child pedestrians and cyclists')
+  return parts.join(', ')
+}
+
+// The school counted over the accidents given
+export function scopeSchool(school, accidents) {
+  const { severity } = summarizeAccidents(accidents)
+  return {
+    ...school,
+    accidents,
+    accident_count: accidents.length,
+    fatal_count: severity.fatal,
+    serious_count: severity.serious,
+    slight_count: severity.slight,
+  }
+}
+
+// The school counted over its accidents in the school run. Only the detail
+// endpoint lists every accident with its casualties; a school without its
+// full list keeps its counts and is marked schoolRunSkipped.
+export function narrowToSchoolRun(school, schoolRun) {
+  if (!hasSchoolRunFilters(schoolRun)) return school
+  if (school.accidents.length < school.accident_count) return { ...school, schoolRunSkipped: true }
+  return scopeSchool(school, school.accidents.filter(accident => matchesSchoolRun(accident, schoolRun)))
+}
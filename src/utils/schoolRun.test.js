@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isInTimeWindow, isTermTime, isChildPedestrianOrCyclist, matchesSchoolRun, hasSchoolRunFilters, describeSchoolRun,
+  scopeSchool, narrowToSchoolRun,
+} from './schoolRun'
+
+describe('isInTimeWindow', () => {
+  it.each([
+    ['07:30', 'drop_off', true],
+    ['09:30', 'drop_off', true],
+    ['09:31', 'drop_off', false],
+    ['15:10', 'pick_up', true],
+    ['08:00', 'pick_up', false],
+    ['08:00', 'school_run', true],
+    ['16:30', 'school_run', true],
+    ['12:00', 'school_run', false],
+    ['03:00', '', true],
+  ])('%s is in "%s": %s', (accident_time, timeWindow, expected) => {
+    expect(isInTimeWindow({ accident_time }, timeWindow)).toBe(expected)
+  })
+
+  it('needs a time to be in a window', () => {
+    expect(isInTimeWindow({ accident_time: null }, 'drop_off')).toBe(false)
+  })
+})
+
+describe('isTermTime', () => {
+  it.each([
+    ['2023-03-06', 'Monday', true],
+    ['2023-03-04', 'Saturday', false],
+    ['2023-08-08', 'Tuesday', false],
+    ['2023-12-27', 'Wednesday', false],
+    ['2023-09-05', 'Tuesday', true],
+  ])('%s (%s) is %s', (accident_date, day_of_week, expected) => {
+    expect(isTermTime({ accident_date, day_of_week })).toBe(expected)
+  })
+
+  it('works out the day from the date when needed', () => {
+    expect(isTermTime({ accident_date: '2023-03-05' })).toBe(false)
+    expect(isTermTime({ accident_date: '2023-03-07' })).toBe(true)
+  })
+})
+
+describe('isChildPedestrianOrCyclist', () => {
+  it.each([
+    [{ age_of_casualty: 9, casualty_class: 'Pedestrian', casualty_type: 'Pedestrian' }, true],
+    [{ age_of_casualty: 14, casualty_class: 'Driver or rider', casualty_type: 'Cyclist' }, true],
+    [{ age_of_casualty: { code: 11, label: '11' }, casualty_class: { code: 3, label: 'Pedestrian' } }, true],
+    [{ age_of_casualty: 9, casualty_class: 'Passenger', casualty_type: 'Car occupant' }, false],
+    [{ age_of_casualty: 16, casualty_class: 'Pedestrian' }, false],
+    [{ age_of_casualty: -1, casualty_class: 'Pedestrian' }, false],
+    [{ age_of_casualty: null, casualty_class: 'Pedestrian' }, false],
+  ])('%j is %s', (casualty, expected) => {
+    expect(isChildPedestrianOrCyclist(casualty)).toBe(expected)
+  })
+})
+
+describe('matchesSchoolRun', () => {
+  const accident = {
+    accident_date: '2023-03-06',
+    day_of_week: 'Monday',
+    accident_time: '08:15',
+    casualties: [{ age_of_casualty: 10, casualty_class: 'Pedestrian' }],
+  }
+
+  it('applies every filter given', () => {
+    const filters = { timeWindow: 'drop_off', termTime: true, childCasualties: true }
+    expect(matchesSchoolRun(accident, filters)).toBe(true)
+    expect(matchesSchoolRun({ ...accident, accident_time: '15:00' }, filters)).toBe(false)
+    expect(matchesSchoolRun({ ...accident, casualties: [] }, filters)).toBe(false)
+    expect(matchesSchoolRun({ ...accident, accident_date: '2023-08-07' }, filters)).toBe(false)
+  })
+
+  it('matches everything without filters', () => {
+    expect(matchesSchoolRun({}, { timeWindow: '', termTime: false, childCasualties: false })).toBe(true)
+  })
+})
+
+describe('describeSchoolRun', () => {
+  it('lists the filters in use', () => {
+    expect(describeSchoolRun({ timeWindow: 'school_run', termTime: true, childCasualties: true }))
+      .toBe('school run (07:30-09:30 and 14:30-16:30), term-time weekdays, child pedestrians and cyclists')
+    expect(describeSchoolRun({ timeWindow: 'pick_up', termTime: false, childCasualties: false }))
+      .toBe('pick-up (14:30-16:30)')
+  })
+
+  it('is empty without filters', () => {
+    const none = { timeWindow: '', termTime: false, childCasualties: false }
+    expect(describeSchoolRun(none)).toBe('')
+    expect(hasSchoolRunFilters(none)).toBe(false)
+  })
+})
+
+describe('scopeSchool', () => {
+  it('counts the school over the accidents given', () => {
+    const school = { urn: '100001', name: 'Oakfield Primary School', accident_count: 9, fatal_count: 1 }
+    const accidents = [{ severity: 2 }, { severity: 3 }, { severity: 3 }]
+
+    expect(scopeSchool(school, accidents)).toEqual({
+      ...school,
+      accidents,
+      accident_count: 3,
+      fatal_count: 0,
+      serious_count: 1,
+      slight_count: 2,
+    })
+  })
+})
+
+describe('narrowToSchoolRun', () => {
+  const school = {
+    urn: '100001',
+    accident_count: 3,
+    fatal_count: 0,
+    serious_count: 1,
+    slight_count: 2,
+    accidents: [
+      { accident_date: '2023-03-08', accident_time: '08:15', severity: 2 },
+      { accident_date: '2023-03-08', accident_time: '22:40', severity: 3 },
+      { accident_date: '2023-03-09', accident_time: '15:10', severity: 3 },
+    ],
+  }
+
+  it('counts the accidents in the school run', () => {
+    const narrowed = narrowToSchoolRun(school, { timeWindow: 'drop_off', termTime: false, childCasualties: false })
+
+    expect(narrowed.accidents).toEqual([school.accidents[0]])
+    expect(narrowed).toMatchObject({ accident_count: 1, serious_count: 1, slight_count: 0 })
+  })
+
+  it('keeps the counts without filters or the full accident list', () => {
+    const schoolRun = { timeWindow: 'school_run', termTime: true, childCasualties: false }
+
+    expect(narrowToSchoolRun(school, { timeWindow: '', termTime: false, childCasualties: false })).toBe(school)
+    expect(narrowToSchoolRun({ ...school, accidents: [] }, schoolRun)).toMatchObject({
+      accident_count: 3, schoolRunSkipped: true,
+    })
+  })
+})
@@ -0,0 +1,50 @@
+// Slippy-map (Web Mercator) tile maths - the same x/y/z grid as the map's
+// tile layer, used to split bounding-box requests into cacheable pieces
+
+// Web Mercator stops short of the poles
+const MAX_LATITUDE = 85.0511287798
+
+const clampLat = (lat) => Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat))
+
+export const getTileKey = ({ x, y, z }) => `${z}/${x}/${y}`
+
+// The tile containing a point
+export function latLngToTile(lat, lng, z) {
+  const n = 2 ** z
+  const latRad = clampLat(lat) * Math.PI / 180
+  const x = Math.floor((lng + 180) / 360 * n)
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n)
+  return {
+    x: Math.max(0, Math.min(n - 1, x)),
+    y: Math.max(0, Math.min(n - 1, y)),
+    z,
+  }
+}
+
+// Edges of a tile in degrees
+export function getTileBounds({ x, y, z }) {
+  const n = 2 ** z
+  const lat = (row) => Math.atan(Math.sinh(Math.PI * (1 - 2 * row / n))) * 180 / Math.PI
+  return {
+    south: lat(y + 1),
+    west: x / n * 360 - 180,
+    north: lat(y),
+    east: (x + 1) / n * 360 - 180,
+  }
+}
+
+// Every tile at zoom z overlapping { south, west, north, east }
+export function getTilesForBounds({ south, west, north, east }, z) {
+  const topLeft = latLngToTile(north, west, z)
+  const bottomRight = latLngToTile(south, east, z)
+  const tiles = []
+  for (let x = topLeft.x; x <= bottomRight.x; x++) {
+    for (let y = topLeft.y; y <= bottomRight.y; y++) {
+      tiles.push({ x, y, z })
+    }
+  }
+  return tiles
+}
+
+// The tile one zoom level out that contains this one
+export const getParentTile = ({ x, y, z }) => ({ x: Math.floor(x / 2), y: Math.floor(y / 2), z: z - 1 })
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { latLngToTile, getTileBounds, getTilesForBounds, getParentTile, getTileKey } from './tiles'
+
+describe('latLngToTile', () => {
+  it('matches the standard tile grid', () => {
+    // Central London at zoom 10 is OSM tile 10/511/340
+    expect(latLngToTile(51.5074, -0.1278, 10)).toEqual({ x: 511, y: 340, z: 10 })
+  })
+
+  it('clamps points beyond the Web Mercator limits', () => {
+    expect(latLngToTile(89.9, 0, 2)).toEqual({ x: 2, y: 0, z: 2 })
+  })
+})
+
+describe('getTileBounds', () => {
+  it('contains the points that map to the tile', () => {
+    const tile = latLngToTile(53.4808, -2.2426, 13)
+    const { south, west, north, east } = getTileBounds(tile)
+    expect(south).toBeLessThan(53.4808)
+    expect(north).toBeGreaterThan(53.4808)
+    expect(west).toBeLessThan(-2.2426)
+    expect(east).toBeGreaterThan(-2.2426)
+  })
+
+  it('shares edges with neighbouring tiles', () => {
+    const tile = { x: 4000, y: 2600, z: 13 }
+    expect(getTileBounds(tile).east).toBeCloseTo(getTileBounds({ ...tile, x: 4001 }).west)
+    expect(getTileBounds(tile).south).toBeCloseTo(getTileBounds({ ...tile, y: 2601 }).north)
+  })
+})
+
+describe('getTilesForBounds', () => {
+  it('covers the bounds with every overlapping tile', () => {
+    const bounds = { south: 51.45, west: -0.2, north: 51.55, east: -0.05 }
+    const tiles = getTilesForBounds(bounds, 12)
+    expect(tiles).toHaveLength(9)
+    expect(new Set(tiles.map(tile => tile.x))).toEqual(new Set([2045, 2046, 2047]))
+    expect(new Set(tiles.map(tile => tile.y))).toEqual(new Set([1361, 1362, 1363]))
+  })
+
+  it('is a single tile for a point', () => {
+    expect(getTilesForBounds({ south: 51.5, west: -0.1, north: 51.5, east: -0.1 }, 14)).toHaveLength(1)
+  })
+})
+
+describe('getParentTile', () => {
+  it('halves the coordinates', () => {
+    expect(getParentTile({ x: 4093, y: 2722, z: 13 })).toEqual({ x: 2046, y: 1361, z: 12 })
+  })
+})
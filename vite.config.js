@@ -12,7 +12,7 @@ export default defineConfig({
         manualChunks: {
           vendor: ['react', 'react-dom', 'react-router-dom'],
           charts: ['recharts'],
-          maps: ['leaflet', 'react-leaflet'],
+          maps: ['leaflet', 'react-leaflet', 'leaflet.heat', 'leaflet.markercluster'],
         }
       }
     }
@@ -29,5 +29,17 @@ export default defineConfig({
         changeOrigin: true,
       }
     }
-  }
+  },
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js',
+    // Tests run against the bundled mock API, with no simulated latency
+    env: {
+      VITE_USE_MOCK_API: 'true',
+      VITE_MOCK_API_LATENCY: '0',
+    },
+    // Drop the client's dev request logging, and recharts' warning that
+    // charts have no size (jsdom has no layout), from test output
+    onConsoleLog: (log) => !log.startsWith('API ') && !log.includes('of chart should be greater than 0'),
+  },
 })